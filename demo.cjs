@@ -87,6 +87,8 @@ if (MOCK) {
       'known-agent': 50,     // Discounted
       'new-agent': 10,       // Full price
     }),
+    // Demo only: take body.author at its word instead of requiring NIP-98
+    trustUnsignedAgents: true,
   };
 } else {
   if (!process.env.NWC_URL) {
@@ -106,46 +108,8 @@ if (MOCK) {
 
 const toll = discourseToll(tollConfig);
 
-// Simple Express-like request handling
-function parseBody(req) {
-  return new Promise((resolve) => {
-    let body = '';
-    req.on('data', d => body += d);
-    req.on('end', () => {
-      try { resolve(JSON.parse(body)); }
-      catch { resolve({}); }
-    });
-  });
-}
-
-function createExpressReq(req, body, params = {}) {
-  return {
-    method: req.method,
-    url: req.url,
-    originalUrl: req.url,
-    headers: req.headers,
-    body,
-    params,
-    query: Object.fromEntries(new URL(req.url, 'http://localhost').searchParams),
-  };
-}
-
-function createExpressRes(res) {
-  const expressRes = {
-    _status: 200,
-    _headers: {},
-    _sent: false,
-    status(code) { this._status = code; return this; },
-    setHeader(k, v) { res.setHeader(k, v); },
-    json(data) {
-      if (this._sent) return;
-      this._sent = true;
-      res.writeHead(this._status, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(data, null, 2));
-    },
-  };
-  return expressRes;
-}
+// Tolled route, using the raw Node http adapter
+const tollComments = toll.node({ contextFrom: 'params.threadId', agentFrom: 'body.author' });
 
 const server = http.createServer(async (req, res) => {
   const url = new URL(req.url, 'http://localhost');
@@ -167,7 +131,7 @@ const server = http.createServer(async (req, res) => {
         author: t.author,
         commentCount: t.comments.length,
       })),
-      stats: toll.stats(),
+      stats: await toll.stats(),
     }, null, 2));
   }
 
@@ -187,32 +151,28 @@ const server = http.createServer(async (req, res) => {
     const thread = threads.get(threadId);
     if (!thread) { res.writeHead(404); return res.end('Not found'); }
 
-    const body = await parseBody(req);
-    body.threadId = threadId;
-
-    const expressReq = createExpressReq(req, body, { threadId });
-    const expressRes = createExpressRes(res);
-
-    // Apply toll middleware
-    const mw = toll({ contextFrom: 'body.threadId', agentFrom: 'body.author' });
-    await mw(expressReq, expressRes, () => {
-      // Toll passed — add comment
-      const comment = {
-        id: crypto.randomBytes(4).toString('hex'),
-        author: body.author || 'anonymous',
-        text: body.text || '',
-        ts: Date.now(),
-        tollPaid: expressReq.tollPaid,
-        tollFree: expressReq.tollFree || false,
-      };
-      thread.comments.push(comment);
-
-      expressRes.status(201).json({
-        ok: true,
-        comment,
-        thread: { id: thread.id, commentCount: thread.comments.length },
-      });
-    });
+    // Apply toll — answers 402/401/503 itself, otherwise resolves to the outcome
+    const paid = await tollComments(req, res, { threadId });
+    if (!paid) return;
+
+    // Toll passed — add comment
+    const body = req.body || {};
+    const comment = {
+      id: crypto.randomBytes(4).toString('hex'),
+      author: body.author || 'anonymous',
+      text: body.text || '',
+      ts: Date.now(),
+      tollPaid: paid.paid,
+      tollFree: paid.free || false,
+    };
+    thread.comments.push(comment);
+
+    res.writeHead(201, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      ok: true,
+      comment,
+      thread: { id: thread.id, commentCount: thread.comments.length },
+    }, null, 2));
     return;
   }
 
@@ -230,7 +190,7 @@ const server = http.createServer(async (req, res) => {
   // GET /stats — toll stats
   if (req.method === 'GET' && path === '/stats') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    return res.end(JSON.stringify(toll.stats(), null, 2));
+    return res.end(JSON.stringify(await toll.stats(), null, 2));
   }
 
   res.writeHead(404);
@@ -5,7 +5,8 @@
  * 
  * Trust-weighted, progressive pricing for forums and APIs.
  * Combines Lightning payments, ai.wot trust scores, and 
- * discourse-specific pricing into one Express middleware.
+ * discourse-specific pricing into one middleware for Express,
+ * Fastify, Koa, Hono, Fetch-API handlers and raw Node http.
  * 
  * @example
  * // Server
@@ -21,31 +22,91 @@
  */
 
 const { discourseToll } = require('./lib/middleware.cjs');
+const { createTollCore } = require('./lib/core.cjs');
+const adapters = require('./lib/adapters.cjs');
+const { createAdminHandler } = require('./lib/admin.cjs');
 const { createDiscourseClient } = require('./lib/client.cjs');
 const { PricingEngine, DEFAULT_PRICING } = require('./lib/pricing.cjs');
+const { MemoryActivityStore, FileActivityStore } = require('./lib/activity.cjs');
 const { TrustResolver, staticResolver, apiResolver } = require('./lib/trust.cjs');
+const { CompositeResolver, compositeResolver } = require('./lib/composite.cjs');
 const { WalletProvider } = require('./lib/wallet.cjs');
-const { createMacaroon, verifyMacaroon, encodeMacaroon, decodeMacaroon } = require('./lib/macaroon.cjs');
+const { MemorySpentStore } = require('./lib/spent.cjs');
+const { MemoryBalanceLedger } = require('./lib/balance.cjs');
+const { MemoryQuoteCache } = require('./lib/quotes.cjs');
+const { CircuitBreaker } = require('./lib/breaker.cjs');
+const { WebhookDispatcher, MemoryDeadLetterQueue, verifyWebhook } = require('./lib/webhooks.cjs');
+const { TollMetrics } = require('./lib/metrics.cjs');
+const { PaymentLedger, MemoryPaymentStore, FilePaymentStore } = require('./lib/payments.cjs');
+const { LocalReputation } = require('./lib/reputation.cjs');
+const { Keyring, generateKey } = require('./lib/keyring.cjs');
+const { CaveatRegistry } = require('./lib/caveats.cjs');
+const { TollError } = require('./lib/errors.cjs');
+const { createNip98Token, verifyNip98 } = require('./lib/nip98.cjs');
+const {
+  createMacaroon, verifyMacaroon, encodeMacaroon, decodeMacaroon, getCaveat, getCaveats, attenuate,
+  encodeMacaroonV2, decodeMacaroonV2, encodeIdentifier, decodeIdentifier,
+} = require('./lib/macaroon.cjs');
 
 module.exports = {
   // Main API
   discourseToll,
   createDiscourseClient,
   
+  // Framework-neutral core and adapters
+  createTollCore,
+  adapters,
+  createAdminHandler,
+  
   // Building blocks (for custom setups)
   PricingEngine,
+  MemoryActivityStore,
+  FileActivityStore,
   TrustResolver,
+  CompositeResolver,
   WalletProvider,
+  MemorySpentStore,
+  MemoryBalanceLedger,
+  MemoryQuoteCache,
+  CircuitBreaker,
+  WebhookDispatcher,
+  MemoryDeadLetterQueue,
+  TollMetrics,
+  PaymentLedger,
+  MemoryPaymentStore,
+  FilePaymentStore,
+  LocalReputation,
+  Keyring,
+  CaveatRegistry,
   
   // Trust resolver factories
   staticResolver,
   apiResolver,
+  compositeResolver,
   
   // Macaroon utilities
   createMacaroon,
   verifyMacaroon,
   encodeMacaroon,
   decodeMacaroon,
+  getCaveat,
+  getCaveats,
+  attenuate,
+  encodeMacaroonV2,
+  decodeMacaroonV2,
+  encodeIdentifier,
+  decodeIdentifier,
+  generateKey,
+  
+  // NIP-98 agent authentication
+  createNip98Token,
+  verifyNip98,
+  
+  // Webhook receivers
+  verifyWebhook,
+  
+  // Errors
+  TollError,
   
   // Constants
   DEFAULT_PRICING,
@@ -22,6 +22,25 @@ export interface PricingConfig {
     windowMs?: number;
     bonusPercent?: number;
   };
+  /** Moderation flags: each severity unit adds perSeverity× to the price, fading with halfLifeSecs */
+  penalties?: {
+    perSeverity?: number;
+    halfLifeSecs?: number;
+    maxMultiplier?: number;
+  };
+}
+
+export interface Penalty {
+  multiplier: number;
+  /** Flags still counting */
+  flags: number;
+}
+
+export interface ModerationFlag {
+  contextId: string | null;
+  severity: number;
+  reason: string | null;
+  flaggedAt: number;
 }
 
 export interface PriceBreakdown {
@@ -29,6 +48,8 @@ export interface PriceBreakdown {
   progressive: number;
   priorActionsInContext: number;
   trustScore?: number;
+  multiplier?: number;
+  penalty?: Penalty;
   trustDiscount?: number;
   cooldownBonus?: number;
   final: number;
@@ -39,18 +60,147 @@ export interface PriceResult {
   breakdown: PriceBreakdown;
 }
 
+export interface ActivityStats {
+  contexts: number;
+  agents: number;
+  totalActions: number;
+}
+
+export interface ContextActivity {
+  contextId: string;
+  agents: Record<string, number>;
+  lastAction: number;
+}
+
+export interface ActivityStore {
+  record(agentId: string, contextId: string, timestamp?: number, opts?: { maxPrior?: number }): Promise<{
+    prior: number;
+    lastAction: number | null;
+    recorded: boolean;
+  }>;
+  count(agentId: string, contextId: string): Promise<number>;
+  lastAction(agentId: string): Promise<number | null>;
+  cleanup(cutoff: number): Promise<void>;
+  stats(): Promise<ActivityStats>;
+  contexts(): Promise<ContextActivity[]>;
+  forget(agentId: string, contextId: string): Promise<number>;
+  /** Clears activity; moderation state stays */
+  reset(): Promise<void>;
+  /** Where multipliers, bans and flags are kept; without these they stay in memory */
+  moderation?(agentId: string): Promise<ModerationState>;
+  moderate?<K extends keyof ModerationState>(agentId: string, kind: K, update: (current: ModerationState[K]) => ModerationState[K] | null): Promise<ModerationState[K]>;
+  moderated?(): Promise<Array<{ agentId: string } & ModerationState>>;
+}
+
+export interface ModerationState {
+  multiplier: { multiplier: number; expiresAt: number | null } | null;
+  ban: { reason: string | null; expiresAt: number | null } | null;
+  flags: ModerationFlag[];
+}
+
+export class MemoryActivityStore implements ActivityStore {
+  constructor();
+  record(agentId: string, contextId: string, timestamp?: number, opts?: { maxPrior?: number }): Promise<{
+    prior: number;
+    lastAction: number | null;
+    recorded: boolean;
+  }>;
+  count(agentId: string, contextId: string): Promise<number>;
+  lastAction(agentId: string): Promise<number | null>;
+  cleanup(cutoff: number): Promise<void>;
+  stats(): Promise<ActivityStats>;
+  contexts(): Promise<ContextActivity[]>;
+  forget(agentId: string, contextId: string): Promise<number>;
+  reset(): Promise<void>;
+  moderation(agentId: string): Promise<ModerationState>;
+  moderate<K extends keyof ModerationState>(agentId: string, kind: K, update: (current: ModerationState[K]) => ModerationState[K] | null): Promise<ModerationState[K]>;
+  moderated(): Promise<Array<{ agentId: string } & ModerationState>>;
+}
+
+export class FileActivityStore implements ActivityStore {
+  constructor(opts: { path: string; lockTimeoutMs?: number; lockStaleMs?: number });
+  readonly path: string;
+  record(agentId: string, contextId: string, timestamp?: number, opts?: { maxPrior?: number }): Promise<{
+    prior: number;
+    lastAction: number | null;
+    recorded: boolean;
+  }>;
+  count(agentId: string, contextId: string): Promise<number>;
+  lastAction(agentId: string): Promise<number | null>;
+  cleanup(cutoff: number): Promise<void>;
+  stats(): Promise<ActivityStats>;
+  contexts(): Promise<ContextActivity[]>;
+  forget(agentId: string, contextId: string): Promise<number>;
+  reset(): Promise<void>;
+  moderation(agentId: string): Promise<ModerationState>;
+  moderate<K extends keyof ModerationState>(agentId: string, kind: K, update: (current: ModerationState[K]) => ModerationState[K] | null): Promise<ModerationState[K]>;
+  moderated(): Promise<Array<{ agentId: string } & ModerationState>>;
+}
+
 export class PricingEngine {
-  constructor(opts?: PricingConfig);
+  constructor(opts?: PricingConfig & { store?: ActivityStore });
+  store: ActivityStore;
   calculate(params: {
     agentId: string;
     contextId: string;
     trustScore?: number;
     dryRun?: boolean;
-  }): PriceResult;
-  getActivityCount(agentId: string, contextId: string): number;
-  cleanup(maxAgeMs?: number): void;
-  stats(): { contexts: number; agents: number; totalActions: number };
-  reset(): void;
+    /** Whose multiplier and flags apply (default agentId) */
+    moderateAs?: string;
+  }): Promise<PriceResult>;
+  calculateBundle(params: {
+    agentId: string;
+    contextId: string;
+    trustScore?: number;
+    actions: number;
+    /** Whose multiplier and flags apply (default agentId) */
+    moderateAs?: string;
+  }): Promise<{ sats: number; breakdown: BundleBreakdown }>;
+  redeem(params: {
+    agentId: string;
+    contextId: string;
+    trustScore?: number;
+    seq: number;
+    /** Sats paid for the whole credential */
+    paidSats: number;
+    /** Actions the credential was bought for (default 1) */
+    actions?: number;
+    /** Which of those actions this is, 0-based (default 0) */
+    use?: number;
+    /** Whose multiplier and flags apply (default agentId) */
+    moderateAs?: string;
+  }): Promise<PriceResult & { ok: boolean; paidSats: number }>;
+  getActivityCount(agentId: string, contextId: string): Promise<number>;
+  setMultiplier(agentId: string, multiplier: number, ttlSecs?: number): Promise<void>;
+  clearMultiplier(agentId: string): Promise<boolean>;
+  ban(agentId: string, opts?: { ttlSecs?: number; reason?: string }): Promise<void>;
+  unban(agentId: string): Promise<boolean>;
+  banned(agentId: string): Promise<{ reason: string | null; expiresAt: number | null } | null>;
+  flag(agentId: string, contextId?: string, severity?: number, opts?: { reason?: string }): Promise<ModerationFlag>;
+  /** Remove flags (all, or one context's); returns how many */
+  pardon(agentId: string, contextId?: string): Promise<number>;
+  penalty(agentId: string): Promise<Penalty | null>;
+  overrides(): Promise<{
+    multipliers: Array<{ agentId: string; multiplier: number; expiresAt: number | null }>;
+    bans: Array<{ agentId: string; reason: string | null; expiresAt: number | null }>;
+    penalties: Array<{ agentId: string } & Penalty>;
+  }>;
+  /** Every agent's flags that haven't faded */
+  flagged(): Promise<Array<{ agentId: string; flags: ModerationFlag[] }>>;
+  contexts(): Promise<ContextActivity[]>;
+  resetAgent(agentId: string, contextId: string): Promise<number>;
+  cleanup(maxAgeMs?: number): Promise<void>;
+  stats(): Promise<ActivityStats>;
+  reset(): Promise<void>;
+}
+
+export interface BundleBreakdown {
+  actions: number;
+  priorActionsInContext: number;
+  perAction: number[];
+  trustScore?: number;
+  penalty?: Penalty;
+  final: number;
 }
 
 export const DEFAULT_PRICING: PricingConfig;
@@ -61,17 +211,153 @@ export class TrustResolver {
   constructor(opts?: {
     relays?: string[];
     timeoutMs?: number;
+    /** How long a score is fresh (default 5 min) */
     cacheTtlMs?: number;
-    resolver?: (agentId: string) => Promise<number | null>;
+    /** How long "no score" is fresh (default cacheTtlMs) */
+    negativeTtlMs?: number;
+    /** How long a score may be served stale while it refreshes (default 1 day) */
+    staleTtlMs?: number;
+    /** JSON file the cache is saved to and restored from */
+    cacheFile?: string;
+    /** A score, or an object with a score and whatever explains it */
+    resolver?: (agentId: string) => Promise<number | null | ({ score: number | null } & Record<string, unknown>)>;
+    /** Pubkeys trust is measured from (personalized scoring) */
+    seeds?: string[];
+    maxDepth?: number;
+    damping?: number;
+    graphTtlMs?: number;
+    /** Weight attestations by sats zapped to them (NIP-57) */
+    zaps?: boolean | ZapWeighting;
+    /** Share of the positive score unvetted disputes and warnings can take away (default 0.5) */
+    unvettedPenalty?: number;
   });
   getScore(agentId: string): Promise<number | null>;
+  /** Look several agents up at once; agentId → score */
+  prefetch(agentIds: string[]): Promise<Record<string, number | null>>;
+  peekScore(agentId: string): number | null | undefined;
+  explain(agentId: string): Promise<TrustExplanation>;
+  peekExplanation(agentId: string): TrustExplanation | null;
   clearCache(): void;
-  stats(): { cacheSize: number; relays: number };
+  /** Write the cache to cacheFile now */
+  persist(): Promise<void>;
+  stats(): { cacheSize: number; refreshing: number; relays: number; graphSize: number; relayHealth: RelayHealth[] };
+}
+
+export interface ZapWeighting {
+  /** How much an unzapped attestation counts (default 0.25) */
+  baseline?: number;
+  /** Sats at which an attestation counts fully (default 1000) */
+  fullSats?: number;
+  /** Progress towards fullSats, 0..1 (default 'log') */
+  curve?: 'log' | 'sqrt' | ((sats: number, fullSats: number) => number);
+  /** fetch() for looking up attesters' LNURL servers (default: the global fetch) */
+  fetch?: (url: string, init?: { signal?: AbortSignal }) => Promise<{ ok: boolean; json(): Promise<any> }>;
+}
+
+export interface TrustExplanation {
+  agentId: string;
+  source: string;
+  score: number | null;
+  /** Distinct positive attesters / 5, capped at 1 */
+  networkFactor?: number;
+  qualityFactor?: number;
+  /** Points subtracted by disputes and warnings */
+  penalty?: number;
+  attestations?: Array<{
+    attester: string;
+    eventId: string;
+    type: string;
+    weight: number;
+    ageDays: number;
+    decay: number;
+    /** Points added (or subtracted) */
+    contribution: number;
+    /** Disputes and warnings: whether the attester was reached from the seeds or zapped */
+    vetted?: boolean;
+    /** With seeds: how far the attester is trusted (1 for seeds, × damping per hop) */
+    reach?: number;
+    /** With zaps: sats zapped to the attestation and how much it counts for that */
+    zapSats?: number;
+    zapFactor?: number;
+  }>;
+  /** With seeds: how many seeds */
+  seeds?: number;
+  ignored?: { invalid: number; deleted: number; self: number; superseded: number; unreachable?: number };
+}
+
+export interface RelayHealth {
+  url: string;
+  queries: number;
+  successes: number;
+  timeouts: number;
+  failures: number;
+  /** Until EOSE, over successful queries */
+  avgLatencyMs: number | null;
+  lastLatencyMs: number | null;
+  lastError: string | null;
+  lastSuccessAt: number | null;
+  lastFailureAt: number | null;
 }
 
 export function staticResolver(scores: Record<string, number>): TrustResolver;
 export function apiResolver(apiUrl: string): TrustResolver;
 
+export interface TrustSource {
+  name?: string;
+  resolver: TrustResolver | ((agentId: string) => number | null | Promise<number | null>);
+  /** For the weighted strategy (default 1) */
+  weight?: number;
+  /** Default 2000 */
+  timeoutMs?: number;
+  /** Score used when the source fails or times out; otherwise it's left out */
+  fallback?: number;
+}
+
+export type AgentList = string[] | Set<string> | ((agentId: string) => boolean | Promise<boolean>);
+
+export interface CompositeResolverOptions {
+  sources: TrustSource[];
+  /** Always score 0, whatever the sources say */
+  deny?: AgentList;
+  /** Score allowScore unless denied */
+  allow?: AgentList;
+  allowScore?: number;
+  /** weighted: weighted mean of sources with an opinion; first: first source with one */
+  strategy?: 'weighted' | 'first';
+  /** Cache options, as for TrustResolver */
+  cacheTtlMs?: number;
+  negativeTtlMs?: number;
+  staleTtlMs?: number;
+  cacheFile?: string;
+}
+
+export interface CompositeExplanation extends TrustExplanation {
+  source: 'composite';
+  strategy: 'weighted' | 'first';
+  /** 'deny', 'allow', the deciding source, or the counted sources joined with + */
+  decidedBy: string | null;
+  sources: Array<{
+    name: string;
+    weight: number;
+    status: 'ok' | 'no_opinion' | 'timeout' | 'error' | 'fallback';
+    score: number | null;
+    ms: number;
+    error?: string;
+    explanation?: TrustExplanation;
+  }>;
+}
+
+export class CompositeResolver extends TrustResolver {
+  constructor(opts: CompositeResolverOptions);
+  strategy: 'weighted' | 'first';
+  explain(agentId: string): Promise<CompositeExplanation>;
+  stats(): ReturnType<TrustResolver['stats']> & {
+    sources: Array<{ name: string; stats?: ReturnType<TrustResolver['stats']> }>;
+  };
+}
+
+export function compositeResolver(opts: CompositeResolverOptions): CompositeResolver;
+
 // ─── Wallet ────────────────────────────────────────────
 
 export class WalletProvider {
@@ -85,25 +371,153 @@ export class WalletProvider {
   createInvoice(sats: number, description: string): Promise<{ invoice: string; paymentHash: string }>;
   lookupInvoice(paymentHash: string): Promise<{ paid: boolean; preimage?: string }>;
   verifyPreimage(preimage: string, paymentHash: string): boolean;
-  stats(): { paid: number; pending: number; totalSats: number; total: number };
+  cleanup(maxAgeMs?: number): void;
+  stats(): { paid: number; pending: number; totalSats: number; total: number; tracked: boolean };
   close(): void;
 }
 
+// ─── Spent credentials ─────────────────────────────────
+
+export interface SpentStore {
+  consume(paymentHash: string, opts?: { maxUses?: number; expiresAt?: number }): Promise<{
+    ok: boolean;
+    uses: number;
+    remaining: number;
+  }>;
+  uses(paymentHash: string): Promise<number>;
+  cleanup(nowSecs?: number): Promise<void>;
+}
+
+export class MemorySpentStore implements SpentStore {
+  constructor();
+  consume(paymentHash: string, opts?: { maxUses?: number; expiresAt?: number }): Promise<{
+    ok: boolean;
+    uses: number;
+    remaining: number;
+  }>;
+  uses(paymentHash: string): Promise<number>;
+  cleanup(nowSecs?: number): Promise<void>;
+  stats(): { tracked: number };
+}
+
+// ─── Pending quotes ────────────────────────────────────
+
+export interface PendingQuote {
+  paymentHash: string;
+  invoice: string;
+  macaroon: string;
+  /** Unix seconds */
+  expiresAt: number;
+  owner: string;
+}
+
+export interface QuoteCache {
+  get(key: string): Promise<PendingQuote | null>;
+  put(key: string, quote: PendingQuote): Promise<void>;
+  outstanding(owner: string): Promise<{ count: number; nextExpiry: number | null }>;
+  settle(paymentHash: string): Promise<void>;
+  cleanup(nowSecs?: number): Promise<void>;
+}
+
+export class MemoryQuoteCache implements QuoteCache {
+  constructor();
+  get(key: string): Promise<PendingQuote | null>;
+  put(key: string, quote: PendingQuote): Promise<void>;
+  outstanding(owner: string): Promise<{ count: number; nextExpiry: number | null }>;
+  settle(paymentHash: string): Promise<void>;
+  cleanup(nowSecs?: number): Promise<void>;
+  stats(): { pending: number };
+}
+
+export interface QuotesConfig {
+  cache?: QuoteCache;
+  /** Unpaid invoices one agent/IP may hold; 0 disables the cap (default 20) */
+  maxOutstanding?: number;
+  /** Don't reuse a quote with less than this left (default 60) */
+  minRemainingSecs?: number;
+  /** Who holds anonymous requests' quotes (default the client IP); null or false: nobody, a fresh uncapped quote each time */
+  anonymousOwner?: false | ((request: TollRequest) => string | null | undefined);
+}
+
+// ─── Prepaid balances ──────────────────────────────────
+
+export interface BalanceLots {
+  balance: number;
+  lots: Array<{ sats: number; expiresAt: number }>;
+}
+
+export interface BalanceLedger {
+  credit(agentId: string, sats: number, opts: { ref: string; expiresAt: number }): Promise<{
+    credited: boolean;
+    balance: number;
+  }>;
+  debit(agentId: string, sats: number): Promise<{ ok: boolean; balance: number }>;
+  balance(agentId: string): Promise<BalanceLots>;
+  cleanup(now?: number): Promise<void>;
+}
+
+export class MemoryBalanceLedger implements BalanceLedger {
+  constructor();
+  credit(agentId: string, sats: number, opts: { ref: string; expiresAt: number }): Promise<{
+    credited: boolean;
+    balance: number;
+  }>;
+  debit(agentId: string, sats: number): Promise<{ ok: boolean; balance: number }>;
+  balance(agentId: string): Promise<BalanceLots>;
+  cleanup(now?: number): Promise<void>;
+  stats(): { accounts: number; totalSats: number };
+}
+
+export interface BalanceConfig {
+  ledger?: BalanceLedger;
+  minTopupSats?: number;
+  maxTopupSats?: number;
+  ttlSecs?: number;
+  topupUrl?: string;
+}
+
 // ─── Macaroon ──────────────────────────────────────────
 
+export type MacaroonFormat = 'json' | 'v2';
+
 export interface Macaroon {
-  id: string;
+  /** Payment hash (null for v2 macaroons without an L402 identifier) */
+  id: string | null;
   caveats: string[];
   signature: string;
+  format?: 'v2';
+  /** v2 only */
+  location?: string;
+  identifier?: string;
+  tokenId?: string | null;
+}
+
+export interface MacaroonsConfig {
+  /** Format of new credentials; clients can ask with X-Toll-Macaroon */
+  format?: MacaroonFormat;
+  /** Keep accepting base64-JSON credentials (default true) */
+  acceptLegacy?: boolean;
+  /** v2 location field */
+  location?: string;
 }
 
 export function createMacaroon(secret: string, paymentHash: string, caveats?: {
+  keyId?: string | null;
   expiresAt?: number;
   endpoint?: string;
   method?: string;
   contextId?: string;
   agentId?: string;
   maxActions?: number;
+  type?: string;
+  amount?: number;
+  seq?: number;
+  /** Registered custom caveats */
+  custom?: Record<string, string | number>;
+}, opts?: {
+  format?: MacaroonFormat;
+  location?: string;
+  tokenId?: string;
 }): Macaroon;
 
 export function verifyMacaroon(secret: string, macaroon: Macaroon, context?: {
@@ -111,15 +525,379 @@ export function verifyMacaroon(secret: string, macaroon: Macaroon, context?: {
   method?: string;
   contextId?: string;
   agentId?: string;
+  actionsUsed?: number;
+  type?: string;
+  [key: string]: unknown;
+}, opts?: {
+  registry?: CaveatRegistry;
+  strict?: boolean;
 }): { valid: boolean; error?: string };
 
+export interface CaveatContext {
+  endpoint?: string;
+  method?: string;
+  contextId?: string;
+  agentId?: string;
+  type?: string;
+  actionsUsed?: number;
+  /** Set by the toll core when custom caveats are registered */
+  trustScore?: number | null;
+  /** Normalized request, when the toll core verifies */
+  request?: TollRequest;
+  [key: string]: unknown;
+}
+
+export interface CaveatDefinition {
+  /** true to accept; false or an error message to reject */
+  verify(value: string, context: CaveatContext): boolean | string | void;
+  /** Caveat value for a route's `caveats` option */
+  mint?(option: any, request: TollRequest & { agentId: string; contextId: string; trustScore: number | null }): string | number | null | undefined | Promise<string | number | null | undefined>;
+}
+
+export interface CaveatRegistryOptions {
+  /** Reject macaroons with unregistered caveats */
+  strict?: boolean;
+  custom?: Record<string, CaveatDefinition>;
+}
+
+export declare class CaveatRegistry {
+  constructor(opts?: CaveatRegistryOptions);
+  strict: boolean;
+  register(name: string, definition: CaveatDefinition): this;
+  has(name: string): boolean;
+  hasCustom(): boolean;
+  check(name: string, value: string, context: CaveatContext, opts?: { strict?: boolean }): string | null;
+  mint(options: Record<string, any>, request: object): Promise<Record<string, string>>;
+  validate(options?: Record<string, any>): void;
+}
+
+export function getCaveat(macaroon: Macaroon, key: string): string | null;
+export function getCaveats(macaroon: Macaroon, key: string): string[];
+
+export interface AttenuationCaveats {
+  expiresAt?: number;
+  endpoint?: string;
+  method?: string;
+  contextId?: string;
+  agentId?: string;
+  maxActions?: number;
+}
+
+export function attenuate(macaroon: Macaroon, caveats: AttenuationCaveats): Macaroon;
+export function attenuate(macaroon: string, caveats: AttenuationCaveats): string;
 export function encodeMacaroon(macaroon: Macaroon): string;
 export function decodeMacaroon(encoded: string): Macaroon | null;
+export function encodeMacaroonV2(macaroon: Macaroon): Buffer;
+export function decodeMacaroonV2(buf: Buffer): Macaroon;
+export function encodeIdentifier(paymentHash: string, tokenId: string): Buffer;
+export function decodeIdentifier(identifier: string | Buffer): { version: number; paymentHash: string; tokenId: string } | null;
+
+// ─── Keyring ───────────────────────────────────────────
+
+export interface SigningKey {
+  id: string | null;
+  secret: string;
+  /** Unix ms or ISO date */
+  createdAt?: number | string | null;
+  /** Not used for signing before this (unix ms or ISO date) */
+  activeFrom?: number | string | null;
+  /** Not accepted from this time on (unix ms or ISO date) */
+  retiresAt?: number | string | null;
+  /** Sign with this key (default: the last key in effect) */
+  active?: boolean;
+}
+
+export interface KeyringOptions {
+  keys?: SigningKey[];
+  /** Loads keys (file, vault, ...); replaces `keys` */
+  provider?: () => SigningKey[] | Promise<SigningKey[]>;
+  /** How long provider results are used (default 60000) */
+  refreshMs?: number;
+}
+
+export declare class Keyring {
+  constructor(opts: KeyringOptions);
+  static fromSecret(secret: string): Keyring;
+  static generateKey(opts?: { id?: string }): { id: string; secret: string; createdAt: number };
+  signingKey(): Promise<SigningKey>;
+  verificationKeys(id?: string | null): Promise<SigningKey[]>;
+  rotate(key?: SigningKey, opts?: { graceSecs?: number }): Promise<SigningKey>;
+  retire(id: string, at?: number): boolean;
+  list(): Promise<Array<{ id: string | null; active: boolean; createdAt: number | null; activeFrom: number | null; retiresAt: number | null; retired: boolean }>>;
+  refresh(): Promise<void>;
+}
+
+export function generateKey(opts?: { id?: string }): { id: string; secret: string; createdAt: number };
+
+// ─── NIP-98 ────────────────────────────────────────────
+
+export function createNip98Token(secretKey: string | Uint8Array, req: {
+  url: string;
+  method: string;
+  body?: string | Buffer;
+}): string;
+
+export function verifyNip98(header: string, req: {
+  url: string;
+  method: string;
+  body?: string | Buffer;
+  windowSecs?: number;
+}): { valid: boolean; pubkey?: string; error?: string };
+
+// ─── Events & webhooks ─────────────────────────────────
+
+export type TollEventType = 'quote' | 'invoice.created' | 'payment.verified' | 'free_pass' | 'rejected' | 'error';
+
+export interface TollEvent {
+  type: TollEventType;
+  timestamp: number;
+  agentId: string | null;
+  agentVerified: boolean;
+  contextId: string | null;
+  endpoint: string;
+  method: string;
+  sats?: number;
+  breakdown?: PriceBreakdown | BundleBreakdown;
+  paymentHash?: string;
+  /** quote */
+  actions?: number;
+  reused?: boolean;
+  /** invoice.created */
+  description?: string;
+  purpose?: 'toll' | 'topup';
+  /** payment.verified */
+  via?: 'invoice' | 'balance' | 'topup';
+  remaining?: number;
+  balance?: number;
+  /** rejected */
+  status?: number;
+  code?: string;
+  detail?: string;
+  /** error */
+  kind?: FailureKind;
+  message?: string;
+  mode?: FailureMode;
+  outcome?: 'pass' | 'degraded' | 'blocked';
+}
+
+export interface WebhookEndpoint {
+  url: string;
+  secret?: string;
+  events?: TollEventType[];
+}
+
+export interface DeadLetter {
+  id: string;
+  url: string;
+  type: TollEventType;
+  delivery: string;
+  body: string;
+  attempts: number;
+  lastError: string | null;
+  failedAt: number;
+}
+
+export interface DeadLetterQueue {
+  push(entry: DeadLetter): Promise<void>;
+  list(): Promise<DeadLetter[]>;
+  remove(id: string): Promise<void>;
+}
+
+export class MemoryDeadLetterQueue implements DeadLetterQueue {
+  constructor(opts?: { max?: number });
+  push(entry: DeadLetter): Promise<void>;
+  list(): Promise<DeadLetter[]>;
+  remove(id: string): Promise<void>;
+}
+
+export interface WebhookOptions {
+  endpoints: Array<string | WebhookEndpoint>;
+  secret?: string;
+  events?: TollEventType[];
+  retries?: number;
+  backoffMs?: number;
+  timeoutMs?: number;
+  deadLetter?: DeadLetterQueue;
+  fetch?: typeof globalThis.fetch;
+}
+
+export class WebhookDispatcher {
+  constructor(opts: WebhookOptions);
+  attach(emitter: { on: Function; off: Function }): () => void;
+  dispatch(type: TollEventType, data: TollEvent | object): Promise<void>;
+  flush(): Promise<void>;
+  deadLetters(): Promise<DeadLetter[]>;
+  redeliver(id: string): Promise<boolean>;
+  stats(): { delivered: number; retried: number; deadLettered: number; pending: number; endpoints: number };
+  close(): void;
+}
+
+export function verifyWebhook(secret: string, delivery: {
+  body: string;
+  timestamp: string | number;
+  signature: string;
+}, toleranceSecs?: number): boolean;
+
+// ─── Payment ledger ────────────────────────────────────
+
+export interface PaymentEntry {
+  /** payment: settled over Lightning; balance_spend: paid from a prepaid balance */
+  type: 'quote' | 'payment' | 'balance_spend' | 'free_pass';
+  timestamp: number;
+  paymentHash: string | null;
+  agentId: string;
+  agentVerified: boolean;
+  contextId: string;
+  method: string;
+  endpoint: string;
+  sats: number;
+  via: 'invoice' | 'balance' | 'topup' | null;
+  actions: number;
+  breakdown: PriceBreakdown | BundleBreakdown | null;
+}
+
+export interface PaymentFilter {
+  type?: PaymentEntry['type'];
+  agentId?: string;
+  contextId?: string;
+  paymentHash?: string;
+  from?: Date | number | string;
+  to?: Date | number | string;
+}
+
+export interface PaymentStore {
+  append(entry: PaymentEntry): Promise<void>;
+  /** from/to arrive as unix ms */
+  query(filter?: PaymentFilter): Promise<PaymentEntry[]>;
+}
+
+export class MemoryPaymentStore implements PaymentStore {
+  append(entry: PaymentEntry): Promise<void>;
+  query(filter?: PaymentFilter): Promise<PaymentEntry[]>;
+}
+
+export class FilePaymentStore implements PaymentStore {
+  constructor(opts: { path: string });
+  path: string;
+  append(entry: PaymentEntry): Promise<void>;
+  query(filter?: PaymentFilter): Promise<PaymentEntry[]>;
+}
+
+export interface PaymentLedgerOptions {
+  store?: PaymentStore;
+  path?: string;
+}
+
+export class PaymentLedger {
+  constructor(opts?: PaymentLedgerOptions);
+  store: PaymentStore;
+  attach(toll: { on: Function; off: Function }): () => void;
+  record(entry: Partial<PaymentEntry> & { type: PaymentEntry['type'] }): Promise<void>;
+  query(filter?: PaymentFilter): Promise<PaymentEntry[]>;
+  byAgent(agentId: string, filter?: PaymentFilter): Promise<PaymentEntry[]>;
+  byContext(contextId: string, filter?: PaymentFilter): Promise<PaymentEntry[]>;
+  between(from: Date | number | string, to: Date | number | string, filter?: PaymentFilter): Promise<PaymentEntry[]>;
+  export(format?: 'csv' | 'json', filter?: PaymentFilter): Promise<string>;
+  flush(): Promise<void>;
+}
+
+// ─── Local reputation ──────────────────────────────────
+
+export interface LocalReputationOptions {
+  /** Decay of sats, contexts and flags (default 90) */
+  halfLifeDays?: number;
+  /** Decayed sats for a full `paid` part (default 1000) */
+  fullSats?: number;
+  /** Contexts for a full `contexts` part (default 10) */
+  fullContexts?: number;
+  /** Days since the first payment for a full `age` part (default 90) */
+  fullAgeDays?: number;
+  weights?: { paid?: number; contexts?: number; age?: number };
+  /** Points a severity-1 flag subtracts (default 20) */
+  flagPoints?: number;
+}
+
+export interface ReputationExplanation extends TrustExplanation {
+  source: 'local';
+  /** Sats paid, decayed */
+  paidSats?: number;
+  /** Distinct contexts paid in, decayed */
+  contexts?: number;
+  ageDays?: number;
+  /** Each 0..1 */
+  parts?: { paid: number; contexts: number; age: number };
+  penalty?: number;
+  flags?: number;
+}
+
+export class LocalReputation {
+  constructor(opts?: LocalReputationOptions);
+  attach(toll: { on: Function; off: Function }): () => void;
+  backfill(ledger: PaymentLedger, opts?: { before?: number }): Promise<number>;
+  /** Take back flags still live in the pricing engine's moderation state; returns how many */
+  restoreFlags(pricing: PricingEngine, opts?: { before?: number }): Promise<number>;
+  recordPayment(payment: { agentId: string; sats: number; contextId?: string; timestamp?: number }): boolean;
+  flag(agentId: string, opts?: { severity?: number; contextId?: string; reason?: string; timestamp?: number }): void;
+  pardon(agentId: string, contextId?: string): number;
+  score(agentId: string): number | null;
+  explain(agentId: string): ReputationExplanation;
+  /** A TrustResolver backed by this reputation (cacheTtlMs defaults to 1 min) */
+  resolver(opts?: { cacheTtlMs?: number; negativeTtlMs?: number; staleTtlMs?: number; cacheFile?: string }): TrustResolver;
+  forget(agentId: string): boolean;
+  stats(): { agents: number; flags: number };
+}
+
+// ─── Metrics ───────────────────────────────────────────
+
+export interface MetricsOptions {
+  prefix?: string;
+  route?: (event: TollEvent) => string;
+  priceBuckets?: number[];
+  latencyBuckets?: number[];
+}
+
+export class TollMetrics {
+  constructor(opts?: MetricsOptions);
+  prefix: string;
+  attach(toll: { on: Function; off: Function; stats?: () => Promise<object> }): () => void;
+  timing(name: 'trust' | 'invoice', seconds: number): void;
+  render(): Promise<string>;
+  handler(): (req: any, res: any) => Promise<void>;
+  reset(): void;
+}
+
+// ─── Failure handling ──────────────────────────────────
+
+export type FailureMode = 'open' | 'closed' | 'degraded';
+export type FailureKind = 'wallet' | 'trust' | 'macaroon' | 'internal';
+
+export class TollError extends Error {
+  constructor(message: string, kind?: FailureKind, cause?: Error);
+  kind: FailureKind;
+  cause?: Error;
+}
+
+export interface CircuitBreakerOptions {
+  failureThreshold?: number;
+  resetMs?: number;
+  timeoutMs?: number;
+}
+
+export class CircuitBreaker {
+  constructor(opts?: CircuitBreakerOptions);
+  state: 'closed' | 'open' | 'half-open';
+  call<T>(fn: () => Promise<T>): Promise<T>;
+  retryAfterMs(): number;
+  stats(): { state: string; failures: number; opens: number; rejected: number };
+}
 
 // ─── Middleware ─────────────────────────────────────────
 
 export interface TollConfig {
-  secret: string;
+  /** Required unless keyring is given */
+  secret?: string;
+  keyring?: KeyringOptions | Keyring;
+  caveats?: CaveatRegistryOptions | CaveatRegistry;
   nwcUrl?: string;
   wallet?: {
     createInvoice: (sats: number, description: string) => Promise<{ invoice: string; paymentHash: string }>;
@@ -127,8 +905,35 @@ export interface TollConfig {
   };
   pricing?: PricingConfig;
   trust?: TrustResolver;
+  spentStore?: SpentStore;
   invoiceTtlSecs?: number;
   description?: string;
+  baseUrl?: string;
+  /** Without baseUrl, take the NIP-98 URL from X-Forwarded-Proto/-Host (default false) */
+  trustProxy?: boolean;
+  nip98?: { windowSecs?: number };
+  trustUnsignedAgents?: boolean;
+  /** Add the trust explanation to 402 pricing */
+  explainTrust?: boolean;
+  /** How long a request waits for a trust lookup (default 3000) */
+  trustTimeoutMs?: number;
+  balance?: boolean | BalanceConfig;
+  quotes?: false | QuotesConfig;
+  macaroons?: MacaroonsConfig;
+  webhooks?: WebhookOptions | WebhookDispatcher;
+  metrics?: boolean | MetricsOptions | TollMetrics;
+  payments?: boolean | PaymentLedgerOptions | PaymentLedger;
+  /** Reputation earned from verified payments (see LocalReputation) */
+  reputation?: boolean | LocalReputationOptions | LocalReputation;
+  failureMode?: FailureMode | {
+    default?: FailureMode;
+    wallet?: FailureMode;
+    trust?: FailureMode;
+    macaroon?: FailureMode;
+    internal?: FailureMode;
+  };
+  degradedTrustAbove?: number;
+  circuitBreaker?: CircuitBreakerOptions | false;
 }
 
 export interface RouteOpts {
@@ -136,24 +941,161 @@ export interface RouteOpts {
   agentFrom?: string;
   description?: string;
   baseSats?: number;
+  bundle?: number;
+  bundleTtlSecs?: number;
+  /** Registered custom caveats: a value, (request) => value, or the caveat's mint() option */
+  caveats?: Record<string, any>;
+}
+
+export interface TollRequest {
+  method: string;
+  /** Path plus query string */
+  url: string;
+  /** Lowercase header names */
+  headers: Record<string, string | string[] | undefined>;
+  body?: any;
+  rawBody?: string | Buffer;
+  params?: Record<string, string>;
+  query?: Record<string, any>;
+  protocol?: string;
+  ip?: string;
+}
+
+export interface TollOutcome {
+  agentId?: string;
+  agentVerified?: boolean;
+  paid?: boolean;
+  free?: boolean;
+  paymentHash?: string;
+  remaining?: number;
+  balance?: number;
+  breakdown?: PriceBreakdown;
+  error?: string;
+  degraded?: boolean;
+}
+
+export type TollDecision =
+  | { pass: true; headers: Record<string, string>; toll: TollOutcome }
+  | { pass: false; status: number; headers: Record<string, string>; body: any };
+
+export type Framework = 'express' | 'fastify' | 'koa' | 'hono' | 'fetch' | 'node';
+
+export type FetchTollHandler = (request: globalThis.Request, toll: TollOutcome, ...rest: any[]) => globalThis.Response | Promise<globalThis.Response>;
+
+export interface TollCore extends import('events').EventEmitter {
+  handle(request: TollRequest, opts?: RouteOpts): Promise<TollDecision>;
+  topup(request: TollRequest): Promise<TollDecision>;
+  balance(request: TollRequest): Promise<TollDecision>;
+  getBalance(agentId: string): Promise<BalanceLots>;
+  pricing: PricingEngine;
+  trust: TrustResolver;
+  wallet: WalletProvider;
+  spentStore: SpentStore;
+  ledger: BalanceLedger | null;
+  quoteCache: QuoteCache | null;
+  breaker: CircuitBreaker | null;
+  webhooks: WebhookDispatcher | null;
+  metrics: TollMetrics | null;
+  payments: PaymentLedger | null;
+  reputation: LocalReputation | null;
+  keyring: Keyring;
+  caveats: CaveatRegistry;
+  /** Raise an agent's prices (and lower local reputation) until the flag fades or is pardoned */
+  flag(agentId: string, contextId?: string, severity?: number, opts?: { reason?: string; agentVerified?: boolean }): Promise<ModerationFlag & { agentId: string; penalty: Penalty | null }>;
+  /** Answer the agent's tolled requests with 403, before any invoice */
+  ban(agentId: string, opts?: { ttlSecs?: number; reason?: string }): Promise<{ reason: string | null; expiresAt: number | null }>;
+  unban(agentId: string): Promise<boolean>;
+  /** Forgive flags (all, or one context's); bans stay */
+  pardon(agentId: string, contextId?: string): Promise<number>;
+  stats(): ReturnType<TollMiddleware['stats']>;
+  cleanup(): Promise<void>;
+  close(): void;
+}
+
+export function createTollCore(config: TollConfig): TollCore;
+
+export interface AdminOptions {
+  secret: string;
+  prefix?: string;
 }
 
+export function createAdminHandler(core: TollCore, opts: AdminOptions): (request: TollRequest) => Promise<TollDecision>;
+
 export interface TollMiddleware {
   (opts?: RouteOpts): (req: Request, res: Response, next: NextFunction) => Promise<void>;
+  express(opts?: RouteOpts): (req: Request, res: Response, next: NextFunction) => Promise<void>;
+  /** Fastify preHandler hook; sets request.toll */
+  fastify(opts?: RouteOpts): (request: any, reply: any) => Promise<any>;
+  /** Koa middleware; sets ctx.state.toll */
+  koa(opts?: RouteOpts): (ctx: any, next: () => Promise<any>) => Promise<void>;
+  /** Hono middleware; sets c.get('toll') */
+  hono(opts?: RouteOpts): (c: any, next: () => Promise<void>) => Promise<any>;
+  /** Wrap a Fetch-API handler */
+  fetch(opts?: RouteOpts, handler?: FetchTollHandler): (request: globalThis.Request, ...rest: any[]) => Promise<globalThis.Response>;
+  /** Raw Node http; resolves to null when the toll answered the request */
+  node(opts?: RouteOpts): (req: import('http').IncomingMessage, res: import('http').ServerResponse, params?: Record<string, string>) => Promise<TollOutcome | null>;
+  handle(request: TollRequest, opts?: RouteOpts): Promise<TollDecision>;
+  core: TollCore;
+  on(event: TollEventType, listener: (event: TollEvent) => void): this;
+  once(event: TollEventType, listener: (event: TollEvent) => void): this;
+  off(event: TollEventType, listener: (event: TollEvent) => void): this;
+  addListener(event: TollEventType, listener: (event: TollEvent) => void): this;
+  prependListener(event: TollEventType, listener: (event: TollEvent) => void): this;
+  removeListener(event: TollEventType, listener: (event: TollEvent) => void): this;
+  removeAllListeners(event?: TollEventType): this;
+  listenerCount(event: TollEventType): number;
+  emit(event: TollEventType, payload: TollEvent): boolean;
   pricing: PricingEngine;
   trust: TrustResolver;
   wallet: WalletProvider;
-  stats(): {
-    pricing: { contexts: number; agents: number; totalActions: number };
+  spentStore: SpentStore;
+  ledger: BalanceLedger | null;
+  quoteCache: QuoteCache | null;
+  breaker: CircuitBreaker | null;
+  webhooks: WebhookDispatcher | null;
+  metrics: TollMetrics | null;
+  payments: PaymentLedger | null;
+  reputation: LocalReputation | null;
+  keyring: Keyring;
+  caveats: CaveatRegistry;
+  /** Raise an agent's prices (and lower local reputation) until the flag fades or is pardoned */
+  flag(agentId: string, contextId?: string, severity?: number, opts?: { reason?: string; agentVerified?: boolean }): Promise<ModerationFlag & { agentId: string; penalty: Penalty | null }>;
+  /** Answer the agent's tolled requests with 403, before any invoice */
+  ban(agentId: string, opts?: { ttlSecs?: number; reason?: string }): Promise<{ reason: string | null; expiresAt: number | null }>;
+  unban(agentId: string): Promise<boolean>;
+  /** Forgive flags (all, or one context's); bans stay */
+  pardon(agentId: string, contextId?: string): Promise<number>;
+  topup(framework?: Framework): (...args: any[]) => Promise<any>;
+  balance(framework?: Framework): (...args: any[]) => Promise<any>;
+  admin(opts: AdminOptions, framework?: Framework): (...args: any[]) => Promise<any>;
+  getBalance(agentId: string): Promise<BalanceLots>;
+  stats(): Promise<{
+    pricing: ActivityStats;
     trust: { cacheSize: number; relays: number };
-    wallet: { paid: number; pending: number; totalSats: number; total: number };
-  };
-  cleanup(): void;
+    wallet: { paid: number; pending: number; totalSats: number; total: number; tracked: boolean };
+    balance?: { accounts: number; totalSats: number };
+    quotes?: { pending: number };
+    webhooks?: ReturnType<WebhookDispatcher['stats']>;
+    reputation?: { agents: number; flags: number };
+    breaker?: { state: string; failures: number; opens: number; rejected: number };
+  }>;
+  cleanup(): Promise<void>;
   close(): void;
 }
 
 export function discourseToll(config: TollConfig): TollMiddleware;
 
+export const adapters: {
+  express(handle: (request: TollRequest) => Promise<TollDecision>): (req: Request, res: Response, next: NextFunction) => Promise<void>;
+  fastify(handle: (request: TollRequest) => Promise<TollDecision>): (request: any, reply: any) => Promise<any>;
+  koa(handle: (request: TollRequest) => Promise<TollDecision>): (ctx: any, next: () => Promise<any>) => Promise<void>;
+  hono(handle: (request: TollRequest) => Promise<TollDecision>): (c: any, next: () => Promise<void>) => Promise<any>;
+  fetch(handle: (request: TollRequest) => Promise<TollDecision>, handler?: FetchTollHandler): (request: globalThis.Request, ...rest: any[]) => Promise<globalThis.Response>;
+  node(handle: (request: TollRequest) => Promise<TollDecision>): (req: import('http').IncomingMessage, res: import('http').ServerResponse, params?: Record<string, string>) => Promise<TollOutcome | null>;
+  fromNode(req: any, params?: Record<string, string>): TollRequest;
+  fromFetch(request: globalThis.Request, params?: Record<string, string>, ip?: string): Promise<TollRequest>;
+};
+
 // ─── Client ────────────────────────────────────────────
 
 export interface ClientResponse {
@@ -173,13 +1115,17 @@ export interface DiscourseClient {
   }): Promise<ClientResponse>;
   post(url: string, body: any, headers?: Record<string, string>): Promise<ClientResponse>;
   get(url: string, headers?: Record<string, string>): Promise<ClientResponse>;
+  topUp(sats?: number): Promise<{ agentId: string; credited: number; balance: number }>;
   stats(): {
     totalSpent: number;
     contexts: Record<string, number>;
     maxSats: number;
     maxSatsPerContext: number;
+    toppedUp?: number;
+    balance?: number;
   };
   close(): void;
+  agentId: string | null;
 }
 
 export function createDiscourseClient(opts: {
@@ -187,5 +1133,8 @@ export function createDiscourseClient(opts: {
   maxSats?: number;
   maxSatsPerContext?: number;
   agentId?: string;
+  secretKey?: string | Uint8Array;
+  bundle?: number;
+  topup?: { url: string; sats?: number; below?: number };
   timeoutMs?: number;
 }): DiscourseClient;
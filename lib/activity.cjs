@@ -0,0 +1,450 @@
+'use strict';
+
+/**
+ * Activity stores for progressive pricing.
+ *
+ * The PricingEngine asks a store how many actions an agent has taken in a
+ * context and when the agent last acted. Stores are async so durable or
+ * shared backends (files, SQL, Redis) can sit behind the same interface:
+ *
+ *   record(agentId, contextId, timestamp, { maxPrior }?) → { prior, lastAction, recorded }
+ *   count(agentId, contextId) → number
+ *   lastAction(agentId) → timestamp | null
+ *   cleanup(cutoff) → void
+ *   stats() → { contexts, agents, totalActions }
+ *   contexts() → [{ contextId, agents: { agentId: count }, lastAction }]
+ *   forget(agentId, contextId) → number of actions removed
+ *   reset() → void
+ *
+ * Stores also keep the pricing engine's moderation state, so operator
+ * multipliers, bans and flags survive restarts and apply on every worker
+ * sharing the store. `kind` is 'multiplier', 'ban' or 'flags'; values are
+ * plain JSON (null, or [] for flags, when unset):
+ *
+ *   moderation(agentId) → { multiplier, ban, flags }
+ *   moderate(agentId, kind, update) → new value; update(current) → value, atomically
+ *   moderated() → [{ agentId, multiplier, ban, flags }]
+ *
+ * reset() clears activity only; moderation stays until lifted.
+ *
+ * `record` must be atomic: `prior` and `lastAction` are the values seen
+ * immediately before this action was stored, so two workers recording at
+ * the same time never both get priced as the same slot. With `maxPrior`
+ * the action is only stored if `prior <= maxPrior`; otherwise `recorded`
+ * is false and nothing changes. Prepaid redemptions rely on this check
+ * being part of the same atomic step.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MODERATION_KINDS = ['multiplier', 'ban', 'flags'];
+
+class MemoryActivityStore {
+  constructor() {
+    // contextKey → [{ agent, timestamp }]
+    this._activity = new Map();
+    this._agentLastAction = new Map(); // agentId → timestamp
+    this._moderation = new Map(); // agentId → { multiplier, ban, flags }
+  }
+
+  /**
+   * Record an action and return the state just before it.
+   * @param {string} agentId
+   * @param {string} contextId
+   * @param {number} [timestamp=Date.now()]
+   * @param {object} [opts]
+   * @param {number} [opts.maxPrior] - Only record if the agent has at most this many prior actions here
+   * @returns {Promise<{ prior: number, lastAction: number|null, recorded: boolean }>}
+   */
+  async record(agentId, contextId, timestamp = Date.now(), opts = {}) {
+    return this._record(agentId, contextId, timestamp, opts.maxPrior);
+  }
+
+  async count(agentId, contextId) {
+    const activity = this._activity.get(contextId) || [];
+    return activity.filter(a => a.agent === agentId).length;
+  }
+
+  async lastAction(agentId) {
+    return this._agentLastAction.get(agentId) || null;
+  }
+
+  /**
+   * Remove actions older than a cutoff.
+   * @param {number} cutoff - Timestamp (ms); older entries are dropped
+   */
+  async cleanup(cutoff) {
+    for (const [key, actions] of this._activity.entries()) {
+      const filtered = actions.filter(a => a.timestamp > cutoff);
+      if (filtered.length === 0) {
+        this._activity.delete(key);
+      } else {
+        this._activity.set(key, filtered);
+      }
+    }
+    for (const [agent, ts] of this._agentLastAction.entries()) {
+      if (ts < cutoff) this._agentLastAction.delete(agent);
+    }
+  }
+
+  async stats() {
+    let totalActions = 0;
+    for (const actions of this._activity.values()) {
+      totalActions += actions.length;
+    }
+    return {
+      contexts: this._activity.size,
+      agents: this._agentLastAction.size,
+      totalActions,
+    };
+  }
+
+  async contexts() {
+    const contexts = [];
+    for (const [contextId, actions] of this._activity.entries()) {
+      const agents = {};
+      let lastAction = 0;
+      for (const a of actions) {
+        agents[a.agent] = (agents[a.agent] || 0) + 1;
+        if (a.timestamp > lastAction) lastAction = a.timestamp;
+      }
+      contexts.push({ contextId, agents, lastAction });
+    }
+    return contexts;
+  }
+
+  /**
+   * Remove an agent's actions in one context.
+   * @returns {Promise<number>} Actions removed
+   */
+  async forget(agentId, contextId) {
+    const actions = this._activity.get(contextId);
+    if (!actions) return 0;
+    const kept = actions.filter(a => a.agent !== agentId);
+    if (kept.length === 0) this._activity.delete(contextId);
+    else this._activity.set(contextId, kept);
+    return actions.length - kept.length;
+  }
+
+  async reset() {
+    this._activity.clear();
+    this._agentLastAction.clear();
+  }
+
+  async moderation(agentId) {
+    return this._moderationOf(agentId);
+  }
+
+  /**
+   * Replace one kind of an agent's moderation state.
+   * @param {string} agentId
+   * @param {'multiplier'|'ban'|'flags'} kind
+   * @param {Function} update - (current) → new value (null or [] to clear)
+   * @returns {Promise<*>} The new value
+   */
+  async moderate(agentId, kind, update) {
+    return this._moderate(agentId, kind, update(this._moderationOf(agentId)[kind]));
+  }
+
+  async moderated() {
+    return [...this._moderation.entries()].map(([agentId, state]) => ({ agentId, ...state }));
+  }
+
+  /** @private */
+  _moderationOf(agentId) {
+    return { multiplier: null, ban: null, flags: [], ...this._moderation.get(agentId) };
+  }
+
+  /** @private */
+  _moderate(agentId, kind, value) {
+    if (!MODERATION_KINDS.includes(kind)) throw new Error(`Unknown moderation kind: ${kind}`);
+    const state = this._moderationOf(agentId);
+    state[kind] = value || (kind === 'flags' ? [] : null);
+    if (!state.multiplier && !state.ban && state.flags.length === 0) this._moderation.delete(agentId);
+    else this._moderation.set(agentId, state);
+    return state[kind];
+  }
+
+  /** @private */
+  _record(agentId, contextId, timestamp, maxPrior) {
+    const actions = this._activity.get(contextId) || [];
+    const prior = actions.filter(a => a.agent === agentId).length;
+    const lastAction = this._agentLastAction.get(agentId) || null;
+    if (typeof maxPrior === 'number' && prior > maxPrior) {
+      return { prior, lastAction, recorded: false };
+    }
+    this._activity.set(contextId, actions);
+
+    actions.push({ agent: agentId, timestamp });
+    if (!lastAction || timestamp > lastAction) {
+      this._agentLastAction.set(agentId, timestamp);
+    }
+    return { prior, lastAction, recorded: true };
+  }
+
+  /**
+   * Iterate every stored action.
+   * @private
+   */
+  *_entries() {
+    for (const [context, actions] of this._activity.entries()) {
+      for (const a of actions) yield { agent: a.agent, context, timestamp: a.timestamp };
+    }
+  }
+}
+
+/**
+ * Durable activity store backed by an append-only JSONL file.
+ *
+ * Every operation takes an exclusive lock file and replays any lines other
+ * processes appended since the last read, so several workers can share one
+ * file. Moderation changes are lines of their own; the latest one for an
+ * agent and kind wins. `cleanup` compacts the file by rewriting and
+ * renaming it.
+ */
+class FileActivityStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.path - Path to the JSONL activity log
+   * @param {number} [opts.lockTimeoutMs=5000] - Max wait for the lock
+   * @param {number} [opts.lockStaleMs=10000] - Locks older than this are broken
+   */
+  constructor(opts = {}) {
+    if (!opts.path) throw new Error('FileActivityStore: path is required');
+    this.path = path.resolve(opts.path);
+    this.lockPath = `${this.path}.lock`;
+    this.lockTimeoutMs = opts.lockTimeoutMs || 5000;
+    this.lockStaleMs = opts.lockStaleMs || 10_000;
+
+    this._index = new MemoryActivityStore();
+    this._offset = 0;
+    this._ino = null;
+    this._queue = Promise.resolve();
+  }
+
+  async record(agentId, contextId, timestamp = Date.now(), opts = {}) {
+    return this._exclusive(async () => {
+      const result = this._index._record(agentId, contextId, timestamp, opts.maxPrior);
+      if (!result.recorded) return result;
+      await this._append({ a: agentId, c: contextId, t: timestamp });
+      return result;
+    });
+  }
+
+  async count(agentId, contextId) {
+    return this._exclusive(() => this._index.count(agentId, contextId));
+  }
+
+  async lastAction(agentId) {
+    return this._exclusive(() => this._index.lastAction(agentId));
+  }
+
+  async cleanup(cutoff) {
+    return this._exclusive(async () => {
+      await this._index.cleanup(cutoff);
+      await this._rewrite();
+    });
+  }
+
+  async stats() {
+    return this._exclusive(() => this._index.stats());
+  }
+
+  async contexts() {
+    return this._exclusive(() => this._index.contexts());
+  }
+
+  async forget(agentId, contextId) {
+    return this._exclusive(async () => {
+      const removed = await this._index.forget(agentId, contextId);
+      if (removed > 0) await this._rewrite();
+      return removed;
+    });
+  }
+
+  async reset() {
+    return this._exclusive(async () => {
+      await this._index.reset();
+      await this._rewrite();
+    });
+  }
+
+  async moderation(agentId) {
+    return this._exclusive(() => this._index.moderation(agentId));
+  }
+
+  async moderate(agentId, kind, update) {
+    return this._exclusive(async () => {
+      const value = this._index._moderate(agentId, kind, update(this._index._moderationOf(agentId)[kind]));
+      await this._append({ m: agentId, k: kind, v: value });
+      return value;
+    });
+  }
+
+  async moderated() {
+    return this._exclusive(() => this._index.moderated());
+  }
+
+  /** @private */
+  async _append(entry) {
+    await fs.promises.appendFile(this.path, JSON.stringify(entry) + '\n');
+    const stat = await fs.promises.stat(this.path);
+    this._ino = stat.ino;
+    this._offset = stat.size;
+  }
+
+  /**
+   * Rewrite the log from the in-memory index (compaction).
+   * @private
+   */
+  async _rewrite() {
+    let data = '';
+    for (const e of this._index._entries()) {
+      data += JSON.stringify({ a: e.agent, c: e.context, t: e.timestamp }) + '\n';
+    }
+    for (const { agentId, ...state } of await this._index.moderated()) {
+      for (const kind of MODERATION_KINDS) {
+        if (state[kind] && !(kind === 'flags' && state[kind].length === 0)) {
+          data += JSON.stringify({ m: agentId, k: kind, v: state[kind] }) + '\n';
+        }
+      }
+    }
+    const tmp = `${this.path}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, data);
+    await fs.promises.rename(tmp, this.path);
+    const stat = await fs.promises.stat(this.path);
+    this._ino = stat.ino;
+    this._offset = stat.size;
+  }
+
+  /**
+   * Bring the in-memory index up to date with the file.
+   * @private
+   */
+  async _sync() {
+    let stat;
+    try {
+      stat = await fs.promises.stat(this.path);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      this._index = new MemoryActivityStore();
+      this._ino = null;
+      this._offset = 0;
+      return;
+    }
+
+    // File replaced (compaction by another worker) or truncated — reload
+    if (stat.ino !== this._ino || stat.size < this._offset) {
+      this._index = new MemoryActivityStore();
+      this._offset = 0;
+      this._ino = stat.ino;
+    }
+    if (stat.size === this._offset) return;
+
+    const fh = await fs.promises.open(this.path, 'r');
+    try {
+      const length = stat.size - this._offset;
+      const buf = Buffer.alloc(length);
+      await fh.read(buf, 0, length, this._offset);
+      const text = buf.toString('utf8');
+      const end = text.lastIndexOf('\n') + 1; // ignore a partially written tail
+      for (const line of text.slice(0, end).split('\n')) {
+        if (!line) continue;
+        try {
+          const entry = JSON.parse(line);
+          if (entry.m !== undefined) this._index._moderate(entry.m, entry.k, entry.v);
+          else this._index._record(entry.a, entry.c, entry.t);
+        } catch (_) {
+          // Skip corrupt lines
+        }
+      }
+      this._offset += Buffer.byteLength(text.slice(0, end));
+    } finally {
+      await fh.close();
+    }
+  }
+
+  /**
+   * Run fn with the in-process queue and the cross-process lock held.
+   * @private
+   */
+  _exclusive(fn) {
+    const run = this._queue.then(async () => {
+      const token = await this._lock();
+      try {
+        await this._sync();
+        return await fn();
+      } finally {
+        await this._unlock(token);
+      }
+    });
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Take the lock file, writing a token only this holder knows.
+   * @private
+   * @returns {Promise<string>} The token, for _unlock()
+   */
+  async _lock() {
+    const token = `${process.pid}:${crypto.randomBytes(8).toString('hex')}`;
+    const deadline = Date.now() + this.lockTimeoutMs;
+    for (;;) {
+      try {
+        await fs.promises.writeFile(this.lockPath, token, { flag: 'wx' });
+        return token;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+
+      // Break locks left behind by crashed workers
+      try {
+        const stat = await fs.promises.stat(this.lockPath);
+        if (Date.now() - stat.mtimeMs > this.lockStaleMs) {
+          await this._breakStale(token);
+          continue;
+        }
+      } catch (_) {
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`FileActivityStore: timed out waiting for lock ${this.lockPath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+
+  /**
+   * Move a stale lock aside, then look again: if what was moved turns out
+   * to be a fresh lock (replaced since it was checked), put it back.
+   * @private
+   */
+  async _breakStale(token) {
+    const aside = `${this.lockPath}.${token.replace(':', '-')}.stale`;
+    try {
+      await fs.promises.rename(this.lockPath, aside);
+    } catch (_) {
+      return; // someone else got there first
+    }
+    const stat = await fs.promises.stat(aside);
+    if (Date.now() - stat.mtimeMs <= this.lockStaleMs) {
+      await fs.promises.link(aside, this.lockPath).catch(() => {});
+    }
+    await fs.promises.unlink(aside).catch(() => {});
+  }
+
+  /**
+   * Release the lock, unless it was broken and someone else holds it now.
+   * @private
+   */
+  async _unlock(token) {
+    const held = await fs.promises.readFile(this.lockPath, 'utf8').catch(() => null);
+    if (held === token) await fs.promises.unlink(this.lockPath).catch(() => {});
+  }
+}
+
+module.exports = { MemoryActivityStore, FileActivityStore };
@@ -0,0 +1,269 @@
+'use strict';
+
+/**
+ * Framework adapters for the toll core.
+ *
+ * Each adapter takes a `handle(request) → decision` function (see core.cjs)
+ * and returns whatever its framework plugs in: middleware, a hook, or a
+ * wrapped handler. Requests that pass get the outcome attached where the
+ * framework keeps per-request state:
+ *
+ *   Express / Node http   req.toll (plus legacy req.tollPaid, req.tollAgentId, ...)
+ *   Fastify               request.toll
+ *   Koa                   ctx.state.toll
+ *   Hono                  c.get('toll')
+ *   Fetch                 second argument of the wrapped handler
+ */
+
+/**
+ * Express (and Connect-style) middleware.
+ * @param {Function} handle
+ */
+function express(handle) {
+  return async function discourseTollMiddleware(req, res, next) {
+    let decision;
+    try {
+      decision = await handle(fromNode(req));
+    } catch (err) {
+      return next(err);
+    }
+
+    for (const [name, value] of Object.entries(decision.headers)) res.setHeader(name, value);
+    if (!decision.pass) {
+      return res.status(decision.status).json(decision.body);
+    }
+    _attach(req, decision.toll);
+    return next();
+  };
+}
+
+/**
+ * Fastify preHandler hook.
+ *
+ *   fastify.post('/comments', { preHandler: toll.fastify() }, handler)
+ *
+ * Register a raw-body plugin (request.rawBody) if agents sign request
+ * bodies with NIP-98.
+ * @param {Function} handle
+ */
+function fastify(handle) {
+  return async function discourseTollPreHandler(request, reply) {
+    const decision = await handle({
+      method: request.method,
+      url: request.url,
+      headers: request.headers,
+      body: request.body,
+      rawBody: request.rawBody,
+      params: request.params,
+      query: request.query,
+      protocol: request.protocol,
+      ip: request.ip,
+    });
+
+    reply.headers(decision.headers);
+    if (!decision.pass) {
+      return reply.code(decision.status).send(decision.body);
+    }
+    request.toll = decision.toll;
+  };
+}
+
+/**
+ * Koa middleware. Reads a parsed body from ctx.request.body (koa-bodyparser
+ * and friends) and route params from ctx.params (@koa/router).
+ * @param {Function} handle
+ */
+function koa(handle) {
+  return async function discourseTollKoa(ctx, next) {
+    const decision = await handle({
+      method: ctx.method,
+      url: ctx.originalUrl || ctx.url,
+      headers: ctx.headers,
+      body: ctx.request.body,
+      rawBody: ctx.request.rawBody,
+      params: ctx.params,
+      query: ctx.query,
+      protocol: ctx.protocol,
+      ip: ctx.ip,
+    });
+
+    ctx.set(decision.headers);
+    if (!decision.pass) {
+      ctx.status = decision.status;
+      ctx.body = decision.body;
+      return;
+    }
+    ctx.state.toll = decision.toll;
+    await next();
+  };
+}
+
+/**
+ * Hono middleware. Works on any runtime Hono runs on.
+ * @param {Function} handle
+ */
+function hono(handle) {
+  return async function discourseTollHono(c, next) {
+    const decision = await handle(await fromFetch(c.req.raw, c.req.param()));
+
+    if (!decision.pass) {
+      return c.json(decision.body, decision.status, decision.headers);
+    }
+    c.set('toll', decision.toll);
+    await next();
+    for (const [name, value] of Object.entries(decision.headers)) c.header(name, value);
+  };
+}
+
+/**
+ * Wrap a Fetch-API handler (Deno, Bun, Cloudflare Workers, Next.js routes).
+ *
+ *   export default { fetch: toll.fetch({}, async (request, toll) => new Response('ok')) };
+ *
+ * The handler runs only for requests that pass and is called with
+ * (request, toll, ...rest). Route params can be supplied as request.params.
+ * @param {Function} handle
+ * @param {Function} [handler]
+ */
+function fetch(handle, handler) {
+  return async function discourseTollFetch(request, ...rest) {
+    const decision = await handle(await fromFetch(request, request.params));
+
+    if (!decision.pass) {
+      return Response.json(decision.body, { status: decision.status, headers: decision.headers });
+    }
+    if (!handler) {
+      return new Response(null, { status: 204, headers: decision.headers });
+    }
+    const response = await handler(request, decision.toll, ...rest);
+    if (Object.keys(decision.headers).length === 0) return response;
+
+    // Responses from fetch() have immutable headers — copy before adding ours
+    const out = new Response(response.body, response);
+    for (const [name, value] of Object.entries(decision.headers)) out.headers.set(name, value);
+    return out;
+  };
+}
+
+/**
+ * Raw Node http. Reads and parses the body unless something already set
+ * req.body, answers the request itself when the toll doesn't pass, and
+ * resolves to the toll outcome (or null when it answered).
+ *
+ *   const paid = await tollComments(req, res, { threadId });
+ *   if (!paid) return;
+ *
+ * @param {Function} handle
+ */
+function node(handle) {
+  return async function discourseTollNode(req, res, params) {
+    if (req.body === undefined) {
+      req.rawBody = await _readBody(req);
+      req.body = _parseBody(req.rawBody, req.headers['content-type']);
+    }
+    const decision = await handle(fromNode(req, params));
+
+    for (const [name, value] of Object.entries(decision.headers)) res.setHeader(name, value);
+    if (!decision.pass) {
+      res.writeHead(decision.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(decision.body));
+      return null;
+    }
+    _attach(req, decision.toll);
+    return decision.toll;
+  };
+}
+
+/**
+ * Core request from a Node / Express IncomingMessage.
+ * @param {object} req
+ * @param {object} [params] - Route params (defaults to req.params)
+ */
+function fromNode(req, params) {
+  const url = req.originalUrl || req.url;
+  return {
+    method: req.method,
+    url,
+    headers: req.headers,
+    body: req.body,
+    rawBody: req.rawBody,
+    params: params || req.params,
+    query: req.query || Object.fromEntries(new URL(url, 'http://localhost').searchParams),
+    protocol: req.protocol || (req.socket && req.socket.encrypted ? 'https' : 'http'),
+    ip: req.ip || (req.socket && req.socket.remoteAddress),
+  };
+}
+
+/**
+ * Core request from a Fetch-API Request. Reads a clone, so the body is
+ * still there for the handler. Fetch requests don't expose the client
+ * address; pass it as `ip` if your runtime has it.
+ * @param {Request} request
+ * @param {object} [params] - Route params
+ * @param {string} [ip] - Client address
+ */
+async function fromFetch(request, params, ip) {
+  const url = new URL(request.url);
+  const headers = Object.fromEntries(request.headers);
+  if (!headers.host) headers.host = url.host;
+
+  let rawBody = '';
+  if (request.body && request.method !== 'GET' && request.method !== 'HEAD') {
+    rawBody = await request.clone().text();
+  }
+
+  return {
+    method: request.method,
+    url: url.pathname + url.search,
+    headers,
+    body: _parseBody(rawBody, headers['content-type']),
+    rawBody,
+    params,
+    query: Object.fromEntries(url.searchParams),
+    protocol: url.protocol.slice(0, -1),
+    ip,
+  };
+}
+
+/**
+ * Put the toll outcome on req, including the req.tollX fields Express
+ * handlers have always read.
+ * @private
+ */
+function _attach(req, toll) {
+  req.toll = toll;
+  for (const [key, value] of Object.entries(toll)) {
+    if (value !== undefined) req[`toll${key[0].toUpperCase()}${key.slice(1)}`] = value;
+  }
+}
+
+/** @private */
+function _readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse JSON and form bodies; anything else stays a string.
+ * @private
+ */
+function _parseBody(raw, contentType = '') {
+  if (!raw) return {};
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+  if (!contentType || contentType.includes('json')) {
+    try {
+      return JSON.parse(raw);
+    } catch (_) {
+      return contentType ? {} : raw;
+    }
+  }
+  return raw;
+}
+
+module.exports = { express, fastify, koa, hono, fetch, node, fromNode, fromFetch };
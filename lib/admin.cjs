@@ -0,0 +1,224 @@
+'use strict';
+
+/**
+ * Admin API for a toll: inspect activity and payments, and step in.
+ *
+ * Built on the core's pricing, trust and payment ledger state. Every request needs
+ * `Authorization: Bearer <secret>`. Routes, relative to `prefix`:
+ *
+ *   GET    /contexts                           contexts, per-agent action counts, next price
+ *   DELETE /contexts/:contextId/agents/:agentId  reset an agent's activity in a context
+ *   GET    /payments?limit&agentId&contextId   recent payments (needs a payment ledger)
+ *   GET    /overrides                          active multipliers, bans and penalties
+ *   PUT    /agents/:agentId/multiplier         { multiplier, ttlSecs? }
+ *   DELETE /agents/:agentId/multiplier
+ *   PUT    /agents/:agentId/ban                { ttlSecs?, reason? }
+ *   DELETE /agents/:agentId/ban
+ *   POST   /agents/:agentId/flags              { contextId?, severity?, reason? }
+ *   DELETE /agents/:agentId/flags?contextId    pardon (all flags, or one context's)
+ *   POST   /trust/flush                        clear the trust cache
+ *   GET    /stats
+ *
+ * Like the core, the handler takes a plain request and returns a decision
+ * (always an answer, never a pass), so the usual adapters serve it.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create an admin request handler.
+ * @param {object} core - Toll core (see core.cjs)
+ * @param {object} opts
+ * @param {string} opts.secret - Bearer token operators must send
+ * @param {string} [opts.prefix=''] - Path the router is mounted at (e.g. '/admin/toll')
+ * @returns {Function} (request) → Promise<decision>
+ */
+function createAdminHandler(core, opts = {}) {
+  if (!opts.secret) throw new Error('discourse-toll: admin secret is required');
+  const expected = _digest(opts.secret);
+  const prefix = (opts.prefix || '').replace(/\/+$/, '');
+  const { pricing, trust } = core;
+
+  const routes = [
+    ['GET', '/contexts', listContexts],
+    ['DELETE', '/contexts/:contextId/agents/:agentId', resetAgent],
+    ['GET', '/payments', listPayments],
+    ['GET', '/overrides', async () => _respond(200, await pricing.overrides())],
+    ['PUT', '/agents/:agentId/multiplier', setMultiplier],
+    ['DELETE', '/agents/:agentId/multiplier', async ({ agentId }) => _respond(200, { agentId, cleared: await pricing.clearMultiplier(agentId) })],
+    ['PUT', '/agents/:agentId/ban', ban],
+    ['DELETE', '/agents/:agentId/ban', async ({ agentId }) => _respond(200, { agentId, unbanned: await pricing.unban(agentId) })],
+    ['POST', '/agents/:agentId/flags', flag],
+    ['DELETE', '/agents/:agentId/flags', pardon],
+    ['POST', '/trust/flush', flushTrust],
+    ['GET', '/stats', async () => _respond(200, await core.stats())],
+  ].map(([method, pattern, fn]) => ({ method, match: _pattern(pattern), fn }));
+
+  return async function handleAdmin(request) {
+    const token = /^Bearer\s+(.+)$/i.exec((request.headers && request.headers.authorization) || '');
+    if (!token || !crypto.timingSafeEqual(_digest(token[1].trim()), expected)) {
+      return _respond(401, { error: 'Admin authorization required' }, { 'WWW-Authenticate': 'Bearer' });
+    }
+
+    const url = new URL(request.url || '/', 'http://localhost');
+    if (!url.pathname.startsWith(prefix)) return _respond(404, { error: 'Not found' });
+    const path = url.pathname.slice(prefix.length) || '/';
+    const method = (request.method || 'GET').toUpperCase();
+
+    let allowed = false;
+    for (const route of routes) {
+      const params = route.match(path);
+      if (!params) continue;
+      if (route.method !== method) {
+        allowed = true;
+        continue;
+      }
+      try {
+        return await route.fn(params, {
+          query: Object.fromEntries(url.searchParams),
+          body: request.body && typeof request.body === 'object' ? request.body : {},
+        });
+      } catch (err) {
+        if (err instanceof AdminError) return _respond(400, { error: err.message });
+        throw err;
+      }
+    }
+    return allowed
+      ? _respond(405, { error: `Method ${method} not allowed` })
+      : _respond(404, { error: 'Not found' });
+  };
+
+  async function listContexts(params, { query }) {
+    const limit = _limit(query.limit, 100);
+    const contexts = (await pricing.contexts())
+      .sort((a, b) => b.lastAction - a.lastAction)
+      .slice(0, limit);
+
+    const out = [];
+    for (const { contextId, agents, lastAction } of contexts) {
+      const rows = [];
+      for (const [agentId, actions] of Object.entries(agents)) {
+        // Priced with the cached trust score only — never triggers a lookup
+        const trustScore = trust.peekScore(agentId);
+        const { sats, breakdown } = await pricing.calculate({
+          agentId,
+          contextId,
+          trustScore: typeof trustScore === 'number' ? trustScore : undefined,
+          dryRun: true,
+        });
+        rows.push({ agentId, actions, nextPrice: sats, breakdown });
+      }
+      rows.sort((a, b) => b.actions - a.actions);
+      out.push({ contextId, lastAction: new Date(lastAction).toISOString(), agents: rows });
+    }
+    return _respond(200, { contexts: out });
+  }
+
+  async function resetAgent({ contextId, agentId }) {
+    const removed = await pricing.resetAgent(agentId, contextId);
+    return _respond(200, { agentId, contextId, removed });
+  }
+
+  async function listPayments(params, { query }) {
+    // The wallet never learns which invoices were paid, so only a ledger can answer
+    if (!core.payments) {
+      return _respond(404, { error: 'No payment ledger', detail: 'Enable the payments option to record payments' });
+    }
+    const limit = _limit(query.limit, 50);
+    const filter = { type: 'payment' };
+    if (query.agentId) filter.agentId = query.agentId;
+    if (query.contextId) filter.contextId = query.contextId;
+    const payments = (await core.payments.query(filter)).reverse().slice(0, limit);
+    return _respond(200, { source: 'ledger', payments });
+  }
+
+  async function setMultiplier({ agentId }, { body }) {
+    const multiplier = Number(body.multiplier);
+    if (!(body.multiplier !== undefined && multiplier >= 0)) throw new AdminError('multiplier must be a non-negative number');
+    const ttlSecs = _ttl(body.ttlSecs);
+    await pricing.setMultiplier(agentId, multiplier, ttlSecs);
+    return _respond(200, { agentId, multiplier, expiresAt: _expiresAt(ttlSecs) });
+  }
+
+  async function ban({ agentId }, { body }) {
+    const ttlSecs = _ttl(body.ttlSecs);
+    const reason = body.reason ? String(body.reason) : undefined;
+    await pricing.ban(agentId, { ttlSecs, reason });
+    return _respond(200, { agentId, banned: true, reason: reason || null, expiresAt: _expiresAt(ttlSecs) });
+  }
+
+  async function flag({ agentId }, { body }) {
+    const severity = body.severity === undefined ? 1 : Number(body.severity);
+    if (!(severity > 0)) throw new AdminError('severity must be a positive number');
+    const reason = body.reason ? String(body.reason) : undefined;
+    return _respond(200, await core.flag(agentId, body.contextId, severity, { reason }));
+  }
+
+  async function pardon({ agentId }, { query }) {
+    return _respond(200, { agentId, pardoned: await core.pardon(agentId, query.contextId) });
+  }
+
+  function flushTrust() {
+    const cleared = trust.stats().cacheSize;
+    trust.clearCache();
+    return _respond(200, { cleared });
+  }
+}
+
+/** Bad admin input (answered with 400). */
+class AdminError extends Error {}
+
+/** @private */
+function _respond(status, body, headers = {}) {
+  return { pass: false, status, headers, body };
+}
+
+/**
+ * Matcher for a '/a/:b' route pattern; returns decoded params or null.
+ * @private
+ */
+function _pattern(pattern) {
+  const names = [];
+  const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  }) + '/?$');
+  return (path) => {
+    const m = regex.exec(path);
+    if (!m) return null;
+    try {
+      return Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(m[i + 1])]));
+    } catch (_) {
+      return null; // malformed escape
+    }
+  };
+}
+
+/**
+ * Fixed-length digest so timingSafeEqual works whatever the token length.
+ * @private
+ */
+function _digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/** @private */
+function _limit(value, fallback) {
+  const n = parseInt(value, 10);
+  return n > 0 ? Math.min(n, 1000) : fallback;
+}
+
+/** @private */
+function _ttl(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const ttl = Number(value);
+  if (!(ttl > 0)) throw new AdminError('ttlSecs must be a positive number');
+  return ttl;
+}
+
+/** @private */
+function _expiresAt(ttlSecs) {
+  return ttlSecs ? new Date(Date.now() + ttlSecs * 1000).toISOString() : null;
+}
+
+module.exports = { createAdminHandler };
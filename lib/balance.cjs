@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Prepaid balance ledger.
+ *
+ * Agents pay a top-up invoice once and tolled requests are debited from
+ * their balance instead of needing a new invoice each time. Every top-up
+ * is a lot with its own expiry; debits spend the soonest-expiring sats
+ * first and expired lots are simply dropped.
+ *
+ * Custom ledgers implement the same async interface:
+ *   credit(agentId, sats, { ref, expiresAt }) → { credited, balance }
+ *   debit(agentId, sats) → { ok, balance }
+ *   balance(agentId) → { balance, lots }
+ *   cleanup(now?) → void
+ *
+ * `credit` must be idempotent per `ref` (the top-up payment hash) and
+ * `debit` must be atomic, or concurrent requests can overdraw.
+ */
+
+class MemoryBalanceLedger {
+  constructor() {
+    // agentId → [{ sats, expiresAt }] sorted by expiresAt
+    this._lots = new Map();
+    this._credited = new Set(); // top-up payment hashes already applied
+  }
+
+  /**
+   * Add a top-up to an agent's balance (once per ref).
+   * @param {string} agentId
+   * @param {number} sats
+   * @param {object} opts
+   * @param {string} opts.ref - Top-up payment hash
+   * @param {number} opts.expiresAt - Expiry of these sats (ms timestamp)
+   * @returns {Promise<{ credited: boolean, balance: number }>}
+   */
+  async credit(agentId, sats, { ref, expiresAt }) {
+    if (this._credited.has(ref)) {
+      return { credited: false, balance: this._sum(agentId) };
+    }
+    this._credited.add(ref);
+
+    const lots = this._live(agentId);
+    lots.push({ sats, expiresAt, ref });
+    lots.sort((a, b) => a.expiresAt - b.expiresAt);
+    this._lots.set(agentId, lots);
+
+    return { credited: true, balance: this._sum(agentId) };
+  }
+
+  /**
+   * Atomically take sats from an agent's balance.
+   * @param {string} agentId
+   * @param {number} sats
+   * @returns {Promise<{ ok: boolean, balance: number }>}
+   */
+  async debit(agentId, sats) {
+    const lots = this._live(agentId);
+    const balance = lots.reduce((sum, lot) => sum + lot.sats, 0);
+    if (balance < sats) {
+      return { ok: false, balance };
+    }
+
+    let owed = sats;
+    for (const lot of lots) {
+      const take = Math.min(lot.sats, owed);
+      lot.sats -= take;
+      owed -= take;
+      if (owed === 0) break;
+    }
+    this._lots.set(agentId, lots.filter(lot => lot.sats > 0));
+
+    return { ok: true, balance: balance - sats };
+  }
+
+  /**
+   * Current unexpired balance.
+   * @param {string} agentId
+   * @returns {Promise<{ balance: number, lots: Array<{ sats: number, expiresAt: number }> }>}
+   */
+  async balance(agentId) {
+    const lots = this._live(agentId);
+    return {
+      balance: lots.reduce((sum, lot) => sum + lot.sats, 0),
+      lots: lots.map(lot => ({ sats: lot.sats, expiresAt: lot.expiresAt })),
+    };
+  }
+
+  /**
+   * Drop expired lots and empty accounts.
+   * @param {number} [now=Date.now()]
+   */
+  async cleanup(now = Date.now()) {
+    for (const agentId of this._lots.keys()) {
+      const lots = this._live(agentId, now);
+      if (lots.length === 0) this._lots.delete(agentId);
+      else this._lots.set(agentId, lots);
+    }
+  }
+
+  /**
+   * Get ledger stats.
+   */
+  stats() {
+    let totalSats = 0;
+    for (const agentId of this._lots.keys()) totalSats += this._sum(agentId);
+    return { accounts: this._lots.size, totalSats };
+  }
+
+  /** @private */
+  _live(agentId, now = Date.now()) {
+    return (this._lots.get(agentId) || []).filter(lot => lot.expiresAt > now && lot.sats > 0);
+  }
+
+  /** @private */
+  _sum(agentId) {
+    return this._live(agentId).reduce((sum, lot) => sum + lot.sats, 0);
+  }
+}
+
+module.exports = { MemoryBalanceLedger };
@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * Just enough BOLT11 to check a zap receipt: bech32 without the 90
+ * character limit, an invoice's amount and hashes, and LNURLs (LUD-01).
+ *
+ * The payee's signature isn't checked. A zap receipt is vouched for by
+ * the recipient's LNURL server, whose key the resolver looks up; the
+ * invoice only has to commit to the zap request it claims to pay
+ * (NIP-57 Appendix F).
+ */
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+const SIGNATURE_WORDS = 104; // 65-byte recoverable signature
+const MSATS_PER_UNIT = { m: 100_000_000, u: 100_000, n: 100 }; // 'p' is a tenth of a msat
+
+// Tagged fields this module reads, by type and required length in words
+const FIELDS = {
+  1: { name: 'paymentHash', words: 52 },
+  23: { name: 'descriptionHash', words: 52 },
+  13: { name: 'description' },
+};
+
+/**
+ * Decode a bech32 string of any length.
+ * @param {string} str
+ * @returns {{ prefix: string, words: number[] }|null} null if malformed or the checksum fails
+ */
+function decodeBech32(str) {
+  if (typeof str !== 'string') return null;
+  const lower = str.toLowerCase();
+  if (str !== lower && str !== str.toUpperCase()) return null;
+  const sep = lower.lastIndexOf('1');
+  if (sep < 1 || lower.length - sep - 1 < 6) return null;
+
+  const prefix = lower.slice(0, sep);
+  if (![...prefix].every(c => c.charCodeAt(0) >= 33 && c.charCodeAt(0) <= 126)) return null;
+  const words = [];
+  for (const c of lower.slice(sep + 1)) {
+    const word = CHARSET.indexOf(c);
+    if (word === -1) return null;
+    words.push(word);
+  }
+  if (_polymod([..._expandPrefix(prefix), ...words]) !== 1) return null;
+  return { prefix, words: words.slice(0, -6) };
+}
+
+/**
+ * 5-bit words to bytes; leftover padding bits are dropped.
+ * @param {number[]} words
+ * @returns {Buffer}
+ */
+function fromWords(words) {
+  const bytes = [];
+  let acc = 0;
+  let bits = 0;
+  for (const word of words) {
+    acc = (acc << 5) | word;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((acc >> bits) & 0xff);
+      acc &= (1 << bits) - 1;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode a BOLT11 invoice.
+ * @param {string} invoice
+ * @returns {{ network: string, msats: number|null, timestamp: number, paymentHash: string|null,
+ *   descriptionHash: string|null, description: string|null }|null} null if it isn't a valid invoice;
+ *   msats is null for invoices without an amount
+ */
+function decodeInvoice(invoice) {
+  const decoded = decodeBech32(invoice);
+  if (!decoded) return null;
+  const match = /^ln(bcrt|bc|tbs|tb|sb)(\d*)([munp]?)$/.exec(decoded.prefix);
+  if (!match) return null;
+
+  const [, network, digits, unit] = match;
+  let msats = null;
+  if (digits) {
+    const amount = Number(digits);
+    if (unit === 'p') {
+      if (amount % 10 !== 0) return null;
+      msats = amount / 10;
+    } else {
+      msats = amount * (unit ? MSATS_PER_UNIT[unit] : 100_000_000_000);
+    }
+    if (!Number.isSafeInteger(msats)) return null;
+  } else if (unit) {
+    return null;
+  }
+
+  const { words } = decoded;
+  const end = words.length - SIGNATURE_WORDS;
+  if (end < 7) return null;
+  const result = {
+    network,
+    msats,
+    timestamp: words.slice(0, 7).reduce((n, word) => n * 32 + word, 0),
+    paymentHash: null,
+    descriptionHash: null,
+    description: null,
+  };
+  for (let i = 7; i < end;) {
+    if (i + 3 > end) return null;
+    const type = words[i];
+    const length = words[i + 1] * 32 + words[i + 2];
+    if (i + 3 + length > end) return null;
+    const field = FIELDS[type];
+    // Fields of the wrong length are skipped, as BOLT11 says
+    if (field && result[field.name] === null && (!field.words || length === field.words)) {
+      const data = fromWords(words.slice(i + 3, i + 3 + length));
+      result[field.name] = field.words ? data.toString('hex') : data.toString('utf8');
+    }
+    i += 3 + length;
+  }
+  return result;
+}
+
+/**
+ * The URL a bech32 LNURL (LUD-01) encodes.
+ * @param {string} lnurl
+ * @returns {string|null}
+ */
+function decodeLnurl(lnurl) {
+  const decoded = decodeBech32(lnurl);
+  if (!decoded || decoded.prefix !== 'lnurl') return null;
+  return fromWords(decoded.words).toString('utf8');
+}
+
+/** @private */
+function _polymod(values) {
+  let chk = 1;
+  for (const value of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) chk ^= GENERATOR[i];
+    }
+  }
+  return chk;
+}
+
+/** @private */
+function _expandPrefix(prefix) {
+  const codes = [...prefix].map(c => c.charCodeAt(0));
+  return [...codes.map(c => c >> 5), 0, ...codes.map(c => c & 31)];
+}
+
+module.exports = { decodeBech32, fromWords, decodeInvoice, decodeLnurl };
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Circuit breaker for flaky upstreams (NWC wallets in particular).
+ *
+ * After `failureThreshold` consecutive failures the circuit opens and
+ * calls fail immediately for `resetMs`. Then a single trial call is let
+ * through (half-open): success closes the circuit, failure re-opens it.
+ * Calls slower than `timeoutMs` count as failures.
+ */
+
+class CircuitBreaker {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.failureThreshold=5] - Consecutive failures before opening
+   * @param {number} [opts.resetMs=30000] - How long to stay open
+   * @param {number} [opts.timeoutMs=10000] - Per-call timeout
+   */
+  constructor(opts = {}) {
+    this.failureThreshold = opts.failureThreshold || 5;
+    this.resetMs = opts.resetMs || 30_000;
+    this.timeoutMs = opts.timeoutMs || 10_000;
+
+    this.state = 'closed';
+    this._failures = 0;
+    this._openedAt = 0;
+    this._trialInFlight = false;
+    this._opens = 0;
+    this._rejected = 0;
+  }
+
+  /**
+   * Run fn through the breaker.
+   * @param {Function} fn - Returns a promise
+   * @returns {Promise<*>}
+   */
+  async call(fn) {
+    if (this.state === 'open') {
+      if (Date.now() - this._openedAt < this.resetMs) {
+        throw this._openError();
+      }
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'half-open') {
+      if (this._trialInFlight) throw this._openError();
+      this._trialInFlight = true;
+    }
+
+    let timer;
+    try {
+      const result = await Promise.race([
+        fn(),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`Timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+        }),
+      ]);
+      this._onSuccess();
+      return result;
+    } catch (err) {
+      this._onFailure();
+      throw err;
+    } finally {
+      clearTimeout(timer);
+      this._trialInFlight = false;
+    }
+  }
+
+  /**
+   * Milliseconds until the breaker will allow a trial call (0 if closed).
+   */
+  retryAfterMs() {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.resetMs - (Date.now() - this._openedAt));
+  }
+
+  /**
+   * Get breaker stats.
+   */
+  stats() {
+    return {
+      state: this.state,
+      failures: this._failures,
+      opens: this._opens,
+      rejected: this._rejected,
+    };
+  }
+
+  /** @private */
+  _onSuccess() {
+    this.state = 'closed';
+    this._failures = 0;
+  }
+
+  /** @private */
+  _onFailure() {
+    this._failures++;
+    if (this.state === 'half-open' || this._failures >= this.failureThreshold) {
+      this.state = 'open';
+      this._openedAt = Date.now();
+      this._opens++;
+    }
+  }
+
+  /** @private */
+  _openError() {
+    this._rejected++;
+    const err = new Error('Circuit open');
+    err.code = 'CIRCUIT_OPEN';
+    return err;
+  }
+}
+
+module.exports = { CircuitBreaker };
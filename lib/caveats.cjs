@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * Caveat registry: how each caveat key is minted and checked.
+ *
+ * verifyMacaroon() looks every caveat up here after the signature checks
+ * out. A definition is
+ *
+ *   {
+ *     verify(value, context) → true to accept, false or an error message to reject
+ *     mint(option, request)  → caveat value (optional; see toll({ caveats }))
+ *   }
+ *
+ * `context` is what the verifier knows about the request: endpoint,
+ * method, contextId, agentId, type and actionsUsed, plus trustScore and
+ * request (the normalized request) when the toll core verifies. Since
+ * anyone holding a macaroon can append caveats, every caveat is checked
+ * on its own and must pass; verifiers never see the others.
+ *
+ * Unknown caveats are ignored, for forward compatibility, unless the
+ * registry is strict.
+ */
+
+// Checked by the toll core itself (key selection, spent store, pricing)
+const CORE_CHECKED = ['key_id', 'amount', 'seq'];
+
+const BUILTIN_CAVEATS = {
+  expires_at: {
+    verify: (value) => !(Date.now() / 1000 > parseInt(value, 10)) || 'Macaroon expired',
+  },
+  valid_after: {
+    verify: (value) => Date.now() / 1000 >= parseInt(value, 10) || 'Macaroon not valid yet',
+  },
+  endpoint: {
+    verify: (value, ctx) => !ctx.endpoint || ctx.endpoint === value || `Endpoint mismatch: expected ${value}`,
+  },
+  method: {
+    verify: (value, ctx) => !ctx.method || ctx.method.toUpperCase() === value.toUpperCase() || `Method mismatch: expected ${value}`,
+  },
+  context: {
+    verify: (value, ctx) => !ctx.contextId || ctx.contextId === value || `Context mismatch: expected ${value}`,
+  },
+  agent: {
+    verify: (value, ctx) => !ctx.agentId || ctx.agentId === value || `Agent mismatch: expected ${value}`,
+  },
+  type: {
+    verify: (value, ctx) => !ctx.type || ctx.type === value || `Credential type mismatch: expected ${value}`,
+  },
+  max_actions: {
+    verify: (value, ctx) => {
+      const maxActions = parseInt(value, 10);
+      return !(typeof ctx.actionsUsed === 'number' && ctx.actionsUsed >= maxActions) || `Action limit reached: ${maxActions}`;
+    },
+  },
+  ...Object.fromEntries(CORE_CHECKED.map(name => [name, { verify: () => true }])),
+};
+
+class CaveatRegistry {
+  /**
+   * @param {object} [opts]
+   * @param {boolean} [opts.strict=false] - Reject macaroons with unregistered caveats
+   * @param {object} [opts.custom] - Definitions to register: { name: { verify, mint } }
+   */
+  constructor(opts = {}) {
+    this.strict = !!opts.strict;
+    this._definitions = new Map(Object.entries(BUILTIN_CAVEATS));
+    for (const [name, definition] of Object.entries(opts.custom || {})) {
+      this.register(name, definition);
+    }
+  }
+
+  /**
+   * Add a caveat. Built-in caveats can't be replaced.
+   * @param {string} name - Caveat key: lowercase letters, digits and _
+   * @param {object} definition - { verify, mint? } (see top of file)
+   * @returns {CaveatRegistry} this
+   */
+  register(name, definition) {
+    if (!/^[a-z][a-z0-9_]*$/.test(name)) throw new Error(`CaveatRegistry: invalid caveat name: ${name}`);
+    if (BUILTIN_CAVEATS[name]) throw new Error(`CaveatRegistry: ${name} is a built-in caveat`);
+    if (!definition || typeof definition.verify !== 'function') {
+      throw new Error(`CaveatRegistry: ${name} needs a verify function`);
+    }
+    this._definitions.set(name, definition);
+    return this;
+  }
+
+  /**
+   * Whether a caveat key is known.
+   * @param {string} name
+   */
+  has(name) {
+    return this._definitions.has(name);
+  }
+
+  /**
+   * Whether any non-built-in caveats are registered.
+   */
+  hasCustom() {
+    return this._definitions.size > Object.keys(BUILTIN_CAVEATS).length;
+  }
+
+  /**
+   * Check one caveat.
+   * @param {string} name
+   * @param {string} value
+   * @param {object} context - See top of file
+   * @param {object} [opts]
+   * @param {boolean} [opts.strict] - Overrides the registry's strict mode
+   * @returns {string|null} Error message, or null if it passes
+   */
+  check(name, value, context, opts = {}) {
+    const definition = this._definitions.get(name);
+    if (!definition) {
+      return (opts.strict ?? this.strict) ? `Unknown caveat: ${name}` : null;
+    }
+    let result;
+    try {
+      result = definition.verify(value, context);
+    } catch (err) {
+      return `Caveat ${name} failed: ${err.message}`;
+    }
+    if (result === true || result === undefined) return null;
+    return typeof result === 'string' ? result : `Caveat not satisfied: ${name}`;
+  }
+
+  /**
+   * Caveat values for a route's `caveats` option. Each option is a value,
+   * a function (request) → value, or whatever the caveat's mint() takes.
+   * Null and undefined values are left out.
+   * @param {object} options - { name: option }
+   * @param {object} request - Normalized request (plus agentId, contextId, trustScore)
+   * @returns {Promise<object>} { name: string }
+   */
+  async mint(options, request) {
+    const values = {};
+    for (const [name, option] of Object.entries(options || {})) {
+      const definition = this._custom(name);
+      let value;
+      if (typeof option === 'function') value = await option(request);
+      else if (definition.mint) value = await definition.mint(option, request);
+      else value = option;
+      if (value !== undefined && value !== null) values[name] = String(value);
+    }
+    return values;
+  }
+
+  /**
+   * Throw unless every name in a route's `caveats` option is a registered
+   * custom caveat.
+   * @param {object} [options]
+   */
+  validate(options) {
+    for (const name of Object.keys(options || {})) this._custom(name);
+  }
+
+  /** @private */
+  _custom(name) {
+    if (BUILTIN_CAVEATS[name]) throw new Error(`discourse-toll: route caveats can't set built-in caveat ${name}`);
+    const definition = this._definitions.get(name);
+    if (!definition) throw new Error(`discourse-toll: unknown caveat ${name}; register it first`);
+    return definition;
+  }
+}
+
+const defaultCaveats = new CaveatRegistry();
+
+module.exports = { CaveatRegistry, defaultCaveats, BUILTIN_CAVEATS };
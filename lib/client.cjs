@@ -15,6 +15,7 @@
 
 const https = require('https');
 const http = require('http');
+const { createNip98Token, pubkeyFromSecret } = require('./nip98.cjs');
 
 let NWCClient;
 try {
@@ -29,6 +30,9 @@ try {
  * @param {number} [opts.maxSats=100] - Maximum sats to pay per request
  * @param {number} [opts.maxSatsPerContext=500] - Max sats per context/thread
  * @param {string} [opts.agentId] - Agent identifier to send in headers
+ * @param {string|Uint8Array} [opts.secretKey] - Nostr secret key; signs every request with NIP-98
+ * @param {number} [opts.bundle] - Buy bundles of N actions where the server offers them
+ * @param {object} [opts.topup] - Pay from a prepaid balance: { url, sats, below }
  * @param {number} [opts.timeoutMs=15000] - Request timeout
  * @returns {object} Client with fetch, post, get methods
  */
@@ -39,12 +43,23 @@ function createDiscourseClient(opts = {}) {
   const wallet = new NWCClient({ nostrWalletConnectUrl: opts.nwcUrl });
   const maxSats = opts.maxSats || 100;
   const maxSatsPerContext = opts.maxSatsPerContext || 500;
-  const agentId = opts.agentId || null;
+  const secretKey = opts.secretKey || null;
+  const agentId = opts.agentId || (secretKey ? pubkeyFromSecret(secretKey) : null);
   const timeoutMs = opts.timeoutMs || 15000;
+  const bundle = opts.bundle > 1 ? opts.bundle : null;
 
   // Track spend per context
   const _contextSpend = new Map();
 
+  // Unused bundle credentials: "METHOD url" → { authorization, remaining }
+  const _bundles = new Map();
+
+  // Prepaid balance: top up `sats` whenever the balance drops below `below`
+  const topup = opts.topup ? { sats: 100, below: 10, ...opts.topup } : null;
+  if (topup && !topup.url) throw new Error('discourse-toll client: topup.url required');
+  let _balance = { authorization: null, sats: 0 };
+  let _toppedUp = 0;
+
   /**
    * Make an HTTP request, auto-paying L402 if needed.
    * 
@@ -54,9 +69,35 @@ function createDiscourseClient(opts = {}) {
    */
   async function request(url, fetchOpts = {}) {
     const headers = { ...fetchOpts.headers };
-    if (agentId) headers['X-Agent-Id'] = agentId;
+    if (secretKey) {
+      // Signed identity — the server derives the agent from the signature
+      if (!headers.Authorization && !headers.authorization) {
+        headers.Authorization = _sign(url, fetchOpts);
+      }
+    } else if (agentId) {
+      headers['X-Agent-Id'] = agentId;
+    }
+
+    // Prepaid balance mode — debit instead of paying per request
+    if (topup) {
+      return _requestWithBalance(url, fetchOpts, headers);
+    }
+
+    // Reuse a paid bundle for this endpoint if one has actions left
+    const bundleKey = `${(fetchOpts.method || 'GET').toUpperCase()} ${url}`;
+    const cached = _bundles.get(bundleKey);
+    if (cached) {
+      const res = await _httpRequest(url, { ...fetchOpts, headers: _l402Headers(headers, cached.authorization, url, fetchOpts) });
+      if (res.status !== 401 && res.status !== 402) {
+        _trackBundle(bundleKey, cached, res);
+        return { ...res, paid: true, sats: 0 };
+      }
+      // Expired, exhausted or bound to another context — buy a fresh one
+      _bundles.delete(bundleKey);
+    }
 
     // First request
+    if (bundle) headers['X-Toll-Bundle'] = String(bundle);
     const res1 = await _httpRequest(url, { ...fetchOpts, headers });
 
     // Not a 402 — return directly
@@ -77,10 +118,11 @@ function createDiscourseClient(opts = {}) {
     if (!invoice || !macaroon) {
       throw new Error('402 response missing invoice or macaroon');
     }
+    const actions = tollData.actions || 1;
 
-    // Check budget
-    if (amountSats > maxSats) {
-      throw new Error(`Toll too expensive: ${amountSats} sats (max: ${maxSats})`);
+    // Check budget (a bundle may cost up to maxSats per action)
+    if (amountSats > maxSats * actions) {
+      throw new Error(`Toll too expensive: ${amountSats} sats for ${actions} action(s) (max: ${maxSats} each)`);
     }
 
     // Check per-context budget
@@ -100,15 +142,104 @@ function createDiscourseClient(opts = {}) {
     _contextSpend.set(contextId, spent + amountSats);
 
     // Retry with L402 auth
-    const l402Headers = {
-      ...headers,
-      Authorization: `L402 ${macaroon}:${payment.preimage}`,
-    };
-
-    const res2 = await _httpRequest(url, { ...fetchOpts, headers: l402Headers });
+    const authorization = `L402 ${macaroon}:${payment.preimage}`;
+    const res2 = await _httpRequest(url, { ...fetchOpts, headers: _l402Headers(headers, authorization, url, fetchOpts) });
+    if (actions > 1) {
+      _trackBundle(bundleKey, { authorization, remaining: actions }, res2);
+    }
     return { ...res2, paid: true, sats: amountSats };
   }
 
+  /**
+   * Top up the prepaid balance.
+   * @param {number} [sats] - Amount to add (defaults to opts.topup.sats)
+   * @returns {Promise<{ agentId: string, credited: number, balance: number }>}
+   */
+  async function topUp(sats = topup && topup.sats) {
+    if (!topup) throw new Error('discourse-toll client: topup option not configured');
+
+    const fetchOpts = { method: 'POST', body: JSON.stringify({ sats }) };
+    const headers = { 'Content-Type': 'application/json' };
+    if (secretKey) headers.Authorization = _sign(topup.url, fetchOpts);
+    else if (agentId) headers['X-Agent-Id'] = agentId;
+
+    const res1 = await _httpRequest(topup.url, { ...fetchOpts, headers });
+    if (res1.status !== 402) {
+      throw new Error(`Top-up failed: HTTP ${res1.status}`);
+    }
+    const { invoice, macaroon, amountSats } = JSON.parse(res1.body);
+
+    const payment = await wallet.payInvoice({ invoice });
+    if (!payment.preimage) {
+      throw new Error('Payment succeeded but no preimage returned');
+    }
+    _toppedUp += amountSats;
+
+    const authorization = `L402 ${macaroon}:${payment.preimage}`;
+    const res2 = await _httpRequest(topup.url, { ...fetchOpts, headers: _l402Headers(headers, authorization, topup.url, fetchOpts) });
+    if (res2.status !== 200) {
+      throw new Error(`Top-up not credited: HTTP ${res2.status}`);
+    }
+
+    const data = JSON.parse(res2.body);
+    _balance = { authorization, sats: data.balance };
+    return data;
+  }
+
+  /**
+   * Make a request paid from the prepaid balance, topping up as needed.
+   * @private
+   */
+  async function _requestWithBalance(url, fetchOpts, headers) {
+    if (!_balance.authorization || _balance.sats < topup.below) {
+      await topUp();
+    }
+
+    let before = _balance.sats;
+    let res = await _httpRequest(url, { ...fetchOpts, headers: _l402Headers(headers, _balance.authorization, url, fetchOpts) });
+    if (res.status === 402) {
+      // Price was higher than what's left — top up once and retry
+      await topUp();
+      before = _balance.sats;
+      res = await _httpRequest(url, { ...fetchOpts, headers: _l402Headers(headers, _balance.authorization, url, fetchOpts) });
+    }
+
+    if (res.headers['x-toll-balance'] !== undefined) {
+      _balance.sats = parseInt(res.headers['x-toll-balance'], 10);
+    }
+    const sats = Math.max(0, before - _balance.sats);
+    return { ...res, paid: sats > 0, sats };
+  }
+
+  /**
+   * Headers for a request carrying L402 credentials.
+   * @private
+   */
+  function _l402Headers(headers, authorization, url, fetchOpts) {
+    const l402Headers = { ...headers, Authorization: authorization };
+    delete l402Headers['X-Toll-Bundle'];
+    if (secretKey) {
+      // Authorization now carries L402, so the NIP-98 event moves alongside it
+      l402Headers['X-Nostr-Authorization'] = _sign(url, fetchOpts);
+    }
+    return l402Headers;
+  }
+
+  /**
+   * Remember how many actions a bundle credential has left.
+   * @private
+   */
+  function _trackBundle(key, entry, res) {
+    const remaining = res.headers['x-toll-remaining'] !== undefined
+      ? parseInt(res.headers['x-toll-remaining'], 10)
+      : entry.remaining - 1;
+    if (remaining > 0) {
+      _bundles.set(key, { authorization: entry.authorization, remaining });
+    } else {
+      _bundles.delete(key);
+    }
+  }
+
   /**
    * POST convenience method.
    */
@@ -138,7 +269,12 @@ function createDiscourseClient(opts = {}) {
       contexts[ctx] = sats;
       totalSpent += sats;
     }
-    return { totalSpent, contexts, maxSats, maxSatsPerContext };
+    const result = { totalSpent, contexts, maxSats, maxSatsPerContext };
+    if (topup) {
+      result.toppedUp = _toppedUp;
+      result.balance = _balance.sats;
+    }
+    return result;
   }
 
   /**
@@ -148,6 +284,18 @@ function createDiscourseClient(opts = {}) {
     wallet.close();
   }
 
+  /**
+   * Build a NIP-98 header for a request.
+   * @private
+   */
+  function _sign(url, fetchOpts) {
+    return createNip98Token(secretKey, {
+      url,
+      method: fetchOpts.method || 'GET',
+      body: fetchOpts.body,
+    });
+  }
+
   /**
    * Raw HTTP request helper.
    * @private
@@ -182,7 +330,7 @@ function createDiscourseClient(opts = {}) {
     });
   }
 
-  return { request, post, get, stats, close };
+  return { request, post, get, topUp, stats, close, agentId };
 }
 
 module.exports = { createDiscourseClient };
@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * Composite trust: one score from several sources.
+ *
+ * Precedence, highest first:
+ *
+ *   deny   agents on the denylist score 0; nothing else is asked
+ *   allow  agents on the allowlist score allowScore (100)
+ *   sources, combined by strategy:
+ *     'weighted'  weighted mean of the sources that have an opinion
+ *     'first'     the first source (in order) that has an opinion
+ *
+ * A source is { name, resolver, weight, timeoutMs, fallback }, where
+ * resolver is a TrustResolver or (agentId) → score. Sources are asked in
+ * parallel, each with its own timeout. A source that fails or times out
+ * counts as `fallback` if it has one, else it's left out, and null means
+ * "no opinion". The explanation records what every source said, so a
+ * price can be traced back to its inputs.
+ *
+ * Combined scores are cached like any TrustResolver's (cacheTtlMs,
+ * staleTtlMs, cacheFile, ...), on top of the sources' own caches.
+ */
+
+const { TrustResolver } = require('./trust.cjs');
+
+const STRATEGIES = ['weighted', 'first'];
+
+class CompositeResolver extends TrustResolver {
+  /**
+   * @param {object} opts
+   * @param {object[]} opts.sources - { name, resolver, weight = 1, timeoutMs = 2000, fallback }
+   * @param {string[]|Set|Function} [opts.deny] - Agent IDs (or a predicate) that always score 0
+   * @param {string[]|Set|Function} [opts.allow] - Agent IDs (or a predicate) that score allowScore
+   * @param {number} [opts.allowScore=100]
+   * @param {'weighted'|'first'} [opts.strategy='weighted']
+   * @param {number} [opts.cacheTtlMs=300000] - Cache options as for TrustResolver
+   */
+  constructor(opts = {}) {
+    const { cacheTtlMs, negativeTtlMs, staleTtlMs, cacheFile } = opts;
+    super({ relays: [], cacheTtlMs, negativeTtlMs, staleTtlMs, cacheFile });
+    this.customResolver = (agentId) => this._resolve(agentId);
+    this.strategy = opts.strategy || 'weighted';
+    if (!STRATEGIES.includes(this.strategy)) throw new Error(`compositeResolver: unknown strategy: ${this.strategy}`);
+    this.sources = (opts.sources || []).map((source, i) => {
+      if (!source.resolver) throw new Error(`compositeResolver: source ${source.name || i} needs a resolver`);
+      return {
+        name: source.name || `source${i + 1}`,
+        resolver: source.resolver,
+        weight: source.weight ?? 1,
+        timeoutMs: source.timeoutMs || 2000,
+        fallback: source.fallback,
+      };
+    });
+    this._deny = _matcher(opts.deny);
+    this._allow = _matcher(opts.allow);
+    this.allowScore = opts.allowScore ?? 100;
+  }
+
+  /**
+   * Combined score plus what each source said (the uncached lookup behind
+   * getScore() and explain()).
+   * @private
+   * @returns {Promise<object>} { agentId, source: 'composite', score, strategy, decidedBy, sources }
+   */
+  async _resolve(agentId) {
+    const base = { agentId, source: 'composite', strategy: this.strategy };
+    if (await this._deny(agentId)) return { ...base, score: 0, decidedBy: 'deny', sources: [] };
+    if (await this._allow(agentId)) return { ...base, score: this.allowScore, decidedBy: 'allow', sources: [] };
+
+    const results = await Promise.all(this.sources.map(source => this._ask(source, agentId)));
+    const counted = results.filter(r => typeof r.score === 'number');
+
+    let score = null;
+    let decidedBy = null;
+    if (this.strategy === 'first') {
+      if (counted.length > 0) {
+        score = counted[0].score;
+        decidedBy = counted[0].name;
+      }
+    } else {
+      const totalWeight = counted.reduce((sum, r) => sum + r.weight, 0);
+      if (totalWeight > 0) {
+        score = Math.round(counted.reduce((sum, r) => sum + r.score * r.weight, 0) / totalWeight);
+        decidedBy = counted.map(r => r.name).join('+');
+      }
+    }
+    return { ...base, score, decidedBy, sources: results };
+  }
+
+  /**
+   * Ask one source, within its timeout.
+   * @private
+   */
+  async _ask(source, agentId) {
+    const started = Date.now();
+    const row = { name: source.name, weight: source.weight };
+    let timer;
+    try {
+      const lookup = source.resolver instanceof TrustResolver
+        ? source.resolver.getScore(agentId)
+        : source.resolver(agentId);
+      const score = await Promise.race([
+        lookup,
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Timed out')), source.timeoutMs);
+        }),
+      ]);
+      row.status = typeof score === 'number' ? 'ok' : 'no_opinion';
+      row.score = typeof score === 'number' ? score : null;
+      if (source.resolver instanceof TrustResolver) {
+        const detail = source.resolver.peekExplanation(agentId);
+        if (detail) row.explanation = detail;
+      }
+    } catch (err) {
+      row.error = err.message;
+      if (typeof source.fallback === 'number') {
+        row.status = 'fallback';
+        row.score = source.fallback;
+      } else {
+        row.status = err.message === 'Timed out' ? 'timeout' : 'error';
+        row.score = null;
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+    row.ms = Date.now() - started;
+    return row;
+  }
+
+  /**
+   * Clear this resolver's cache and every source's.
+   */
+  clearCache() {
+    super.clearCache();
+    for (const { resolver } of this.sources) {
+      if (resolver instanceof TrustResolver) resolver.clearCache();
+    }
+  }
+
+  /**
+   * Stats, with each TrustResolver source's own under `sources`.
+   */
+  stats() {
+    return {
+      ...super.stats(),
+      sources: this.sources.map(({ name, resolver }) => ({
+        name,
+        ...(resolver instanceof TrustResolver ? { stats: resolver.stats() } : {}),
+      })),
+    };
+  }
+}
+
+/**
+ * Create a composite resolver (see top of file).
+ * @param {object} opts - See CompositeResolver
+ * @returns {CompositeResolver}
+ */
+function compositeResolver(opts) {
+  return new CompositeResolver(opts);
+}
+
+/**
+ * Membership test for allow/deny options.
+ * @private
+ */
+function _matcher(list) {
+  if (!list) return async () => false;
+  if (typeof list === 'function') return async (agentId) => !!(await list(agentId));
+  const set = list instanceof Set ? list : new Set(list);
+  return async (agentId) => set.has(agentId);
+}
+
+module.exports = { CompositeResolver, compositeResolver };
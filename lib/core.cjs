@@ -0,0 +1,1121 @@
+'use strict';
+
+/**
+ * Framework-neutral toll core.
+ *
+ * Takes a plain request description and returns a decision; the adapters
+ * in adapters.cjs translate between this and Express, Fastify, Koa, Hono,
+ * Fetch-API and raw Node http.
+ *
+ * Request:
+ *   { method, url, headers, body?, rawBody?, params?, query?, protocol?, ip? }
+ *   url is the path plus query string; header names are lowercase.
+ *
+ * Decision:
+ *   { pass: true, headers, toll }           — let the request through
+ *   { pass: false, status, headers, body }  — answer with status + JSON body
+ *
+ * `toll` describes the outcome: { agentId, agentVerified, paid, free,
+ * paymentHash, remaining, balance, breakdown, error, degraded }.
+ *
+ * The core is an EventEmitter. Every event carries { type, timestamp,
+ * agentId, agentVerified, contextId, endpoint, method } plus:
+ *   quote             sats, breakdown, paymentHash, actions, reused
+ *   invoice.created   sats, paymentHash, description, purpose ('toll' | 'topup')
+ *   payment.verified  sats, breakdown?, paymentHash, via ('invoice' | 'balance' | 'topup'), remaining?, balance?
+ *   free_pass         sats (0), breakdown
+ *   rejected          status, code, detail
+ *   error             kind, message, mode, outcome ('pass' | 'degraded' | 'blocked')
+ * 'error' is only emitted when something listens for it.
+ */
+
+const { EventEmitter } = require('events');
+
+const { PricingEngine } = require('./pricing.cjs');
+const { TrustResolver } = require('./trust.cjs');
+const { WalletProvider } = require('./wallet.cjs');
+const { MemorySpentStore } = require('./spent.cjs');
+const { MemoryBalanceLedger } = require('./balance.cjs');
+const { MemoryQuoteCache } = require('./quotes.cjs');
+const { WebhookDispatcher } = require('./webhooks.cjs');
+const { TollMetrics } = require('./metrics.cjs');
+const { PaymentLedger } = require('./payments.cjs');
+const { LocalReputation } = require('./reputation.cjs');
+const { verifyNip98 } = require('./nip98.cjs');
+const { CircuitBreaker } = require('./breaker.cjs');
+const { TollError } = require('./errors.cjs');
+const { Keyring } = require('./keyring.cjs');
+const { CaveatRegistry } = require('./caveats.cjs');
+const { createMacaroon, verifyMacaroon, encodeMacaroon, decodeMacaroon, getCaveat, getCaveats, getIssuedCaveat } = require('./macaroon.cjs');
+
+const MACAROON_FORMATS = ['json', 'v2'];
+
+/**
+ * Create a toll core. Takes the same config as discourseToll().
+ *
+ * @param {object} config
+ * @returns {EventEmitter} with { handle, topup, balance, getBalance, stats, cleanup, close, pricing, trust, wallet, spentStore, ledger, quoteCache, breaker, webhooks, metrics, payments, reputation, keyring, caveats, flag, ban, unban, pardon }
+ */
+function createTollCore(config) {
+  if (!config.secret && !config.keyring) throw new Error('discourse-toll: secret is required (or a keyring)');
+
+  const core = new EventEmitter();
+
+  // Macaroon signing keys: a keyring for rotation, or one fixed secret
+  const keyring = config.keyring instanceof Keyring
+    ? config.keyring
+    : config.keyring ? new Keyring(config.keyring) : Keyring.fromSecret(config.secret);
+
+  // Caveat verifiers, including the application's own (see caveats.cjs)
+  const caveats = config.caveats instanceof CaveatRegistry
+    ? config.caveats
+    : new CaveatRegistry(config.caveats || {});
+
+  const pricing = new PricingEngine(config.pricing);
+  const trust = config.trust instanceof TrustResolver
+    ? config.trust
+    : new TrustResolver(config.trust || {});
+
+  const wallet = new WalletProvider(
+    config.nwcUrl
+      ? { nwcUrl: config.nwcUrl }
+      : config.wallet
+        ? { custom: config.wallet }
+        : (() => { throw new Error('discourse-toll: nwcUrl or wallet is required'); })()
+  );
+
+  const spentStore = config.spentStore || new MemorySpentStore();
+
+  const invoiceTtlSecs = config.invoiceTtlSecs || 600;
+  const defaultDescription = config.description || 'Discourse toll';
+  const nip98WindowSecs = (config.nip98 && config.nip98.windowSecs) || 60;
+  const trustProxy = !!config.trustProxy;
+  const trustUnsignedAgents = !!config.trustUnsignedAgents;
+  const explainTrust = !!config.explainTrust;
+  const trustTimeoutMs = config.trustTimeoutMs ?? 3000;
+
+  // Macaroon wire format: legacy base64 JSON or standard binary v2
+  const macaroonConfig = config.macaroons || {};
+  const macaroonFormat = macaroonConfig.format || 'json';
+  const acceptLegacyMacaroons = macaroonConfig.acceptLegacy !== false;
+  if (!MACAROON_FORMATS.includes(macaroonFormat)) {
+    throw new Error(`discourse-toll: unknown macaroon format: ${macaroonFormat}`);
+  }
+
+  // Prepaid balances (optional)
+  const balanceConfig = config.balance === true ? {} : config.balance || null;
+  const ledger = balanceConfig ? balanceConfig.ledger || new MemoryBalanceLedger() : null;
+  const minTopupSats = (balanceConfig && balanceConfig.minTopupSats) || 10;
+  const maxTopupSats = (balanceConfig && balanceConfig.maxTopupSats) || 100_000;
+  const balanceTtlSecs = (balanceConfig && balanceConfig.ttlSecs) || 30 * 86_400;
+
+  // Pending-quote reuse and a cap on unpaid invoices per agent/IP. Behind a
+  // proxy every anonymous request has the proxy's IP, so operators can key
+  // anonymous quotes another way, or not share them (anonymousOwner: false)
+  const quotesConfig = config.quotes === false ? null : config.quotes || {};
+  const quoteCache = quotesConfig ? quotesConfig.cache || new MemoryQuoteCache() : null;
+  const maxOutstanding = (quotesConfig && quotesConfig.maxOutstanding) ?? 20;
+  const quoteMinRemainingSecs = (quotesConfig && quotesConfig.minRemainingSecs) ?? 60;
+  const anonymousOwner = quotesConfig && quotesConfig.anonymousOwner !== undefined
+    ? quotesConfig.anonymousOwner
+    : (req) => req.ip || null;
+
+  // Webhook delivery of lifecycle events (optional)
+  const webhooks = config.webhooks instanceof WebhookDispatcher
+    ? config.webhooks
+    : config.webhooks ? new WebhookDispatcher(config.webhooks) : null;
+  if (webhooks) webhooks.attach(core);
+
+  // Prometheus metrics (optional)
+  const metrics = config.metrics instanceof TollMetrics
+    ? config.metrics
+    : config.metrics ? new TollMetrics(config.metrics === true ? {} : config.metrics) : null;
+  if (metrics) metrics.attach(core);
+
+  // Append-only record of quotes, payments and free passes (optional)
+  const payments = config.payments instanceof PaymentLedger
+    ? config.payments
+    : config.payments ? new PaymentLedger(config.payments === true ? {} : config.payments) : null;
+  if (payments) payments.attach(core);
+
+  // Reputation earned from payments here (optional); catches up on start
+  // from the ledger's payments and the activity store's flags
+  const reputation = config.reputation instanceof LocalReputation
+    ? config.reputation
+    : config.reputation ? new LocalReputation(config.reputation === true ? {} : config.reputation) : null;
+  if (reputation) {
+    reputation.attach(core);
+    const before = Date.now();
+    if (payments) {
+      reputation.backfill(payments, { before })
+        .catch(err => console.error('discourse-toll reputation backfill failed:', err.message));
+    }
+    reputation.restoreFlags(pricing, { before })
+      .catch(err => console.error('discourse-toll reputation flag restore failed:', err.message));
+  }
+
+  // Failure policy: what to do when the wallet, trust lookup or credentials break
+  const failureModes = _failureModes(config.failureMode);
+  const degradedTrustAbove = config.degradedTrustAbove ?? 50;
+  const breaker = config.circuitBreaker === false
+    ? null
+    : new CircuitBreaker(config.circuitBreaker || {});
+
+  /**
+   * Decide what to do with a request to a tolled route.
+   *
+   * @param {object} request - Normalized request (see top of file)
+   * @param {object} [opts] - Route options (see discourseToll)
+   * @returns {Promise<object>} Decision
+   */
+  async function handle(request, opts = {}) {
+    const req = _normalize(request);
+    const contextId = _contextId(req, opts);
+    let event = _event(req, contextId, null);
+    let identity = null;
+    let trustScore = null;
+    try {
+      // --- Authenticate the agent (NIP-98) ---
+      identity = _identify(req, opts);
+      if (identity.error) {
+        _emit('rejected', { ...event, status: 401, code: 'invalid_nip98', detail: identity.error });
+        return _respond(401, {
+          error: 'Invalid NIP-98 authorization',
+          detail: identity.error,
+        });
+      }
+      const { agentId } = identity;
+      const who = { agentId, agentVerified: identity.verified };
+      event = _event(req, contextId, identity);
+
+      // --- Operator ban ---
+      // Moderation only sticks to identities the agent proved; anyone can
+      // claim an id, so unsigned claims are moderated as 'anonymous'
+      const moderateAs = _moderateAs(identity);
+      const ban = await pricing.banned(moderateAs);
+      if (ban) {
+        _emit('rejected', { ...event, status: 403, code: 'banned', detail: ban.reason || 'Banned' });
+        return _respond(403, {
+          error: 'Agent banned',
+          code: 'banned',
+          reason: ban.reason,
+          until: ban.expiresAt ? new Date(ban.expiresAt).toISOString() : null,
+        });
+      }
+
+      // --- Check for existing L402 auth ---
+      const authHeader = req.headers.authorization || '';
+      let repriced = null;
+      if (authHeader.startsWith('L402 ') || authHeader.startsWith('l402 ')) {
+        const result = await _verifyL402(authHeader, req, opts, identity);
+        if (result.valid) {
+          const toll = { ...who, paid: true, paymentHash: result.paymentHash, remaining: result.remaining };
+          const headers = {};
+          if (result.maxActions > 1) headers['X-Toll-Remaining'] = String(result.remaining);
+          if (result.balance !== undefined) {
+            toll.balance = result.balance;
+            headers['X-Toll-Balance'] = String(result.balance);
+          }
+          _emit('payment.verified', {
+            ...event,
+            sats: result.sats,
+            breakdown: result.breakdown,
+            paymentHash: result.paymentHash,
+            via: result.balance !== undefined ? 'balance' : 'invoice',
+            remaining: result.remaining,
+            balance: result.balance,
+          });
+          return _pass(toll, headers);
+        }
+        _emit('rejected', { ...event, status: result.status || 401, code: result.code || 'invalid_credentials', detail: result.error });
+        if (result.code === 'price_changed') {
+          // Paid for a cheaper slot than the agent is at now — quote afresh
+          repriced = result.error;
+        } else if (result.status === 402) {
+          return _respond(402, {
+            status: 402,
+            message: 'Insufficient balance',
+            code: 'insufficient_balance',
+            balance: result.balance,
+            amountSats: result.amountSats,
+            topupUrl: balanceConfig.topupUrl,
+          });
+        } else {
+          return _respond(401, {
+            error: 'Invalid L402 credentials',
+            detail: result.error,
+          });
+        }
+      }
+
+      // --- No L402 auth — calculate price and return 402 ---
+      trustScore = await _trustScore(identity);
+
+      // Calculate price
+      const priceOpts = { agentId, contextId, trustScore, dryRun: true, moderateAs };
+      const single = await pricing.calculate(priceOpts);
+
+      // Free pass
+      if (single.sats === 0) {
+        _emit('free_pass', { ...event, sats: 0, breakdown: single.breakdown });
+        return _pass({ ...who, paid: true, free: true, breakdown: single.breakdown });
+      }
+
+      // Bundle requested via X-Toll-Bundle: N (capped at the route's offer)
+      const bundleActions = _requestedBundle(req, opts);
+      const { sats, breakdown } = bundleActions > 1
+        ? await pricing.calculateBundle({ ...priceOpts, actions: bundleActions })
+        : single;
+      const maxActions = bundleActions > 1 ? bundleActions : undefined;
+      const ttlSecs = maxActions ? (opts.bundleTtlSecs || invoiceTtlSecs) : invoiceTtlSecs;
+
+      // Create invoice and macaroon, or hand out the requester's pending one
+      const description = opts.description || `${defaultDescription}: ${contextId}`;
+      const format = _macaroonFormat(req);
+      const custom = await caveats.mint(opts.caveats, { ...req, agentId, contextId, trustScore });
+      const quote = await _quote([contextId, req.method, req.url, sats, maxActions || 1, format, JSON.stringify(custom)], _owner(identity, req), async () => {
+        const key = await keyring.signingKey();
+        const { invoice, paymentHash } = await _createInvoice(sats, description);
+        const expiresAt = Math.floor(Date.now() / 1000) + ttlSecs;
+        const macaroon = createMacaroon(key.secret, paymentHash, {
+          keyId: key.id,
+          expiresAt,
+          endpoint: req.url,
+          method: req.method,
+          contextId,
+          agentId,
+          maxActions,
+          amount: sats,
+          seq: breakdown.priorActionsInContext,
+          custom,
+        }, { format, location: macaroonConfig.location });
+        _emit('invoice.created', { ...event, sats, paymentHash, description, purpose: 'toll' });
+        return { invoice, paymentHash, macaroon: encodeMacaroon(macaroon), expiresAt };
+      });
+      if (quote.limited) return _tooManyQuotes(quote.retryAfterSecs, event);
+      const { invoice, paymentHash, macaroon: encodedMacaroon } = quote;
+      _emit('quote', { ...event, sats, breakdown, paymentHash, actions: maxActions || 1, reused: !!quote.reused });
+
+      // Return 402
+      const body = {
+        status: 402,
+        message: 'Payment Required',
+        protocol: 'L402',
+        paymentHash,
+        invoice,
+        macaroon: encodedMacaroon,
+        amountSats: sats,
+        actions: maxActions || 1,
+        contextId,
+        description,
+        pricing: explainTrust && typeof trustScore === 'number'
+          ? { ...breakdown, trust: trust.peekExplanation(agentId) || { agentId, score: trustScore } }
+          : breakdown,
+        instructions: {
+          step1: 'Pay the Lightning invoice',
+          step2: 'Get the preimage from the payment receipt',
+          step3: 'Retry with header: Authorization: L402 <macaroon>:<preimage>',
+        },
+      };
+      if (repriced) {
+        body.code = 'price_changed';
+        body.detail = repriced;
+      }
+      if (opts.bundle > 1 && !maxActions) {
+        const offer = await pricing.calculateBundle({ ...priceOpts, actions: opts.bundle });
+        body.bundle = {
+          maxActions: opts.bundle,
+          amountSats: offer.sats,
+          request: `Retry without credentials and header X-Toll-Bundle: <2-${opts.bundle}>`,
+        };
+      }
+
+      return _respond(402, body, {
+        'WWW-Authenticate': `L402 invoice="${invoice}", macaroon="${encodedMacaroon}"`,
+      });
+    } catch (err) {
+      return _fail(err, { identity, trustScore, event });
+    }
+  }
+
+  /**
+   * Handle a prepaid balance top-up.
+   *
+   * Without credentials it answers 402 with an invoice for `sats` (from
+   * body.sats or query.sats). Retried with `Authorization: L402 ...` it
+   * credits the balance and returns it. Unexpected errors are thrown.
+   *
+   * @param {object} request
+   * @returns {Promise<object>} Decision (never passes)
+   */
+  async function topup(request) {
+    if (!ledger) throw new Error('discourse-toll: topup() needs the balance option');
+    const req = _normalize(request);
+
+    try {
+      const identity = _identify(req, {});
+      const event = _event(req, null, identity.error ? null : identity);
+      if (identity.error || identity.agentId === 'anonymous') {
+        _emit('rejected', { ...event, status: 401, code: 'unauthenticated', detail: identity.error || 'Unsigned top-up' });
+        return _respond(401, {
+          error: 'Top-ups require an authenticated agent',
+          detail: identity.error || 'Sign the request with NIP-98',
+        });
+      }
+      const { agentId } = identity;
+
+      // --- Paid top-up: credit it ---
+      const authHeader = req.headers.authorization || '';
+      if (/^l402\s+/i.test(authHeader)) {
+        const parsed = _parseL402(authHeader);
+        const result = parsed.valid ? await _creditTopup(parsed.macaroon, req, agentId, event) : parsed;
+        if (!result.valid) {
+          _emit('rejected', { ...event, status: 401, code: 'invalid_credentials', detail: result.error });
+          return _respond(401, { error: 'Invalid L402 credentials', detail: result.error });
+        }
+        const { balance, lots } = await ledger.balance(agentId);
+        return _respond(200, { agentId, credited: result.credited ? result.amount : 0, balance, lots });
+      }
+
+      // --- New top-up: quote it ---
+      const sats = parseInt(_extract(req, 'body.sats') || _extract(req, 'query.sats'), 10);
+      if (!(sats >= minTopupSats && sats <= maxTopupSats)) {
+        _emit('rejected', { ...event, status: 400, code: 'invalid_amount', detail: `Top-up of ${sats} sats` });
+        return _respond(400, {
+          error: `Top-up must be between ${minTopupSats} and ${maxTopupSats} sats`,
+        });
+      }
+
+      const description = `${defaultDescription}: balance top-up`;
+      const format = _macaroonFormat(req);
+      const quote = await _quote(['topup', sats, format], agentId, async () => {
+        const key = await keyring.signingKey();
+        const { invoice, paymentHash } = await _createInvoice(sats, description);
+        const expiresAt = Math.floor(Date.now() / 1000) + balanceTtlSecs;
+        const macaroon = createMacaroon(key.secret, paymentHash, {
+          keyId: key.id,
+          expiresAt,
+          agentId,
+          type: 'balance',
+          amount: sats,
+        }, { format, location: macaroonConfig.location });
+        _emit('invoice.created', { ...event, sats, paymentHash, description, purpose: 'topup' });
+        return { invoice, paymentHash, macaroon: encodeMacaroon(macaroon), expiresAt };
+      });
+      if (quote.limited) return _tooManyQuotes(quote.retryAfterSecs, event);
+      const { invoice, paymentHash, macaroon: encodedMacaroon } = quote;
+      _emit('quote', { ...event, sats, paymentHash, actions: 1, reused: !!quote.reused });
+
+      return _respond(402, {
+        status: 402,
+        message: 'Payment Required',
+        protocol: 'L402',
+        type: 'balance',
+        paymentHash,
+        invoice,
+        macaroon: encodedMacaroon,
+        amountSats: sats,
+        description,
+        instructions: {
+          step1: 'Pay the Lightning invoice',
+          step2: 'Retry this request with header: Authorization: L402 <macaroon>:<preimage>',
+          step3: 'Use the same Authorization header on tolled routes until the balance runs out',
+        },
+      }, {
+        'WWW-Authenticate': `L402 invoice="${invoice}", macaroon="${encodedMacaroon}"`,
+      });
+    } catch (err) {
+      if (err instanceof TollError && err.kind === 'macaroon') {
+        return _respond(401, { error: 'Invalid L402 credentials', detail: err.message });
+      }
+      if (err instanceof TollError && err.kind === 'wallet') {
+        return _unavailable(err);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Report the authenticated agent's balance.
+   * @param {object} request
+   * @returns {Promise<object>} Decision (never passes)
+   */
+  async function balance(request) {
+    if (!ledger) throw new Error('discourse-toll: balance() needs the balance option');
+    const req = _normalize(request);
+
+    const identity = _identify(req, {});
+    if (identity.error || identity.agentId === 'anonymous') {
+      return _respond(401, {
+        error: 'Balance queries require an authenticated agent',
+        detail: identity.error || 'Sign the request with NIP-98',
+      });
+    }
+    const result = await ledger.balance(identity.agentId);
+    return _respond(200, { agentId: identity.agentId, balance: result.balance, lots: result.lots });
+  }
+
+  /**
+   * Look up an agent's prepaid balance.
+   * @param {string} agentId
+   */
+  function getBalance(agentId) {
+    if (!ledger) throw new Error('discourse-toll: getBalance() needs the balance option');
+    return ledger.balance(agentId);
+  }
+
+  /**
+   * Flag an agent (e.g. a post was removed). Raises their prices until the
+   * flag fades or is pardoned, and counts against local reputation.
+   *
+   * Flags and bans only apply to requests the agent signed. For an action
+   * made under an unsigned claim, pass agentVerified: false (the request's
+   * tollAgentVerified): the flag then lands on 'anonymous', which is how
+   * such requests are moderated, rather than on whoever was claimed.
+   * @param {string} agentId
+   * @param {string} [contextId]
+   * @param {number} [severity=1]
+   * @param {object} [opts] - { reason, agentVerified }
+   * @returns {Promise<object>} The flag, with the agent's penalty now
+   */
+  async function flag(agentId, contextId, severity = 1, opts = {}) {
+    if (opts.agentVerified === false && agentId !== 'anonymous') {
+      return flag('anonymous', contextId, severity, { reason: opts.reason });
+    }
+    const recorded = await pricing.flag(agentId, contextId, severity, opts);
+    if (reputation && agentId !== 'anonymous') reputation.flag(agentId, { severity, contextId: recorded.contextId, reason: recorded.reason, timestamp: recorded.flaggedAt });
+    return { agentId, ...recorded, penalty: await pricing.penalty(agentId) };
+  }
+
+  /**
+   * Refuse an agent's tolled requests (403, before any invoice).
+   * @param {string} agentId
+   * @param {object} [opts] - { ttlSecs, reason }
+   * @returns {Promise<{ reason: string|null, expiresAt: number|null }>} The ban
+   */
+  async function ban(agentId, opts = {}) {
+    await pricing.ban(agentId, opts);
+    return pricing.banned(agentId);
+  }
+
+  /**
+   * Lift a ban.
+   * @returns {Promise<boolean>} Whether the agent was banned
+   */
+  function unban(agentId) {
+    return pricing.unban(agentId);
+  }
+
+  /**
+   * Forgive an agent's flags (all, or one context's), in pricing and local
+   * reputation. Bans stay; see unban().
+   * @returns {Promise<number>} Flags removed from pricing
+   */
+  function pardon(agentId, contextId) {
+    if (reputation) reputation.pardon(agentId, contextId === undefined ? undefined : `${contextId}`);
+    return pricing.pardon(agentId, contextId);
+  }
+
+  /**
+   * Emit a lifecycle event. Listener errors never break the request, and
+   * 'error' is skipped when nobody listens (EventEmitter would throw).
+   * @private
+   */
+  function _emit(type, payload) {
+    if (type === 'error' && core.listenerCount('error') === 0) return;
+    try {
+      core.emit(type, { type, timestamp: Date.now(), ...payload });
+    } catch (err) {
+      console.error(`discourse-toll ${type} listener failed:`, err.message);
+    }
+  }
+
+  /**
+   * Common event fields for a request.
+   * @private
+   */
+  function _event(req, contextId, identity) {
+    return {
+      agentId: identity ? identity.agentId : null,
+      agentVerified: identity ? identity.verified : false,
+      contextId,
+      endpoint: req.url,
+      method: req.method,
+    };
+  }
+
+  /**
+   * Whose multipliers, bans and flags apply to a request: the agent's own
+   * when it signed, otherwise 'anonymous'.
+   * @private
+   */
+  function _moderateAs(identity) {
+    return identity.verified ? identity.agentId : 'anonymous';
+  }
+
+  /**
+   * Fetch trust score (non-blocking, with timeout) — only for proven identities.
+   * A failed or slow lookup prices without a discount unless the trust
+   * failure mode is 'closed'.
+   * @private
+   */
+  async function _trustScore(identity) {
+    if (!identity.trusted) return null;
+    const started = process.hrtime.bigint();
+    let timer;
+    try {
+      return await Promise.race([
+        trust.getScore(identity.agentId),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new TollError('Trust lookup timed out', 'trust')), trustTimeoutMs);
+        }),
+      ]);
+    } catch (err) {
+      if (failureModes.trust === 'closed') {
+        throw err instanceof TollError ? err : new TollError(`Trust lookup failed: ${err.message}`, 'trust', err);
+      }
+      return null;
+    } finally {
+      clearTimeout(timer);
+      if (metrics) metrics.timing('trust', _elapsedSecs(started));
+    }
+  }
+
+  /**
+   * Reuse the owner's pending quote for the same request and price, or
+   * mint a new one if they are under the outstanding-invoice cap.
+   * Requests without an owner (anonymous, no IP) always get a fresh quote.
+   * @private
+   */
+  async function _quote(parts, owner, mint) {
+    if (!quoteCache || !owner) return mint();
+
+    const key = [owner, ...parts].join('|');
+    const now = Math.floor(Date.now() / 1000);
+    const cached = await quoteCache.get(key);
+    if (cached && cached.expiresAt - now >= quoteMinRemainingSecs) return { ...cached, reused: true };
+
+    if (maxOutstanding) {
+      const { count, nextExpiry } = await quoteCache.outstanding(owner);
+      if (count >= maxOutstanding) {
+        return { limited: true, retryAfterSecs: Math.max(1, (nextExpiry || now) - now) };
+      }
+    }
+
+    const quote = await mint();
+    await quoteCache.put(key, { ...quote, owner });
+    return quote;
+  }
+
+  /**
+   * Who a pending quote is held against: the agent, or for anonymous
+   * requests whatever quotes.anonymousOwner says (the IP by default).
+   * @private
+   */
+  function _owner(identity, req) {
+    if (identity.agentId !== 'anonymous') return identity.agentId;
+    if (!anonymousOwner) return null;
+    const owner = anonymousOwner(req);
+    return owner ? `anon:${owner}` : null;
+  }
+
+  /**
+   * 429 decision for a requester holding too many unpaid invoices.
+   * @private
+   */
+  function _tooManyQuotes(retryAfterSecs, event) {
+    _emit('rejected', { ...event, status: 429, code: 'too_many_quotes', detail: `${maxOutstanding} unpaid invoices open` });
+    return _respond(429, {
+      error: 'Too many unpaid invoices',
+      code: 'too_many_quotes',
+      detail: `Pay or let one of your ${maxOutstanding} open invoices expire first`,
+    }, {
+      'Retry-After': String(retryAfterSecs),
+    });
+  }
+
+  /**
+   * Create an invoice through the circuit breaker.
+   * @private
+   */
+  async function _createInvoice(sats, description) {
+    const started = process.hrtime.bigint();
+    try {
+      return breaker
+        ? await breaker.call(() => wallet.createInvoice(sats, description))
+        : await wallet.createInvoice(sats, description);
+    } catch (err) {
+      throw new TollError(`Wallet unavailable: ${err.message}`, 'wallet', err);
+    } finally {
+      if (metrics) metrics.timing('invoice', _elapsedSecs(started));
+    }
+  }
+
+  /**
+   * Apply the failure policy for an error thrown while tolling a request.
+   * @private
+   */
+  async function _fail(err, { identity, trustScore, event }) {
+    const kind = err instanceof TollError ? err.kind : 'internal';
+    const mode = failureModes[kind];
+    console.error(`discourse-toll ${kind} error:`, err.message);
+    const toll = { error: err.message };
+    if (identity && identity.agentId) {
+      toll.agentId = identity.agentId;
+      toll.agentVerified = identity.verified;
+    }
+    const failure = { ...event, kind, message: err.message, mode };
+
+    if (mode === 'open') {
+      _emit('error', { ...failure, outcome: 'pass' });
+      return _pass(toll);
+    }
+
+    if (mode === 'degraded') {
+      // Let established agents through while the toll is impaired
+      let score = trustScore;
+      if (typeof score !== 'number' && identity && kind !== 'trust') {
+        score = await _trustScore(identity).catch(() => null);
+      }
+      if (typeof score === 'number' && score >= degradedTrustAbove) {
+        toll.degraded = true;
+        _emit('error', { ...failure, outcome: 'degraded' });
+        return _pass(toll);
+      }
+    }
+
+    _emit('error', { ...failure, outcome: 'blocked' });
+
+    if (kind === 'macaroon') {
+      return _respond(401, { error: 'Invalid L402 credentials', detail: err.message });
+    }
+    return _unavailable(err);
+  }
+
+  /**
+   * 503 decision for a toll that can't currently be collected.
+   * @private
+   */
+  function _unavailable(err) {
+    const kind = err instanceof TollError ? err.kind : 'internal';
+    const retryAfterMs = kind === 'wallet' && breaker ? breaker.retryAfterMs() : 0;
+    return _respond(503, {
+      error: 'Toll temporarily unavailable',
+      code: `${kind}_unavailable`,
+      detail: err.message,
+    }, {
+      'Retry-After': String(Math.max(1, Math.ceil(retryAfterMs / 1000))),
+    });
+  }
+
+  /**
+   * Macaroon format for a new credential: the client's X-Toll-Macaroon
+   * preference if it names a known format, else the configured one.
+   * @private
+   */
+  function _macaroonFormat(req) {
+    const wanted = String(req.headers['x-toll-macaroon'] || '').toLowerCase();
+    return MACAROON_FORMATS.includes(wanted) ? wanted : macaroonFormat;
+  }
+
+  /**
+   * Decode an L402 header and check the preimage against the macaroon id.
+   * @private
+   */
+  function _parseL402(authHeader) {
+    const parts = authHeader.replace(/^l402\s+/i, '').split(':');
+    if (parts.length !== 2) {
+      return { valid: false, error: 'Invalid L402 format. Expected: L402 <macaroon>:<preimage>' };
+    }
+
+    const [encodedMacaroon, preimage] = parts;
+    const macaroon = decodeMacaroon(encodedMacaroon);
+    if (!macaroon || typeof macaroon.id !== 'string' || !Array.isArray(macaroon.caveats)
+        || typeof macaroon.signature !== 'string') {
+      throw new TollError('Invalid macaroon encoding', 'macaroon');
+    }
+    if (macaroon.format !== 'v2' && !acceptLegacyMacaroons) {
+      return { valid: false, error: 'Legacy macaroon format no longer accepted; request a new invoice' };
+    }
+
+    // Verify preimage → payment hash
+    if (!wallet.verifyPreimage(preimage, macaroon.id)) {
+      return { valid: false, error: 'Preimage does not match payment hash' };
+    }
+
+    return { valid: true, macaroon };
+  }
+
+  /**
+   * Verify a macaroon with the key named by its key_id caveat. Macaroons
+   * minted before the keyring have no key_id; any accepted key may match.
+   * @private
+   */
+  async function _verifyMacaroon(macaroon, context) {
+    const keyId = getCaveat(macaroon, 'key_id');
+    const keys = await keyring.verificationKeys(keyId);
+    if (keys.length === 0) {
+      return { valid: false, error: keyId ? `Signing key ${keyId} unknown or retired` : 'No signing keys' };
+    }
+    let verification;
+    for (const key of keys) {
+      verification = verifyMacaroon(key.secret, macaroon, context, { registry: caveats });
+      if (verification.error !== 'Invalid signature') break;
+    }
+    return verification;
+  }
+
+  /**
+   * Verify a balance credential and credit its top-up (once). Only the
+   * issuer can write a type caveat (see macaroon.cjs), so toll credentials
+   * can't be passed off as top-ups.
+   * @private
+   */
+  async function _creditTopup(macaroon, req, agentId, event) {
+    if (getCaveat(macaroon, 'type') !== 'balance') {
+      return { valid: false, error: 'Not a balance credential' };
+    }
+    const verification = await _verifyMacaroon(macaroon, { agentId, type: 'balance', request: req });
+    if (!verification.valid) return verification;
+
+    const amount = parseInt(getCaveat(macaroon, 'amount'), 10) || 0;
+    const expiresAt = parseInt(getCaveat(macaroon, 'expires_at'), 10) * 1000;
+    const { credited, balance } = await ledger.credit(agentId, amount, { ref: macaroon.id, expiresAt });
+    if (quoteCache) await quoteCache.settle(macaroon.id);
+    if (credited) {
+      _emit('payment.verified', { ...event, sats: amount, paymentHash: macaroon.id, via: 'topup', balance });
+    }
+    return { valid: true, credited, amount };
+  }
+
+  /**
+   * Debit a tolled action from a prepaid balance.
+   * @private
+   */
+  async function _redeemBalance(macaroon, req, opts, identity) {
+    if (!ledger) {
+      return { valid: false, error: 'Prepaid balances are not enabled' };
+    }
+    const { agentId } = identity;
+
+    const credit = await _creditTopup(macaroon, req, agentId, _event(req, _contextId(req, opts), identity));
+    if (!credit.valid) return credit;
+
+    const contextId = _contextId(req, opts);
+    const trustScore = await _trustScore(identity);
+    const { sats, breakdown } = await pricing.calculate({ agentId, contextId, trustScore, dryRun: true, moderateAs: _moderateAs(identity) });
+
+    let balance;
+    if (sats > 0) {
+      const debit = await ledger.debit(agentId, sats);
+      if (!debit.ok) {
+        return { valid: false, status: 402, error: 'Insufficient balance', balance: debit.balance, amountSats: sats };
+      }
+      balance = debit.balance;
+    } else {
+      balance = (await ledger.balance(agentId)).balance;
+    }
+
+    // Record the action in pricing engine (for progressive pricing)
+    await pricing.calculate({ agentId, contextId, dryRun: false });
+
+    return { valid: true, paymentHash: macaroon.id, balance, sats, breakdown };
+  }
+
+  /**
+   * Verify an L402 authorization header.
+   * @private
+   */
+  async function _verifyL402(authHeader, req, opts, identity) {
+    const { agentId } = identity;
+    const parsed = _parseL402(authHeader);
+    if (!parsed.valid) return parsed;
+    const { macaroon } = parsed;
+
+    // Balance credentials pay from the prepaid ledger instead
+    if (getCaveat(macaroon, 'type') === 'balance') {
+      return _redeemBalance(macaroon, req, opts, identity);
+    }
+
+    // Verify macaroon signature and caveats
+    const contextId = _contextId(req, opts);
+    const used = await spentStore.uses(macaroon.id);
+
+    const verification = await _verifyMacaroon(macaroon, {
+      endpoint: req.url,
+      method: req.method,
+      contextId,
+      agentId,
+      actionsUsed: used,
+      // Custom caveats may depend on trust (e.g. min_trust); built-ins don't
+      trustScore: caveats.hasCustom() ? await _trustScore(identity) : undefined,
+      request: req,
+    });
+
+    if (!verification.valid) {
+      return verification;
+    }
+
+    // Replay protection — each paid credential authorizes max_actions actions
+    // (default 1). The issuer's value sets the price per action; a holder
+    // may have appended a lower limit before delegating it, but can't add
+    // one to a credential the issuer sold for a single action.
+    const issued = getIssuedCaveat(macaroon, 'max_actions');
+    const limits = getCaveats(macaroon, 'max_actions');
+    if (issued === null && limits.length > 0) {
+      return { valid: false, error: 'max_actions caveat not set by the issuer' };
+    }
+    const issuedActions = parseInt(issued, 10) || 1;
+    const maxActions = Math.min(issuedActions, ...limits.map(v => parseInt(v, 10) || issuedActions));
+    const spentError = maxActions > 1 ? `Credential used for all ${maxActions} actions` : 'Credential already spent';
+    if (used >= maxActions) {
+      return { valid: false, error: spentError };
+    }
+
+    // Spend the use before recording activity, so a replayed or concurrent
+    // credential that is turned away never moves the agent's slot
+    const expiresAt = parseInt(getCaveat(macaroon, 'expires_at'), 10) || undefined;
+    const spend = await spentStore.consume(macaroon.id, { maxUses: maxActions, expiresAt });
+    if (!spend.ok) {
+      return { valid: false, error: spentError };
+    }
+    if (quoteCache) await quoteCache.settle(macaroon.id);
+
+    // Hold the agent to the progressive slot it paid for. Credentials
+    // issued before amount/seq caveats existed are recorded as before.
+    const seq = parseInt(getCaveat(macaroon, 'seq'), 10);
+    const amount = parseInt(getCaveat(macaroon, 'amount'), 10);
+    const slotBound = Number.isInteger(seq) && Number.isInteger(amount);
+    const paidSats = Number.isInteger(amount) ? Math.floor(amount / issuedActions) : undefined;
+    let redemption = null;
+    if (slotBound) {
+      redemption = await pricing.redeem({
+        agentId,
+        contextId,
+        trustScore: await _trustScore(identity),
+        seq,
+        paidSats: amount,
+        actions: issuedActions,
+        use: spend.uses - 1,
+        moderateAs: _moderateAs(identity),
+      });
+      if (!redemption.ok) {
+        return {
+          valid: false,
+          status: 402,
+          code: 'price_changed',
+          error: `Price changed: paid ${redemption.paidSats} sats, this action now costs ${redemption.sats}`,
+        };
+      }
+    }
+
+    // Record the action in pricing engine (for progressive pricing)
+    if (!slotBound) await pricing.calculate({ agentId, contextId, dryRun: false });
+
+    return {
+      valid: true,
+      paymentHash: macaroon.id,
+      maxActions,
+      remaining: spend.remaining,
+      sats: paidSats,
+      breakdown: redemption ? redemption.breakdown : undefined,
+    };
+  }
+
+  /**
+   * Number of actions the client asked to buy, capped at the route's offer.
+   * @private
+   */
+  function _requestedBundle(req, opts) {
+    if (!(opts.bundle > 1)) return 1;
+    const requested = parseInt(req.headers['x-toll-bundle'], 10);
+    if (!(requested > 1)) return 1;
+    return Math.min(requested, opts.bundle);
+  }
+
+  /**
+   * Work out who is making the request.
+   *
+   * A valid NIP-98 event (in `Authorization: Nostr ...`, or in
+   * `X-Nostr-Authorization` when Authorization carries L402) proves the
+   * pubkey. Unsigned claims from agentFrom / X-Agent-Id are priced as
+   * anonymous unless trustUnsignedAgents is set.
+   * @private
+   */
+  function _identify(req, opts) {
+    const claimed = _extract(req, opts.agentFrom) || req.headers['x-agent-id'] || null;
+    const authHeader = req.headers.authorization || '';
+    const nostrHeader = /^nostr\s+/i.test(authHeader) ? authHeader : req.headers['x-nostr-authorization'];
+
+    if (nostrHeader) {
+      const result = verifyNip98(nostrHeader, {
+        url: _requestUrl(req),
+        method: req.method,
+        body: _rawBody(req),
+        windowSecs: nip98WindowSecs,
+      });
+      if (!result.valid) return { error: result.error };
+      if (claimed && claimed !== result.pubkey) {
+        return { error: 'Agent claim does not match signed pubkey' };
+      }
+      return { agentId: result.pubkey, verified: true, trusted: true };
+    }
+
+    if (claimed && trustUnsignedAgents) {
+      return { agentId: claimed, verified: false, trusted: true };
+    }
+    return { agentId: 'anonymous', verified: false, trusted: false };
+  }
+
+  /**
+   * Absolute URL of the request, for NIP-98 `u` tag checks. Without
+   * baseUrl it's the request's protocol and Host, or the X-Forwarded-Proto
+   * and X-Forwarded-Host headers with trustProxy.
+   * @private
+   */
+  function _requestUrl(req) {
+    if (config.baseUrl) return new URL(req.url, config.baseUrl).href;
+
+    // X-Forwarded-* come from the client unless a proxy we trust overwrites them
+    const forwarded = (name) => (trustProxy && (req.headers[name] || '').split(',')[0].trim()) || null;
+    const proto = forwarded('x-forwarded-proto') || req.protocol || 'http';
+    const host = forwarded('x-forwarded-host') || req.headers.host || 'localhost';
+    return `${proto}://${host}${req.url}`;
+  }
+
+  return Object.assign(core, {
+    handle,
+    topup,
+    balance,
+    getBalance,
+    pricing,
+    trust,
+    wallet,
+    spentStore,
+    ledger,
+    quoteCache,
+    breaker,
+    webhooks,
+    metrics,
+    payments,
+    reputation,
+    keyring,
+    caveats,
+    flag,
+    ban,
+    unban,
+    pardon,
+    async stats() {
+      const stats = {
+        pricing: await pricing.stats(),
+        trust: trust.stats(),
+        wallet: wallet.stats(),
+      };
+      if (ledger && ledger.stats) stats.balance = await ledger.stats();
+      if (quoteCache && quoteCache.stats) stats.quotes = await quoteCache.stats();
+      if (breaker) stats.breaker = breaker.stats();
+      if (webhooks) stats.webhooks = webhooks.stats();
+      if (reputation) stats.reputation = reputation.stats();
+      return stats;
+    },
+    async cleanup() {
+      await pricing.cleanup();
+      await spentStore.cleanup();
+      wallet.cleanup(invoiceTtlSecs * 1000);
+      if (ledger) await ledger.cleanup();
+      if (quoteCache) await quoteCache.cleanup();
+    },
+    close() {
+      if (webhooks) webhooks.close();
+      trust.persist().catch(err => console.error('discourse-toll trust cache not saved:', err.message));
+      return wallet.close();
+    },
+  });
+}
+
+/** @private */
+function _elapsedSecs(started) {
+  return Number(process.hrtime.bigint() - started) / 1e9;
+}
+
+/** @private */
+function _pass(toll, headers = {}) {
+  return { pass: true, headers, toll };
+}
+
+/** @private */
+function _respond(status, body, headers = {}) {
+  return { pass: false, status, headers, body };
+}
+
+/**
+ * Fill in defaults so adapters can leave out what their framework lacks.
+ * @private
+ */
+function _normalize(request) {
+  return {
+    ...request,
+    method: (request.method || 'GET').toUpperCase(),
+    url: request.url || '/',
+    headers: request.headers || {},
+    params: request.params || {},
+    query: request.query || {},
+  };
+}
+
+/**
+ * Context ID for a request: contextFrom, else the threadId/postId route param.
+ * @private
+ */
+function _contextId(req, opts) {
+  return _extract(req, opts.contextFrom) || req.params.threadId || req.params.postId || 'default';
+}
+
+/**
+ * Raw request body for NIP-98 payload hashes. Prefers rawBody (set it in
+ * your body parser's verify hook); falls back to re-serializing JSON.
+ * @private
+ */
+function _rawBody(req) {
+  if (req.rawBody) return req.rawBody;
+  if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) return req.body;
+  if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) {
+    return JSON.stringify(req.body);
+  }
+  return '';
+}
+
+/**
+ * Extract a value from the request using a dot-path.
+ * @private
+ */
+function _extract(req, path) {
+  if (!path) return null;
+  return path.split('.').reduce((obj, key) => obj && obj[key], req);
+}
+
+/**
+ * Normalize the failureMode option into a mode per failure cause.
+ * Trust failures default to pricing without a discount, and unreadable
+ * credentials default to a 401, whatever the overall mode.
+ * @private
+ */
+function _failureModes(option = 'open') {
+  const modes = ['open', 'closed', 'degraded'];
+  const spec = typeof option === 'string' ? { default: option } : option;
+  const fallback = spec.default || 'open';
+  const result = {
+    wallet: spec.wallet || fallback,
+    trust: spec.trust || 'open',
+    macaroon: spec.macaroon || 'closed',
+    internal: spec.internal || fallback,
+  };
+  for (const [kind, mode] of Object.entries(result)) {
+    if (!modes.includes(mode)) {
+      throw new Error(`discourse-toll: invalid failureMode for ${kind}: ${mode}`);
+    }
+  }
+  return result;
+}
+
+module.exports = { createTollCore };
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Error type for toll failures, tagged with where they came from so the
+ * middleware can apply the matching failure policy.
+ *
+ * kinds: 'wallet' (invoice creation), 'trust' (score lookup),
+ *        'macaroon' (unparseable credentials), 'internal' (anything else)
+ */
+class TollError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [kind='internal'] - Failure source
+   * @param {Error} [cause] - Underlying error
+   */
+  constructor(message, kind = 'internal', cause) {
+    super(message);
+    this.name = 'TollError';
+    this.kind = kind;
+    if (cause) this.cause = cause;
+  }
+}
+
+module.exports = { TollError };
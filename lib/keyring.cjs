@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * Macaroon signing keys with rotation.
+ *
+ * A keyring holds several secrets, each with an id. New macaroons are
+ * signed with the active key and carry its id in a `key_id` caveat; older
+ * keys keep verifying the macaroons they signed until their retirement
+ * date, so rotating never strands paid-for credentials.
+ *
+ * Keys are { id, secret, createdAt?, activeFrom?, retiresAt?, active? }
+ * (times in unix ms or ISO strings). The active key is the one flagged
+ * `active`, else the last key whose activeFrom has passed. Keys can be
+ * given up front or loaded by a provider function (file, vault, ...),
+ * which is called again every `refreshMs`.
+ *
+ * Macaroons without a key_id (minted from a plain `secret` before the
+ * keyring) are checked against every key still accepted.
+ */
+
+const crypto = require('crypto');
+
+class Keyring {
+  /**
+   * @param {object} opts
+   * @param {object[]} [opts.keys] - Keys (see top of file)
+   * @param {Function} [opts.provider] - async () → keys; replaces opts.keys
+   * @param {number} [opts.refreshMs=60000] - How long provider results are used
+   */
+  constructor(opts = {}) {
+    if (!opts.provider && !(opts.keys && opts.keys.length)) {
+      throw new Error('Keyring: keys or provider is required');
+    }
+    this.provider = opts.provider || null;
+    this.refreshMs = opts.refreshMs ?? 60_000;
+    this._keys = opts.keys ? opts.keys.map(_normalizeKey) : [];
+    this._loadedAt = 0;
+    this._loading = null;
+  }
+
+  /**
+   * Keyring for a single secret, without key ids (the pre-keyring format).
+   * @param {string} secret
+   */
+  static fromSecret(secret) {
+    return new Keyring({ keys: [{ id: null, secret }] });
+  }
+
+  /** Same as generateKey(). */
+  static generateKey(opts) {
+    return generateKey(opts);
+  }
+
+  /**
+   * The key new macaroons are signed with.
+   * @returns {Promise<{ id: string|null, secret: string }>}
+   */
+  async signingKey() {
+    const now = Date.now();
+    const keys = (await this._load()).filter(k => _accepted(k, now) && !(k.activeFrom > now));
+    const key = keys.find(k => k.active) || keys[keys.length - 1];
+    if (!key) throw new Error('Keyring: no active key');
+    return key;
+  }
+
+  /**
+   * Keys a macaroon may have been signed with.
+   * @param {string|null} [id] - The macaroon's key_id; omitted → every accepted key
+   * @returns {Promise<Array<{ id: string|null, secret: string }>>}
+   */
+  async verificationKeys(id) {
+    const now = Date.now();
+    const keys = (await this._load()).filter(k => _accepted(k, now));
+    return id ? keys.filter(k => k.id === id) : keys;
+  }
+
+  /**
+   * Add a key and make it active. The previously active key retires after
+   * `graceSecs` (unless it retires sooner anyway). Static keyrings only.
+   * @param {object} [key] - Defaults to generateKey()
+   * @param {object} [opts]
+   * @param {number} [opts.graceSecs=2592000] - How long the old key keeps verifying (30 days)
+   * @returns {Promise<object>} The new key
+   */
+  async rotate(key = generateKey(), opts = {}) {
+    if (this.provider) throw new Error('Keyring: rotate keys in the provider\'s source instead');
+    if (!key.id) throw new Error('Keyring: rotated keys need an id');
+    if (this._keys.some(k => k.id === key.id)) throw new Error(`Keyring: duplicate key id ${key.id}`);
+
+    const previous = await this.signingKey();
+    const retiresAt = Date.now() + (opts.graceSecs ?? 30 * 86_400) * 1000;
+    previous.retiresAt = Math.min(previous.retiresAt || Infinity, retiresAt);
+    for (const k of this._keys) k.active = false;
+    const added = _normalizeKey({ ...key, active: true });
+    this._keys.push(added);
+    return added;
+  }
+
+  /**
+   * Stop accepting a key.
+   * @param {string} id
+   * @param {number} [at=Date.now()] - Retirement time (unix ms)
+   * @returns {boolean} Whether the key exists
+   */
+  retire(id, at = Date.now()) {
+    const key = this._keys.find(k => k.id === id);
+    if (!key) return false;
+    key.retiresAt = at;
+    return true;
+  }
+
+  /**
+   * Keys without their secrets, for display.
+   * @returns {Promise<Array<{ id, active, createdAt, activeFrom, retiresAt, retired }>>}
+   */
+  async list() {
+    const active = await this.signingKey().catch(() => null);
+    const now = Date.now();
+    return (await this._load()).map(k => ({
+      id: k.id,
+      active: k === active,
+      createdAt: k.createdAt || null,
+      activeFrom: k.activeFrom || null,
+      retiresAt: k.retiresAt || null,
+      retired: !_accepted(k, now),
+    }));
+  }
+
+  /**
+   * Reload keys from the provider now.
+   */
+  async refresh() {
+    this._loadedAt = 0;
+    await this._load();
+  }
+
+  /**
+   * Current keys, reloading from the provider when stale. A failing
+   * provider keeps the last keys it returned.
+   * @private
+   */
+  async _load() {
+    if (!this.provider || Date.now() - this._loadedAt < this.refreshMs) return this._keys;
+    if (!this._loading) {
+      this._loading = (async () => {
+        try {
+          const keys = await this.provider();
+          if (!Array.isArray(keys) || keys.length === 0) throw new Error('provider returned no keys');
+          this._keys = keys.map(_normalizeKey);
+          this._loadedAt = Date.now();
+        } catch (err) {
+          if (this._keys.length === 0) throw new Error(`Keyring: ${err.message}`);
+          console.error('discourse-toll keyring refresh failed, keeping previous keys:', err.message);
+          this._loadedAt = Date.now();
+        } finally {
+          this._loading = null;
+        }
+      })();
+    }
+    await this._loading;
+    return this._keys;
+  }
+}
+
+/**
+ * Generate a new random key.
+ * @param {object} [opts]
+ * @param {string} [opts.id] - Defaults to 8 random hex chars
+ * @returns {{ id: string, secret: string, createdAt: number }}
+ */
+function generateKey(opts = {}) {
+  return {
+    id: opts.id || crypto.randomBytes(4).toString('hex'),
+    secret: crypto.randomBytes(32).toString('hex'),
+    createdAt: Date.now(),
+  };
+}
+
+/** @private */
+function _normalizeKey(key) {
+  if (!key || !key.secret) throw new Error('Keyring: every key needs a secret');
+  return {
+    ...key,
+    id: key.id === undefined ? null : key.id === null ? null : String(key.id),
+    createdAt: _time(key.createdAt),
+    activeFrom: _time(key.activeFrom),
+    retiresAt: _time(key.retiresAt),
+  };
+}
+
+/** @private */
+function _time(value) {
+  if (value === undefined || value === null) return null;
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`Keyring: invalid time: ${value}`);
+  return ms;
+}
+
+/** @private */
+function _accepted(key, now) {
+  return !(key.retiresAt && key.retiresAt <= now);
+}
+
+module.exports = { Keyring, generateKey };
@@ -3,38 +3,95 @@
 /**
  * Macaroon implementation for L402 discourse tolls.
  * 
- * HMAC-SHA256 based. Caveats: expiry, endpoint, method, context, agent.
+ * HMAC-SHA256 based. Caveats: signing key id, expiry, endpoint, method,
+ * context, agent, max actions, credential type, paid amount and
+ * progressive slot (seq).
+ * `amount` and `seq` are checked against live activity by the toll core,
+ * not here.
+ *
+ * Two wire formats:
+ *
+ *   json  base64 of { id, caveats, signature } — this package's original
+ *         format, caveats written `key = value`.
+ *   v2    the standard binary macaroon serialization (libmacaroons,
+ *         go-macaroon, Aperture) with first-party `key=value` caveats and
+ *         the L402 identifier: uint16 version (0) | payment hash (32 bytes)
+ *         | token id (32 bytes). Signed like go-macaroon: the root key is
+ *         HMAC("macaroons-key-generator", secret).
+ *
+ * Decoded macaroons look the same either way ({ id: paymentHash, caveats,
+ * signature }, plus format/identifier/tokenId/location for v2), so callers
+ * never need to know which one an agent sent.
+ *
+ * What each caveat means is up to the caveat registry (caveats.cjs);
+ * applications can register their own.
+ *
+ * Anyone holding a macaroon can attenuate() it: append caveats and extend
+ * the HMAC chain from the current signature. Appended caveats can only
+ * narrow a credential: the earliest expires_at and smallest max_actions
+ * apply, and repeating any other caveat with a different value makes the
+ * macaroon invalid.
+ *
+ * key_id, type, amount and seq can't be appended at all. The issuer writes
+ * them first, at most once each, so verifyMacaroon() rejects a macaroon
+ * with a repeat or with one after any other caveat. The issuer's own
+ * max_actions follows them directly, ahead of expires_at, so
+ * getIssuedCaveat() can tell it from one a holder appended: a macaroon
+ * issued for a single action has none there, and any max_actions a holder
+ * adds to it is a claim the issuer never made.
  */
 
 const crypto = require('crypto');
+const { defaultCaveats } = require('./caveats.cjs');
+
+const L402_VERSION = 0;
+
+// Caveats a holder may append, by createMacaroon() option name
+const ATTENUABLE = ['expiresAt', 'endpoint', 'method', 'contextId', 'agentId', 'maxActions'];
+
+// Caveats whose repeats must agree (the rest are bounds: tightest wins)
+const EXACT_CAVEATS = ['key_id', 'endpoint', 'method', 'context', 'agent', 'type', 'amount', 'seq'];
+
+// Caveats only the issuer writes: once each, before all others
+const ISSUER_CAVEATS = ['key_id', 'type', 'amount', 'seq'];
+
+// Caveats the issuer writes ahead of everything a holder can append
+const ISSUER_PREFIX = [...ISSUER_CAVEATS, 'max_actions'];
+const KEY_GENERATOR = 'macaroons-key-generator';
+
+// V2 binary field types
+const FIELD_EOS = 0;
+const FIELD_LOCATION = 1;
+const FIELD_IDENTIFIER = 2;
+const FIELD_VID = 4;
+const FIELD_SIGNATURE = 6;
 
 /**
  * Create a macaroon with caveats.
  * @param {string} secret - HMAC secret (hex or utf8)
  * @param {string} paymentHash - Lightning payment hash (hex)
- * @param {object} caveats - Caveat key-value pairs
+ * @param {object} caveats - Caveat key-value pairs; `custom` holds registered caveats ({ name: value })
+ * @param {object} [opts]
+ * @param {'json'|'v2'} [opts.format='json'] - Wire format (see top of file)
+ * @param {string} [opts.location] - V2 location hint (e.g. the service URL)
+ * @param {string} [opts.tokenId] - V2 token id (32 bytes hex, random by default)
  * @returns {{ id: string, caveats: string[], signature: string }}
  */
-function createMacaroon(secret, paymentHash, caveats = {}) {
-  const caveatStrings = [];
-  
-  if (caveats.expiresAt) {
-    caveatStrings.push(`expires_at = ${caveats.expiresAt}`);
-  }
-  if (caveats.endpoint) {
-    caveatStrings.push(`endpoint = ${caveats.endpoint}`);
-  }
-  if (caveats.method) {
-    caveatStrings.push(`method = ${caveats.method}`);
-  }
-  if (caveats.contextId) {
-    caveatStrings.push(`context = ${caveats.contextId}`);
-  }
-  if (caveats.agentId) {
-    caveatStrings.push(`agent = ${caveats.agentId}`);
-  }
-  if (caveats.maxActions) {
-    caveatStrings.push(`max_actions = ${caveats.maxActions}`);
+function createMacaroon(secret, paymentHash, caveats = {}, opts = {}) {
+  const caveatStrings = _caveatStrings(caveats, opts.format);
+
+  if (opts.format === 'v2') {
+    const tokenId = opts.tokenId || crypto.randomBytes(32).toString('hex');
+    const identifier = encodeIdentifier(paymentHash, tokenId).toString('hex');
+    return {
+      format: 'v2',
+      location: opts.location || '',
+      id: paymentHash,
+      tokenId,
+      identifier,
+      caveats: caveatStrings,
+      signature: _signV2(secret, identifier, caveatStrings),
+    };
   }
 
   // Compute chained HMAC signature
@@ -50,93 +107,419 @@ function createMacaroon(secret, paymentHash, caveats = {}) {
   };
 }
 
+/**
+ * Narrow a macaroon without the root secret, e.g. before handing it to a
+ * sub-agent. The preimage stays the same.
+ *
+ * @param {object|string} macaroon - Macaroon, or encoded as in an L402 header
+ * @param {object} caveats - Any of { expiresAt, endpoint, method, contextId, agentId, maxActions }
+ * @returns {object|string} Attenuated macaroon, encoded if the input was
+ * @throws {Error} For other caveats, values that conflict with existing
+ *   ones, or more actions than the issuer granted
+ */
+function attenuate(macaroon, caveats = {}) {
+  const encoded = typeof macaroon === 'string';
+  const mac = encoded ? decodeMacaroon(macaroon) : macaroon;
+  if (!mac || !Array.isArray(mac.caveats) || typeof mac.signature !== 'string') {
+    throw new Error('attenuate: invalid macaroon');
+  }
+  for (const key of Object.keys(caveats)) {
+    if (!ATTENUABLE.includes(key)) throw new Error(`attenuate: cannot add a ${key} caveat`);
+  }
+  if (caveats.maxActions) {
+    // Narrowing only: the issuer's bundle size, which single-action macaroons lack
+    const issued = parseInt(getIssuedCaveat(mac, 'max_actions'), 10);
+    if (!issued) throw new Error('attenuate: max_actions needs a macaroon issued for several actions');
+    if (caveats.maxActions > issued) {
+      throw new Error(`attenuate: max_actions can only narrow the issued ${issued}`);
+    }
+  }
+
+  const added = _caveatStrings(caveats, mac.format);
+  const conflict = _conflict([...mac.caveats, ...added]);
+  if (conflict) throw new Error(`attenuate: ${conflict}`);
+
+  // Continue the signature chain from where it stopped
+  let sig = mac.signature;
+  for (const caveat of added) {
+    sig = mac.format === 'v2'
+      ? crypto.createHmac('sha256', Buffer.from(sig, 'hex')).update(caveat, 'utf8').digest('hex')
+      : hmac(sig, caveat);
+  }
+
+  const out = { ...mac, caveats: [...mac.caveats, ...added], signature: sig };
+  return encoded ? encodeMacaroon(out) : out;
+}
+
+/**
+ * Caveat strings for createMacaroon() options, in a fixed order.
+ * @private
+ */
+function _caveatStrings(caveats, format) {
+  const sep = format === 'v2' ? '=' : ' = ';
+  const caveatStrings = [];
+  
+  if (caveats.keyId) {
+    caveatStrings.push(`key_id${sep}${caveats.keyId}`);
+  }
+  if (caveats.type) {
+    caveatStrings.push(`type${sep}${caveats.type}`);
+  }
+  if (caveats.amount) {
+    caveatStrings.push(`amount${sep}${caveats.amount}`);
+  }
+  if (typeof caveats.seq === 'number') {
+    caveatStrings.push(`seq${sep}${caveats.seq}`);
+  }
+  if (caveats.maxActions) {
+    caveatStrings.push(`max_actions${sep}${caveats.maxActions}`);
+  }
+  if (caveats.expiresAt) {
+    caveatStrings.push(`expires_at${sep}${caveats.expiresAt}`);
+  }
+  if (caveats.endpoint) {
+    caveatStrings.push(`endpoint${sep}${caveats.endpoint}`);
+  }
+  if (caveats.method) {
+    caveatStrings.push(`method${sep}${caveats.method}`);
+  }
+  if (caveats.contextId) {
+    caveatStrings.push(`context${sep}${caveats.contextId}`);
+  }
+  if (caveats.agentId) {
+    caveatStrings.push(`agent${sep}${caveats.agentId}`);
+  }
+  for (const [key, value] of Object.entries(caveats.custom || {})) {
+    caveatStrings.push(`${key}${sep}${value}`);
+  }
+  return caveatStrings;
+}
+
 /**
  * Verify a macaroon.
  * @param {string} secret - HMAC secret
  * @param {{ id: string, caveats: string[], signature: string }} macaroon
  * @param {object} context - Current request context for caveat validation
+ * @param {object} [opts]
+ * @param {CaveatRegistry} [opts.registry] - Caveat verifiers (see caveats.cjs)
+ * @param {boolean} [opts.strict] - Reject unknown caveats (defaults to the registry's setting)
  * @returns {{ valid: boolean, error?: string }}
  */
-function verifyMacaroon(secret, macaroon, context = {}) {
+function verifyMacaroon(secret, macaroon, context = {}, opts = {}) {
   // Recompute signature
-  let sig = hmac(secret, macaroon.id);
-  for (const caveat of macaroon.caveats) {
-    sig = hmac(sig, caveat);
+  let sig;
+  if (macaroon.format === 'v2') {
+    // id must be what the identifier says (null for non-L402 identifiers)
+    const parsed = decodeIdentifier(macaroon.identifier);
+    if ((parsed ? parsed.paymentHash : null) !== macaroon.id) {
+      return { valid: false, error: 'Invalid identifier' };
+    }
+    sig = _signV2(secret, macaroon.identifier, macaroon.caveats);
+  } else {
+    sig = hmac(secret, macaroon.id);
+    for (const caveat of macaroon.caveats) {
+      sig = hmac(sig, caveat);
+    }
   }
 
-  if (sig !== macaroon.signature) {
+  if (!_signatureEqual(sig, macaroon.signature)) {
     return { valid: false, error: 'Invalid signature' };
   }
 
+  const conflict = _conflict(macaroon.caveats);
+  if (conflict) return { valid: false, error: conflict };
+
   // Validate caveats
+  const registry = opts.registry || defaultCaveats;
   for (const caveat of macaroon.caveats) {
-    const [key, value] = caveat.split(' = ', 2);
-    
-    switch (key) {
-      case 'expires_at': {
-        const expiresAt = parseInt(value, 10);
-        if (Date.now() / 1000 > expiresAt) {
-          return { valid: false, error: 'Macaroon expired' };
-        }
-        break;
-      }
-      case 'endpoint': {
-        if (context.endpoint && context.endpoint !== value) {
-          return { valid: false, error: `Endpoint mismatch: expected ${value}` };
-        }
-        break;
-      }
-      case 'method': {
-        if (context.method && context.method.toUpperCase() !== value.toUpperCase()) {
-          return { valid: false, error: `Method mismatch: expected ${value}` };
-        }
-        break;
-      }
-      case 'context': {
-        if (context.contextId && context.contextId !== value) {
-          return { valid: false, error: `Context mismatch: expected ${value}` };
-        }
-        break;
-      }
-      case 'agent': {
-        if (context.agentId && context.agentId !== value) {
-          return { valid: false, error: `Agent mismatch: expected ${value}` };
-        }
-        break;
-      }
-      // Unknown caveats are ignored (forward-compatible)
-    }
+    const [key, value] = _splitCaveat(caveat);
+    const error = registry.check(key, value, context, { strict: opts.strict });
+    if (error) return { valid: false, error };
   }
 
   return { valid: true };
 }
 
 /**
- * Encode macaroon to base64.
+ * Read the value of a caveat from a macaroon. For key_id, type, amount and
+ * seq the first one is the issuer's; use getIssuedCaveat() for max_actions
+ * and getCaveats() for bounds a holder may have tightened.
+ * @param {{ caveats: string[] }} macaroon
+ * @param {string} key - Caveat key (e.g. 'expires_at')
+ * @returns {string|null} Value of the first matching caveat, or null
+ */
+function getCaveat(macaroon, key) {
+  for (const caveat of macaroon.caveats || []) {
+    const [k, value] = _splitCaveat(caveat);
+    if (k === key) return value;
+  }
+  return null;
+}
+
+/**
+ * Read a caveat only if the issuer wrote it: one in the run of issuer
+ * caveats createMacaroon() puts first. Only meaningful for macaroons with
+ * at least one caveat after that run, as the toll core always writes.
+ * @param {{ caveats: string[] }} macaroon
+ * @param {string} key - One of key_id, type, amount, seq, max_actions
+ * @returns {string|null}
+ */
+function getIssuedCaveat(macaroon, key) {
+  for (const caveat of macaroon.caveats || []) {
+    const [k, value] = _splitCaveat(caveat);
+    if (!ISSUER_PREFIX.includes(k)) return null;
+    if (k === key) return value;
+  }
+  return null;
+}
+
+/**
+ * Read every value of a caveat, in order.
+ * @param {{ caveats: string[] }} macaroon
+ * @param {string} key
+ * @returns {string[]}
+ */
+function getCaveats(macaroon, key) {
+  return (macaroon.caveats || [])
+    .map(_splitCaveat)
+    .filter(([k]) => k === key)
+    .map(([, value]) => value);
+}
+
+/**
+ * Encode macaroon to base64 (binary for v2, JSON otherwise).
  */
 function encodeMacaroon(macaroon) {
+  if (macaroon.format === 'v2') return encodeMacaroonV2(macaroon).toString('base64');
   return Buffer.from(JSON.stringify(macaroon)).toString('base64');
 }
 
 /**
- * Decode macaroon from base64.
+ * Decode macaroon from base64 (standard or URL-safe), in either format.
+ * V2 macaroons whose identifier isn't an L402 identifier decode with id null.
  */
 function decodeMacaroon(encoded) {
   try {
-    return JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'));
+    const buf = Buffer.from(encoded, 'base64');
+    if (buf[0] === 2) return decodeMacaroonV2(buf);
+    return JSON.parse(buf.toString('utf8'));
   } catch {
     return null;
   }
 }
 
 /**
- * HMAC-SHA256 helper.
+ * Serialize a v2 macaroon to the standard binary format.
+ * @param {{ location?: string, identifier: string, caveats: string[], signature: string }} macaroon
+ * @returns {Buffer}
  */
-function hmac(key, data) {
-  const keyBuf = typeof key === 'string' && /^[0-9a-f]{64}$/i.test(key)
+function encodeMacaroonV2(macaroon) {
+  const chunks = [Buffer.from([2])];
+  if (macaroon.location) chunks.push(_field(FIELD_LOCATION, Buffer.from(macaroon.location, 'utf8')));
+  chunks.push(_field(FIELD_IDENTIFIER, Buffer.from(macaroon.identifier, 'hex')), _varint(FIELD_EOS));
+  for (const caveat of macaroon.caveats) {
+    chunks.push(_field(FIELD_IDENTIFIER, Buffer.from(caveat, 'utf8')), _varint(FIELD_EOS));
+  }
+  chunks.push(_varint(FIELD_EOS), _field(FIELD_SIGNATURE, Buffer.from(macaroon.signature, 'hex')));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Parse a standard binary v2 macaroon. Third-party caveats (with a
+ * verification id) can't be discharged here and are rejected.
+ * @param {Buffer} buf
+ * @returns {object} Decoded macaroon (see top of file)
+ * @throws {Error} On malformed input
+ */
+function decodeMacaroonV2(buf) {
+  let pos = 0;
+  const readVarint = () => {
+    let value = 0;
+    for (let shift = 0; shift < 35; shift += 7) {
+      if (pos >= buf.length) throw new Error('Truncated macaroon');
+      const byte = buf[pos++];
+      value += (byte & 0x7f) * 2 ** shift;
+      if (!(byte & 0x80)) return value;
+    }
+    throw new Error('Varint too long');
+  };
+  // Fields of one section, up to its EOS
+  const readSection = () => {
+    const fields = {};
+    for (;;) {
+      const type = readVarint();
+      if (type === FIELD_EOS) return fields;
+      const length = readVarint();
+      if (pos + length > buf.length) throw new Error('Truncated macaroon');
+      if (fields[type] !== undefined) throw new Error(`Duplicate field ${type}`);
+      fields[type] = buf.subarray(pos, pos + length);
+      pos += length;
+    }
+  };
+
+  if (buf[pos++] !== 2) throw new Error('Not a v2 macaroon');
+  const header = readSection();
+  if (!header[FIELD_IDENTIFIER]) throw new Error('Macaroon identifier missing');
+
+  const caveats = [];
+  for (;;) {
+    const section = readSection();
+    if (Object.keys(section).length === 0) break; // EOS right after EOS ends the caveats
+    if (section[FIELD_VID]) throw new Error('Third-party caveats are not supported');
+    if (!section[FIELD_IDENTIFIER]) throw new Error('Caveat identifier missing');
+    caveats.push(section[FIELD_IDENTIFIER].toString('utf8'));
+  }
+
+  if (readVarint() !== FIELD_SIGNATURE) throw new Error('Macaroon signature missing');
+  const sigLength = readVarint();
+  if (sigLength !== 32 || pos + sigLength !== buf.length) throw new Error('Bad macaroon signature');
+  const signature = buf.subarray(pos, pos + sigLength).toString('hex');
+
+  const identifier = header[FIELD_IDENTIFIER].toString('hex');
+  const l402 = decodeIdentifier(identifier);
+  return {
+    format: 'v2',
+    location: header[FIELD_LOCATION] ? header[FIELD_LOCATION].toString('utf8') : '',
+    id: l402 ? l402.paymentHash : null,
+    tokenId: l402 ? l402.tokenId : null,
+    identifier,
+    caveats,
+    signature,
+  };
+}
+
+/**
+ * L402 macaroon identifier: version | payment hash | token id.
+ * @param {string} paymentHash - 32 bytes hex
+ * @param {string} tokenId - 32 bytes hex
+ * @returns {Buffer} 66 bytes
+ */
+function encodeIdentifier(paymentHash, tokenId) {
+  const hash = Buffer.from(paymentHash, 'hex');
+  const token = Buffer.from(tokenId, 'hex');
+  if (hash.length !== 32 || token.length !== 32) {
+    throw new Error('L402 identifiers need a 32-byte payment hash and token id');
+  }
+  const version = Buffer.alloc(2);
+  version.writeUInt16BE(L402_VERSION);
+  return Buffer.concat([version, hash, token]);
+}
+
+/**
+ * Parse an L402 identifier.
+ * @param {string|Buffer} identifier - Hex or raw bytes
+ * @returns {{ version: number, paymentHash: string, tokenId: string }|null} null if not L402
+ */
+function decodeIdentifier(identifier) {
+  const buf = Buffer.isBuffer(identifier) ? identifier : Buffer.from(String(identifier || ''), 'hex');
+  if (buf.length !== 66 || buf.readUInt16BE(0) !== L402_VERSION) return null;
+  return {
+    version: L402_VERSION,
+    paymentHash: buf.subarray(2, 34).toString('hex'),
+    tokenId: buf.subarray(34).toString('hex'),
+  };
+}
+
+/**
+ * go-macaroon signature chain over raw bytes; returns hex.
+ * @private
+ */
+function _signV2(secret, identifier, caveats) {
+  const rootKey = crypto.createHmac('sha256', KEY_GENERATOR).update(_keyBytes(secret)).digest();
+  let sig = crypto.createHmac('sha256', rootKey).update(Buffer.from(identifier, 'hex')).digest();
+  for (const caveat of caveats) {
+    sig = crypto.createHmac('sha256', sig).update(caveat, 'utf8').digest();
+  }
+  return sig.toString('hex');
+}
+
+/**
+ * Constant-time comparison of hex signatures.
+ * @private
+ */
+function _signatureEqual(expected, actual) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(actual || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * First exact caveat repeated with a different value, or issuer caveat
+ * repeated or out of place, as an error message.
+ * @private
+ */
+function _conflict(caveats) {
+  const seen = new Map();
+  let others = false;
+  for (const caveat of caveats) {
+    const [key, raw] = _splitCaveat(caveat);
+    if (ISSUER_CAVEATS.includes(key)) {
+      if (seen.has(key)) return `Repeated ${key} caveat`;
+      if (others) return `Caveat ${key} can only be set by the issuer`;
+    } else {
+      others = true;
+    }
+    if (!EXACT_CAVEATS.includes(key)) continue;
+    const value = key === 'method' ? String(raw).toUpperCase() : raw;
+    if (seen.has(key) && seen.get(key) !== value) {
+      return `Conflicting ${key} caveats: ${seen.get(key)} and ${value}`;
+    }
+    seen.set(key, value);
+  }
+  return null;
+}
+
+/**
+ * Split `key = value` (json) or `key=value` (v2) into [key, value].
+ * @private
+ */
+function _splitCaveat(caveat) {
+  const m = /^([^\s=]+) ?= ?([\s\S]*)$/.exec(caveat);
+  return m ? [m[1], m[2]] : [caveat, null];
+}
+
+/** @private */
+function _field(type, data) {
+  return Buffer.concat([_varint(type), _varint(data.length), data]);
+}
+
+/** @private */
+function _varint(n) {
+  const bytes = [];
+  while (n >= 0x80) {
+    bytes.push((n & 0x7f) | 0x80);
+    n = Math.floor(n / 128);
+  }
+  bytes.push(n);
+  return Buffer.from(bytes);
+}
+
+/** @private */
+function _keyBytes(key) {
+  return typeof key === 'string' && /^[0-9a-f]{64}$/i.test(key)
     ? Buffer.from(key, 'hex')
     : Buffer.from(key, 'utf8');
-  return crypto.createHmac('sha256', keyBuf).update(data).digest('hex');
 }
 
-module.exports = { createMacaroon, verifyMacaroon, encodeMacaroon, decodeMacaroon, hmac };
+/**
+ * HMAC-SHA256 helper.
+ */
+function hmac(key, data) {
+  return crypto.createHmac('sha256', _keyBytes(key)).update(data).digest('hex');
+}
+
+module.exports = {
+  createMacaroon,
+  verifyMacaroon,
+  encodeMacaroon,
+  decodeMacaroon,
+  encodeMacaroonV2,
+  decodeMacaroonV2,
+  encodeIdentifier,
+  decodeIdentifier,
+  attenuate,
+  getCaveat,
+  getCaveats,
+  getIssuedCaveat,
+  hmac,
+};
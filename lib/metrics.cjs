@@ -0,0 +1,252 @@
+'use strict';
+
+/**
+ * Prometheus metrics for a toll.
+ *
+ * Counts lifecycle events (see core.cjs), times trust lookups and invoice
+ * creation, and reads gauges from the toll's stats() at scrape time. The
+ * output is Prometheus text exposition format (version 0.0.4):
+ *
+ *   app.get('/metrics', toll.metrics.handler());
+ *
+ * Route-labelled series all go under route="default" unless `route` maps
+ * events to a bounded set of labels; raw request paths would make one
+ * series per ID in paths like /threads/123/comments.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const PRICE_BUCKETS = [0, 1, 2, 5, 10, 20, 50, 100, 500, 1000];
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+class TollMetrics {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.prefix='discourse_toll_'] - Metric name prefix
+   * @param {Function} [opts.route] - (event) → route label; defaults to 'default'
+   * @param {number[]} [opts.priceBuckets] - Histogram buckets for prices (sats)
+   * @param {number[]} [opts.latencyBuckets] - Histogram buckets for latencies (seconds)
+   */
+  constructor(opts = {}) {
+    this.prefix = opts.prefix ?? 'discourse_toll_';
+    this._route = opts.route || (() => 'default');
+    this._source = null;
+    this._detach = null;
+
+    const p = this.prefix;
+    this._counters = {
+      quotes: new Counter(`${p}quotes_total`, '402 responses issued with an invoice'),
+      payments: new Counter(`${p}payments_verified_total`, 'Payments verified'),
+      freePasses: new Counter(`${p}free_passes_total`, 'Requests let through free on trust'),
+      rejections: new Counter(`${p}rejections_total`, 'Requests rejected, by reason'),
+      sats: new Counter(`${p}sats_earned_total`, 'Sats charged for tolled requests'),
+      topupSats: new Counter(`${p}topup_sats_total`, 'Sats credited to prepaid balances'),
+      errors: new Counter(`${p}errors_total`, 'Failures handled by the failure policy'),
+    };
+    this._histograms = {
+      price: new Histogram(`${p}price_sats`, 'Quoted prices', opts.priceBuckets || PRICE_BUCKETS),
+      trust: new Histogram(`${p}trust_lookup_seconds`, 'Trust score lookup latency', opts.latencyBuckets || LATENCY_BUCKETS),
+      invoice: new Histogram(`${p}invoice_creation_seconds`, 'Invoice creation latency', opts.latencyBuckets || LATENCY_BUCKETS),
+    };
+  }
+
+  /**
+   * Count a toll's events and read its gauges.
+   * @param {EventEmitter} toll - Toll core or middleware (anything with on/off and stats)
+   * @returns {Function} Detach
+   */
+  attach(toll) {
+    const c = this._counters;
+    const listeners = {
+      'quote': (e) => {
+        c.quotes.inc({ route: this._route(e) });
+        this._histograms.price.observe(e.sats, {});
+      },
+      'payment.verified': (e) => {
+        c.payments.inc({ route: this._route(e), via: e.via });
+        // Credentials minted before the amount caveat don't say what was paid
+        if (!Number.isFinite(e.sats)) return;
+        if (e.via === 'topup') c.topupSats.inc({}, e.sats);
+        else c.sats.inc({ route: this._route(e) }, e.sats);
+      },
+      'free_pass': (e) => c.freePasses.inc({ route: this._route(e) }),
+      'rejected': (e) => c.rejections.inc({ code: e.code, status: e.status }),
+      'error': (e) => c.errors.inc({ kind: e.kind, outcome: e.outcome }),
+    };
+    for (const [type, listener] of Object.entries(listeners)) toll.on(type, listener);
+
+    this._source = toll;
+    this._detach = () => {
+      for (const [type, listener] of Object.entries(listeners)) toll.off(type, listener);
+      if (this._source === toll) this._source = null;
+    };
+    return this._detach;
+  }
+
+  /**
+   * Record how long an operation took.
+   * @param {'trust'|'invoice'} name
+   * @param {number} seconds
+   */
+  timing(name, seconds) {
+    const histogram = this._histograms[name];
+    if (histogram) histogram.observe(seconds, {});
+  }
+
+  /**
+   * Render all metrics in Prometheus text format.
+   * @returns {Promise<string>}
+   */
+  async render() {
+    const lines = [];
+    for (const metric of [...Object.values(this._counters), ...Object.values(this._histograms)]) {
+      lines.push(...metric.render());
+    }
+    for (const gauge of await this._gauges()) lines.push(...gauge.render());
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Express / Node http handler for a /metrics route.
+   * @returns {Function} (req, res)
+   */
+  handler() {
+    return async (req, res) => {
+      let body;
+      try {
+        body = await this.render();
+      } catch (err) {
+        res.statusCode = 500;
+        res.setHeader('Content-Type', 'text/plain');
+        res.end(`# metrics unavailable: ${err.message}\n`);
+        return;
+      }
+      res.statusCode = 200;
+      res.setHeader('Content-Type', CONTENT_TYPE);
+      res.end(body);
+    };
+  }
+
+  /**
+   * Zero every counter and histogram.
+   */
+  reset() {
+    for (const metric of [...Object.values(this._counters), ...Object.values(this._histograms)]) {
+      metric.reset();
+    }
+  }
+
+  /**
+   * Gauges from the attached toll's stats.
+   * @private
+   */
+  async _gauges() {
+    if (!this._source || !this._source.stats) return [];
+    const stats = await this._source.stats();
+    const p = this.prefix;
+    const gauges = [
+      new Gauge(`${p}tracked_contexts`, 'Contexts with recorded activity', stats.pricing.contexts),
+      new Gauge(`${p}tracked_agents`, 'Agents with recorded activity', stats.pricing.agents),
+      new Gauge(`${p}trust_cache_size`, 'Cached trust scores', stats.trust.cacheSize),
+    ];
+    // Custom wallets don't report their invoices, so a 0 would mislead
+    if (stats.wallet.tracked) gauges.push(new Gauge(`${p}pending_invoices`, 'Invoices created and not yet paid', stats.wallet.pending));
+    if (stats.quotes) gauges.push(new Gauge(`${p}pending_quotes`, 'Reusable unpaid quotes', stats.quotes.pending));
+    if (stats.breaker) {
+      gauges.push(new Gauge(`${p}wallet_circuit_open`, 'Wallet circuit breaker open (1) or not (0)', stats.breaker.state === 'closed' ? 0 : 1));
+    }
+    if (stats.webhooks) gauges.push(new Gauge(`${p}webhook_deliveries_pending`, 'Webhook deliveries in flight', stats.webhooks.pending));
+    return gauges;
+  }
+}
+
+/** @private */
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this._values = new Map(); // label string → value
+  }
+
+  inc(labels, by = 1) {
+    const key = _labels(labels);
+    this._values.set(key, (this._values.get(key) || 0) + by);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const [labels, value] of this._values) lines.push(`${this.name}${labels} ${value}`);
+    return lines;
+  }
+
+  reset() {
+    this._values.clear();
+  }
+}
+
+/** @private */
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this._series = new Map(); // label string → { labels, counts, sum, count }
+  }
+
+  observe(value, labels) {
+    const key = _labels(labels);
+    let series = this._series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this._series.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const [key, series] of this._series) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${_labels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${_labels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${key} ${series.sum}`);
+      lines.push(`${this.name}_count${key} ${series.count}`);
+    }
+    return lines;
+  }
+
+  reset() {
+    this._series.clear();
+  }
+}
+
+/** @private */
+class Gauge {
+  constructor(name, help, value) {
+    this.name = name;
+    this.help = help;
+    this.value = value || 0;
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`, `${this.name} ${this.value}`];
+  }
+}
+
+/**
+ * `{a="1",b="2"}` with values escaped, or '' without labels.
+ * @private
+ */
+function _labels(labels) {
+  const parts = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+module.exports = { TollMetrics, CONTENT_TYPE };
@@ -1,7 +1,7 @@
 'use strict';
 
 /**
- * Express middleware for L402 discourse tolls.
+ * L402 discourse tolls for Express and other frameworks.
  * 
  * Usage:
  *   const { discourseToll } = require('discourse-toll');
@@ -9,44 +9,53 @@
  *   
  *   app.post('/comments', toll(), (req, res) => { ... });
  *   app.post('/comments', toll({ contextFrom: 'body.threadId' }), (req, res) => { ... });
+ *
+ *   fastify.post('/comments', { preHandler: toll.fastify() }, handler);
+ *   router.post('/comments', toll.koa(), handler);
+ *   hono.post('/comments', toll.hono(), handler);
  */
 
-const { PricingEngine } = require('./pricing.cjs');
-const { TrustResolver } = require('./trust.cjs');
-const { WalletProvider } = require('./wallet.cjs');
-const { createMacaroon, verifyMacaroon, encodeMacaroon, decodeMacaroon } = require('./macaroon.cjs');
+const { createTollCore } = require('./core.cjs');
+const adapters = require('./adapters.cjs');
+const { createAdminHandler } = require('./admin.cjs');
+
+const FRAMEWORKS = ['express', 'fastify', 'koa', 'hono', 'fetch', 'node'];
+const EMITTER_METHODS = ['on', 'once', 'off', 'addListener', 'prependListener', 'removeListener', 'removeAllListeners', 'listenerCount', 'emit'];
 
 /**
  * Create a discourse toll instance.
  * 
  * @param {object} config
- * @param {string} config.secret - HMAC secret for macaroons
+ * @param {string} [config.secret] - HMAC secret for macaroons (required without keyring)
+ * @param {object} [config.keyring] - Rotating signing keys: { keys, provider, refreshMs } or a Keyring
+ * @param {object} [config.caveats] - Custom caveats: { strict, custom: { name: { verify, mint } } } or a CaveatRegistry
  * @param {string} [config.nwcUrl] - NWC connection string for Lightning invoices
  * @param {object} [config.wallet] - Custom wallet: { createInvoice, lookupInvoice }
  * @param {object} [config.pricing] - Pricing config (see PricingEngine)
  * @param {object} [config.trust] - Trust resolver config (see TrustResolver)
+ * @param {object} [config.spentStore] - Spent-credential store (see MemorySpentStore)
  * @param {number} [config.invoiceTtlSecs=600] - Invoice/macaroon TTL (10 min default)
+ * @param {string} [config.baseUrl] - Public origin used to check NIP-98 URLs (e.g. 'https://forum.example')
+ * @param {boolean} [config.trustProxy=false] - Without baseUrl, build NIP-98 URLs from X-Forwarded-Proto/-Host (only behind a proxy that sets them)
+ * @param {object} [config.nip98] - NIP-98 options: { windowSecs = 60 }
+ * @param {boolean} [config.trustUnsignedAgents=false] - Price unsigned agent claims as that agent (legacy behaviour)
+ * @param {boolean} [config.explainTrust=false] - Include how the agent's trust score came about in 402 pricing
+ * @param {number} [config.trustTimeoutMs=3000] - How long a request waits for a trust lookup
+ * @param {object|boolean} [config.balance] - Enable prepaid balances: { ledger, minTopupSats, maxTopupSats, ttlSecs, topupUrl }
+ * @param {object} [config.macaroons] - Credential format: { format: 'json' | 'v2', acceptLegacy = true, location }
+ * @param {object|boolean} [config.quotes] - Pending-quote reuse: { cache, maxOutstanding = 20, minRemainingSecs = 60, anonymousOwner }, or false
+ * @param {object} [config.webhooks] - POST signed events: { endpoints, secret, events, retries, backoffMs, timeoutMs, deadLetter } or a WebhookDispatcher
+ * @param {object|boolean} [config.payments] - Payment ledger: true, { store, path } or a PaymentLedger
+ * @param {object|boolean} [config.reputation] - Local reputation fed by verified payments: true, options or a LocalReputation
+ * @param {object|boolean} [config.metrics] - Prometheus metrics: true, { prefix, route, priceBuckets, latencyBuckets } or a TollMetrics
+ * @param {string|object} [config.failureMode='open'] - 'open', 'closed' or 'degraded', or per cause: { wallet, trust, macaroon, internal }
+ * @param {number} [config.degradedTrustAbove=50] - In degraded mode, agents at or above this trust score pass
+ * @param {object|boolean} [config.circuitBreaker] - Wallet circuit breaker: { failureThreshold, resetMs, timeoutMs }, or false
  * @param {string} [config.description] - Default invoice description
- * @returns {Function} Middleware factory
+ * @returns {Function} Middleware factory (also an event emitter, see core.cjs)
  */
 function discourseToll(config) {
-  if (!config.secret) throw new Error('discourse-toll: secret is required');
-  
-  const pricing = new PricingEngine(config.pricing);
-  const trust = config.trust instanceof TrustResolver 
-    ? config.trust 
-    : new TrustResolver(config.trust || {});
-  
-  const wallet = new WalletProvider(
-    config.nwcUrl 
-      ? { nwcUrl: config.nwcUrl }
-      : config.wallet 
-        ? { custom: config.wallet }
-        : (() => { throw new Error('discourse-toll: nwcUrl or wallet is required'); })()
-  );
-
-  const invoiceTtlSecs = config.invoiceTtlSecs || 600;
-  const defaultDescription = config.description || 'Discourse toll';
+  const core = createTollCore(config);
 
   /**
    * Returns Express middleware for a specific route.
@@ -56,157 +65,121 @@ function discourseToll(config) {
    * @param {string} [opts.agentFrom] - Dot-path to extract agent ID from req (e.g. 'headers.x-agent-id', 'body.author')
    * @param {string} [opts.description] - Invoice description
    * @param {number} [opts.baseSats] - Override base price for this route
+   * @param {number} [opts.bundle] - Offer bundles of up to N actions in one payment
+   * @param {number} [opts.bundleTtlSecs] - Lifetime of bundle macaroons (defaults to invoiceTtlSecs)
+   * @param {object} [opts.caveats] - Registered custom caveats to add: { name: value | (request) → value }
    */
   function middleware(opts = {}) {
-    return async function discourseTollMiddleware(req, res, next) {
-      try {
-        // --- Check for existing L402 auth ---
-        const authHeader = req.headers.authorization || '';
-        if (authHeader.startsWith('L402 ') || authHeader.startsWith('l402 ')) {
-          const result = await _verifyL402(authHeader, req, opts);
-          if (result.valid) {
-            req.tollPaid = true;
-            req.tollPaymentHash = result.paymentHash;
-            return next();
-          }
-          return res.status(401).json({
-            error: 'Invalid L402 credentials',
-            detail: result.error,
-          });
-        }
-
-        // --- No L402 auth — calculate price and return 402 ---
-        const agentId = _extract(req, opts.agentFrom) || req.headers['x-agent-id'] || 'anonymous';
-        const contextId = _extract(req, opts.contextFrom) || req.params.threadId || req.params.postId || 'default';
-
-        // Fetch trust score (non-blocking, with timeout)
-        let trustScore = null;
-        try {
-          trustScore = await Promise.race([
-            trust.getScore(agentId),
-            new Promise(resolve => setTimeout(() => resolve(null), 3000)),
-          ]);
-        } catch (_) {}
-
-        // Calculate price
-        const priceOpts = { agentId, contextId, trustScore, dryRun: true };
-        const { sats, breakdown } = pricing.calculate(priceOpts);
-
-        // Free pass
-        if (sats === 0) {
-          req.tollPaid = true;
-          req.tollFree = true;
-          req.tollBreakdown = breakdown;
-          return next();
-        }
-
-        // Create invoice
-        const description = opts.description || `${defaultDescription}: ${contextId}`;
-        const { invoice, paymentHash } = await wallet.createInvoice(sats, description);
-
-        // Create macaroon
-        const expiresAt = Math.floor(Date.now() / 1000) + invoiceTtlSecs;
-        const macaroon = createMacaroon(config.secret, paymentHash, {
-          expiresAt,
-          endpoint: req.originalUrl || req.url,
-          method: req.method,
-          contextId,
-          agentId,
-        });
-        const encodedMacaroon = encodeMacaroon(macaroon);
-
-        // Return 402
-        res.setHeader('WWW-Authenticate', `L402 invoice="${invoice}", macaroon="${encodedMacaroon}"`);
-        return res.status(402).json({
-          status: 402,
-          message: 'Payment Required',
-          protocol: 'L402',
-          paymentHash,
-          invoice,
-          macaroon: encodedMacaroon,
-          amountSats: sats,
-          contextId,
-          description,
-          pricing: breakdown,
-          instructions: {
-            step1: 'Pay the Lightning invoice',
-            step2: 'Get the preimage from the payment receipt',
-            step3: 'Retry with header: Authorization: L402 <macaroon>:<preimage>',
-          },
-        });
-      } catch (err) {
-        // On error, let the request through (fail open) but flag it
-        console.error('discourse-toll error:', err.message);
-        req.tollError = err.message;
-        return next();
-      }
-    };
+    return adapters.express(_route(opts));
+  }
+
+  // The same route toll for other frameworks (see adapters.cjs)
+  middleware.express = middleware;
+  middleware.fastify = (opts = {}) => adapters.fastify(_route(opts));
+  middleware.koa = (opts = {}) => adapters.koa(_route(opts));
+  middleware.hono = (opts = {}) => adapters.hono(_route(opts));
+  middleware.fetch = (opts = {}, handler) => adapters.fetch(_route(opts), handler);
+  middleware.node = (opts = {}) => adapters.node(_route(opts));
+
+  // Route options are checked when the route is set up, not per request
+  function _route(opts) {
+    core.caveats.validate(opts.caveats);
+    return request => core.handle(request, opts);
   }
 
   /**
-   * Verify an L402 authorization header.
-   * @private
+   * Decide on a request without any framework (see core.cjs).
+   * @param {object} request - { method, url, headers, body, rawBody, params, query, protocol }
+   * @param {object} [opts] - Route options
    */
-  async function _verifyL402(authHeader, req, opts) {
-    const parts = authHeader.replace(/^l402\s+/i, '').split(':');
-    if (parts.length !== 2) {
-      return { valid: false, error: 'Invalid L402 format. Expected: L402 <macaroon>:<preimage>' };
-    }
-
-    const [encodedMacaroon, preimage] = parts;
-    const macaroon = decodeMacaroon(encodedMacaroon);
-    if (!macaroon) {
-      return { valid: false, error: 'Invalid macaroon encoding' };
-    }
-
-    // Verify preimage → payment hash
-    if (!wallet.verifyPreimage(preimage, macaroon.id)) {
-      return { valid: false, error: 'Preimage does not match payment hash' };
-    }
-
-    // Verify macaroon signature and caveats
-    const agentId = _extract(req, opts.agentFrom) || req.headers['x-agent-id'] || 'anonymous';
-    const contextId = _extract(req, opts.contextFrom) || req.params.threadId || req.params.postId || 'default';
-
-    const verification = verifyMacaroon(config.secret, macaroon, {
-      endpoint: req.originalUrl || req.url,
-      method: req.method,
-      contextId,
-      agentId,
-    });
-
-    if (!verification.valid) {
-      return verification;
-    }
-
-    // Record the action in pricing engine (for progressive pricing)
-    pricing.calculate({ agentId, contextId, dryRun: false });
-
-    return { valid: true, paymentHash: macaroon.id };
-  }
+  middleware.handle = (request, opts = {}) => core.handle(request, opts);
+
+  /**
+   * Returns a top-up route for prepaid balances.
+   *
+   * Without credentials it answers 402 with an invoice for `sats` (from
+   * body.sats or query.sats). Retried with `Authorization: L402 ...` it
+   * credits the balance and returns it. The same credential then pays for
+   * tolled requests until the balance runs out or expires.
+   *
+   * @param {string} [framework='express'] - express, fastify, koa, hono, fetch or node
+   */
+  middleware.topup = function topup(framework = 'express') {
+    if (!core.ledger) throw new Error('discourse-toll: topup() needs the balance option');
+    return _adapter(framework)(core.topup);
+  };
+
+  /**
+   * Returns a route that reports the authenticated agent's balance.
+   * @param {string} [framework='express']
+   */
+  middleware.balance = function balance(framework = 'express') {
+    if (!core.ledger) throw new Error('discourse-toll: balance() needs the balance option');
+    return _adapter(framework)(core.balance);
+  };
+
+  /**
+   * Returns the admin API (see admin.cjs), protected by a bearer secret.
+   *
+   *   app.use('/admin/toll', express.json(), toll.admin({ secret, prefix: '/admin/toll' }));
+   *
+   * @param {object} opts
+   * @param {string} opts.secret - Bearer token for operators
+   * @param {string} [opts.prefix] - Mount path, stripped before routing
+   * @param {string} [framework='express']
+   */
+  middleware.admin = function admin(opts, framework = 'express') {
+    return _adapter(framework)(createAdminHandler(core, opts));
+  };
 
   /**
-   * Extract a value from req using a dot-path.
-   * @private
+   * Look up an agent's prepaid balance.
+   * @param {string} agentId
    */
-  function _extract(req, path) {
-    if (!path) return null;
-    return path.split('.').reduce((obj, key) => obj && obj[key], req);
+  middleware.getBalance = core.getBalance;
+
+  // Moderation: toll.flag(agentId, contextId, severity), ban, unban, pardon
+  middleware.flag = core.flag;
+  middleware.ban = core.ban;
+  middleware.unban = core.unban;
+  middleware.pardon = core.pardon;
+
+  // Lifecycle events: toll.on('payment.verified', e => ...)
+  for (const method of EMITTER_METHODS) {
+    middleware[method] = (...args) => {
+      const result = core[method](...args);
+      return result === core ? middleware : result;
+    };
   }
 
   // Expose internals for advanced use
-  middleware.pricing = pricing;
-  middleware.trust = trust;
-  middleware.wallet = wallet;
-  middleware.stats = () => ({
-    pricing: pricing.stats(),
-    trust: trust.stats(),
-    wallet: wallet.stats(),
-  });
-  middleware.cleanup = () => pricing.cleanup();
-  middleware.close = () => wallet.close();
+  middleware.core = core;
+  middleware.pricing = core.pricing;
+  middleware.trust = core.trust;
+  middleware.wallet = core.wallet;
+  middleware.spentStore = core.spentStore;
+  middleware.ledger = core.ledger;
+  middleware.quoteCache = core.quoteCache;
+  middleware.breaker = core.breaker;
+  middleware.webhooks = core.webhooks;
+  middleware.metrics = core.metrics;
+  middleware.payments = core.payments;
+  middleware.reputation = core.reputation;
+  middleware.keyring = core.keyring;
+  middleware.caveats = core.caveats;
+  middleware.stats = core.stats;
+  middleware.cleanup = core.cleanup;
+  middleware.close = core.close;
 
   return middleware;
 }
 
+/** @private */
+function _adapter(framework) {
+  if (!FRAMEWORKS.includes(framework)) {
+    throw new Error(`discourse-toll: unknown framework: ${framework}`);
+  }
+  return adapters[framework];
+}
+
 module.exports = { discourseToll };
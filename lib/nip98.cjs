@@ -0,0 +1,150 @@
+'use strict';
+
+/**
+ * NIP-98 HTTP auth — proves which Nostr pubkey sent a request.
+ *
+ * The client signs a kind-27235 event tagged with the absolute URL, the
+ * HTTP method and (for requests with a body) the SHA-256 of the payload,
+ * and sends it as `Authorization: Nostr <base64 event>`. The server checks
+ * the signature and tags before trusting the pubkey as the agent identity.
+ */
+
+const crypto = require('crypto');
+const { finalizeEvent, verifyEvent, getPublicKey } = require('nostr-tools/pure');
+const { hexToBytes } = require('nostr-tools/utils');
+
+const NIP98_KIND = 27235;
+
+/**
+ * Create a NIP-98 Authorization header value.
+ * @param {string|Uint8Array} secretKey - Nostr secret key (hex or bytes)
+ * @param {object} req
+ * @param {string} req.url - Absolute request URL
+ * @param {string} req.method - HTTP method
+ * @param {string|Buffer} [req.body] - Raw request body
+ * @returns {string} `Nostr <base64 event>`
+ */
+function createNip98Token(secretKey, { url, method, body }) {
+  const tags = [
+    ['u', url],
+    ['method', method.toUpperCase()],
+  ];
+  if (body && body.length > 0) {
+    tags.push(['payload', hashPayload(body)]);
+  }
+
+  const event = finalizeEvent({
+    kind: NIP98_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags,
+    content: '',
+  }, _secretKeyBytes(secretKey));
+
+  return `Nostr ${Buffer.from(JSON.stringify(event)).toString('base64')}`;
+}
+
+/**
+ * Verify a NIP-98 Authorization header value.
+ * @param {string} header - `Nostr <base64 event>`
+ * @param {object} req
+ * @param {string} req.url - Absolute URL the request was received on
+ * @param {string} req.method - HTTP method
+ * @param {string|Buffer} [req.body] - Raw request body
+ * @param {number} [req.windowSecs=60] - Allowed clock skew for created_at
+ * @returns {{ valid: boolean, pubkey?: string, error?: string }}
+ */
+function verifyNip98(header, { url, method, body, windowSecs = 60 }) {
+  if (typeof header !== 'string' || !/^nostr\s+/i.test(header)) {
+    return { valid: false, error: 'Expected: Nostr <base64 event>' };
+  }
+  // Malformed events can make nostr-tools throw; they're invalid, not server errors
+  try {
+    return _verify(header, { url, method, body, windowSecs });
+  } catch (err) {
+    return { valid: false, error: `Invalid NIP-98 event: ${err.message}` };
+  }
+}
+
+/**
+ * verifyNip98() proper; may throw on malformed events.
+ * @private
+ */
+function _verify(header, { url, method, body, windowSecs }) {
+  let event;
+  try {
+    event = JSON.parse(Buffer.from(header.replace(/^nostr\s+/i, ''), 'base64').toString('utf8'));
+  } catch {
+    return { valid: false, error: 'Invalid NIP-98 event encoding' };
+  }
+  if (!event || typeof event !== 'object' || !Array.isArray(event.tags)) {
+    return { valid: false, error: 'Invalid NIP-98 event encoding' };
+  }
+
+  if (event.kind !== NIP98_KIND) {
+    return { valid: false, error: `NIP-98 event must be kind ${NIP98_KIND}` };
+  }
+  if (!verifyEvent(event)) {
+    return { valid: false, error: 'Invalid NIP-98 event signature' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof event.created_at !== 'number' || Math.abs(now - event.created_at) > windowSecs) {
+    return { valid: false, error: 'NIP-98 event timestamp outside allowed window' };
+  }
+
+  const tag = (name) => {
+    const t = event.tags.find(t => Array.isArray(t) && t[0] === name);
+    return t ? t[1] : null;
+  };
+
+  if (!_sameUrl(tag('u'), url)) {
+    return { valid: false, error: 'NIP-98 URL mismatch' };
+  }
+  if (!tag('method') || String(tag('method')).toUpperCase() !== method.toUpperCase()) {
+    return { valid: false, error: 'NIP-98 method mismatch' };
+  }
+
+  const payload = tag('payload');
+  const hasBody = body && body.length > 0;
+  if (hasBody && !payload) {
+    return { valid: false, error: 'NIP-98 payload tag required for requests with a body' };
+  }
+  if (payload && payload.toLowerCase() !== hashPayload(body || '')) {
+    return { valid: false, error: 'NIP-98 payload hash mismatch' };
+  }
+
+  return { valid: true, pubkey: event.pubkey };
+}
+
+/**
+ * SHA-256 of a raw request body (hex).
+ * @param {string|Buffer} body
+ */
+function hashPayload(body) {
+  return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+/**
+ * Derive the hex pubkey for a secret key.
+ * @param {string|Uint8Array} secretKey
+ */
+function pubkeyFromSecret(secretKey) {
+  return getPublicKey(_secretKeyBytes(secretKey));
+}
+
+/** @private */
+function _secretKeyBytes(secretKey) {
+  return typeof secretKey === 'string' ? hexToBytes(secretKey) : secretKey;
+}
+
+/** @private */
+function _sameUrl(a, b) {
+  if (!a || !b) return false;
+  try {
+    return new URL(a).href === new URL(b).href;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { createNip98Token, verifyNip98, hashPayload, pubkeyFromSecret, NIP98_KIND };
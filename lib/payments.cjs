@@ -0,0 +1,260 @@
+'use strict';
+
+/**
+ * Payment ledger: an append-only record of what the toll charged.
+ *
+ * Listens to a toll's lifecycle events and appends one entry per new quote,
+ * verified payment, balance spend and free pass:
+ *
+ *   { type: 'quote' | 'payment' | 'balance_spend' | 'free_pass', timestamp,
+ *     paymentHash, agentId, agentVerified, contextId, method, endpoint, sats,
+ *     via, actions, breakdown }
+ *
+ * `payment` entries are Lightning settlements (via 'invoice' or 'topup'),
+ * so their sats add up to what was received. Actions paid from a prepaid
+ * balance are `balance_spend` (via 'balance'): that money was already
+ * counted as a top-up.
+ *
+ * Reused quotes (same invoice handed out again) are not recorded twice.
+ * Entries are never updated; a quote and its payment share a paymentHash.
+ *
+ * Stores implement an async append-only interface:
+ *   append(entry) → void
+ *   query(filter) → entry[]     filter: { type, agentId, contextId, paymentHash, from, to }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const CSV_COLUMNS = ['timestamp', 'type', 'paymentHash', 'agentId', 'agentVerified', 'contextId', 'method', 'endpoint', 'sats', 'via', 'actions', 'breakdown'];
+
+class MemoryPaymentStore {
+  constructor() {
+    this._entries = [];
+  }
+
+  async append(entry) {
+    this._entries.push(entry);
+  }
+
+  async query(filter = {}) {
+    const match = _matcher(filter);
+    return this._entries.filter(match);
+  }
+}
+
+/**
+ * Payment store backed by a JSONL file. Lines are only ever appended, so
+ * several workers can write to the same file; each line is a single
+ * append write.
+ */
+class FilePaymentStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.path - Path to the JSONL ledger
+   */
+  constructor(opts = {}) {
+    if (!opts.path) throw new Error('FilePaymentStore: path is required');
+    this.path = path.resolve(opts.path);
+  }
+
+  async append(entry) {
+    await fs.promises.appendFile(this.path, JSON.stringify(entry) + '\n');
+  }
+
+  async query(filter = {}) {
+    const match = _matcher(filter);
+    const entries = [];
+    let input;
+    try {
+      input = fs.createReadStream(this.path, { encoding: 'utf8' });
+      await new Promise((resolve, reject) => {
+        input.once('open', resolve);
+        input.once('error', reject);
+      });
+    } catch (err) {
+      if (err.code === 'ENOENT') return entries;
+      throw err;
+    }
+
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (_) {
+        continue; // partially written or corrupt line
+      }
+      if (match(entry)) entries.push(entry);
+    }
+    return entries;
+  }
+}
+
+class PaymentLedger {
+  /**
+   * @param {object} [opts]
+   * @param {object} [opts.store] - Payment store (see MemoryPaymentStore)
+   * @param {string} [opts.path] - Shorthand for a FilePaymentStore at this path
+   */
+  constructor(opts = {}) {
+    this.store = opts.store || (opts.path ? new FilePaymentStore({ path: opts.path }) : new MemoryPaymentStore());
+    this._pending = new Set();
+  }
+
+  /**
+   * Record a toll's quotes, payments, balance spends and free passes.
+   * @param {EventEmitter} toll
+   * @returns {Function} Detach
+   */
+  attach(toll) {
+    const listeners = {
+      'quote': (e) => {
+        if (!e.reused) this._write('quote', e);
+      },
+      'payment.verified': (e) => this._write(e.via === 'balance' ? 'balance_spend' : 'payment', e),
+      'free_pass': (e) => this._write('free_pass', e),
+    };
+    for (const [type, listener] of Object.entries(listeners)) toll.on(type, listener);
+    return () => {
+      for (const [type, listener] of Object.entries(listeners)) toll.off(type, listener);
+    };
+  }
+
+  /**
+   * Append an entry directly.
+   * @param {object} entry - At least { type }; timestamp defaults to now
+   */
+  async record(entry) {
+    await this.store.append({ timestamp: Date.now(), ...entry });
+  }
+
+  /**
+   * Find entries.
+   * @param {object} [filter]
+   * @param {string} [filter.type] - 'quote', 'payment', 'balance_spend' or 'free_pass'
+   * @param {string} [filter.agentId]
+   * @param {string} [filter.contextId]
+   * @param {string} [filter.paymentHash]
+   * @param {Date|number|string} [filter.from] - Inclusive start
+   * @param {Date|number|string} [filter.to] - Exclusive end
+   * @returns {Promise<object[]>} Oldest first
+   */
+  async query(filter = {}) {
+    await this.flush();
+    return this.store.query(_normalizeFilter(filter));
+  }
+
+  /** Entries for one agent. */
+  byAgent(agentId, filter = {}) {
+    return this.query({ ...filter, agentId });
+  }
+
+  /** Entries for one context. */
+  byContext(contextId, filter = {}) {
+    return this.query({ ...filter, contextId });
+  }
+
+  /** Entries in [from, to). */
+  between(from, to, filter = {}) {
+    return this.query({ ...filter, from, to });
+  }
+
+  /**
+   * Export entries for accounting.
+   * @param {'csv'|'json'} [format='csv']
+   * @param {object} [filter] - Same as query()
+   * @returns {Promise<string>}
+   */
+  async export(format = 'csv', filter = {}) {
+    const entries = await this.query(filter);
+    if (format === 'json') return JSON.stringify(entries, null, 2);
+    if (format !== 'csv') throw new Error(`PaymentLedger: unknown export format: ${format}`);
+
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const entry of entries) {
+      rows.push(CSV_COLUMNS.map(column => {
+        let value = entry[column];
+        if (column === 'timestamp') value = new Date(value).toISOString();
+        if (column === 'breakdown' && value) value = JSON.stringify(value);
+        return _csvCell(value);
+      }).join(','));
+    }
+    return rows.join('\n') + '\n';
+  }
+
+  /**
+   * Wait for entries still being written.
+   */
+  async flush() {
+    while (this._pending.size > 0) {
+      await Promise.all([...this._pending]);
+    }
+  }
+
+  /** @private */
+  _write(type, event) {
+    const entry = {
+      type,
+      timestamp: event.timestamp || Date.now(),
+      paymentHash: event.paymentHash || null,
+      agentId: event.agentId,
+      agentVerified: event.agentVerified,
+      contextId: event.contextId,
+      method: event.method,
+      endpoint: event.endpoint,
+      sats: event.sats,
+      via: event.via || null,
+      actions: event.actions || 1,
+      breakdown: event.breakdown || null,
+    };
+    const write = this.store.append(entry)
+      .catch(err => console.error('discourse-toll payment ledger write failed:', err.message))
+      .finally(() => this._pending.delete(write));
+    this._pending.add(write);
+  }
+}
+
+/** @private */
+function _normalizeFilter(filter) {
+  const out = { ...filter };
+  if (out.from !== undefined) out.from = _ms(out.from);
+  if (out.to !== undefined) out.to = _ms(out.to);
+  return out;
+}
+
+/** @private */
+function _ms(value) {
+  const ms = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error(`PaymentLedger: invalid date: ${value}`);
+  return ms;
+}
+
+/**
+ * Filter predicate shared by the stores. Dates are already unix ms.
+ * @private
+ */
+function _matcher({ type, agentId, contextId, paymentHash, from, to }) {
+  return (e) =>
+    (type === undefined || e.type === type) &&
+    (agentId === undefined || e.agentId === agentId) &&
+    (contextId === undefined || e.contextId === contextId) &&
+    (paymentHash === undefined || e.paymentHash === paymentHash) &&
+    (from === undefined || e.timestamp >= from) &&
+    (to === undefined || e.timestamp < to);
+}
+
+/**
+ * Quote a CSV cell. Cells that a spreadsheet would run as a formula
+ * (agent IDs and context IDs come from requests) are prefixed with '.
+ * @private
+ */
+function _csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = { PaymentLedger, MemoryPaymentStore, FilePaymentStore };
@@ -8,8 +8,12 @@
  * - Progressive cost (more comments in same context = higher price)
  * - Trust discount (higher trust score = lower price)
  * - Cooldown bonus (waiting between actions = cheaper)
+ * - Operator overrides (temporary per-agent multipliers and bans)
+ * - Moderation penalties (flags that multiply an agent's prices, decaying)
  */
 
+const { MemoryActivityStore } = require('./activity.cjs');
+
 const DEFAULT_PRICING = {
   baseSats: 1,              // Base cost per comment/action
   progressiveMultiplier: 1.5, // Each subsequent action in same context costs N× more
@@ -25,25 +29,40 @@ const DEFAULT_PRICING = {
     windowMs: 60_000,        // Cooldown window (1 minute)
     bonusPercent: 25,        // Discount if last action was > window ago
   },
+  penalties: {
+    perSeverity: 1,          // Each unit of flag severity adds 1× to the price
+    halfLifeSecs: 604_800,   // Flags fade with a 1-week half-life
+    maxMultiplier: 10,       // However many flags pile up
+  },
 };
 
 class PricingEngine {
   /**
    * @param {object} opts - Pricing configuration (merged with defaults)
+   * @param {object} [opts.store] - Activity store (see MemoryActivityStore)
    */
   constructor(opts = {}) {
-    this.config = { ...DEFAULT_PRICING, ...opts };
+    const { store, ...pricingOpts } = opts;
+    this.config = { ...DEFAULT_PRICING, ...pricingOpts };
     if (opts.trustDiscount) {
       this.config.trustDiscount = { ...DEFAULT_PRICING.trustDiscount, ...opts.trustDiscount };
     }
     if (opts.cooldown) {
       this.config.cooldown = { ...DEFAULT_PRICING.cooldown, ...opts.cooldown };
     }
+    if (opts.penalties) {
+      this.config.penalties = { ...DEFAULT_PRICING.penalties, ...opts.penalties };
+    }
+
+    // Activity tracking: contextKey (thread/post ID) → actions per agent.
+    // In-memory by default; pass a durable store to survive restarts and
+    // share progressive pricing between instances.
+    this.store = store || new MemoryActivityStore();
 
-    // In-memory activity tracking: contextKey → [{ agent, timestamp }]
-    // contextKey is typically thread/post ID
-    this._activity = new Map();
-    this._agentLastAction = new Map(); // agentId → timestamp
+    // Operator multipliers, bans and moderation flags live in the store
+    // too, so they survive restarts and hold on every worker. Custom stores
+    // without the moderation methods keep them in memory instead.
+    this._moderation = typeof this.store.moderate === 'function' ? this.store : new MemoryActivityStore();
   }
 
   /**
@@ -54,33 +73,352 @@ class PricingEngine {
    * @param {string} params.contextId - Context identifier (thread ID, post ID, etc.)
    * @param {number} [params.trustScore] - Agent's trust score (0-100)
    * @param {boolean} [params.dryRun=false] - If true, don't record the action
-   * @returns {{ sats: number, breakdown: object }}
+   * @param {string} [params.moderateAs] - Whose multiplier and flags apply (default agentId)
+   * @returns {Promise<{ sats: number, breakdown: object }>}
+   */
+  async calculate({ agentId, contextId, trustScore, dryRun = false, moderateAs = agentId }) {
+    const contextKey = `${contextId}`;
+
+    // Recording returns the state just before this action, atomically
+    let prior, lastAction;
+    if (dryRun) {
+      [prior, lastAction] = await Promise.all([
+        this.store.count(agentId, contextKey),
+        this.store.lastAction(agentId),
+      ]);
+    } else {
+      ({ prior, lastAction } = await this.store.record(agentId, contextKey, Date.now()));
+    }
+
+    const moderation = await this._moderationOf(moderateAs);
+    return this._price({ prior, lastAction, trustScore, moderation });
+  }
+
+  /**
+   * Quote a bundle of consecutive actions in one context (never records).
+   *
+   * Each action is priced at its own progressive slot, so a bundle costs
+   * the same as buying the actions one at a time without waiting between
+   * them. Only the first action can earn a cooldown bonus.
+   *
+   * @param {object} params
+   * @param {string} params.agentId
+   * @param {string} params.contextId
+   * @param {number} [params.trustScore]
+   * @param {number} params.actions - Number of actions in the bundle
+   * @param {string} [params.moderateAs] - Whose multiplier and flags apply (default agentId)
+   * @returns {Promise<{ sats: number, breakdown: object }>}
+   */
+  async calculateBundle({ agentId, contextId, trustScore, actions, moderateAs = agentId }) {
+    const contextKey = `${contextId}`;
+    const [prior, lastAction, moderation] = await Promise.all([
+      this.store.count(agentId, contextKey),
+      this.store.lastAction(agentId),
+      this._moderationOf(moderateAs),
+    ]);
+
+    const perAction = [];
+    for (let i = 0; i < actions; i++) {
+      const { sats } = this._price({
+        prior: prior + i,
+        lastAction: i === 0 ? lastAction : Date.now(),
+        trustScore,
+        moderation,
+      });
+      perAction.push(sats);
+    }
+
+    const total = perAction.reduce((sum, sats) => sum + sats, 0);
+    const breakdown = {
+      actions,
+      priorActionsInContext: prior,
+      perAction,
+      final: total,
+    };
+    if (typeof trustScore === 'number') breakdown.trustScore = trustScore;
+    const { penalty } = this._penalty(moderation.flags);
+    if (penalty) breakdown.penalty = penalty;
+
+    return { sats: total, breakdown };
+  }
+
+  /**
+   * Record an action that was paid for in advance, unless the slot the
+   * agent has reached costs more than was paid for it.
+   *
+   * The slot is priced first and then taken in one atomic store call
+   * (record with maxPrior), so several credentials quoted at the same slot
+   * can't all be redeemed at that slot's price, and an action that isn't
+   * covered is never recorded. A later slot that still costs no more (e.g.
+   * at the progressive cap) is fine.
+   *
+   * For bundles, each use is covered by what was paid minus today's price
+   * of the bundle's other slots, which is that use's own quoted price when
+   * nothing else has changed.
+   *
+   * @param {object} params
+   * @param {string} params.agentId
+   * @param {string} params.contextId
+   * @param {number} [params.trustScore]
+   * @param {number} params.seq - Prior actions in the context when the price was quoted
+   * @param {number} params.paidSats - Sats paid for the credential
+   * @param {number} [params.actions=1] - Actions the credential was bought for
+   * @param {number} [params.use=0] - Which of those actions this is (0-based)
+   * @param {string} [params.moderateAs] - Whose multiplier and flags apply (default agentId)
+   * @returns {Promise<{ ok: boolean, sats: number, paidSats: number, breakdown: object }>} Price at the slot reached, and what covered it
+   */
+  async redeem({ agentId, contextId, trustScore, seq, paidSats, actions = 1, use = 0, moderateAs = agentId }) {
+    const contextKey = `${contextId}`;
+    const moderation = await this._moderationOf(moderateAs);
+    let covered = paidSats;
+    for (let j = 0; j < actions; j++) {
+      if (j === use) continue;
+      // Only a bundle's first action can have had a cooldown bonus; assume it did
+      covered -= this._price({ prior: seq + j, lastAction: j === 0 ? null : Date.now(), trustScore, moderation }).sats;
+    }
+
+    let price;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const [prior, lastAction] = await Promise.all([
+        this.store.count(agentId, contextKey),
+        this.store.lastAction(agentId),
+      ]);
+      price = this._price({ prior, lastAction, trustScore, moderation });
+      if (price.sats > covered) break;
+      const { recorded } = await this.store.record(agentId, contextKey, Date.now(), { maxPrior: prior });
+      if (recorded !== false) return { ok: true, paidSats: covered, ...price };
+      // Someone took the slot first — price the next one
+    }
+    return { ok: false, paidSats: covered, ...price };
+  }
+
+  /**
+   * Multiply an agent's prices for a while (applied before discounts).
+   * @param {string} agentId
+   * @param {number} multiplier - e.g. 3 to triple, 0.5 to halve
+   * @param {number} [ttlSecs] - Omit for no expiry
+   */
+  async setMultiplier(agentId, multiplier, ttlSecs) {
+    if (!(typeof multiplier === 'number' && multiplier >= 0)) {
+      throw new Error('PricingEngine: multiplier must be a non-negative number');
+    }
+    await this._moderation.moderate(agentId, 'multiplier', () => ({ multiplier, expiresAt: _expiry(ttlSecs) }));
+  }
+
+  /**
+   * Remove an agent's multiplier.
+   * @returns {Promise<boolean>} Whether one was set
    */
-  calculate({ agentId, contextId, trustScore, dryRun = false }) {
+  async clearMultiplier(agentId) {
+    return this._lift(agentId, 'multiplier');
+  }
+
+  /**
+   * Refuse an agent's tolled requests for a while.
+   * @param {string} agentId
+   * @param {object} [opts]
+   * @param {number} [opts.ttlSecs] - Omit for no expiry
+   * @param {string} [opts.reason]
+   */
+  async ban(agentId, opts = {}) {
+    await this._moderation.moderate(agentId, 'ban', () => ({ reason: opts.reason || null, expiresAt: _expiry(opts.ttlSecs) }));
+  }
+
+  /**
+   * Lift a ban.
+   * @returns {Promise<boolean>} Whether the agent was banned
+   */
+  async unban(agentId) {
+    return this._lift(agentId, 'ban');
+  }
+
+  /**
+   * Active ban for an agent.
+   * @returns {Promise<{ reason: string|null, expiresAt: number|null }|null>} expiresAt in unix ms
+   */
+  async banned(agentId) {
+    return _active((await this._moderation.moderation(agentId)).ban);
+  }
+
+  /**
+   * Record a moderation flag. Until pardoned, the agent's prices are
+   * multiplied by 1 + severity × perSeverity for each flag, decaying with
+   * the penalties half-life, and flagged agents get no free passes.
+   * @param {string} agentId
+   * @param {string} [contextId] - Where it happened
+   * @param {number} [severity=1]
+   * @param {object} [opts]
+   * @param {string} [opts.reason]
+   * @returns {Promise<{ contextId, severity, reason, flaggedAt }>}
+   */
+  async flag(agentId, contextId, severity = 1, opts = {}) {
+    if (!(typeof severity === 'number' && severity > 0)) {
+      throw new Error('PricingEngine: severity must be a positive number');
+    }
+    const flag = {
+      contextId: contextId === undefined || contextId === null ? null : `${contextId}`,
+      severity,
+      reason: opts.reason || null,
+      flaggedAt: Date.now(),
+    };
+    // Flags that have faded to nothing are dropped on the way
+    await this._moderation.moderate(agentId, 'flags', (flags) => [...this._penalty(flags).live, flag]);
+    return flag;
+  }
+
+  /**
+   * Forgive an agent's flags: all of them, or one context's.
+   * @param {string} agentId
+   * @param {string} [contextId]
+   * @returns {Promise<number>} Flags removed
+   */
+  async pardon(agentId, contextId) {
+    let removed = 0;
+    await this._moderation.moderate(agentId, 'flags', (flags) => {
+      const kept = contextId === undefined ? [] : flags.filter(f => f.contextId !== `${contextId}`);
+      removed = flags.length - kept.length;
+      return kept;
+    });
+    return removed;
+  }
+
+  /**
+   * An agent's current moderation penalty.
+   * @param {string} agentId
+   * @returns {Promise<{ multiplier: number, flags: number }|null>}
+   */
+  async penalty(agentId) {
+    return this._penalty((await this._moderation.moderation(agentId)).flags).penalty;
+  }
+
+  /**
+   * Active multipliers, bans and moderation penalties.
+   * @returns {Promise<{ multipliers: object[], bans: object[], penalties: object[] }>}
+   */
+  async overrides() {
+    const multipliers = [];
+    const bans = [];
+    const penalties = [];
+    for (const { agentId, multiplier, ban, flags } of await this._moderation.moderated()) {
+      if (_active(multiplier)) multipliers.push({ agentId, ...multiplier });
+      if (_active(ban)) bans.push({ agentId, ...ban });
+      const { penalty } = this._penalty(flags);
+      if (penalty) penalties.push({ agentId, ...penalty });
+    }
+    return { multipliers, bans, penalties };
+  }
+
+  /**
+   * Every agent's flags that haven't faded.
+   * @returns {Promise<Array<{ agentId: string, flags: Array<{ contextId, severity, reason, flaggedAt }> }>>}
+   */
+  async flagged() {
+    const flagged = [];
+    for (const { agentId, flags } of await this._moderation.moderated()) {
+      const { live } = this._penalty(flags);
+      if (live.length > 0) flagged.push({ agentId, flags: live });
+    }
+    return flagged;
+  }
+
+  /**
+   * Clear a multiplier or ban.
+   * @private
+   * @returns {Promise<boolean>} Whether it was in force
+   */
+  async _lift(agentId, kind) {
+    let active = false;
+    await this._moderation.moderate(agentId, kind, (current) => {
+      active = !!_active(current);
+      return null;
+    });
+    return active;
+  }
+
+  /**
+   * Penalty for a list of flags, and the flags that haven't faded to nothing.
+   * @private
+   */
+  _penalty(flags) {
+    const { perSeverity, halfLifeSecs, maxMultiplier } = this.config.penalties;
+    const now = Date.now();
+    let weight = 0;
+    const live = flags.filter((f) => {
+      const remaining = f.severity * Math.pow(0.5, (now - f.flaggedAt) / (halfLifeSecs * 1000));
+      if (remaining < 0.01) return false;
+      weight += remaining;
+      return true;
+    });
+    if (live.length === 0) return { live, penalty: null };
+    const multiplier = Math.min(maxMultiplier, 1 + weight * perSeverity);
+    return { live, penalty: { multiplier: Math.round(multiplier * 100) / 100, flags: live.length } };
+  }
+
+  /**
+   * Contexts with per-agent action counts.
+   * @returns {Promise<Array<{ contextId: string, agents: object, lastAction: number }>>}
+   */
+  async contexts() {
+    return this.store.contexts();
+  }
+
+  /**
+   * Forget an agent's activity in a context, so its next action there is
+   * priced as its first.
+   * @returns {Promise<number>} Actions removed
+   */
+  async resetAgent(agentId, contextId) {
+    return this.store.forget(agentId, `${contextId}`);
+  }
+
+  /**
+   * An agent's moderation state (nothing for calls without an agent).
+   * @private
+   */
+  async _moderationOf(agentId) {
+    if (agentId === undefined) return { multiplier: null, ban: null, flags: [] };
+    return this._moderation.moderation(agentId);
+  }
+
+  /**
+   * Price an action given the agent's prior activity and moderation state.
+   * @private
+   */
+  _price({ prior, lastAction, trustScore, moderation }) {
     const { baseSats, progressiveMultiplier, progressiveCap, trustDiscount, cooldown } = this.config;
     const breakdown = { base: baseSats };
 
     // --- Progressive pricing ---
-    const contextKey = `${contextId}`;
-    const contextActivity = this._activity.get(contextKey) || [];
-    const agentActionsInContext = contextActivity.filter(a => a.agent === agentId).length;
-    
     let progressiveCost = baseSats;
-    if (agentActionsInContext > 0) {
+    if (prior > 0) {
       progressiveCost = Math.min(
-        Math.ceil(baseSats * Math.pow(progressiveMultiplier, agentActionsInContext)),
+        Math.ceil(baseSats * Math.pow(progressiveMultiplier, prior)),
         progressiveCap
       );
     }
     breakdown.progressive = progressiveCost;
-    breakdown.priorActionsInContext = agentActionsInContext;
+    breakdown.priorActionsInContext = prior;
 
     let price = progressiveCost;
 
+    // --- Operator multiplier ---
+    const override = _active(moderation.multiplier);
+    if (override) {
+      breakdown.multiplier = override.multiplier;
+      price = Math.ceil(price * override.multiplier);
+    }
+
+    // --- Moderation penalty ---
+    const { penalty } = this._penalty(moderation.flags);
+    if (penalty) {
+      breakdown.penalty = penalty;
+      price = Math.ceil(price * penalty.multiplier);
+    }
+
     // --- Trust discount ---
     if (trustDiscount.enabled && typeof trustScore === 'number') {
       breakdown.trustScore = trustScore;
-      if (trustScore >= trustDiscount.freeAbove) {
+      if (trustScore >= trustDiscount.freeAbove && !penalty) {
         breakdown.trustDiscount = price; // Full discount
         price = 0;
       } else if (trustScore >= trustDiscount.discountAbove) {
@@ -94,7 +432,6 @@ class PricingEngine {
 
     // --- Cooldown bonus ---
     if (cooldown.enabled && price > 0) {
-      const lastAction = this._agentLastAction.get(agentId);
       if (lastAction) {
         const elapsed = Date.now() - lastAction;
         if (elapsed > cooldown.windowMs) {
@@ -114,67 +451,63 @@ class PricingEngine {
 
     breakdown.final = price;
 
-    // Record activity (unless dry run)
-    if (!dryRun) {
-      if (!this._activity.has(contextKey)) {
-        this._activity.set(contextKey, []);
-      }
-      this._activity.get(contextKey).push({ agent: agentId, timestamp: Date.now() });
-      this._agentLastAction.set(agentId, Date.now());
-    }
-
     return { sats: price, breakdown };
   }
 
   /**
    * Get activity count for an agent in a context.
+   * @returns {Promise<number>}
    */
-  getActivityCount(agentId, contextId) {
-    const activity = this._activity.get(contextId) || [];
-    return activity.filter(a => a.agent === agentId).length;
+  async getActivityCount(agentId, contextId) {
+    return this.store.count(agentId, `${contextId}`);
   }
 
   /**
-   * Clear old activity (garbage collection).
+   * Clear old activity (garbage collection), along with expired
+   * multipliers and bans and flags that have faded to nothing.
    * @param {number} maxAgeMs - Remove entries older than this (default 24h)
    */
-  cleanup(maxAgeMs = 86_400_000) {
-    const cutoff = Date.now() - maxAgeMs;
-    for (const [key, actions] of this._activity.entries()) {
-      const filtered = actions.filter(a => a.timestamp > cutoff);
-      if (filtered.length === 0) {
-        this._activity.delete(key);
-      } else {
-        this._activity.set(key, filtered);
+  async cleanup(maxAgeMs = 86_400_000) {
+    for (const { agentId, multiplier, ban, flags } of await this._moderation.moderated()) {
+      // Checked again inside the update, in case another worker just set one
+      if (multiplier && !_active(multiplier)) await this._moderation.moderate(agentId, 'multiplier', _active);
+      if (ban && !_active(ban)) await this._moderation.moderate(agentId, 'ban', _active);
+      if (this._penalty(flags).live.length < flags.length) {
+        await this._moderation.moderate(agentId, 'flags', (current) => this._penalty(current).live);
       }
     }
-    for (const [agent, ts] of this._agentLastAction.entries()) {
-      if (ts < cutoff) this._agentLastAction.delete(agent);
-    }
+    await this.store.cleanup(Date.now() - maxAgeMs);
   }
 
   /**
    * Get stats about current activity tracking.
+   * @returns {Promise<{ contexts: number, agents: number, totalActions: number }>}
    */
-  stats() {
-    let totalActions = 0;
-    for (const actions of this._activity.values()) {
-      totalActions += actions.length;
-    }
-    return {
-      contexts: this._activity.size,
-      agents: this._agentLastAction.size,
-      totalActions,
-    };
+  async stats() {
+    return this.store.stats();
   }
 
   /**
    * Reset all activity (for testing).
    */
-  reset() {
-    this._activity.clear();
-    this._agentLastAction.clear();
+  async reset() {
+    await this.store.reset();
   }
 }
 
+/** @private */
+function _expiry(ttlSecs) {
+  return ttlSecs ? Date.now() + ttlSecs * 1000 : null;
+}
+
+/**
+ * A multiplier or ban, unless it has expired.
+ * @private
+ */
+function _active(entry) {
+  if (!entry) return null;
+  if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) return null;
+  return entry;
+}
+
 module.exports = { PricingEngine, DEFAULT_PRICING };
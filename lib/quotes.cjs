@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * Pending-quote cache.
+ *
+ * A 402 quote (invoice + macaroon) is kept until it expires or is redeemed,
+ * and handed out again when the same requester asks for the same thing at
+ * the same price. Polling clients and crawlers then cost one invoice, not
+ * one per hit. Quotes are also counted per owner (agent or IP) so the toll
+ * can cap how many unpaid invoices a single requester holds open.
+ *
+ * Custom caches (Redis, ...) implement the same async interface:
+ *   get(key) → quote | null
+ *   put(key, quote) → void        quote: { paymentHash, invoice, macaroon, expiresAt, owner }
+ *   outstanding(owner) → { count, nextExpiry }
+ *   settle(paymentHash) → void
+ *   cleanup(nowSecs?) → void
+ */
+
+class MemoryQuoteCache {
+  constructor() {
+    this._quotes = new Map(); // key → quote
+    this._keys = new Map();   // paymentHash → key
+  }
+
+  /**
+   * Unexpired quote for a key.
+   * @param {string} key
+   * @returns {Promise<object|null>}
+   */
+  async get(key) {
+    const quote = this._quotes.get(key);
+    if (!quote) return null;
+    if (quote.expiresAt <= _now()) {
+      this._drop(key);
+      return null;
+    }
+    return quote;
+  }
+
+  /**
+   * Store a quote.
+   * @param {string} key
+   * @param {object} quote - { paymentHash, invoice, macaroon, expiresAt (unix secs), owner }
+   */
+  async put(key, quote) {
+    const existing = this._quotes.get(key);
+    if (existing) this._keys.delete(existing.paymentHash);
+    this._quotes.set(key, quote);
+    this._keys.set(quote.paymentHash, key);
+  }
+
+  /**
+   * Unexpired, unredeemed quotes held by an owner.
+   * @param {string} owner
+   * @returns {Promise<{ count: number, nextExpiry: number|null }>} nextExpiry in unix secs
+   */
+  async outstanding(owner) {
+    const now = _now();
+    let count = 0;
+    let nextExpiry = null;
+    for (const quote of this._quotes.values()) {
+      if (quote.owner !== owner || quote.expiresAt <= now) continue;
+      count++;
+      if (nextExpiry === null || quote.expiresAt < nextExpiry) nextExpiry = quote.expiresAt;
+    }
+    return { count, nextExpiry };
+  }
+
+  /**
+   * Forget a quote once its credential has been used.
+   * @param {string} paymentHash
+   */
+  async settle(paymentHash) {
+    const key = this._keys.get(paymentHash);
+    if (key) this._drop(key);
+  }
+
+  /**
+   * Drop expired quotes.
+   * @param {number} [nowSecs]
+   */
+  async cleanup(nowSecs = _now()) {
+    for (const [key, quote] of this._quotes.entries()) {
+      if (quote.expiresAt <= nowSecs) this._drop(key);
+    }
+  }
+
+  /**
+   * Get cache stats.
+   */
+  stats() {
+    return { pending: this._quotes.size };
+  }
+
+  /** @private */
+  _drop(key) {
+    const quote = this._quotes.get(key);
+    if (quote) this._keys.delete(quote.paymentHash);
+    this._quotes.delete(key);
+  }
+}
+
+/** @private */
+function _now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+module.exports = { MemoryQuoteCache };
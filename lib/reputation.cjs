@@ -0,0 +1,260 @@
+'use strict';
+
+/**
+ * Local reputation: trust earned on this toll rather than attested on Nostr.
+ *
+ * Fed by the toll's verified payments (attach()) and by moderator flags.
+ * An agent's score has three parts, each 0..1 and weighted:
+ *
+ *   paid      sats paid, with diminishing returns (full at fullSats)
+ *   contexts  distinct contexts (threads) paid in (full at fullContexts)
+ *   age       days since the first payment (full at fullAgeDays)
+ *
+ * Sats, contexts and flags decay with a halfLifeDays half-life, so
+ * reputation has to be kept up. Each flag subtracts severity × flagPoints
+ * (decayed). Agents with no history have no score (null), same as agents
+ * nobody attested.
+ *
+ * History lives in memory. After a restart, backfill() replays payments
+ * from the ledger and restoreFlags() takes flags back from the pricing
+ * engine's moderation state.
+ *
+ * Use it alone (trust: reputation.resolver()) or as one source of a
+ * compositeResolver.
+ */
+
+const { TrustResolver } = require('./trust.cjs');
+
+const DAY_MS = 86_400_000;
+
+class LocalReputation {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.halfLifeDays=90] - Decay of sats, contexts and flags
+   * @param {number} [opts.fullSats=1000] - Decayed sats for a full `paid` part
+   * @param {number} [opts.fullContexts=10] - Contexts for a full `contexts` part
+   * @param {number} [opts.fullAgeDays=90] - Days for a full `age` part
+   * @param {object} [opts.weights] - { paid = 0.4, contexts = 0.3, age = 0.3 }
+   * @param {number} [opts.flagPoints=20] - Points a severity-1 flag subtracts
+   */
+  constructor(opts = {}) {
+    this.halfLifeMs = (opts.halfLifeDays ?? 90) * DAY_MS;
+    this.fullSats = opts.fullSats ?? 1000;
+    this.fullContexts = opts.fullContexts ?? 10;
+    this.fullAgeDays = opts.fullAgeDays ?? 90;
+    this.weights = { paid: 0.4, contexts: 0.3, age: 0.3, ...opts.weights };
+    this.flagPoints = opts.flagPoints ?? 20;
+    this._agents = new Map(); // agentId → { firstSeen (first payment), sats, satsAt, contexts: Map(contextId → lastAt), flags: [] }
+  }
+
+  /**
+   * Record a toll's verified payments. Top-ups aren't counted (the sats
+   * count when the balance is spent), and neither are payments by agents
+   * that didn't prove their identity: anyone can claim an agent id, and
+   * paying under it shouldn't build that agent's reputation.
+   * @param {EventEmitter} toll
+   * @returns {Function} Detach
+   */
+  attach(toll) {
+    const listener = (e) => {
+      if (e.via === 'topup' || !e.agentVerified) return;
+      this.recordPayment(e);
+    };
+    toll.on('payment.verified', listener);
+    return () => toll.off('payment.verified', listener);
+  }
+
+  /**
+   * Rebuild history from a payment ledger (e.g. after a restart). Counts
+   * what attach() would have: verified agents' payments and balance spends.
+   * @param {PaymentLedger} ledger
+   * @param {object} [opts]
+   * @param {number} [opts.before] - Only entries before this time (unix ms); avoids counting what attach() already saw
+   * @returns {Promise<number>} Payments recorded
+   */
+  async backfill(ledger, opts = {}) {
+    const entries = await ledger.query({ to: opts.before });
+    let recorded = 0;
+    for (const entry of entries) {
+      if (!(entry.type === 'payment' || entry.type === 'balance_spend') || entry.via === 'topup') continue;
+      if (!entry.agentVerified) continue;
+      if (this.recordPayment(entry)) recorded++;
+    }
+    return recorded;
+  }
+
+  /**
+   * Take flags back from a pricing engine's moderation state (e.g. after a
+   * restart), which a durable activity store keeps. Only flags that haven't
+   * faded there come back (pricing flags fade faster), and none against
+   * 'anonymous'.
+   * @param {PricingEngine} pricing
+   * @param {object} [opts]
+   * @param {number} [opts.before] - Only flags from before this time (unix ms); later ones are kept as recorded
+   * @returns {Promise<number>} Flags restored
+   */
+  async restoreFlags(pricing, opts = {}) {
+    const before = opts.before ?? Infinity;
+    let restored = 0;
+    for (const { agentId, flags } of await pricing.flagged()) {
+      if (agentId === 'anonymous') continue;
+      const earlier = flags.filter(f => f.flaggedAt < before);
+      if (earlier.length === 0) continue;
+      const agent = this._agent(agentId);
+      agent.flags = [
+        ...earlier.map(f => ({ severity: f.severity, contextId: f.contextId, reason: f.reason, timestamp: f.flaggedAt })),
+        ...agent.flags.filter(f => f.timestamp >= before),
+      ];
+      restored += earlier.length;
+    }
+    return restored;
+  }
+
+  /**
+   * Count one payment.
+   * @param {object} payment - { agentId, sats, contextId?, timestamp? }
+   * @returns {boolean} Whether it was recorded (anonymous and zero payments aren't)
+   */
+  recordPayment({ agentId, sats, contextId, timestamp = Date.now() }) {
+    if (!agentId || agentId === 'anonymous' || !(sats > 0)) return false;
+    const agent = this._agent(agentId);
+    agent.firstSeen = Math.min(agent.firstSeen ?? timestamp, timestamp);
+    if (timestamp >= agent.satsAt) {
+      agent.sats = this._decayed(agent.sats, agent.satsAt, timestamp) + sats;
+      agent.satsAt = timestamp;
+    } else {
+      agent.sats += this._decayed(sats, timestamp, agent.satsAt); // older than what's recorded
+    }
+    if (contextId) agent.contexts.set(contextId, Math.max(agent.contexts.get(contextId) || 0, timestamp));
+    return true;
+  }
+
+  /**
+   * Record a moderator flag against an agent.
+   * @param {string} agentId
+   * @param {object} [opts]
+   * @param {number} [opts.severity=1]
+   * @param {string} [opts.contextId]
+   * @param {string} [opts.reason]
+   * @param {number} [opts.timestamp=Date.now()]
+   */
+  flag(agentId, opts = {}) {
+    const timestamp = opts.timestamp ?? Date.now();
+    const severity = opts.severity ?? 1;
+    if (!(severity > 0)) throw new Error('LocalReputation: severity must be positive');
+    this._agent(agentId).flags.push({
+      severity,
+      contextId: opts.contextId || null,
+      reason: opts.reason || null,
+      timestamp,
+    });
+  }
+
+  /**
+   * Remove an agent's flags: all of them, or one context's.
+   * @param {string} agentId
+   * @param {string} [contextId]
+   * @returns {number} Flags removed
+   */
+  pardon(agentId, contextId) {
+    const agent = this._agents.get(agentId);
+    if (!agent) return 0;
+    const before = agent.flags.length;
+    agent.flags = contextId === undefined ? [] : agent.flags.filter(f => f.contextId !== contextId);
+    return before - agent.flags.length;
+  }
+
+  /**
+   * An agent's score, 0-100, or null with no history.
+   * @param {string} agentId
+   * @returns {number|null}
+   */
+  score(agentId) {
+    return this.explain(agentId).score;
+  }
+
+  /**
+   * How an agent's score came about.
+   * @param {string} agentId
+   * @returns {object} { agentId, source: 'local', score, paidSats, contexts, ageDays, parts, penalty, flags }
+   */
+  explain(agentId) {
+    const agent = this._agents.get(agentId);
+    if (!agent) return { agentId, source: 'local', score: null };
+    const now = Date.now();
+
+    const paidSats = this._decayed(agent.sats, agent.satsAt, now);
+    let contexts = 0;
+    for (const lastAt of agent.contexts.values()) contexts += this._decayed(1, lastAt, now);
+    const ageDays = agent.firstSeen === null ? 0 : Math.max(0, now - agent.firstSeen) / DAY_MS;
+    const penalty = agent.flags.reduce((sum, f) => sum + this._decayed(f.severity * this.flagPoints, f.timestamp, now), 0);
+
+    const parts = {
+      paid: paidSats > 0 ? Math.min(1, Math.log1p(paidSats) / Math.log1p(this.fullSats)) : 0,
+      contexts: Math.min(1, contexts / this.fullContexts),
+      age: agent.satsAt ? Math.min(1, ageDays / this.fullAgeDays) : 0,
+    };
+    const earned = 100 * (this.weights.paid * parts.paid + this.weights.contexts * parts.contexts + this.weights.age * parts.age);
+
+    return {
+      agentId,
+      source: 'local',
+      score: Math.max(0, Math.min(100, Math.round(earned - penalty))),
+      paidSats: Math.round(paidSats),
+      contexts: Math.round(contexts * 10) / 10,
+      ageDays: Math.round(ageDays * 10) / 10,
+      parts: Object.fromEntries(Object.entries(parts).map(([k, v]) => [k, Math.round(v * 1000) / 1000])),
+      penalty: Math.round(penalty * 10) / 10,
+      flags: agent.flags.length,
+    };
+  }
+
+  /**
+   * A TrustResolver backed by this reputation.
+   * @param {object} [opts] - TrustResolver cache options (cacheTtlMs defaults to 1 min)
+   * @returns {TrustResolver}
+   */
+  resolver(opts = {}) {
+    return new TrustResolver({
+      cacheTtlMs: 60_000,
+      ...opts,
+      resolver: async (agentId) => this.explain(agentId),
+    });
+  }
+
+  /**
+   * Drop an agent's history.
+   * @param {string} agentId
+   * @returns {boolean} Whether there was any
+   */
+  forget(agentId) {
+    return this._agents.delete(agentId);
+  }
+
+  /**
+   * Agents with history, and flags recorded.
+   */
+  stats() {
+    let flags = 0;
+    for (const agent of this._agents.values()) flags += agent.flags.length;
+    return { agents: this._agents.size, flags };
+  }
+
+  /** @private */
+  _agent(agentId) {
+    let agent = this._agents.get(agentId);
+    if (!agent) {
+      agent = { firstSeen: null, sats: 0, satsAt: 0, contexts: new Map(), flags: [] };
+      this._agents.set(agentId, agent);
+    }
+    return agent;
+  }
+
+  /** Value at `now` of `value` as of `at`. @private */
+  _decayed(value, at, now) {
+    if (!value) return 0;
+    return value * Math.pow(0.5, Math.max(0, now - at) / this.halfLifeMs);
+  }
+}
+
+module.exports = { LocalReputation };
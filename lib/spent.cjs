@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Spent-credential store for L402 replay protection.
+ *
+ * Tracks how many actions each paid payment hash has authorized.
+ * Once a credential has used up its allotment it is rejected, even
+ * if the macaroon itself has not expired yet.
+ *
+ * Custom stores (Redis, SQL, ...) implement the same async interface:
+ *   consume(paymentHash, { maxUses, expiresAt }) → { ok, uses, remaining }
+ *   uses(paymentHash) → number
+ *   cleanup(nowSecs?) → void
+ */
+
+class MemorySpentStore {
+  constructor() {
+    // paymentHash → { uses, expiresAt }
+    this._spent = new Map();
+  }
+
+  /**
+   * Atomically record one use of a credential.
+   * @param {string} paymentHash - Payment hash (macaroon id)
+   * @param {object} [opts]
+   * @param {number} [opts.maxUses=1] - Actions the credential may authorize
+   * @param {number} [opts.expiresAt] - Unix seconds after which the entry can be dropped
+   * @returns {Promise<{ ok: boolean, uses: number, remaining: number }>}
+   */
+  async consume(paymentHash, { maxUses = 1, expiresAt } = {}) {
+    let entry = this._spent.get(paymentHash);
+    if (!entry) {
+      entry = { uses: 0, expiresAt: expiresAt || null };
+      this._spent.set(paymentHash, entry);
+    }
+
+    if (entry.uses >= maxUses) {
+      return { ok: false, uses: entry.uses, remaining: 0 };
+    }
+
+    entry.uses++;
+    return { ok: true, uses: entry.uses, remaining: maxUses - entry.uses };
+  }
+
+  /**
+   * Number of actions a credential has authorized so far.
+   * @param {string} paymentHash
+   * @returns {Promise<number>}
+   */
+  async uses(paymentHash) {
+    const entry = this._spent.get(paymentHash);
+    return entry ? entry.uses : 0;
+  }
+
+  /**
+   * Drop entries whose macaroons have expired (they can't be replayed anyway).
+   * @param {number} [nowSecs] - Current unix time in seconds
+   */
+  async cleanup(nowSecs = Math.floor(Date.now() / 1000)) {
+    for (const [hash, entry] of this._spent.entries()) {
+      if (entry.expiresAt && entry.expiresAt < nowSecs) {
+        this._spent.delete(hash);
+      }
+    }
+  }
+
+  /**
+   * Get store stats.
+   */
+  stats() {
+    return { tracked: this._spent.size };
+  }
+}
+
+module.exports = { MemorySpentStore };
@@ -5,9 +5,45 @@
  * 
  * Default implementation queries ai.wot (Nostr NIP-32 attestations).
  * Pluggable: provide your own resolver function.
+ *
+ * Only attestations with a valid signature count, and an attester can take
+ * theirs back with a NIP-09 deletion. Negative types (dispute, warning)
+ * subtract from the score. explain() shows how a score came about.
+ *
+ * A dispute from a vetted attester (reached from the seeds, or zapped
+ * with receipts that check out) subtracts in full. Disputes from unvetted keys together take away at
+ * most `unvettedPenalty` (half) of what the positive attestations built,
+ * so five fresh keys can't sink an agent to 0.
+ *
+ * With `seeds` (e.g. the forum's moderators), scoring is personalized:
+ * each attestation counts as much as its attester is trusted from the
+ * seeds. Seeds count fully; whoever they attest counts `damping` as much,
+ * and so on, up to `maxDepth` hops. Attesters the walk doesn't reach count
+ * for nothing, so a ring of fresh keys attesting each other gets nowhere.
+ *
+ * With `zaps`, attestations count by the sats zapped to them (NIP-57
+ * receipts), with diminishing returns: an unzapped attestation counts
+ * `baseline` (a quarter) of one, and zaps raise that towards a full one,
+ * reaching it at `fullSats`. Fresh keys are free; sats aren't. A receipt
+ * counts only if the attester's LNURL server signed it and its invoice
+ * commits to the zap request; attesters whose server can't be looked up
+ * get no credit for zaps.
+ *
+ * Every lookup, Nostr or custom, goes through one cache. Scores are fresh
+ * for cacheTtlMs (negativeTtlMs for agents with no score); after that
+ * they're served stale, at once, while a background refresh runs, until
+ * staleTtlMs. Lookups of the same agent share one query. With cacheFile
+ * the cache survives restarts.
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
 const { Relay, useWebSocketImplementation } = require('nostr-tools/relay');
+const { verifyEvent } = require('nostr-tools/pure');
+const { validateZapRequest } = require('nostr-tools/nip57');
+const { decodeInvoice, decodeLnurl } = require('./bolt11.cjs');
 
 // Try to use ws in Node.js
 try {
@@ -28,22 +64,73 @@ const ATTESTATION_WEIGHTS = {
   'identity-continuity': 1.0,
   'general-trust': 0.8,
   'work-completed': 1.2,
+  // Negative: each one subtracts up to |weight| × one attester's share (20 points)
+  'dispute': -1.5,
+  'warning': -1.0,
+};
+
+const FULL_NETWORK = 5;                // distinct attesters for a full network factor
+const HALF_LIFE_MS = 90 * 86_400_000;  // attestation decay
+
+const PREFETCH_BATCH = 20;             // pubkeys per relay query
+const GRAPH_PAGE = 500;                // attestations per page when walking the graph
+const GRAPH_MAX_PAGES = 20;            // pages per batch of authors
+const LNURL_TTL_MS = 3_600_000;        // how long an attester's zap key is reused
+const PERSIST_DELAY_MS = 1000;         // cache writes are batched this long
+
+const ZAP_CURVES = {
+  log: (sats, fullSats) => Math.log1p(sats) / Math.log1p(fullSats),
+  sqrt: (sats, fullSats) => Math.sqrt(sats / fullSats),
 };
 
 class TrustResolver {
   /**
    * @param {object} opts
    * @param {string[]} [opts.relays] - Nostr relays to query
-   * @param {number} [opts.timeoutMs=5000] - Query timeout
-   * @param {number} [opts.cacheTtlMs=300000] - Cache TTL (5 min default)
-   * @param {Function} [opts.resolver] - Custom resolver: (agentId) => Promise<number>
+   * @param {number} [opts.timeoutMs=5000] - Deadline for all relays together
+   * @param {number} [opts.cacheTtlMs=300000] - How long a score is fresh (5 min default)
+   * @param {number} [opts.negativeTtlMs] - How long "no score" is fresh (default cacheTtlMs)
+   * @param {number} [opts.staleTtlMs=86400000] - How long a score may be served stale while it refreshes (1 day)
+   * @param {string} [opts.cacheFile] - JSON file the cache is saved to and restored from
+   * @param {Function} [opts.resolver] - Custom resolver: (agentId) => Promise<number|null|{ score, ... }>
+   * @param {string[]} [opts.seeds] - Pubkeys (hex) trust is measured from; enables personalized scoring
+   * @param {number} [opts.maxDepth=2] - Hops from the seeds an attester may be
+   * @param {number} [opts.damping=0.5] - Weight kept per hop
+   * @param {number} [opts.graphTtlMs=3600000] - How long the walked graph is reused (1 h default)
+   * @param {boolean|object} [opts.zaps] - Weight attestations by sats zapped to them
+   * @param {number} [opts.zaps.baseline=0.25] - How much an unzapped attestation counts
+   * @param {number} [opts.zaps.fullSats=1000] - Sats at which an attestation counts fully
+   * @param {'log'|'sqrt'|Function} [opts.zaps.curve='log'] - Progress towards fullSats: (sats, fullSats) → 0..1
+   * @param {Function} [opts.zaps.fetch] - fetch() for LNURL lookups (defaults to the global one)
+   * @param {number} [opts.unvettedPenalty=0.5] - Share of the positive score that disputes and warnings
+   *   from attesters neither reached from the seeds nor zapped can take away
    */
   constructor(opts = {}) {
     this.relays = opts.relays || DEFAULT_RELAYS;
     this.timeoutMs = opts.timeoutMs || 5000;
     this.cacheTtlMs = opts.cacheTtlMs || 300_000;
+    this.negativeTtlMs = opts.negativeTtlMs ?? this.cacheTtlMs;
+    this.staleTtlMs = Math.max(opts.staleTtlMs ?? 86_400_000, this.cacheTtlMs, this.negativeTtlMs);
+    this.cacheFile = opts.cacheFile ? path.resolve(opts.cacheFile) : null;
     this.customResolver = opts.resolver || null;
-    this._cache = new Map(); // pubkey → { score, fetchedAt }
+    this.seeds = opts.seeds && opts.seeds.length ? [...new Set(opts.seeds)] : null;
+    this.maxDepth = opts.maxDepth ?? 2;
+    this.damping = opts.damping ?? 0.5;
+    this.graphTtlMs = opts.graphTtlMs || 3_600_000;
+    this.zaps = opts.zaps ? { baseline: 0.25, fullSats: 1000, curve: 'log', fetch: globalThis.fetch, ...(opts.zaps === true ? {} : opts.zaps) } : null;
+    if (this.zaps && typeof this.zaps.curve !== 'function' && !ZAP_CURVES[this.zaps.curve]) {
+      throw new Error(`TrustResolver: unknown zap curve: ${this.zaps.curve}`);
+    }
+    this.unvettedPenalty = opts.unvettedPenalty ?? 0.5;
+    this._cache = new Map(); // agentId → { score, explanation, fetchedAt }
+    this._pending = new Map(); // agentId → lookup in flight
+    this._persistTimer = null;
+    this._persisting = Promise.resolve();
+    this._restoring = this.cacheFile ? this._restore() : Promise.resolve();
+    this._health = new Map(); // relay URL → query outcomes and latency
+    this._graph = null; // { reach: Map(pubkey → 0..1), fetchedAt }
+    this._graphLoading = null;
+    this._zapKeys = new Map(); // attester → { nostrPubkey, url, fetchedAt }
   }
 
   /**
@@ -52,132 +139,786 @@ class TrustResolver {
    * @returns {Promise<number|null>} Trust score 0-100, or null if unknown
    */
   async getScore(agentId) {
+    return (await this._cached(agentId)).score;
+  }
+
+  /**
+   * Look up several agents at once (e.g. everyone in a thread) so their
+   * scores are cached before they're needed. Nostr lookups are batched;
+   * agents with a fresh score are skipped.
+   * @param {string[]} agentIds
+   * @returns {Promise<Object<string, number|null>>} agentId → score (null if unknown or failed)
+   */
+  async prefetch(agentIds) {
+    await this._restoring;
+    const ids = [...new Set(agentIds)];
+    const wanted = ids.filter(id => !this._fresh(this._cache.get(id)) && !this._pending.has(id));
+
     if (this.customResolver) {
-      return this.customResolver(agentId);
+      await Promise.all(wanted.map(id => this._refresh(id).catch(() => null)));
+    } else {
+      for (let i = 0; i < wanted.length; i += PREFETCH_BATCH) {
+        await this._prefetchNostr(wanted.slice(i, i + PREFETCH_BATCH)).catch(() => null);
+      }
+    }
+    await Promise.all(ids.map(id => this._pending.get(id)?.catch(() => null)));
+    return Object.fromEntries(ids.map(id => [id, this._cache.get(id)?.score ?? null]));
+  }
+
+  /**
+   * One relay query for a batch of pubkeys, split up per subject.
+   * @private
+   */
+  async _prefetchNostr(pubkeys) {
+    const [{ events, deletions, zaps }, reach] = await Promise.all([
+      this._fetch({ kinds: [1985], '#L': ['ai.wot'], '#p': pubkeys, limit: 50 * pubkeys.length }, { deletions: true, zaps: !!this.zaps }),
+      this.seeds ? this._trustGraph() : null,
+    ]);
+    const zapKeys = this.zaps ? await this._resolveZapKeys(events, zaps) : null;
+    for (const pubkey of pubkeys) {
+      const about = events.filter(event => event.tags.some(t => t[0] === 'p' && t[1] === pubkey));
+      this._store(pubkey, this._explain(pubkey, about, deletions, reach, zaps, zapKeys));
     }
+  }
 
-    // Check cache
+  /**
+   * The cached explanation, stale or not, or a lookup if there's nothing
+   * to serve. A failed lookup falls back to whatever is cached, however
+   * old; with nothing cached, custom resolver errors propagate and Nostr
+   * failures mean "unknown".
+   * @private
+   */
+  async _cached(agentId) {
+    await this._restoring;
     const cached = this._cache.get(agentId);
-    if (cached && Date.now() - cached.fetchedAt < this.cacheTtlMs) {
-      return cached.score;
+    const serve = () => cached.explanation || { agentId, score: cached.score };
+    if (this._fresh(cached)) return serve();
+    if (this._servable(cached)) {
+      this._refresh(agentId).catch(() => {}); // for next time; keeps the cached entry if it fails
+      return serve();
     }
-
-    // Query ai.wot attestations from Nostr
     try {
-      const score = await this._queryNostr(agentId);
-      this._cache.set(agentId, { score, fetchedAt: Date.now() });
-      return score;
+      return await this._refresh(agentId);
     } catch (err) {
-      // On error, return cached value if any (even if stale), else null
-      return cached ? cached.score : null;
+      if (cached) return serve();
+      if (this.customResolver) throw err;
+      return { agentId, source: 'nostr', score: null };
     }
   }
 
   /**
-   * Query Nostr relays for ai.wot attestations about a pubkey.
+   * Look an agent up and cache the result. Concurrent calls share a lookup.
    * @private
    */
+  _refresh(agentId) {
+    let pending = this._pending.get(agentId);
+    if (!pending) {
+      pending = this._lookup(agentId)
+        .then((explanation) => {
+          this._store(agentId, explanation);
+          return explanation;
+        })
+        .finally(() => this._pending.delete(agentId));
+      this._pending.set(agentId, pending);
+    }
+    return pending;
+  }
+
+  /**
+   * Uncached lookup: the custom resolver, or ai.wot attestations on Nostr.
+   * Custom resolvers return a score, or an object with a score and
+   * whatever explains it.
+   * @private
+   * @returns {Promise<object>} Explanation (see explain())
+   */
+  async _lookup(agentId) {
+    if (!this.customResolver) return this._queryNostr(agentId);
+    const result = await this.customResolver(agentId);
+    if (result && typeof result === 'object') {
+      return { agentId, source: 'custom', ...result, score: typeof result.score === 'number' ? result.score : null };
+    }
+    return { agentId, source: 'custom', score: typeof result === 'number' ? result : null };
+  }
+
+  /** @private */
+  _store(agentId, explanation) {
+    this._cache.set(agentId, { score: explanation.score, explanation, fetchedAt: Date.now() });
+    this._schedulePersist();
+  }
+
+  /** @private */
+  _fresh(entry) {
+    if (!entry) return false;
+    return Date.now() - entry.fetchedAt < (entry.score === null ? this.negativeTtlMs : this.cacheTtlMs);
+  }
+
+  /** @private */
+  _servable(entry) {
+    return !!entry && Date.now() - entry.fetchedAt < this.staleTtlMs;
+  }
+
+  /**
+   * Query Nostr relays for ai.wot attestations about a pubkey, with their
+   * deletions and zaps (and walk the trust graph alongside, when seeded).
+   * @private
+   * @returns {Promise<object>} Explanation (see explain())
+   */
   async _queryNostr(pubkey) {
-    const attestations = [];
+    const [{ events, deletions, zaps }, reach] = await Promise.all([
+      this._fetch({ kinds: [1985], '#L': ['ai.wot'], '#p': [pubkey], limit: 50 }, { deletions: true, zaps: !!this.zaps }),
+      this.seeds ? this._trustGraph() : null,
+    ]);
+    const zapKeys = this.zaps ? await this._resolveZapKeys(events, zaps) : null;
+    return this._explain(pubkey, events, deletions, reach, zaps, zapKeys);
+  }
+
+  /**
+   * Run one query on every relay at once.
+   *
+   * Relays get until one overall deadline (timeoutMs); whatever a slow
+   * relay sent by then still counts. Relays overlap, so events are deduped
+   * by id.
+   * @private
+   * @param {object} filter - Nostr filter
+   * @param {object} [opts]
+   * @param {boolean} [opts.deletions] - Also fetch NIP-09 deletions of the results
+   * @param {boolean} [opts.zaps] - Also fetch NIP-57 zap receipts for the results
+   * @returns {Promise<{ events: object[], deletions: object[], zaps: object[] }>}
+   */
+  async _fetch(filter, opts = {}) {
+    const deadline = Date.now() + this.timeoutMs;
+    const results = await Promise.all(this.relays.map(url => this._queryRelay(url, filter, deadline, opts)));
+    if (results.every(r => r.outcome !== 'ok' && r.events.length === 0)) {
+      throw new Error(`No relay answered: ${results.map(r => `${r.url} (${r.error || r.outcome})`).join(', ')}`);
+    }
+
+    const byId = new Map();
+    const deletions = [];
+    const zaps = new Map();
+    for (const result of results) {
+      for (const event of result.events) byId.set(event.id, event);
+      deletions.push(...result.deletions);
+      for (const receipt of result.zaps) zaps.set(receipt.id, receipt);
+    }
+    return { events: [...byId.values()], deletions, zaps: [...zaps.values()] };
+  }
 
-    for (const relayUrl of this.relays) {
+  /**
+   * Ask one relay until EOSE or the deadline passes, then (optionally) for
+   * deletions of and zaps to the events it returned.
+   * @private
+   * @returns {Promise<{ url, events, deletions, zaps, outcome: 'ok'|'timeout'|'error', error? }>}
+   */
+  async _queryRelay(url, filter, deadline, opts = {}) {
+    const started = Date.now();
+    const events = [];
+    const deletions = [];
+    const zaps = [];
+    let relay = null;
+    let outcome;
+    let error;
+    try {
+      relay = new Relay(url);
+      await relay.connect({ timeout: Math.max(1, deadline - Date.now()) });
+      ({ outcome, error } = await _subscribe(relay, filter, deadline, event => events.push(event)));
+      const ids = events.map(e => e.id);
+      if (opts.deletions && outcome === 'ok' && ids.length > 0) {
+        ({ outcome, error } = await _subscribe(relay, { kinds: [5], '#e': ids }, deadline, event => deletions.push(event)));
+      }
+      if (opts.zaps && outcome === 'ok' && ids.length > 0) {
+        ({ outcome, error } = await _subscribe(relay, { kinds: [9735], '#e': ids }, deadline, event => zaps.push(event)));
+      }
+    } catch (err) {
+      error = err instanceof Error ? err.message : String(err);
+      outcome = /timed out/.test(error) ? 'timeout' : 'error';
+    } finally {
+      if (relay) relay.close();
+    }
+
+    this._recordHealth(url, outcome, Date.now() - started, error);
+    return { url, events, deletions, zaps, outcome, error };
+  }
+
+  /**
+   * How far each pubkey is trusted from the seeds (1 for seeds, × damping
+   * per hop). Walked once per graphTtlMs; concurrent lookups share a walk.
+   * @private
+   * @returns {Promise<Map<string, number>>}
+   */
+  async _trustGraph() {
+    if (this._graph && Date.now() - this._graph.fetchedAt < this.graphTtlMs) return this._graph.reach;
+    if (!this._graphLoading) {
+      this._graphLoading = this._walkGraph().finally(() => {
+        this._graphLoading = null;
+      });
+    }
+    return this._graphLoading;
+  }
+
+  /**
+   * Breadth-first walk: each hop fetches the attestations written by the
+   * pubkeys reached so far. Only an author's newest, positive
+   * attestation of someone is an edge. A hop that no relay answers ends
+   * the walk early, and the partial graph isn't reused.
+   * @private
+   */
+  async _walkGraph() {
+    const reach = new Map(this.seeds.map(seed => [seed, 1]));
+    let frontier = this.seeds;
+    let complete = true;
+
+    for (let depth = 1; depth <= this.maxDepth && frontier.length > 0; depth++) {
+      let events;
       try {
-        const relay = await Relay.connect(relayUrl);
-        await new Promise((resolve, reject) => {
-          const timer = setTimeout(() => {
-            relay.close();
-            resolve();
-          }, this.timeoutMs);
-
-          relay.subscribe(
-            [{
-              kinds: [1985],
-              '#L': ['ai.wot'],
-              '#p': [pubkey],
-              limit: 50,
-            }],
-            {
-              onevent: (event) => {
-                if (event.pubkey !== pubkey) { // Don't count self-attestations
-                  attestations.push(event);
-                }
-              },
-              oneose: () => {
-                clearTimeout(timer);
-                relay.close();
-                resolve();
-              },
-            }
-          );
-        });
-        break; // Got results from one relay, that's enough
+        events = await this._authoredBy(frontier);
+      } catch (_) {
+        complete = false;
+        break;
+      }
+
+      const authors = new Set(frontier);
+      const newest = new Map(); // `${author}:${subject}` → event
+      for (const event of events) {
+        const subject = (event.tags.find(t => t[0] === 'p') || [])[1];
+        if (!authors.has(event.pubkey) || !subject || subject === event.pubkey) continue;
+        if (!_isAttestation(event, subject) || !verifyEvent(event)) continue;
+        const key = `${event.pubkey}:${subject}`;
+        const current = newest.get(key);
+        if (!current || event.created_at > current.created_at) newest.set(key, event);
+      }
+
+      const next = [];
+      for (const event of newest.values()) {
+        if (_weight(event) <= 0) continue;
+        const subject = event.tags.find(t => t[0] === 'p')[1];
+        if (reach.has(subject)) continue; // reached in fewer hops already
+        reach.set(subject, reach.get(event.pubkey) * this.damping);
+        next.push(subject);
+      }
+      frontier = next;
+    }
+
+    this._graph = { reach, fetchedAt: complete ? Date.now() : 0 };
+    return reach;
+  }
+
+  /**
+   * Attestations written by the given pubkeys, PREFETCH_BATCH authors per
+   * query. Relays cut results off at the limit without saying so, so full
+   * pages are followed back in time with `until`.
+   * @private
+   * @returns {Promise<object[]>}
+   */
+  async _authoredBy(pubkeys) {
+    const byId = new Map();
+    for (let i = 0; i < pubkeys.length; i += PREFETCH_BATCH) {
+      const filter = { kinds: [1985], '#L': ['ai.wot'], authors: pubkeys.slice(i, i + PREFETCH_BATCH), limit: GRAPH_PAGE };
+      for (let page = 0; page < GRAPH_MAX_PAGES; page++) {
+        const { events } = await this._fetch(filter);
+        const known = byId.size;
+        for (const event of events) byId.set(event.id, event);
+        if (events.length < GRAPH_PAGE || byId.size === known) break;
+        // Inclusive, so events sharing the oldest second aren't skipped
+        filter.until = events.reduce((oldest, e) => Math.min(oldest, e.created_at), Infinity);
+      }
+    }
+    return [...byId.values()];
+  }
+
+  /**
+   * The key each zapped attester's LNURL server signs zap receipts with
+   * (NIP-57 Appendix F), from the lud16 or lud06 in their newest kind-0.
+   * Attesters whose server can't be reached or doesn't do Nostr are left
+   * out, so their zaps don't count; they're asked again next lookup.
+   * @private
+   * @returns {Promise<Map<string, { nostrPubkey: string, url: string }>>} Attester → zap key
+   */
+  async _resolveZapKeys(events, receipts) {
+    const zappedIds = new Set();
+    for (const receipt of receipts) {
+      if (!Array.isArray(receipt.tags)) continue;
+      for (const tag of receipt.tags) if (tag[0] === 'e') zappedIds.add(tag[1]);
+    }
+    const attesters = [...new Set(events.filter(event => zappedIds.has(event.id)).map(event => event.pubkey))];
+
+    const keys = new Map();
+    const missing = [];
+    for (const attester of attesters) {
+      const cached = this._zapKeys.get(attester);
+      if (cached && Date.now() - cached.fetchedAt < LNURL_TTL_MS) keys.set(attester, cached);
+      else missing.push(attester);
+    }
+
+    for (let i = 0; i < missing.length; i += PREFETCH_BATCH) {
+      const batch = new Set(missing.slice(i, i + PREFETCH_BATCH));
+      let profiles;
+      try {
+        ({ events: profiles } = await this._fetch({ kinds: [0], authors: [...batch] }));
       } catch (_) {
-        continue; // Try next relay
+        continue;
+      }
+      const newest = new Map();
+      for (const profile of profiles) {
+        if (profile.kind !== 0 || !batch.has(profile.pubkey) || !verifyEvent(profile)) continue;
+        const current = newest.get(profile.pubkey);
+        if (!current || profile.created_at > current.created_at) newest.set(profile.pubkey, profile);
+      }
+      await Promise.all([...newest.values()].map(async (profile) => {
+        const key = await this._lnurlKey(profile);
+        if (!key) return;
+        this._zapKeys.set(profile.pubkey, key);
+        keys.set(profile.pubkey, key);
+      }));
+    }
+    return keys;
+  }
+
+  /**
+   * Ask a profile's LNURL server for the key it signs zap receipts with.
+   * @private
+   * @returns {Promise<{ nostrPubkey, url, fetchedAt }|null>}
+   */
+  async _lnurlKey(profile) {
+    const url = _lnurlPayUrl(profile);
+    if (!url) return null;
+    try {
+      const res = await this.zaps.fetch(url, { signal: AbortSignal.timeout(this.timeoutMs) });
+      const body = await res.json();
+      if (!res.ok || !body || body.allowsNostr !== true) return null;
+      if (typeof body.nostrPubkey !== 'string' || !/^[0-9a-f]{64}$/.test(body.nostrPubkey)) return null;
+      return { nostrPubkey: body.nostrPubkey, url, fetchedAt: Date.now() };
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /** @private */
+  _recordHealth(url, outcome, latencyMs, error) {
+    let health = this._health.get(url);
+    if (!health) {
+      health = {
+        queries: 0,
+        successes: 0,
+        timeouts: 0,
+        failures: 0,
+        avgLatencyMs: null,
+        lastLatencyMs: null,
+        lastError: null,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+      };
+      this._health.set(url, health);
+    }
+    health.queries++;
+    if (outcome === 'ok') {
+      health.successes++;
+      health.lastLatencyMs = latencyMs;
+      health.avgLatencyMs = Math.round(((health.avgLatencyMs || 0) * (health.successes - 1) + latencyMs) / health.successes);
+      health.lastSuccessAt = Date.now();
+    } else {
+      if (outcome === 'timeout') health.timeouts++;
+      else health.failures++;
+      health.lastError = error || 'Timed out';
+      health.lastFailureAt = Date.now();
+    }
+  }
+
+  /**
+   * Score a subject from raw relay events and say how.
+   * @private
+   */
+  _explain(pubkey, events, deletions = [], reach = null, zaps = [], zapKeys = new Map()) {
+    const ignored = { invalid: 0, deleted: 0, self: 0, superseded: 0 };
+    if (reach) ignored.unreachable = 0;
+
+    const valid = events.filter(event => {
+      if (!_isAttestation(event, pubkey) || !verifyEvent(event)) {
+        ignored.invalid++;
+        return false;
+      }
+      if (event.pubkey === pubkey) { // Don't count self-attestations
+        ignored.self++;
+        return false;
+      }
+      return true;
+    });
+
+    // NIP-09: only an attestation's author can delete it
+    const deleted = new Set();
+    for (const deletion of deletions) {
+      if (deletion.kind !== 5 || !verifyEvent(deletion)) continue;
+      for (const tag of deletion.tags) {
+        if (tag[0] === 'e') deleted.add(`${deletion.pubkey}:${tag[1]}`);
       }
     }
 
-    if (attestations.length === 0) return null;
-    return this._calculateScore(attestations);
+    const newest = new Map(); // attester → event
+    for (const event of valid) {
+      if (deleted.has(`${event.pubkey}:${event.id}`)) {
+        ignored.deleted++;
+        continue;
+      }
+      const current = newest.get(event.pubkey);
+      if (current) ignored.superseded++;
+      if (!current || event.created_at > current.created_at) newest.set(event.pubkey, event);
+    }
+
+    let attestations = [...newest.values()];
+    if (reach) {
+      attestations = attestations.filter(event => reach.has(event.pubkey));
+      ignored.unreachable = newest.size - attestations.length;
+    }
+    const zapped = this.zaps ? _zapTotals(zaps, attestations, pubkey, zapKeys) : null;
+    const explanation = this._calculateScore(attestations, reach, zapped);
+    return {
+      agentId: pubkey,
+      source: 'nostr',
+      ...(reach ? { seeds: this.seeds.length } : {}),
+      ...explanation,
+      score: attestations.length === 0 ? null : explanation.score,
+      ignored,
+    };
   }
 
   /**
-   * Calculate trust score from attestations.
+   * Calculate trust score from attestations, one per attester.
    * Simplified version of ai.wot scoring.
    * @private
+   * @param {object[]} attestations
+   * @param {Map} [reach] - Attester → trust from the seeds; every attester counts fully without
+   * @param {Map} [zapped] - Event id → sats zapped; every attestation counts fully without
+   * @returns {{ score, networkFactor, qualityFactor, penalty, attestations }}
    */
-  _calculateScore(attestations) {
+  _calculateScore(attestations, reach = null, zapped = null) {
     let weightedSum = 0;
     let totalWeight = 0;
+    let penalty = 0;
+    let unvetted = 0; // penalty from attesters nobody vouches for, capped below
+    let network = 0; // attesters, each counted by how far they're trusted
     const seenAttesters = new Set();
+    const rows = [];
 
     for (const event of attestations) {
       // Skip duplicate attesters (use latest)
       if (seenAttesters.has(event.pubkey)) continue;
       seenAttesters.add(event.pubkey);
 
-      // Find attestation type from tags
-      const lTag = event.tags.find(t => t[0] === 'l' && t[2] === 'ai.wot');
-      const type = lTag ? lTag[1] : 'general-trust';
-      const weight = ATTESTATION_WEIGHTS[type] || 0.8;
+      const type = _type(event);
+      const weight = _weight(event);
+      const trusted = reach ? reach.get(event.pubkey) || 0 : 1;
+      const zapSats = zapped ? zapped.get(event.id) || 0 : null;
+      const zapFactor = zapped ? this._zapFactor(zapSats) : 1;
+      const counted = trusted * zapFactor;
 
       // Temporal decay (90-day half-life)
       const ageMs = Date.now() - event.created_at * 1000;
-      const halfLifeMs = 90 * 86_400_000;
-      const decay = Math.pow(0.5, ageMs / halfLifeMs);
+      const decay = Math.pow(0.5, ageMs / HALF_LIFE_MS);
 
-      weightedSum += weight * decay;
-      totalWeight += weight;
+      // Vouched for by the seed walk reaching the attester, or by zaps whose
+      // receipts the attester's LNURL server signed (see _zap)
+      const vetted = (!!reach && reach.has(event.pubkey)) || zapSats > 0;
+      if (weight < 0) {
+        if (vetted) penalty -= weight * decay * counted * (100 / FULL_NETWORK);
+        else unvetted -= weight * decay * counted * (100 / FULL_NETWORK);
+      } else {
+        weightedSum += weight * decay * counted;
+        totalWeight += weight * counted;
+        network += counted;
+      }
+      const row = { attester: event.pubkey, eventId: event.id, type, weight, ageDays: ageMs / 86_400_000, decay };
+      if (weight < 0) row.vetted = vetted;
+      if (reach) row.reach = trusted;
+      if (zapped) Object.assign(row, { zapSats, zapFactor });
+      rows.push(row);
     }
 
-    if (totalWeight === 0) return 0;
-
     // Normalize to 0-100 scale
     // 5+ unique attesters with good types → approaches 100
-    const uniqueAttesters = seenAttesters.size;
-    const networkFactor = Math.min(1, uniqueAttesters / 5);
-    const qualityFactor = weightedSum / totalWeight;
-    
-    return Math.round(networkFactor * qualityFactor * 100);
+    const networkFactor = Math.min(1, network / FULL_NETWORK);
+    const qualityFactor = totalWeight > 0 ? weightedSum / totalWeight : 0;
+    const positive = networkFactor * qualityFactor * 100;
+    const capped = Math.min(unvetted, positive * this.unvettedPenalty);
+    penalty += capped;
+    const contribution = (row) => {
+      const counted = (row.reach ?? 1) * (row.zapFactor ?? 1);
+      if (row.weight >= 0) return networkFactor * 100 * row.weight * row.decay * counted / totalWeight;
+      // Unvetted disputes share the cap in proportion
+      const share = row.vetted ? 1 : (unvetted > 0 ? capped / unvetted : 0);
+      return row.weight * row.decay * counted * (100 / FULL_NETWORK) * share;
+    };
+
+    return {
+      score: Math.max(0, Math.round(positive - penalty)),
+      networkFactor,
+      qualityFactor: Math.round(qualityFactor * 1000) / 1000,
+      penalty: Math.round(penalty * 10) / 10,
+      attestations: rows.map(row => ({
+        ...row,
+        ageDays: Math.round(row.ageDays * 10) / 10,
+        decay: Math.round(row.decay * 1000) / 1000,
+        ...(row.zapFactor === undefined ? {} : { zapFactor: Math.round(row.zapFactor * 1000) / 1000 }),
+        contribution: Math.round(contribution(row) * 10) / 10,
+      })),
+    };
   }
 
   /**
-   * Clear cache.
+   * How much an attestation with `sats` zapped to it counts (baseline..1).
+   * @private
+   */
+  _zapFactor(sats) {
+    const { baseline, fullSats, curve } = this.zaps;
+    const progress = (typeof curve === 'function' ? curve : ZAP_CURVES[curve])(sats, fullSats);
+    return baseline + (1 - baseline) * Math.min(1, Math.max(0, progress || 0));
+  }
+
+  /**
+   * How an agent's score came about: each counted attestation with its
+   * type, weight, age, decay and contribution, plus what was ignored.
+   * Served from the cache like getScore().
+   * @param {string} agentId
+   * @returns {Promise<object>}
+   */
+  async explain(agentId) {
+    return this._cached(agentId);
+  }
+
+  /**
+   * Cached explanation for an agent (fresh or stale), without querying anything.
+   * @param {string} agentId
+   * @returns {object|null}
+   */
+  peekExplanation(agentId) {
+    const cached = this._cache.get(agentId);
+    return this._servable(cached) && cached.explanation ? cached.explanation : null;
+  }
+
+  /**
+   * Cached score for an agent (fresh or stale), without querying anything.
+   * @param {string} agentId
+   * @returns {number|null|undefined} undefined when nothing servable is cached
+   */
+  peekScore(agentId) {
+    const cached = this._cache.get(agentId);
+    return this._servable(cached) ? cached.score : undefined;
+  }
+
+  /**
+   * Clear cache (and the walked trust graph).
    */
   clearCache() {
     this._cache.clear();
+    this._graph = null;
+    this._schedulePersist();
   }
 
   /**
-   * Get cache stats.
+   * Write the cache to cacheFile now. Writes also happen on their own
+   * shortly after the cache changes. Entries past staleTtlMs are dropped.
+   * @returns {Promise<void>}
+   */
+  persist() {
+    if (!this.cacheFile) return Promise.resolve();
+    clearTimeout(this._persistTimer);
+    this._persistTimer = null;
+    this._persisting = this._persisting.then(async () => {
+      const entries = {};
+      for (const [agentId, entry] of this._cache) {
+        if (this._servable(entry)) entries[agentId] = entry;
+      }
+      const tmp = `${this.cacheFile}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify({ version: 1, savedAt: Date.now(), entries }));
+      await fs.promises.rename(tmp, this.cacheFile);
+    });
+    return this._persisting;
+  }
+
+  /** @private */
+  _schedulePersist() {
+    if (!this.cacheFile || this._persistTimer) return;
+    this._persistTimer = setTimeout(() => {
+      this.persist().catch(err => console.error('discourse-toll trust cache not saved:', err.message));
+    }, PERSIST_DELAY_MS);
+    if (this._persistTimer.unref) this._persistTimer.unref();
+  }
+
+  /**
+   * Load cacheFile, keeping entries still servable. A missing file is a
+   * cold start; an unreadable one is logged and ignored.
+   * @private
+   */
+  async _restore() {
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(this.cacheFile, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('discourse-toll trust cache unreadable, starting cold:', err.message);
+      return;
+    }
+    for (const [agentId, entry] of Object.entries(data.entries || {})) {
+      if (!this._cache.has(agentId) && this._servable(entry)) this._cache.set(agentId, entry);
+    }
+  }
+
+  /**
+   * Get cache and relay stats. relayHealth has one entry per configured
+   * relay: query outcomes, latency (ms, until EOSE) and the last error.
    */
   stats() {
     return {
       cacheSize: this._cache.size,
+      refreshing: this._pending.size,
       relays: this.relays.length,
+      graphSize: this._graph ? this._graph.reach.size : 0,
+      relayHealth: this.relays.map(url => ({
+        url,
+        ...(this._health.get(url) || { queries: 0, successes: 0, timeouts: 0, failures: 0, avgLatencyMs: null, lastLatencyMs: null, lastError: null, lastSuccessAt: null, lastFailureAt: null }),
+      })),
     };
   }
 }
 
+/** @private */
+function _type(event) {
+  const lTag = event.tags.find(t => t[0] === 'l' && t[2] === 'ai.wot');
+  return lTag ? lTag[1] : 'general-trust';
+}
+
+/** @private */
+function _weight(event) {
+  return ATTESTATION_WEIGHTS[_type(event)] ?? 0.8;
+}
+
+/**
+ * Whether an event is an ai.wot attestation about pubkey (signature aside).
+ * @private
+ */
+function _isAttestation(event, pubkey) {
+  return !!event && event.kind === 1985 && Array.isArray(event.tags) &&
+    event.tags.some(t => t[0] === 'L' && t[1] === 'ai.wot') &&
+    event.tags.some(t => t[0] === 'p' && t[1] === pubkey);
+}
+
+/**
+ * Sats zapped to each attestation, from receipts that check out (NIP-57
+ * Appendix F): signed by the attester's LNURL server, carrying a valid zap
+ * request for that attestation, paid to its author, with an invoice that
+ * commits to the request and is for the amount it asked. Zaps from the
+ * attester or the subject don't count, and a receipt republished for the
+ * same invoice counts once.
+ * @private
+ * @param {object[]} receipts
+ * @param {object[]} attestations
+ * @param {string} subject
+ * @param {Map} zapKeys - Attester → { nostrPubkey, url } of their LNURL server
+ * @returns {Map<string, number>} Event id → sats
+ */
+function _zapTotals(receipts, attestations, subject, zapKeys) {
+  const byId = new Map(attestations.map(event => [event.id, event]));
+  const totals = new Map();
+  const invoices = new Set();
+  for (const receipt of receipts) {
+    const zap = _zap(receipt, byId, subject, zapKeys);
+    if (!zap || invoices.has(zap.invoice)) continue;
+    invoices.add(zap.invoice);
+    totals.set(zap.eventId, (totals.get(zap.eventId) || 0) + zap.sats);
+  }
+  return totals;
+}
+
+/** @private */
+function _zap(receipt, attestations, subject, zapKeys) {
+  if (!receipt || receipt.kind !== 9735 || !Array.isArray(receipt.tags) || !verifyEvent(receipt)) return null;
+  const tag = (tags, name) => (tags.find(t => t[0] === name) || [])[1];
+  const bolt11 = tag(receipt.tags, 'bolt11');
+  const description = tag(receipt.tags, 'description');
+  if (!bolt11 || !description || validateZapRequest(description) !== null) return null;
+
+  const request = JSON.parse(description);
+  const eventId = tag(request.tags, 'e');
+  const attestation = attestations.get(eventId);
+  if (request.kind !== 9734 || !attestation || tag(receipt.tags, 'e') !== eventId) return null;
+  if (tag(request.tags, 'p') !== attestation.pubkey || tag(receipt.tags, 'p') !== attestation.pubkey) return null;
+  if (request.pubkey === attestation.pubkey || request.pubkey === subject) return null;
+
+  // Only the recipient's LNURL server can say a zap was paid
+  const zapKey = zapKeys.get(attestation.pubkey);
+  if (!zapKey || receipt.pubkey !== zapKey.nostrPubkey) return null;
+  const lnurl = tag(request.tags, 'lnurl');
+  if (lnurl !== undefined && !_sameUrl(decodeLnurl(lnurl), zapKey.url)) return null;
+
+  const invoice = decodeInvoice(bolt11);
+  if (!invoice || !(invoice.msats >= 1000)) return null;
+  const requestHash = crypto.createHash('sha256').update(description, 'utf8').digest('hex');
+  if (invoice.descriptionHash !== requestHash) return null;
+  const amount = tag(request.tags, 'amount');
+  if (amount !== undefined && Number(amount) !== invoice.msats) return null;
+  return { eventId, sats: Math.floor(invoice.msats / 1000), invoice: invoice.paymentHash || bolt11.toLowerCase() };
+}
+
+/**
+ * The LNURL-pay endpoint in a kind-0 profile: lud16 (LUD-16) or lud06.
+ * @private
+ */
+function _lnurlPayUrl(profile) {
+  let metadata;
+  try {
+    metadata = JSON.parse(profile.content);
+  } catch (_) {
+    return null;
+  }
+  if (!metadata || typeof metadata !== 'object') return null;
+  try {
+    if (typeof metadata.lud16 === 'string') {
+      const [name, domain, ...rest] = metadata.lud16.trim().toLowerCase().split('@');
+      if (!name || !domain || rest.length > 0) return null;
+      return new URL(`/.well-known/lnurlp/${encodeURIComponent(name)}`, `https://${domain}`).toString();
+    }
+    if (typeof metadata.lud06 === 'string') {
+      const url = new URL(decodeLnurl(metadata.lud06.trim()));
+      return url.protocol === 'https:' ? url.toString() : null;
+    }
+  } catch (_) {
+    // Not a URL
+  }
+  return null;
+}
+
+/** @private */
+function _sameUrl(a, b) {
+  try {
+    return new URL(a).toString() === new URL(b).toString();
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Run one subscription until EOSE, the deadline, or the relay closing it.
+ * @private
+ * @returns {Promise<{ outcome: 'ok'|'timeout'|'error', error?: string }>}
+ */
+function _subscribe(relay, filter, deadline, onevent) {
+  return new Promise((resolve) => {
+    let settled = false;
+    const settle = (outcome, error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve({ outcome, error });
+    };
+    const remaining = Math.max(0, deadline - Date.now());
+    const timer = setTimeout(() => settle('timeout'), remaining);
+    relay.subscribe([filter], {
+      eoseTimeout: remaining + 1000, // our deadline decides, not the library's
+      onevent,
+      oneose: () => settle('ok'),
+      // The relay refused or dropped the subscription (our own close comes later)
+      onclose: (reason) => settle('error', String(reason)),
+    });
+  });
+}
+
 /**
  * Create a simple static trust resolver from a map of scores.
  * Useful for testing or when you have scores from another source.
@@ -223,4 +964,4 @@ function apiResolver(apiUrl) {
   });
 }
 
-module.exports = { TrustResolver, staticResolver, apiResolver, DEFAULT_RELAYS, ATTESTATION_WEIGHTS };
+module.exports = { TrustResolver, staticResolver, apiResolver, DEFAULT_RELAYS, ATTESTATION_WEIGHTS, ZAP_CURVES };
@@ -88,6 +88,7 @@ class WalletProvider {
       const result = await this._lookupInvoice(paymentHash);
       if (result.paid && record) {
         record.paid = true;
+        record.paidAt = Date.now();
         record.preimage = result.preimage;
       }
       return result;
@@ -98,6 +99,7 @@ class WalletProvider {
       const paid = result.settled || result.state === 'settled' || !!result.preimage;
       if (paid && record) {
         record.paid = true;
+        record.paidAt = Date.now();
         record.preimage = result.preimage;
       }
       return { paid, preimage: result.preimage };
@@ -123,7 +125,19 @@ class WalletProvider {
   }
 
   /**
-   * Get tracked invoice stats.
+   * Forget unpaid invoices older than maxAgeMs (their quotes have expired).
+   * @param {number} [maxAgeMs=600000]
+   */
+  cleanup(maxAgeMs = 600_000) {
+    const cutoff = Date.now() - maxAgeMs;
+    for (const [hash, inv] of this._invoices.entries()) {
+      if (!inv.paid && inv.createdAt < cutoff) this._invoices.delete(hash);
+    }
+  }
+
+  /**
+   * Get tracked invoice stats. Only NWC invoices are tracked; custom
+   * wallets report zeros with `tracked: false`.
    */
   stats() {
     let paid = 0, pending = 0, totalSats = 0;
@@ -131,7 +145,7 @@ class WalletProvider {
       if (inv.paid) { paid++; totalSats += inv.amount; }
       else pending++;
     }
-    return { paid, pending, totalSats, total: this._invoices.size };
+    return { paid, pending, totalSats, total: this._invoices.size, tracked: !!this._client };
   }
 
   /**
@@ -0,0 +1,280 @@
+'use strict';
+
+/**
+ * Webhook delivery for toll lifecycle events.
+ *
+ * Subscribes to a toll's events and POSTs each one as JSON to the
+ * configured URLs:
+ *
+ *   { id, type, createdAt, data }
+ *
+ * Every request carries X-Toll-Event, X-Toll-Delivery, X-Toll-Timestamp and
+ * X-Toll-Signature: sha256=HMAC(secret, `${timestamp}.${body}`), which
+ * receivers check with verifyWebhook(). Failed deliveries are retried with
+ * exponential backoff; once retries run out they go to a dead-letter queue
+ * from which they can be inspected and redelivered.
+ */
+
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = ['quote', 'invoice.created', 'payment.verified', 'free_pass', 'rejected', 'error'];
+
+/**
+ * In-memory dead-letter queue. Custom queues implement the same async
+ * interface: push(entry), list(), remove(id).
+ */
+class MemoryDeadLetterQueue {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.max=1000] - Oldest entries are dropped beyond this
+   */
+  constructor(opts = {}) {
+    this.max = opts.max || 1000;
+    this._entries = [];
+  }
+
+  async push(entry) {
+    this._entries.push(entry);
+    if (this._entries.length > this.max) this._entries.shift();
+  }
+
+  async list() {
+    return this._entries.slice();
+  }
+
+  async remove(id) {
+    this._entries = this._entries.filter(e => e.id !== id);
+  }
+}
+
+class WebhookDispatcher {
+  /**
+   * @param {object} opts
+   * @param {Array<string|{ url: string, secret?: string, events?: string[] }>} opts.endpoints - Where to POST events
+   * @param {string} [opts.secret] - Signing secret for endpoints without their own
+   * @param {string[]} [opts.events] - Events to deliver by default (all)
+   * @param {number} [opts.retries=5] - Retries after the first attempt
+   * @param {number} [opts.backoffMs=1000] - First retry delay; doubles each retry
+   * @param {number} [opts.timeoutMs=5000] - Per-attempt timeout
+   * @param {object} [opts.deadLetter] - Dead-letter queue (see MemoryDeadLetterQueue)
+   * @param {Function} [opts.fetch] - fetch implementation (defaults to global fetch)
+   */
+  constructor(opts = {}) {
+    this.endpoints = (opts.endpoints || []).map(e => {
+      const endpoint = typeof e === 'string' ? { url: e } : { ...e };
+      endpoint.secret = endpoint.secret || opts.secret;
+      endpoint.events = endpoint.events || opts.events || WEBHOOK_EVENTS;
+      if (!endpoint.secret) throw new Error(`WebhookDispatcher: no signing secret for ${endpoint.url}`);
+      return endpoint;
+    });
+    this.retries = opts.retries ?? 5;
+    this.backoffMs = opts.backoffMs ?? 1000;
+    this.timeoutMs = opts.timeoutMs || 5000;
+    this.deadLetter = opts.deadLetter || new MemoryDeadLetterQueue();
+    this._fetch = opts.fetch || globalThis.fetch;
+
+    this._inflight = new Set();
+    this._timers = new Map(); // timer → resolve
+    this._detach = [];
+    this._closed = false;
+    this._stats = { delivered: 0, retried: 0, deadLettered: 0 };
+  }
+
+  /**
+   * Deliver an emitter's events.
+   * @param {EventEmitter} emitter
+   * @returns {Function} Detach
+   */
+  attach(emitter) {
+    const listeners = WEBHOOK_EVENTS.map(type => {
+      const listener = (payload) => {
+        this.dispatch(type, payload).catch(err => console.error('discourse-toll webhook failed:', err.message));
+      };
+      emitter.on(type, listener);
+      return () => emitter.off(type, listener);
+    });
+    const detach = () => listeners.forEach(off => off());
+    this._detach.push(detach);
+    return detach;
+  }
+
+  /**
+   * Queue an event for every endpoint subscribed to it.
+   * @param {string} type
+   * @param {object} data
+   * @returns {Promise<void>} Settles when these deliveries finish or dead-letter
+   */
+  dispatch(type, data) {
+    const delivery = crypto.randomUUID();
+    const body = JSON.stringify({
+      id: delivery,
+      type,
+      createdAt: new Date().toISOString(),
+      data,
+    });
+    const deliveries = this.endpoints
+      .filter(e => e.events.includes(type))
+      .map(e => this._track(this._deliver(e, type, body, delivery)));
+    return Promise.all(deliveries).then(() => {});
+  }
+
+  /**
+   * Wait for all in-flight deliveries (including retries).
+   */
+  async flush() {
+    while (this._inflight.size > 0) {
+      await Promise.all([...this._inflight]);
+    }
+  }
+
+  /**
+   * Dead-lettered deliveries.
+   */
+  deadLetters() {
+    return this.deadLetter.list();
+  }
+
+  /**
+   * Retry a dead-lettered delivery now (with the usual retries).
+   * @param {string} id - Dead-letter entry id
+   * @returns {Promise<boolean>} False if there is no such entry or its endpoint is gone
+   */
+  async redeliver(id) {
+    const entry = (await this.deadLetter.list()).find(e => e.id === id);
+    const endpoint = entry && this.endpoints.find(e => e.url === entry.url);
+    if (!endpoint) return false;
+    await this.deadLetter.remove(id);
+    await this._track(this._deliver(endpoint, entry.type, entry.body, entry.delivery));
+    return true;
+  }
+
+  /**
+   * Get delivery stats.
+   */
+  stats() {
+    return { ...this._stats, pending: this._inflight.size, endpoints: this.endpoints.length };
+  }
+
+  /**
+   * Stop delivering. Deliveries waiting to retry are dead-lettered.
+   */
+  close() {
+    this._closed = true;
+    this._detach.forEach(detach => detach());
+    this._detach = [];
+    for (const [timer, resolve] of this._timers.entries()) {
+      clearTimeout(timer);
+      resolve();
+    }
+    this._timers.clear();
+  }
+
+  /** @private */
+  _track(promise) {
+    this._inflight.add(promise);
+    promise.finally(() => this._inflight.delete(promise)).catch(() => {});
+    return promise;
+  }
+
+  /**
+   * POST one event to one endpoint, retrying until it lands or dead-letters.
+   * @private
+   */
+  async _deliver(endpoint, type, body, delivery) {
+    let lastError = null;
+    let attempts = 0;
+    for (let attempt = 0; attempt <= this.retries && !this._closed; attempt++) {
+      if (attempt > 0) {
+        this._stats.retried++;
+        await this._wait(this.backoffMs * 2 ** (attempt - 1));
+        if (this._closed) break;
+      }
+      attempts++;
+      try {
+        const res = await this._post(endpoint, type, body, delivery);
+        if (res.ok) {
+          this._stats.delivered++;
+          return;
+        }
+        lastError = `HTTP ${res.status}`;
+        // Client errors won't fix themselves, except timeouts and rate limits
+        if (res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429) break;
+      } catch (err) {
+        lastError = err.message;
+      }
+    }
+    if (this._closed && !lastError) lastError = 'Dispatcher closed';
+
+    this._stats.deadLettered++;
+    await this.deadLetter.push({
+      id: crypto.randomUUID(),
+      url: endpoint.url,
+      type,
+      delivery,
+      body,
+      attempts,
+      lastError,
+      failedAt: Date.now(),
+    });
+  }
+
+  /** @private */
+  _post(endpoint, type, body, delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    return this._fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Toll-Event': type,
+        'X-Toll-Delivery': delivery,
+        'X-Toll-Timestamp': String(timestamp),
+        'X-Toll-Signature': signWebhook(endpoint.secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+  }
+
+  /** @private */
+  _wait(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this._timers.delete(timer);
+        resolve();
+      }, ms);
+      if (timer.unref) timer.unref();
+      this._timers.set(timer, resolve);
+    });
+  }
+}
+
+/**
+ * Signature header value for a webhook body.
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} `sha256=<hex>`
+ */
+function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a received webhook's signature and freshness.
+ * @param {string} secret
+ * @param {object} delivery
+ * @param {string} delivery.body - Raw request body
+ * @param {string|number} delivery.timestamp - X-Toll-Timestamp header
+ * @param {string} delivery.signature - X-Toll-Signature header
+ * @param {number} [toleranceSecs=300] - Max age of the delivery
+ * @returns {boolean}
+ */
+function verifyWebhook(secret, { body, timestamp, signature }, toleranceSecs = 300) {
+  const ts = parseInt(timestamp, 10);
+  if (!ts || Math.abs(Date.now() / 1000 - ts) > toleranceSecs) return false;
+  const expected = Buffer.from(signWebhook(secret, ts, body));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { WebhookDispatcher, MemoryDeadLetterQueue, verifyWebhook, signWebhook, WEBHOOK_EVENTS };
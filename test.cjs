@@ -2,150 +2,303 @@
 
 const assert = require('assert');
 const crypto = require('crypto');
-const { PricingEngine, TrustResolver, staticResolver, createMacaroon, verifyMacaroon, encodeMacaroon, decodeMacaroon, discourseToll, DEFAULT_PRICING } = require('./index.cjs');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools/pure');
+const { PricingEngine, TrustResolver, WalletProvider, staticResolver, createMacaroon, verifyMacaroon, encodeMacaroon, decodeMacaroon, encodeMacaroonV2, decodeMacaroonV2, decodeIdentifier, attenuate, getCaveat, getCaveats, discourseToll, MemorySpentStore, MemoryBalanceLedger, CircuitBreaker, TollError, createNip98Token, verifyNip98, MemoryActivityStore, FileActivityStore, TollMetrics, PaymentLedger, FilePaymentStore, Keyring, generateKey, CaveatRegistry, compositeResolver, LocalReputation, DEFAULT_PRICING } = require('./index.cjs');
 
 let passed = 0;
 let failed = 0;
 
+// Tests run one after another, in declaration order, so async tests
+// can't interfere and results print under their section heading
+let asyncQueue = Promise.resolve();
+
+function section(title) {
+  asyncQueue = asyncQueue.then(() => console.log(`\n${title}`));
+}
+
 function test(name, fn) {
-  try {
-    fn();
-    passed++;
-    console.log(`  ✅ ${name}`);
-  } catch (err) {
-    failed++;
-    console.log(`  ❌ ${name}: ${err.message}`);
-  }
+  return asyncTest(name, fn);
 }
 
-async function asyncTest(name, fn) {
-  try {
-    await fn();
-    passed++;
-    console.log(`  ✅ ${name}`);
-  } catch (err) {
-    failed++;
-    console.log(`  ❌ ${name}: ${err.message}`);
-  }
+function asyncTest(name, fn) {
+  asyncQueue = asyncQueue.then(async () => {
+    try {
+      await fn();
+      passed++;
+      console.log(`  ✅ ${name}`);
+    } catch (err) {
+      failed++;
+      console.log(`  ❌ ${name}: ${err.message}`);
+    }
+  });
+  return asyncQueue;
+}
+
+// Fresh temp directory for file-backed stores
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'discourse-toll-'));
+}
+
+// Mock wallet with real preimages so L402 verification works end to end
+function mockWallet() {
+  const preimages = new Map();
+  return {
+    preimages,
+    async createInvoice(sats) {
+      const preimage = crypto.randomBytes(32).toString('hex');
+      const paymentHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+      preimages.set(paymentHash, preimage);
+      return { invoice: `lnbc${sats}n1mock`, paymentHash };
+    },
+    async lookupInvoice(paymentHash) {
+      return { paid: preimages.has(paymentHash), preimage: preimages.get(paymentHash) };
+    },
+  };
+}
+
+// Minimal Express-like req/res pair
+function mockReq(overrides = {}) {
+  return {
+    method: 'POST',
+    url: '/comments',
+    originalUrl: '/comments',
+    headers: {},
+    params: {},
+    body: {},
+    ...overrides,
+  };
+}
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+    json(data) { this.body = data; return this; },
+  };
+}
+
+// Run a request through toll middleware; resolves to { res, nextCalled }
+async function runToll(mw, req) {
+  const res = mockRes();
+  let nextCalled = false;
+  await mw(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+// Get a 402, pay it, and return the L402 Authorization header
+async function payToll(toll, wallet, routeOpts, reqOverrides) {
+  const { res } = await runToll(toll(routeOpts), mockReq(reqOverrides));
+  assert.strictEqual(res.statusCode, 402);
+  const preimage = wallet.preimages.get(res.body.paymentHash);
+  return `L402 ${res.body.macaroon}:${preimage}`;
 }
 
 // ============================================
 // Pricing Engine Tests
 // ============================================
-console.log('\n📊 Pricing Engine');
+section('📊 Pricing Engine');
 
-test('base price for first action', () => {
+asyncTest('base price for first action', async () => {
   const engine = new PricingEngine({ cooldown: { enabled: false } });
-  const { sats } = engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
+  const { sats } = await engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
   assert.strictEqual(sats, 1);
 });
 
-test('progressive pricing increases cost', () => {
+asyncTest('progressive pricing increases cost', async () => {
   const engine = new PricingEngine({ cooldown: { enabled: false } });
-  engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
-  const { sats, breakdown } = engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
+  await engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
+  const { sats, breakdown } = await engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
   assert.ok(sats > 1, `Expected > 1, got ${sats}`);
   assert.strictEqual(breakdown.priorActionsInContext, 1);
 });
 
-test('progressive pricing caps at max', () => {
+asyncTest('progressive pricing caps at max', async () => {
   const engine = new PricingEngine({ progressiveCap: 10, cooldown: { enabled: false } });
   // Do 20 actions
   for (let i = 0; i < 20; i++) {
-    engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
+    await engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
   }
-  const { sats } = engine.calculate({ agentId: 'a1', contextId: 'thread-1', dryRun: true });
+  const { sats } = await engine.calculate({ agentId: 'a1', contextId: 'thread-1', dryRun: true });
   assert.ok(sats <= 10, `Expected <= 10, got ${sats}`);
 });
 
-test('different agents have independent pricing', () => {
+asyncTest('different agents have independent pricing', async () => {
   const engine = new PricingEngine({ cooldown: { enabled: false } });
-  engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
-  engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
-  engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
-  const { sats: a1Price } = engine.calculate({ agentId: 'a1', contextId: 'thread-1', dryRun: true });
-  const { sats: a2Price } = engine.calculate({ agentId: 'a2', contextId: 'thread-1', dryRun: true });
+  await engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
+  await engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
+  await engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
+  const { sats: a1Price } = await engine.calculate({ agentId: 'a1', contextId: 'thread-1', dryRun: true });
+  const { sats: a2Price } = await engine.calculate({ agentId: 'a2', contextId: 'thread-1', dryRun: true });
   assert.ok(a1Price > a2Price, `a1 (${a1Price}) should be more expensive than a2 (${a2Price})`);
 });
 
-test('different contexts have independent pricing', () => {
+asyncTest('different contexts have independent pricing', async () => {
   const engine = new PricingEngine({ cooldown: { enabled: false } });
-  engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
-  engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
-  const { sats: t1Price } = engine.calculate({ agentId: 'a1', contextId: 'thread-1', dryRun: true });
-  const { sats: t2Price } = engine.calculate({ agentId: 'a1', contextId: 'thread-2', dryRun: true });
+  await engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
+  await engine.calculate({ agentId: 'a1', contextId: 'thread-1' });
+  const { sats: t1Price } = await engine.calculate({ agentId: 'a1', contextId: 'thread-1', dryRun: true });
+  const { sats: t2Price } = await engine.calculate({ agentId: 'a1', contextId: 'thread-2', dryRun: true });
   assert.ok(t1Price > t2Price, `thread-1 (${t1Price}) should be more expensive than thread-2 (${t2Price})`);
 });
 
-test('trust score >= freeAbove = free', () => {
+asyncTest('trust score >= freeAbove = free', async () => {
   const engine = new PricingEngine({ cooldown: { enabled: false } });
-  const { sats } = engine.calculate({ agentId: 'a1', contextId: 't1', trustScore: 85 });
+  const { sats } = await engine.calculate({ agentId: 'a1', contextId: 't1', trustScore: 85 });
   assert.strictEqual(sats, 0);
 });
 
-test('trust score >= discountAbove = discounted', () => {
+asyncTest('trust score >= discountAbove = discounted', async () => {
   const engine = new PricingEngine({ baseSats: 10, cooldown: { enabled: false } });
-  const { sats } = engine.calculate({ agentId: 'a1', contextId: 't1', trustScore: 50 });
+  const { sats } = await engine.calculate({ agentId: 'a1', contextId: 't1', trustScore: 50 });
   assert.ok(sats < 10, `Expected < 10, got ${sats}`);
   assert.ok(sats > 0, 'Should not be free');
 });
 
-test('trust score below threshold = no discount', () => {
+asyncTest('trust score below threshold = no discount', async () => {
   const engine = new PricingEngine({ baseSats: 10, cooldown: { enabled: false } });
-  const { sats } = engine.calculate({ agentId: 'a1', contextId: 't1', trustScore: 10 });
+  const { sats } = await engine.calculate({ agentId: 'a1', contextId: 't1', trustScore: 10 });
   assert.strictEqual(sats, 10);
 });
 
-test('dry run does not record activity', () => {
+asyncTest('dry run does not record activity', async () => {
   const engine = new PricingEngine({ cooldown: { enabled: false } });
-  engine.calculate({ agentId: 'a1', contextId: 't1', dryRun: true });
-  assert.strictEqual(engine.getActivityCount('a1', 't1'), 0);
+  await engine.calculate({ agentId: 'a1', contextId: 't1', dryRun: true });
+  assert.strictEqual(await engine.getActivityCount('a1', 't1'), 0);
 });
 
-test('non-dry-run records activity', () => {
+asyncTest('non-dry-run records activity', async () => {
   const engine = new PricingEngine({ cooldown: { enabled: false } });
-  engine.calculate({ agentId: 'a1', contextId: 't1', dryRun: false });
-  assert.strictEqual(engine.getActivityCount('a1', 't1'), 1);
+  await engine.calculate({ agentId: 'a1', contextId: 't1', dryRun: false });
+  assert.strictEqual(await engine.getActivityCount('a1', 't1'), 1);
 });
 
-test('cleanup removes old entries', () => {
+asyncTest('cleanup removes old entries', async () => {
   const engine = new PricingEngine({ cooldown: { enabled: false } });
-  engine.calculate({ agentId: 'a1', contextId: 't1' });
+  await engine.calculate({ agentId: 'a1', contextId: 't1' });
   // Manually set old timestamp
-  engine._activity.get('t1')[0].timestamp = Date.now() - 100_000_000;
-  engine.cleanup(86_400_000);
-  assert.strictEqual(engine.getActivityCount('a1', 't1'), 0);
+  engine.store._activity.get('t1')[0].timestamp = Date.now() - 100_000_000;
+  await engine.cleanup(86_400_000);
+  assert.strictEqual(await engine.getActivityCount('a1', 't1'), 0);
 });
 
-test('stats returns correct counts', () => {
+asyncTest('stats returns correct counts', async () => {
   const engine = new PricingEngine({ cooldown: { enabled: false } });
-  engine.calculate({ agentId: 'a1', contextId: 't1' });
-  engine.calculate({ agentId: 'a2', contextId: 't1' });
-  engine.calculate({ agentId: 'a1', contextId: 't2' });
-  const stats = engine.stats();
+  await engine.calculate({ agentId: 'a1', contextId: 't1' });
+  await engine.calculate({ agentId: 'a2', contextId: 't1' });
+  await engine.calculate({ agentId: 'a1', contextId: 't2' });
+  const stats = await engine.stats();
   assert.strictEqual(stats.contexts, 2);
   assert.strictEqual(stats.agents, 2);
   assert.strictEqual(stats.totalActions, 3);
 });
 
-test('cooldown bonus applies after window', () => {
+asyncTest('cooldown bonus applies after window', async () => {
   const engine = new PricingEngine({ baseSats: 10, cooldown: { enabled: true, windowMs: 0, bonusPercent: 25 } });
-  const { sats } = engine.calculate({ agentId: 'a1', contextId: 't1' });
+  const { sats } = await engine.calculate({ agentId: 'a1', contextId: 't1' });
   // First action gets cooldown bonus (no prior action)
   assert.ok(sats < 10, `Expected < 10, got ${sats}`);
 });
 
-test('reset clears everything', () => {
+asyncTest('bundle quote sums consecutive progressive slots', async () => {
+  const engine = new PricingEngine({ baseSats: 2, progressiveMultiplier: 2, cooldown: { enabled: false } });
+  const { sats, breakdown } = await engine.calculateBundle({ agentId: 'a1', contextId: 't1', actions: 3 });
+  assert.deepStrictEqual(breakdown.perAction, [2, 4, 8]);
+  assert.strictEqual(sats, 14);
+  assert.strictEqual(await engine.getActivityCount('a1', 't1'), 0);
+});
+
+asyncTest('reset clears everything', async () => {
   const engine = new PricingEngine({ cooldown: { enabled: false } });
-  engine.calculate({ agentId: 'a1', contextId: 't1' });
-  engine.reset();
-  assert.strictEqual(engine.stats().totalActions, 0);
+  await engine.calculate({ agentId: 'a1', contextId: 't1' });
+  await engine.reset();
+  assert.strictEqual((await engine.stats()).totalActions, 0);
+});
+
+// ============================================
+// Activity Stores
+// ============================================
+section('💾 Activity Stores');
+
+asyncTest('memory store record returns prior state atomically', async () => {
+  const store = new MemoryActivityStore();
+  const first = await store.record('a1', 't1', 1000);
+  const second = await store.record('a1', 't1', 2000);
+  assert.deepStrictEqual(first, { prior: 0, lastAction: null, recorded: true });
+  assert.deepStrictEqual(second, { prior: 1, lastAction: 1000, recorded: true });
+  assert.strictEqual(await store.count('a1', 't1'), 2);
+  assert.strictEqual(await store.lastAction('a1'), 2000);
+
+  // maxPrior makes the record conditional
+  const refused = await store.record('a1', 't1', 3000, { maxPrior: 1 });
+  assert.deepStrictEqual(refused, { prior: 2, lastAction: 2000, recorded: false });
+  assert.strictEqual(await store.count('a1', 't1'), 2);
+});
+
+asyncTest('file store persists activity across instances', async () => {
+  const file = path.join(tmpDir(), 'activity.jsonl');
+  const engine1 = new PricingEngine({ store: new FileActivityStore({ path: file }), cooldown: { enabled: false } });
+  await engine1.calculate({ agentId: 'a1', contextId: 't1' });
+  await engine1.calculate({ agentId: 'a1', contextId: 't1' });
+
+  // Simulates a restart
+  const engine2 = new PricingEngine({ store: new FileActivityStore({ path: file }), cooldown: { enabled: false } });
+  assert.strictEqual(await engine2.getActivityCount('a1', 't1'), 2);
+  const { breakdown } = await engine2.calculate({ agentId: 'a1', contextId: 't1', dryRun: true });
+  assert.strictEqual(breakdown.priorActionsInContext, 2);
+});
+
+asyncTest('file store is safe for concurrent workers', async () => {
+  const file = path.join(tmpDir(), 'activity.jsonl');
+  const workers = [1, 2, 3].map(() => new FileActivityStore({ path: file }));
+  const results = await Promise.all(
+    Array.from({ length: 12 }, (_, i) => workers[i % 3].record('a1', 't1', Date.now()))
+  );
+  const priors = results.map(r => r.prior).sort((x, y) => x - y);
+  assert.deepStrictEqual(priors, Array.from({ length: 12 }, (_, i) => i));
+  assert.strictEqual(await workers[0].count('a1', 't1'), 12);
+});
+
+asyncTest('file store cleanup compacts and other workers reload', async () => {
+  const file = path.join(tmpDir(), 'activity.jsonl');
+  const w1 = new FileActivityStore({ path: file });
+  const w2 = new FileActivityStore({ path: file });
+  await w1.record('a1', 't1', Date.now() - 100_000_000);
+  await w1.record('a2', 't2', Date.now());
+  assert.strictEqual((await w2.stats()).totalActions, 2);
+
+  await w1.cleanup(Date.now() - 86_400_000);
+  assert.deepStrictEqual(await w2.stats(), { contexts: 1, agents: 1, totalActions: 1 });
+  assert.strictEqual(fs.readFileSync(file, 'utf8').trim().split('\n').length, 1);
+});
+
+asyncTest('file store only releases a lock it still holds', async () => {
+  const dir = tmpDir();
+  const file = path.join(dir, 'activity.jsonl');
+  const w1 = new FileActivityStore({ path: file, lockStaleMs: 30 });
+  const w2 = new FileActivityStore({ path: file, lockStaleMs: 30 });
+  let release;
+  const hung = w1._exclusive(() => new Promise(resolve => { release = resolve; }));
+  await new Promise(resolve => setTimeout(resolve, 60));
+
+  // w2 breaks the stale lock, then w1 finally finishes
+  const token = await w2._lock();
+  release();
+  await hung;
+  assert.strictEqual(fs.readFileSync(`${file}.lock`, 'utf8'), token);
+  await w2._unlock(token);
+  assert.deepStrictEqual(fs.readdirSync(dir).filter(f => f.includes('.lock')), []);
 });
 
 // ============================================
 // Macaroon Tests
 // ============================================
-console.log('\n🍪 Macaroons');
+section('🍪 Macaroons');
 
 const TEST_SECRET = 'a'.repeat(64);
 const TEST_HASH = crypto.randomBytes(32).toString('hex');
@@ -228,10 +381,95 @@ test('tampered macaroon fails', () => {
   assert.strictEqual(result.valid, false);
 });
 
+test('max_actions caveat enforces the action limit', () => {
+  const mac = createMacaroon(TEST_SECRET, TEST_HASH, { maxActions: 3 });
+  assert.ok(verifyMacaroon(TEST_SECRET, mac, { actionsUsed: 2 }).valid);
+  const result = verifyMacaroon(TEST_SECRET, mac, { actionsUsed: 3 });
+  assert.strictEqual(result.valid, false);
+  assert.match(result.error, /Action limit/);
+});
+
+test('getCaveat reads caveat values', () => {
+  const mac = createMacaroon(TEST_SECRET, TEST_HASH, { expiresAt: 1234, contextId: 'thread-1' });
+  assert.strictEqual(getCaveat(mac, 'expires_at'), '1234');
+  assert.strictEqual(getCaveat(mac, 'context'), 'thread-1');
+  assert.strictEqual(getCaveat(mac, 'agent'), null);
+});
+
+test('v2 macaroons use the standard binary format and L402 identifier', () => {
+  const mac = createMacaroon(TEST_SECRET, TEST_HASH, { expiresAt: 9999999999, contextId: 'thread-1' }, { format: 'v2', location: 'https://forum.example' });
+  assert.deepStrictEqual(mac.caveats, ['expires_at=9999999999', 'context=thread-1']);
+  assert.deepStrictEqual(decodeIdentifier(mac.identifier), { version: 0, paymentHash: TEST_HASH, tokenId: mac.tokenId });
+
+  const binary = Buffer.from(encodeMacaroon(mac), 'base64');
+  assert.strictEqual(binary[0], 2);
+  assert.deepStrictEqual(binary.subarray(1, 3), Buffer.from([1, 21])); // location field
+  assert.deepStrictEqual(decodeMacaroon(encodeMacaroon(mac)), mac);
+  assert.deepStrictEqual(decodeMacaroon(binary.toString('base64url')), mac);
+  assert.ok(verifyMacaroon(TEST_SECRET, mac, { contextId: 'thread-1' }).valid);
+  assert.strictEqual(getCaveat(mac, 'context'), 'thread-1');
+
+  assert.strictEqual(verifyMacaroon(TEST_SECRET, { ...mac, id: 'f'.repeat(64) }).error, 'Invalid identifier');
+  assert.strictEqual(decodeMacaroon(binary.subarray(0, binary.length - 1).toString('base64')), null);
+});
+
+test('v2 signatures match libmacaroons', () => {
+  // Reference macaroon from the libmacaroons / pymacaroons docs
+  const mac = {
+    format: 'v2',
+    location: 'http://mybank/',
+    id: null,
+    identifier: Buffer.from('we used our secret key').toString('hex'),
+    caveats: ['account = 3735928559'],
+    signature: '1efe4763f290dbce0c1d08477367e11f4eee456a64933cf662d79772dbb82128',
+  };
+  assert.ok(verifyMacaroon('this is our super secret key; only we should know it', mac).valid);
+  const decoded = decodeMacaroonV2(encodeMacaroonV2(mac));
+  assert.deepStrictEqual({ ...decoded, tokenId: undefined }, { ...mac, tokenId: undefined });
+});
+
+test('attenuated macaroons verify and can only narrow', () => {
+  const now = Math.floor(Date.now() / 1000);
+  for (const format of ['json', 'v2']) {
+    const mac = createMacaroon(TEST_SECRET, TEST_HASH, { expiresAt: now + 600, endpoint: '/comments', maxActions: 5 }, { format });
+    const narrowed = attenuate(mac, { expiresAt: now + 60, contextId: 'thread-1', maxActions: 2 });
+    assert.strictEqual(narrowed.caveats.length, 6);
+    assert.ok(verifyMacaroon(TEST_SECRET, narrowed, { contextId: 'thread-1', actionsUsed: 1 }).valid);
+    assert.match(verifyMacaroon(TEST_SECRET, narrowed, { contextId: 'thread-1', actionsUsed: 2 }).error, /Action limit reached: 2/);
+    assert.match(verifyMacaroon(TEST_SECRET, narrowed, { contextId: 'thread-2' }).error, /Context mismatch/);
+    assert.deepStrictEqual(getCaveats(narrowed, 'max_actions'), ['5', '2']);
+
+    // A later expiry doesn't extend anything
+    const expired = attenuate(createMacaroon(TEST_SECRET, TEST_HASH, { expiresAt: now - 1 }, { format }), { expiresAt: now + 600 });
+    assert.match(verifyMacaroon(TEST_SECRET, expired).error, /expired/);
+
+    // Conflicting values are refused when attenuating and when verifying
+    assert.throws(() => attenuate(narrowed, { contextId: 'thread-2' }), /Conflicting context/);
+    assert.throws(() => attenuate(mac, { amount: 1000 }), /cannot add a amount caveat/);
+    // Both formats chain HMAC-SHA256 over the raw signature bytes
+    const extra = format === 'v2' ? 'endpoint=/admin' : 'endpoint = /admin';
+    const forged = {
+      ...mac,
+      caveats: [...mac.caveats, extra],
+      signature: crypto.createHmac('sha256', Buffer.from(mac.signature, 'hex')).update(extra).digest('hex'),
+    };
+    assert.match(verifyMacaroon(TEST_SECRET, forged).error, /Conflicting endpoint caveats/);
+
+    // max_actions narrows the issuer's bundle; it can't create one
+    assert.throws(() => attenuate(mac, { maxActions: 10 }), /can only narrow the issued 5/);
+    assert.throws(() => attenuate(expired, { maxActions: 10 }), /issued for several actions/);
+
+    // Encoded in, encoded out
+    const encoded = attenuate(encodeMacaroon(mac), { maxActions: 1 });
+    assert.strictEqual(typeof encoded, 'string');
+    assert.ok(verifyMacaroon(TEST_SECRET, decodeMacaroon(encoded)).valid);
+  }
+});
+
 // ============================================
 // Trust Resolver Tests
 // ============================================
-console.log('\n🤝 Trust Resolver');
+section('🤝 Trust Resolver');
 
 asyncTest('static resolver returns known scores', async () => {
   const resolver = staticResolver({ 'agent-1': 75, 'agent-2': 30 });
@@ -255,43 +493,43 @@ asyncTest('custom resolver function works', async () => {
 // ============================================
 // Integration: Pricing + Trust
 // ============================================
-console.log('\n🔗 Integration');
+section('🔗 Integration');
 
-test('trusted agent gets free pass', () => {
+asyncTest('trusted agent gets free pass', async () => {
   const engine = new PricingEngine({ cooldown: { enabled: false } });
-  const { sats } = engine.calculate({ agentId: 'a1', contextId: 't1', trustScore: 90 });
+  const { sats } = await engine.calculate({ agentId: 'a1', contextId: 't1', trustScore: 90 });
   assert.strictEqual(sats, 0);
 });
 
-test('progressive pricing still applies with partial trust discount', () => {
+asyncTest('progressive pricing still applies with partial trust discount', async () => {
   const engine = new PricingEngine({ baseSats: 10, cooldown: { enabled: false } });
   // First action
-  engine.calculate({ agentId: 'a1', contextId: 't1', trustScore: 50 });
+  await engine.calculate({ agentId: 'a1', contextId: 't1', trustScore: 50 });
   // Second action — progressive + discount
-  const { sats, breakdown } = engine.calculate({ agentId: 'a1', contextId: 't1', trustScore: 50 });
+  const { sats, breakdown } = await engine.calculate({ agentId: 'a1', contextId: 't1', trustScore: 50 });
   assert.ok(breakdown.progressive > 10, 'Progressive should increase base');
   assert.ok(breakdown.trustDiscount > 0, 'Trust discount should apply');
   assert.ok(sats > 0, 'Should still cost something');
 });
 
-test('spam pattern: 10 comments same thread gets expensive', () => {
+asyncTest('spam pattern: 10 comments same thread gets expensive', async () => {
   const engine = new PricingEngine({ baseSats: 1, progressiveMultiplier: 2, progressiveCap: 100, cooldown: { enabled: false } });
   let totalCost = 0;
   for (let i = 0; i < 10; i++) {
-    const { sats } = engine.calculate({ agentId: 'spammer', contextId: 'thread-1' });
+    const { sats } = await engine.calculate({ agentId: 'spammer', contextId: 'thread-1' });
     totalCost += sats;
   }
   assert.ok(totalCost > 50, `10 comments should cost > 50 sats total, got ${totalCost}`);
   // Final comment alone should be expensive
-  const { sats: lastPrice } = engine.calculate({ agentId: 'spammer', contextId: 'thread-1', dryRun: true });
+  const { sats: lastPrice } = await engine.calculate({ agentId: 'spammer', contextId: 'thread-1', dryRun: true });
   assert.ok(lastPrice > 10, `11th comment should cost > 10 sats, got ${lastPrice}`);
 });
 
-test('cross-thread spam: 50 threads × 1 comment each stays cheap per comment', () => {
+asyncTest('cross-thread spam: 50 threads × 1 comment each stays cheap per comment', async () => {
   const engine = new PricingEngine({ baseSats: 1, cooldown: { enabled: false } });
   let totalCost = 0;
   for (let i = 0; i < 50; i++) {
-    const { sats } = engine.calculate({ agentId: 'spammer', contextId: `thread-${i}` });
+    const { sats } = await engine.calculate({ agentId: 'spammer', contextId: `thread-${i}` });
     totalCost += sats;
   }
   // Each individual comment is base price, but total adds up
@@ -301,7 +539,7 @@ test('cross-thread spam: 50 threads × 1 comment each stays cheap per comment',
 // ============================================
 // Middleware (unit, no actual HTTP)
 // ============================================
-console.log('\n⚙️  Middleware');
+section('⚙️  Middleware');
 
 test('discourseToll requires secret', () => {
   assert.throws(() => discourseToll({}), /secret is required/);
@@ -327,7 +565,7 @@ test('discourseToll creates middleware with custom wallet', () => {
   assert.strictEqual(typeof toll.cleanup, 'function');
 });
 
-test('stats returns expected structure', () => {
+asyncTest('stats returns expected structure', async () => {
   const toll = discourseToll({
     secret: 'test-secret',
     wallet: {
@@ -335,18 +573,2180 @@ test('stats returns expected structure', () => {
       lookupInvoice: async () => ({ paid: false }),
     },
   });
-  const stats = toll.stats();
+  const stats = await toll.stats();
   assert.ok('pricing' in stats);
   assert.ok('trust' in stats);
   assert.ok('wallet' in stats);
 });
 
+// ============================================
+// Replay protection
+// ============================================
+section('🔁 Replay Protection');
+
+asyncTest('spent store allows maxUses then rejects', async () => {
+  const store = new MemorySpentStore();
+  assert.strictEqual((await store.consume('h1', { maxUses: 2 })).ok, true);
+  assert.strictEqual((await store.consume('h1', { maxUses: 2 })).ok, true);
+  const third = await store.consume('h1', { maxUses: 2 });
+  assert.strictEqual(third.ok, false);
+  assert.strictEqual(await store.uses('h1'), 2);
+});
+
+asyncTest('spent store cleanup drops expired entries', async () => {
+  const store = new MemorySpentStore();
+  await store.consume('old', { expiresAt: 100 });
+  await store.consume('new', { expiresAt: 9999999999 });
+  await store.cleanup(200);
+  assert.strictEqual(await store.uses('old'), 0);
+  assert.strictEqual(await store.uses('new'), 1);
+});
+
+asyncTest('paid credential authorizes exactly one action', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({ secret: TEST_SECRET, wallet, pricing: { cooldown: { enabled: false } } });
+  const routeOpts = { contextFrom: 'body.threadId' };
+  const body = { threadId: 't1' };
+  const auth = await payToll(toll, wallet, routeOpts, { body });
+
+  const first = await runToll(toll(routeOpts), mockReq({ body, headers: { authorization: auth } }));
+  assert.strictEqual(first.nextCalled, true);
+
+  const replay = await runToll(toll(routeOpts), mockReq({ body, headers: { authorization: auth } }));
+  assert.strictEqual(replay.nextCalled, false);
+  assert.strictEqual(replay.res.statusCode, 401);
+  assert.strictEqual(replay.res.body.detail, 'Credential already spent');
+  assert.strictEqual(await toll.pricing.getActivityCount('anonymous', 't1'), 1);
+});
+
+asyncTest('invalid credential does not burn the payment', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({ secret: TEST_SECRET, wallet });
+  const routeOpts = { contextFrom: 'body.threadId' };
+  const auth = await payToll(toll, wallet, routeOpts, { body: { threadId: 't1' } });
+
+  const wrongContext = await runToll(toll(routeOpts), mockReq({ body: { threadId: 't2' }, headers: { authorization: auth } }));
+  assert.strictEqual(wrongContext.res.statusCode, 401);
+
+  const ok = await runToll(toll(routeOpts), mockReq({ body: { threadId: 't1' }, headers: { authorization: auth } }));
+  assert.strictEqual(ok.nextCalled, true);
+});
+
+asyncTest('quotes bought at one slot cannot all be redeemed at its price', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({ secret: TEST_SECRET, wallet, pricing: { progressiveMultiplier: 2, cooldown: { enabled: false } } });
+  const routeOpts = { contextFrom: 'body.threadId' };
+  const body = { threadId: 't1' };
+  const auths = [];
+  for (let i = 0; i < 3; i++) auths.push(await payToll(toll, wallet, routeOpts, { body }));
+  const mac = decodeMacaroon(auths[0].slice(5).split(':')[0]);
+  assert.strictEqual(getCaveat(mac, 'amount'), '1');
+  assert.strictEqual(getCaveat(mac, 'seq'), '0');
+
+  const first = await runToll(toll(routeOpts), mockReq({ body, headers: { authorization: auths[0] } }));
+  assert.strictEqual(first.nextCalled, true);
+
+  // The second 1-sat credential now lands on the 2-sat slot: fresh quote instead
+  const second = await runToll(toll(routeOpts), mockReq({ body, headers: { authorization: auths[1] } }));
+  assert.strictEqual(second.nextCalled, false);
+  assert.strictEqual(second.res.statusCode, 402);
+  assert.strictEqual(second.res.body.code, 'price_changed');
+  assert.strictEqual(second.res.body.amountSats, 2);
+  assert.strictEqual(getCaveat(decodeMacaroon(second.res.body.macaroon), 'seq'), '1');
+  assert.strictEqual(await toll.pricing.getActivityCount('anonymous', 't1'), 1);
+});
+
+asyncTest('a later slot is accepted while it costs no more than was paid', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({ secret: TEST_SECRET, wallet, pricing: { progressiveCap: 1, cooldown: { enabled: false } } });
+  const auths = [await payToll(toll, wallet, {}), await payToll(toll, wallet, {})];
+  for (const authorization of auths) {
+    const { nextCalled } = await runToll(toll(), mockReq({ headers: { authorization } }));
+    assert.strictEqual(nextCalled, true);
+  }
+  assert.strictEqual(await toll.pricing.getActivityCount('anonymous', 'default'), 2);
+});
+
+asyncTest('a rejected replay does not move the agent\'s slot', async () => {
+  const wallet = mockWallet();
+  // Capped at 1 sat, so every slot is covered and only the spent store says no
+  const toll = discourseToll({ secret: TEST_SECRET, wallet, pricing: { progressiveCap: 1, cooldown: { enabled: false } } });
+  const routeOpts = { contextFrom: 'body.threadId' };
+  const body = { threadId: 't1' };
+  const auth = await payToll(toll, wallet, routeOpts, { body });
+
+  const results = await Promise.all([0, 1, 2].map(() => runToll(toll(routeOpts), mockReq({ body, headers: { authorization: auth } }))));
+  assert.strictEqual(results.filter(r => r.nextCalled).length, 1);
+  assert.strictEqual(await toll.pricing.getActivityCount('anonymous', 't1'), 1);
+});
+
+asyncTest('redeem never records an action that costs more than was paid', async () => {
+  const engine = new PricingEngine({ cooldown: { enabled: false } });
+  await engine.setMultiplier('a1', 3);
+  const refused = await engine.redeem({ agentId: 'a1', contextId: 't1', seq: 0, paidSats: 1 });
+  assert.strictEqual(refused.ok, false);
+  assert.strictEqual(refused.sats, 3);
+  assert.strictEqual(await engine.getActivityCount('a1', 't1'), 0);
+
+  // A 1 + 2 + 3 sat bundle covers each of its slots
+  await engine.clearMultiplier('a1');
+  for (let use = 0; use < 3; use++) {
+    const { ok, paidSats } = await engine.redeem({ agentId: 'a1', contextId: 't1', seq: 0, paidSats: 6, actions: 3, use });
+    assert.strictEqual(ok, true);
+    assert.strictEqual(paidSats, use + 1);
+  }
+});
+
+// ============================================
+// Bundles (multi-use macaroons)
+// ============================================
+section('📦 Bundles');
+
+asyncTest('402 offers a bundle price when the route allows it', async () => {
+  const toll = discourseToll({ secret: TEST_SECRET, wallet: mockWallet(), pricing: { cooldown: { enabled: false } } });
+  const { res } = await runToll(toll({ bundle: 5 }), mockReq());
+  assert.strictEqual(res.statusCode, 402);
+  assert.strictEqual(res.body.actions, 1);
+  assert.strictEqual(res.body.bundle.maxActions, 5);
+  assert.ok(res.body.bundle.amountSats > res.body.amountSats);
+});
+
+asyncTest('bundle macaroon authorizes N actions then rejects', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({ secret: TEST_SECRET, wallet, pricing: { cooldown: { enabled: false } } });
+  const routeOpts = { bundle: 5, contextFrom: 'body.threadId' };
+  const body = { threadId: 't1' };
+  const { res: quote } = await runToll(toll(routeOpts), mockReq({ body, headers: { 'x-toll-bundle': '3' } }));
+  assert.strictEqual(quote.body.actions, 3);
+  assert.strictEqual(getCaveat(decodeMacaroon(quote.body.macaroon), 'max_actions'), '3');
+  const auth = `L402 ${quote.body.macaroon}:${wallet.preimages.get(quote.body.paymentHash)}`;
+
+  for (let i = 2; i >= 0; i--) {
+    const { res, nextCalled } = await runToll(toll(routeOpts), mockReq({ body, headers: { authorization: auth } }));
+    assert.strictEqual(nextCalled, true);
+    assert.strictEqual(res.headers['x-toll-remaining'], String(i));
+  }
+
+  const { res } = await runToll(toll(routeOpts), mockReq({ body, headers: { authorization: auth } }));
+  assert.strictEqual(res.statusCode, 401);
+  assert.match(res.body.detail, /Action limit|all 3 actions/);
+  assert.strictEqual(await toll.pricing.getActivityCount('anonymous', 't1'), 3);
+});
+
+asyncTest('bundle size is capped at the route offer', async () => {
+  const toll = discourseToll({ secret: TEST_SECRET, wallet: mockWallet() });
+  const { res } = await runToll(toll({ bundle: 4 }), mockReq({ headers: { 'x-toll-bundle': '50' } }));
+  assert.strictEqual(res.body.actions, 4);
+
+  const { res: noBundle } = await runToll(toll(), mockReq({ headers: { 'x-toll-bundle': '50' } }));
+  assert.strictEqual(noBundle.body.actions, 1);
+});
+
+asyncTest('a delegated bundle spends no more than its attenuated limit', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({ secret: TEST_SECRET, wallet, pricing: { cooldown: { enabled: false } } });
+  const routeOpts = { bundle: 5, contextFrom: 'body.threadId' };
+  const body = { threadId: 't1' };
+  const { res: quote } = await runToll(toll(routeOpts), mockReq({ body, headers: { 'x-toll-bundle': '4' } }));
+  const preimage = wallet.preimages.get(quote.body.paymentHash);
+
+  // The orchestrator hands a sub-agent two of the four actions
+  const delegated = `L402 ${attenuate(quote.body.macaroon, { maxActions: 2 })}:${preimage}`;
+  for (let i = 0; i < 2; i++) {
+    assert.strictEqual((await runToll(toll(routeOpts), mockReq({ body, headers: { authorization: delegated } }))).nextCalled, true);
+  }
+  const { res } = await runToll(toll(routeOpts), mockReq({ body, headers: { authorization: delegated } }));
+  assert.strictEqual(res.statusCode, 401);
+
+  // The original credential still covers the rest of the bundle
+  const original = `L402 ${quote.body.macaroon}:${preimage}`;
+  assert.strictEqual((await runToll(toll(routeOpts), mockReq({ body, headers: { authorization: original } }))).nextCalled, true);
+});
+
+asyncTest('a single-action credential cannot be stretched into a bundle', async () => {
+  for (const format of ['json', 'v2']) {
+    const wallet = mockWallet();
+    const toll = discourseToll({ secret: TEST_SECRET, wallet, pricing: { cooldown: { enabled: false } } });
+    const headers = { 'x-toll-macaroon': format };
+    const { res: quote } = await runToll(toll(), mockReq({ headers }));
+    const preimage = wallet.preimages.get(quote.body.paymentHash);
+    assert.throws(() => attenuate(quote.body.macaroon, { maxActions: 10 }), /issued for several actions/);
+
+    // Appending the caveat by hand still buys nothing
+    const mac = decodeMacaroon(quote.body.macaroon);
+    const extra = format === 'v2' ? 'max_actions=10' : 'max_actions = 10';
+    const stretched = encodeMacaroon({
+      ...mac,
+      caveats: [...mac.caveats, extra],
+      signature: crypto.createHmac('sha256', Buffer.from(mac.signature, 'hex')).update(extra).digest('hex'),
+    });
+    for (let i = 0; i < 2; i++) {
+      const { res, nextCalled } = await runToll(toll(), mockReq({ headers: { authorization: `L402 ${stretched}:${preimage}` } }));
+      assert.strictEqual(nextCalled, false);
+      assert.strictEqual(res.statusCode, 401);
+    }
+
+    // The credential as issued is good for exactly one action
+    const auth = `L402 ${quote.body.macaroon}:${preimage}`;
+    assert.strictEqual((await runToll(toll(), mockReq({ headers: { authorization: auth } }))).nextCalled, true);
+    assert.strictEqual((await runToll(toll(), mockReq({ headers: { authorization: auth } }))).res.statusCode, 401);
+  }
+});
+
+// ============================================
+// Prepaid balances
+// ============================================
+section('💰 Prepaid Balances');
+
+asyncTest('ledger credits once per top-up and debits atomically', async () => {
+  const ledger = new MemoryBalanceLedger();
+  const expiresAt = Date.now() + 60_000;
+  assert.strictEqual((await ledger.credit('a1', 10, { ref: 'h1', expiresAt })).credited, true);
+  assert.strictEqual((await ledger.credit('a1', 10, { ref: 'h1', expiresAt })).credited, false);
+
+  const results = await Promise.all([ledger.debit('a1', 4), ledger.debit('a1', 4), ledger.debit('a1', 4)]);
+  assert.deepStrictEqual(results.map(r => r.ok), [true, true, false]);
+  assert.strictEqual((await ledger.balance('a1')).balance, 2);
+});
+
+asyncTest('ledger spends soonest-expiring sats first and drops expired lots', async () => {
+  const ledger = new MemoryBalanceLedger();
+  await ledger.credit('a1', 5, { ref: 'late', expiresAt: Date.now() + 120_000 });
+  await ledger.credit('a1', 5, { ref: 'soon', expiresAt: Date.now() + 60_000 });
+  await ledger.credit('a1', 50, { ref: 'gone', expiresAt: Date.now() - 1 });
+  await ledger.debit('a1', 3);
+  const { balance, lots } = await ledger.balance('a1');
+  assert.strictEqual(balance, 7);
+  assert.deepStrictEqual(lots.map(l => l.sats), [2, 5]);
+});
+
+function balanceToll(wallet) {
+  return discourseToll({
+    secret: TEST_SECRET,
+    wallet,
+    balance: { minTopupSats: 5 },
+    trustUnsignedAgents: true,
+    pricing: { baseSats: 3, progressiveMultiplier: 1, cooldown: { enabled: false } },
+  });
+}
+
+asyncTest('top-up requires an authenticated agent', async () => {
+  const toll = balanceToll(mockWallet());
+  const { res } = await runToll(toll.topup(), mockReq({ body: { sats: 10 } }));
+  assert.strictEqual(res.statusCode, 401);
+});
+
+asyncTest('top-up, then tolled requests debit the balance', async () => {
+  const wallet = mockWallet();
+  const toll = balanceToll(wallet);
+  const headers = { 'x-agent-id': 'agent-1' };
+
+  const { res: quote } = await runToll(toll.topup(), mockReq({ url: '/topup', body: { sats: 7 }, headers }));
+  assert.strictEqual(quote.statusCode, 402);
+  assert.strictEqual(quote.body.type, 'balance');
+  const auth = `L402 ${quote.body.macaroon}:${wallet.preimages.get(quote.body.paymentHash)}`;
+
+  const { res: credited } = await runToll(toll.topup(), mockReq({ url: '/topup', headers: { ...headers, authorization: auth } }));
+  assert.strictEqual(credited.statusCode, 200);
+  assert.strictEqual(credited.body.balance, 7);
+
+  // Presenting the credential again never credits twice
+  const { res: again } = await runToll(toll.topup(), mockReq({ url: '/topup', headers: { ...headers, authorization: auth } }));
+  assert.strictEqual(again.body.credited, 0);
+
+  const req = mockReq({ headers: { ...headers, authorization: auth } });
+  const first = await runToll(toll(), req);
+  assert.strictEqual(first.nextCalled, true);
+  assert.strictEqual(first.res.headers['x-toll-balance'], '4');
+  assert.strictEqual(req.tollBalance, 4);
+
+  await runToll(toll(), mockReq({ headers: { ...headers, authorization: auth } }));
+  const broke = await runToll(toll(), mockReq({ headers: { ...headers, authorization: auth } }));
+  assert.strictEqual(broke.nextCalled, false);
+  assert.strictEqual(broke.res.statusCode, 402);
+  assert.strictEqual(broke.res.body.code, 'insufficient_balance');
+  assert.strictEqual(broke.res.body.balance, 1);
+  assert.strictEqual((await toll.getBalance('agent-1')).balance, 1);
+});
+
+asyncTest('balance credential is bound to its agent', async () => {
+  const wallet = mockWallet();
+  const toll = balanceToll(wallet);
+  const { res: quote } = await runToll(toll.topup(), mockReq({ body: { sats: 10 }, headers: { 'x-agent-id': 'agent-1' } }));
+  const auth = `L402 ${quote.body.macaroon}:${wallet.preimages.get(quote.body.paymentHash)}`;
+  const { res } = await runToll(toll(), mockReq({ headers: { 'x-agent-id': 'agent-2', authorization: auth } }));
+  assert.strictEqual(res.statusCode, 401);
+  assert.match(res.body.detail, /Agent mismatch/);
+});
+
+asyncTest('toll credentials cannot be credited or turned into balance credentials', async () => {
+  const wallet = mockWallet();
+  const toll = balanceToll(wallet);
+  const headers = { 'x-agent-id': 'agent-1' };
+  const auth = await payToll(toll, wallet, {}, { headers });
+
+  const { res } = await runToll(toll.topup(), mockReq({ url: '/topup', headers: { ...headers, authorization: auth } }));
+  assert.strictEqual(res.statusCode, 401);
+  assert.match(res.body.detail, /Not a balance credential/);
+  assert.strictEqual((await toll.getBalance('agent-1')).balance, 0);
+
+  // Appending type = balance (extending the HMAC chain by hand) invalidates it
+  const [encoded, preimage] = auth.slice(5).split(':');
+  const mac = decodeMacaroon(encoded);
+  const forged = { ...mac, caveats: [...mac.caveats, 'type = balance'], signature: crypto.createHmac('sha256', Buffer.from(mac.signature, 'hex')).update('type = balance').digest('hex') };
+  const forgedAuth = `L402 ${encodeMacaroon(forged)}:${preimage}`;
+  const topped = await runToll(toll.topup(), mockReq({ url: '/topup', headers: { ...headers, authorization: forgedAuth } }));
+  assert.strictEqual(topped.res.statusCode, 401);
+  assert.match(topped.res.body.detail, /only be set by the issuer/);
+  const spent = await runToll(toll(), mockReq({ headers: { ...headers, authorization: forgedAuth } }));
+  assert.strictEqual(spent.res.statusCode, 401);
+
+  // The untouched credential still pays for its action
+  assert.strictEqual((await runToll(toll(), mockReq({ headers: { ...headers, authorization: auth } }))).nextCalled, true);
+});
+
+asyncTest('balance route reports the agent balance', async () => {
+  const toll = balanceToll(mockWallet());
+  await toll.ledger.credit('agent-1', 25, { ref: 'x', expiresAt: Date.now() + 60_000 });
+  const { res } = await runToll(toll.balance(), mockReq({ method: 'GET', headers: { 'x-agent-id': 'agent-1' } }));
+  assert.strictEqual(res.body.balance, 25);
+});
+
+// ============================================
+// Pending quotes
+// ============================================
+section('🧾 Pending Quotes');
+
+asyncTest('repeat 402s reuse the pending invoice until it is redeemed', async () => {
+  const wallet = mockWallet();
+  let minted = 0;
+  const createInvoice = wallet.createInvoice;
+  wallet.createInvoice = (...args) => { minted++; return createInvoice(...args); };
+  const toll = discourseToll({ secret: TEST_SECRET, wallet, pricing: { cooldown: { enabled: false } } });
+
+  const first = await runToll(toll(), mockReq({ ip: '10.0.0.1' }));
+  const again = await runToll(toll(), mockReq({ ip: '10.0.0.1' }));
+  assert.strictEqual(again.res.body.invoice, first.res.body.invoice);
+  assert.strictEqual(again.res.body.macaroon, first.res.body.macaroon);
+  assert.strictEqual(minted, 1);
+
+  // Another IP gets its own invoice
+  const other = await runToll(toll(), mockReq({ ip: '10.0.0.2' }));
+  assert.notStrictEqual(other.res.body.paymentHash, first.res.body.paymentHash);
+
+  // Once redeemed, the next 402 is a new invoice
+  const auth = `L402 ${first.res.body.macaroon}:${wallet.preimages.get(first.res.body.paymentHash)}`;
+  const paid = await runToll(toll(), mockReq({ ip: '10.0.0.1', headers: { authorization: auth } }));
+  assert.strictEqual(paid.nextCalled, true);
+  const next = await runToll(toll(), mockReq({ ip: '10.0.0.1' }));
+  assert.notStrictEqual(next.res.body.paymentHash, first.res.body.paymentHash);
+  assert.strictEqual(minted, 3);
+});
+
+asyncTest('too many unpaid invoices per requester returns 429', async () => {
+  const toll = discourseToll({ secret: TEST_SECRET, wallet: mockWallet(), quotes: { maxOutstanding: 2 } });
+  const routeOpts = { contextFrom: 'body.threadId' };
+  for (const threadId of ['t1', 't2']) {
+    const { res } = await runToll(toll(routeOpts), mockReq({ ip: '10.0.0.1', body: { threadId } }));
+    assert.strictEqual(res.statusCode, 402);
+  }
+  const { res } = await runToll(toll(routeOpts), mockReq({ ip: '10.0.0.1', body: { threadId: 't3' } }));
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.body.code, 'too_many_quotes');
+  assert.ok(parseInt(res.headers['retry-after'], 10) > 0);
+
+  // Asking again for a quote already held is fine
+  const held = await runToll(toll(routeOpts), mockReq({ ip: '10.0.0.1', body: { threadId: 't1' } }));
+  assert.strictEqual(held.res.statusCode, 402);
+  assert.strictEqual((await toll.stats()).quotes.pending, 2);
+});
+
+asyncTest('operators choose who holds anonymous quotes', async () => {
+  const routeOpts = { contextFrom: 'body.threadId' };
+  const ask = (toll, threadId, headers = {}) => runToll(toll(routeOpts), mockReq({ ip: '10.0.0.1', body: { threadId }, headers }));
+
+  // Not shared: every anonymous request behind the proxy gets its own invoice, uncapped
+  const unshared = discourseToll({ secret: TEST_SECRET, wallet: mockWallet(), quotes: { maxOutstanding: 1, anonymousOwner: false } });
+  const a = await ask(unshared, 't1');
+  const b = await ask(unshared, 't1');
+  assert.strictEqual(b.res.statusCode, 402);
+  assert.notStrictEqual(b.res.body.paymentHash, a.res.body.paymentHash);
+
+  // Keyed by a header the proxy sets
+  const keyed = discourseToll({
+    secret: TEST_SECRET,
+    wallet: mockWallet(),
+    quotes: { maxOutstanding: 1, anonymousOwner: (req) => req.headers['x-real-ip'] },
+  });
+  assert.strictEqual((await ask(keyed, 't1', { 'x-real-ip': '203.0.113.1' })).res.statusCode, 402);
+  assert.strictEqual((await ask(keyed, 't2', { 'x-real-ip': '203.0.113.2' })).res.statusCode, 402);
+  assert.strictEqual((await ask(keyed, 't3', { 'x-real-ip': '203.0.113.1' })).res.statusCode, 429);
+});
+
+test('wallet cleanup forgets stale unpaid invoices', () => {
+  const wallet = new WalletProvider({ custom: mockWallet() });
+  wallet._invoices.set('old', { amount: 1, createdAt: Date.now() - 3_600_000, paid: false });
+  wallet._invoices.set('paid', { amount: 1, createdAt: Date.now() - 3_600_000, paid: true });
+  wallet._invoices.set('new', { amount: 1, createdAt: Date.now(), paid: false });
+  wallet.cleanup(600_000);
+  assert.deepStrictEqual([...wallet._invoices.keys()], ['paid', 'new']);
+});
+
+// ============================================
+// Failure policy
+// ============================================
+section('🚧 Failure Policy');
+
+function brokenWallet() {
+  let calls = 0;
+  return {
+    get calls() { return calls; },
+    async createInvoice() { calls++; throw new Error('NWC relay unreachable'); },
+    async lookupInvoice() { return { paid: false }; },
+  };
+}
+
+asyncTest('circuit breaker opens after repeated failures and short-circuits', async () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 2, resetMs: 60_000 });
+  let calls = 0;
+  const fail = () => { calls++; return Promise.reject(new Error('down')); };
+  await assert.rejects(breaker.call(fail), /down/);
+  await assert.rejects(breaker.call(fail), /down/);
+  await assert.rejects(breaker.call(fail), /Circuit open/);
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(breaker.stats().state, 'open');
+  assert.ok(breaker.retryAfterMs() > 0);
+});
+
+asyncTest('circuit breaker half-opens after resetMs and closes on success', async () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 1, resetMs: 20 });
+  await assert.rejects(breaker.call(() => Promise.reject(new Error('down'))));
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.strictEqual(await breaker.call(async () => 'ok'), 'ok');
+  assert.strictEqual(breaker.stats().state, 'closed');
+});
+
+asyncTest('circuit breaker times out slow calls', async () => {
+  const breaker = new CircuitBreaker({ timeoutMs: 20 });
+  await assert.rejects(breaker.call(() => new Promise(() => {})), /Timed out/);
+});
+
+asyncTest('default failure mode stays open on wallet errors', async () => {
+  const toll = discourseToll({ secret: TEST_SECRET, wallet: brokenWallet() });
+  const req = mockReq();
+  const { nextCalled } = await runToll(toll(), req);
+  assert.strictEqual(nextCalled, true);
+  assert.match(req.tollError, /NWC relay unreachable/);
+});
+
+asyncTest('closed failure mode returns 503 and the breaker stops calling the wallet', async () => {
+  const wallet = brokenWallet();
+  const toll = discourseToll({
+    secret: TEST_SECRET,
+    wallet,
+    failureMode: 'closed',
+    circuitBreaker: { failureThreshold: 2, resetMs: 60_000 },
+  });
+  for (let i = 0; i < 4; i++) {
+    const { res, nextCalled } = await runToll(toll(), mockReq());
+    assert.strictEqual(nextCalled, false);
+    assert.strictEqual(res.statusCode, 503);
+    assert.strictEqual(res.body.code, 'wallet_unavailable');
+  }
+  assert.strictEqual(wallet.calls, 2);
+  const { res } = await runToll(toll(), mockReq());
+  assert.ok(parseInt(res.headers['retry-after'], 10) > 1);
+});
+
+asyncTest('degraded mode lets trusted agents through only', async () => {
+  const toll = discourseToll({
+    secret: TEST_SECRET,
+    wallet: brokenWallet(),
+    failureMode: 'degraded',
+    degradedTrustAbove: 40,
+    trustUnsignedAgents: true,
+    trust: staticResolver({ known: 60, stranger: 10 }),
+  });
+  const knownReq = mockReq({ headers: { 'x-agent-id': 'known' } });
+  const known = await runToll(toll(), knownReq);
+  assert.strictEqual(known.nextCalled, true);
+  assert.strictEqual(knownReq.tollDegraded, true);
+
+  const stranger = await runToll(toll(), mockReq({ headers: { 'x-agent-id': 'stranger' } }));
+  assert.strictEqual(stranger.res.statusCode, 503);
+});
+
+asyncTest('per-cause modes: closed trust, closed macaroon', async () => {
+  const toll = discourseToll({
+    secret: TEST_SECRET,
+    wallet: mockWallet(),
+    failureMode: { default: 'open', trust: 'closed' },
+    trustUnsignedAgents: true,
+    trust: new TrustResolver({ resolver: async () => { throw new Error('relay down'); } }),
+  });
+  const { res } = await runToll(toll(), mockReq({ headers: { 'x-agent-id': 'a1' } }));
+  assert.strictEqual(res.statusCode, 503);
+  assert.strictEqual(res.body.code, 'trust_unavailable');
+
+  const garbage = await runToll(toll(), mockReq({ headers: { authorization: `L402 ${Buffer.from('{}').toString('base64')}:${'0'.repeat(64)}` } }));
+  assert.strictEqual(garbage.nextCalled, false);
+  assert.strictEqual(garbage.res.statusCode, 401);
+  assert.strictEqual(garbage.res.body.detail, 'Invalid macaroon encoding');
+});
+
+test('invalid failure mode is rejected', () => {
+  assert.throws(
+    () => discourseToll({ secret: TEST_SECRET, wallet: mockWallet(), failureMode: 'maybe' }),
+    /invalid failureMode/
+  );
+  assert.strictEqual(new TollError('x', 'wallet').kind, 'wallet');
+});
+
+// ============================================
+// NIP-98 agent authentication
+// ============================================
+section('🔏 NIP-98');
+
+const AGENT_SK = generateSecretKey();
+const AGENT_PK = getPublicKey(AGENT_SK);
+const FORUM_URL = 'https://forum.example/comments';
+
+test('signed token verifies and yields pubkey', () => {
+  const body = JSON.stringify({ threadId: 't1' });
+  const token = createNip98Token(AGENT_SK, { url: FORUM_URL, method: 'post', body });
+  const result = verifyNip98(token, { url: FORUM_URL, method: 'POST', body });
+  assert.ok(result.valid, result.error);
+  assert.strictEqual(result.pubkey, AGENT_PK);
+});
+
+test('URL, method and payload must match', () => {
+  const body = JSON.stringify({ threadId: 't1' });
+  const token = createNip98Token(AGENT_SK, { url: FORUM_URL, method: 'POST', body });
+  assert.match(verifyNip98(token, { url: 'https://forum.example/other', method: 'POST', body }).error, /URL/);
+  assert.match(verifyNip98(token, { url: FORUM_URL, method: 'GET', body }).error, /method/);
+  assert.match(verifyNip98(token, { url: FORUM_URL, method: 'POST', body: '{"threadId":"t2"}' }).error, /payload/);
+});
+
+test('stale or forged events are rejected', () => {
+  const stale = finalizeEvent({
+    kind: 27235,
+    created_at: Math.floor(Date.now() / 1000) - 600,
+    tags: [['u', FORUM_URL], ['method', 'GET']],
+    content: '',
+  }, AGENT_SK);
+  const staleToken = `Nostr ${Buffer.from(JSON.stringify(stale)).toString('base64')}`;
+  assert.match(verifyNip98(staleToken, { url: FORUM_URL, method: 'GET' }).error, /timestamp/);
+
+  const forged = { ...JSON.parse(Buffer.from(createNip98Token(AGENT_SK, { url: FORUM_URL, method: 'GET' }).slice(6), 'base64')), pubkey: getPublicKey(generateSecretKey()) };
+  const forgedToken = `Nostr ${Buffer.from(JSON.stringify(forged)).toString('base64')}`;
+  assert.match(verifyNip98(forgedToken, { url: FORUM_URL, method: 'GET' }).error, /signature/);
+});
+
+test('malformed events are invalid, not errors', () => {
+  const token = `Nostr ${Buffer.from(JSON.stringify({ kind: 27235, tags: [] })).toString('base64')}`;
+  const result = verifyNip98(token, { url: FORUM_URL, method: 'GET' });
+  assert.strictEqual(result.valid, false);
+  assert.match(result.error, /Invalid NIP-98 event/);
+});
+
+function nip98Toll(wallet) {
+  return discourseToll({
+    secret: TEST_SECRET,
+    wallet,
+    baseUrl: 'https://forum.example',
+    trust: staticResolver({ [AGENT_PK]: 90 }),
+    pricing: { cooldown: { enabled: false } },
+  });
+}
+
+asyncTest('signed agent gets trust discount', async () => {
+  const toll = nip98Toll(mockWallet());
+  const body = { threadId: 't1' };
+  const authorization = createNip98Token(AGENT_SK, { url: FORUM_URL, method: 'POST', body: JSON.stringify(body) });
+  const req = mockReq({ body, headers: { authorization } });
+  const { nextCalled } = await runToll(toll({ contextFrom: 'body.threadId' }), req);
+  assert.strictEqual(nextCalled, true);
+  assert.strictEqual(req.tollFree, true);
+  assert.strictEqual(req.tollAgentId, AGENT_PK);
+  assert.strictEqual(req.tollAgentVerified, true);
+});
+
+asyncTest('unsigned claim of a trusted pubkey is priced as anonymous', async () => {
+  const toll = nip98Toll(mockWallet());
+  const { res } = await runToll(toll(), mockReq({ headers: { 'x-agent-id': AGENT_PK } }));
+  assert.strictEqual(res.statusCode, 402);
+  assert.strictEqual(res.body.pricing.trustScore, undefined);
+  const mac = decodeMacaroon(res.body.macaroon);
+  assert.strictEqual(getCaveat(mac, 'agent'), 'anonymous');
+});
+
+asyncTest('claim that differs from signer is rejected', async () => {
+  const toll = nip98Toll(mockWallet());
+  const authorization = createNip98Token(AGENT_SK, { url: FORUM_URL, method: 'POST' });
+  const { res } = await runToll(toll(), mockReq({ headers: { authorization, 'x-agent-id': 'someone-else' } }));
+  assert.strictEqual(res.statusCode, 401);
+  assert.match(res.body.detail, /does not match/);
+});
+
+asyncTest('signed identity travels with L402 in X-Nostr-Authorization', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({ secret: TEST_SECRET, wallet, baseUrl: 'https://forum.example' });
+  const sign = () => createNip98Token(AGENT_SK, { url: FORUM_URL, method: 'POST' });
+  const auth = await payToll(toll, wallet, {}, { headers: { authorization: sign() } });
+
+  const req = mockReq({ headers: { authorization: auth, 'x-nostr-authorization': sign() } });
+  const { nextCalled } = await runToll(toll(), req);
+  assert.strictEqual(nextCalled, true);
+  assert.strictEqual(req.tollAgentId, AGENT_PK);
+
+  // Without the signature the request is anonymous and the agent caveat fails
+  const wallet2 = mockWallet();
+  const toll2 = discourseToll({ secret: TEST_SECRET, wallet: wallet2, baseUrl: 'https://forum.example' });
+  const auth2 = await payToll(toll2, wallet2, {}, { headers: { authorization: sign() } });
+  const { res } = await runToll(toll2(), mockReq({ headers: { authorization: auth2 } }));
+  assert.strictEqual(res.statusCode, 401);
+  assert.match(res.body.detail, /Agent mismatch/);
+});
+
+asyncTest('malformed NIP-98 events get a 401, not an open toll', async () => {
+  const toll = nip98Toll(mockWallet());
+  const authorization = `Nostr ${Buffer.from(JSON.stringify({ kind: 27235, tags: [] })).toString('base64')}`;
+  const { res, nextCalled } = await runToll(toll(), mockReq({ headers: { authorization } }));
+  assert.strictEqual(nextCalled, false);
+  assert.strictEqual(res.statusCode, 401);
+  assert.match(res.body.detail, /Invalid NIP-98 event/);
+});
+
+asyncTest('X-Forwarded-Host only counts with trustProxy', async () => {
+  const other = 'https://other.example/comments';
+  const authorization = createNip98Token(AGENT_SK, { url: other, method: 'POST' });
+  const headers = { authorization, host: 'forum.example', 'x-forwarded-proto': 'https', 'x-forwarded-host': 'other.example' };
+  const req = () => mockReq({ protocol: 'https', headers: { ...headers } });
+
+  const toll = discourseToll({ secret: TEST_SECRET, wallet: mockWallet() });
+  let { res } = await runToll(toll(), req());
+  assert.strictEqual(res.statusCode, 401);
+  assert.match(res.body.detail, /URL mismatch/);
+
+  const proxied = discourseToll({ secret: TEST_SECRET, wallet: mockWallet(), trustProxy: true });
+  ({ res } = await runToll(proxied(), req()));
+  assert.strictEqual(res.statusCode, 402);
+  assert.strictEqual(getCaveat(decodeMacaroon(res.body.macaroon), 'agent'), AGENT_PK);
+});
+
+// ============================================
+// Framework adapter Tests
+// ============================================
+asyncTest('tolls emit v2 macaroons when configured or asked, and accept legacy ones', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({ secret: TEST_SECRET, wallet, macaroons: { format: 'v2' }, quotes: false });
+  const legacy = discourseToll({ secret: TEST_SECRET, wallet, quotes: false });
+
+  let { res } = await runToll(toll(), mockReq());
+  const v2 = decodeMacaroon(res.body.macaroon);
+  assert.strictEqual(v2.format, 'v2');
+  assert.strictEqual(v2.id, res.body.paymentHash);
+  assert(res.headers['www-authenticate'].includes(res.body.macaroon));
+  let auth = `L402 ${res.body.macaroon}:${wallet.preimages.get(res.body.paymentHash)}`;
+  assert.strictEqual((await runToll(toll(), mockReq({ headers: { authorization: auth } }))).nextCalled, true);
+
+  // Legacy credentials from before the switch still work
+  const other = { contextFrom: 'body.threadId' };
+  auth = await payToll(legacy, wallet, other, { body: { threadId: 't2' } });
+  assert.strictEqual((await runToll(toll(other), mockReq({ body: { threadId: 't2' }, headers: { authorization: auth } }))).nextCalled, true);
+
+  // Clients can ask for either format
+  ({ res } = await runToll(legacy(), mockReq({ headers: { 'x-toll-macaroon': 'v2' } })));
+  assert.strictEqual(decodeMacaroon(res.body.macaroon).format, 'v2');
+
+  // Once migrated, legacy credentials can be refused
+  const strict = discourseToll({ secret: TEST_SECRET, wallet, macaroons: { format: 'v2', acceptLegacy: false } });
+  auth = await payToll(legacy, wallet, {}, {});
+  ({ res } = await runToll(strict(), mockReq({ headers: { authorization: auth } })));
+  assert.strictEqual(res.statusCode, 401);
+  assert.match(res.body.detail, /Legacy macaroon/);
+  assert.throws(() => discourseToll({ secret: TEST_SECRET, wallet, macaroons: { format: 'v3' } }), /unknown macaroon format/);
+});
+
+section('🔌 Framework adapters');
+
+asyncTest('core decides without a framework', async () => {
+  const toll = discourseToll({ secret: TEST_SECRET, wallet: mockWallet() });
+  const decision = await toll.handle({ method: 'POST', url: '/comments', headers: {} });
+  assert.strictEqual(decision.pass, false);
+  assert.strictEqual(decision.status, 402);
+  assert.match(decision.headers['WWW-Authenticate'], /^L402 invoice=/);
+  assert.strictEqual(decision.body.amountSats, 1);
+});
+
+asyncTest('node adapter reads the body and answers itself', async () => {
+  const http = require('http');
+  const wallet = mockWallet();
+  const toll = discourseToll({ secret: TEST_SECRET, wallet });
+  const tollComments = toll.node({ contextFrom: 'params.threadId' });
+  const server = http.createServer(async (req, res) => {
+    const paid = await tollComments(req, res, { threadId: 't1' });
+    if (!paid) return;
+    res.writeHead(201, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ text: req.body.text, paid: paid.paid }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const url = `http://127.0.0.1:${server.address().port}/threads/t1/comments`;
+    const post = (headers) => fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify({ text: 'hi' }),
+    });
+
+    const quote = await post();
+    assert.strictEqual(quote.status, 402);
+    const { macaroon, paymentHash, contextId } = await quote.json();
+    assert.strictEqual(contextId, 't1');
+
+    const paid = await post({ authorization: `L402 ${macaroon}:${wallet.preimages.get(paymentHash)}` });
+    assert.strictEqual(paid.status, 201);
+    assert.deepStrictEqual(await paid.json(), { text: 'hi', paid: true });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+asyncTest('fetch adapter wraps a Request handler', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({ secret: TEST_SECRET, wallet });
+  const handler = toll.fetch({ bundle: 3 }, async (request, info) => {
+    const { text } = await request.json();
+    return Response.json({ text, paid: info.paid }, { status: 201 });
+  });
+  const request = (headers = {}) => new Request('https://forum.example/comments', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify({ text: 'hi' }),
+  });
+
+  const quote = await handler(request({ 'x-toll-bundle': '3' }));
+  assert.strictEqual(quote.status, 402);
+  assert.match(quote.headers.get('www-authenticate'), /^L402 /);
+  const { macaroon, paymentHash } = await quote.json();
+
+  const res = await handler(request({ authorization: `L402 ${macaroon}:${wallet.preimages.get(paymentHash)}` }));
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.headers.get('x-toll-remaining'), '2');
+  assert.deepStrictEqual(await res.json(), { text: 'hi', paid: true });
+});
+
+asyncTest('koa and fastify adapters use their own request state', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({ secret: TEST_SECRET, wallet, pricing: { cooldown: { enabled: false } } });
+
+  // Koa: 402 on ctx, then ctx.state.toll after paying
+  const koaCtx = (headers = {}) => ({
+    method: 'POST', originalUrl: '/comments', headers, query: {}, protocol: 'http',
+    request: { body: {} }, state: {}, _headers: {},
+    set(h) { Object.assign(this._headers, h); },
+  });
+  const quote = koaCtx();
+  await toll.koa()(quote, async () => assert.fail('next called without payment'));
+  assert.strictEqual(quote.status, 402);
+  const auth = `L402 ${quote.body.macaroon}:${wallet.preimages.get(quote.body.paymentHash)}`;
+  const paid = koaCtx({ authorization: auth });
+  let nextCalled = false;
+  await toll.koa()(paid, async () => { nextCalled = true; });
+  assert.strictEqual(nextCalled, true);
+  assert.strictEqual(paid.state.toll.paid, true);
+
+  // Fastify: preHandler sends the 402 through reply
+  const reply = {
+    headers(h) { this._headers = h; return this; },
+    code(c) { this.statusCode = c; return this; },
+    send(b) { this.sent = b; return this; },
+  };
+  await toll.fastify()({ method: 'POST', url: '/comments', headers: {}, body: {}, params: {}, query: {} }, reply);
+  assert.strictEqual(reply.statusCode, 402);
+  assert.strictEqual(reply.sent.protocol, 'L402');
+  assert.match(reply._headers['WWW-Authenticate'], /^L402 /);
+});
+
+asyncTest('topup() takes a framework name', async () => {
+  const toll = balanceToll(mockWallet());
+  const handler = toll.topup('fetch');
+  const res = await handler(new Request('https://forum.example/topup?sats=20', {
+    headers: { 'x-agent-id': 'agent-1' },
+  }));
+  assert.strictEqual(res.status, 402);
+  assert.strictEqual((await res.json()).type, 'balance');
+  assert.throws(() => toll.topup('sinatra'), /unknown framework/);
+});
+
+// ============================================
+// Events & webhooks
+// ============================================
+section('📣 Events & Webhooks');
+
+// Local HTTP receiver; `respond(n)` picks the status for the nth delivery
+async function webhookReceiver(respond = () => 200) {
+  const http = require('http');
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', d => body += d);
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(respond(received.length));
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    received,
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+asyncTest('toll emits lifecycle events with agent, context and price', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({
+    secret: TEST_SECRET,
+    wallet,
+    trustUnsignedAgents: true,
+    trust: staticResolver({ 'trusted-agent': 90 }),
+    pricing: { cooldown: { enabled: false } },
+  });
+  const events = [];
+  for (const type of ['quote', 'invoice.created', 'payment.verified', 'free_pass', 'rejected']) {
+    assert.strictEqual(toll.on(type, e => events.push(e)), toll);
+  }
+  const routeOpts = { contextFrom: 'body.threadId' };
+  const body = { threadId: 't1' };
+
+  const auth = await payToll(toll, wallet, routeOpts, { body });
+  await runToll(toll(routeOpts), mockReq({ body, headers: { authorization: auth } }));
+  await runToll(toll(routeOpts), mockReq({ body, headers: { authorization: auth } }));
+  await runToll(toll(routeOpts), mockReq({ body, headers: { 'x-agent-id': 'trusted-agent' } }));
+
+  assert.deepStrictEqual(events.map(e => e.type), ['invoice.created', 'quote', 'payment.verified', 'rejected', 'free_pass']);
+  const [created, quote, verified, rejected, free] = events;
+  assert.strictEqual(created.purpose, 'toll');
+  assert.strictEqual(quote.contextId, 't1');
+  assert.strictEqual(quote.agentId, 'anonymous');
+  assert.strictEqual(quote.sats, 1);
+  assert.strictEqual(quote.breakdown.final, 1);
+  assert.strictEqual(quote.reused, false);
+  assert.strictEqual(verified.paymentHash, quote.paymentHash);
+  assert.strictEqual(verified.sats, 1);
+  assert.strictEqual(verified.via, 'invoice');
+  assert.strictEqual(rejected.status, 401);
+  assert.strictEqual(rejected.detail, 'Credential already spent');
+  assert.strictEqual(free.agentId, 'trusted-agent');
+  assert.strictEqual(free.breakdown.trustScore, 90);
+});
+
+asyncTest('failure policy emits error events only when listened to', async () => {
+  const toll = discourseToll({ secret: TEST_SECRET, wallet: brokenWallet(), circuitBreaker: false });
+  const { nextCalled } = await runToll(toll(), mockReq());
+  assert.strictEqual(nextCalled, true);
+
+  const errors = [];
+  toll.on('error', e => errors.push(e));
+  await runToll(toll(), mockReq());
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].kind, 'wallet');
+  assert.strictEqual(errors[0].outcome, 'pass');
+});
+
+asyncTest('webhooks are signed and retried until delivered', async () => {
+  const { verifyWebhook } = require('./index.cjs');
+  const receiver = await webhookReceiver(n => (n === 1 ? 500 : 200));
+  try {
+    const toll = discourseToll({
+      secret: TEST_SECRET,
+      wallet: mockWallet(),
+      webhooks: { endpoints: [{ url: receiver.url, events: ['quote'] }], secret: 'hook-secret', backoffMs: 5 },
+    });
+    await runToll(toll(), mockReq());
+    await toll.webhooks.flush();
+
+    assert.strictEqual(receiver.received.length, 2);
+    const { headers, body } = receiver.received[1];
+    assert.strictEqual(headers['x-toll-event'], 'quote');
+    assert.ok(verifyWebhook('hook-secret', { body, timestamp: headers['x-toll-timestamp'], signature: headers['x-toll-signature'] }));
+    assert.ok(!verifyWebhook('wrong', { body, timestamp: headers['x-toll-timestamp'], signature: headers['x-toll-signature'] }));
+    const payload = JSON.parse(body);
+    assert.strictEqual(payload.id, headers['x-toll-delivery']);
+    assert.strictEqual(payload.data.sats, 1);
+    assert.deepStrictEqual(toll.webhooks.stats(), { delivered: 1, retried: 1, deadLettered: 0, pending: 0, endpoints: 1 });
+    toll.close();
+  } finally {
+    await receiver.close();
+  }
+});
+
+asyncTest('undeliverable webhooks land in the dead-letter queue', async () => {
+  const { WebhookDispatcher } = require('./index.cjs');
+  let up = false;
+  const receiver = await webhookReceiver(() => (up ? 200 : 503));
+  try {
+    const dispatcher = new WebhookDispatcher({ endpoints: [receiver.url], secret: 's', retries: 2, backoffMs: 5 });
+    await dispatcher.dispatch('rejected', { status: 401 });
+    const [dead] = await dispatcher.deadLetters();
+    assert.strictEqual(dead.attempts, 3);
+    assert.strictEqual(dead.lastError, 'HTTP 503');
+    assert.strictEqual(dead.type, 'rejected');
+
+    up = true;
+    assert.strictEqual(await dispatcher.redeliver(dead.id), true);
+    assert.strictEqual((await dispatcher.deadLetters()).length, 0);
+    assert.strictEqual(JSON.parse(receiver.received[3].body).id, dead.delivery);
+  } finally {
+    await receiver.close();
+  }
+});
+
+section('📈 Metrics');
+
+asyncTest('metrics count events per route and render Prometheus text', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({
+    secret: TEST_SECRET,
+    wallet,
+    metrics: true,
+    trustUnsignedAgents: true,
+    trust: staticResolver({ 'trusted-agent': 90 }),
+    pricing: { cooldown: { enabled: false } },
+  });
+  const routeOpts = { contextFrom: 'body.threadId' };
+  const body = { threadId: 't1' };
+
+  const auth = await payToll(toll, wallet, routeOpts, { body, url: '/api/comments?page=2', originalUrl: '/api/comments?page=2' });
+  await runToll(toll(routeOpts), mockReq({ body, url: '/api/comments?page=2', originalUrl: '/api/comments?page=2', headers: { authorization: auth } }));
+  await runToll(toll(routeOpts), mockReq({ body, originalUrl: '/api/comments', headers: { authorization: auth } }));
+  await runToll(toll(routeOpts), mockReq({ body, originalUrl: '/api/comments', headers: { 'x-agent-id': 'trusted-agent' } }));
+
+  const text = await toll.metrics.render();
+  assert(text.includes('# TYPE discourse_toll_quotes_total counter'));
+  assert(text.includes('discourse_toll_quotes_total{route="default"} 1'));
+  assert(text.includes('discourse_toll_payments_verified_total{route="default",via="invoice"} 1'));
+  assert(text.includes('discourse_toll_sats_earned_total{route="default"} 1'));
+  assert(text.includes('discourse_toll_free_passes_total{route="default"} 1'));
+  assert(text.includes('discourse_toll_rejections_total{code="invalid_credentials",status="401"} 1'));
+  assert(text.includes('discourse_toll_price_sats_bucket{le="1"} 1'));
+  assert(text.includes('discourse_toll_price_sats_count 1'));
+  assert(text.includes('discourse_toll_invoice_creation_seconds_count 1'));
+  assert(text.includes('discourse_toll_trust_lookup_seconds_count 1'));
+  assert(text.includes('discourse_toll_tracked_contexts 1'));
+  assert(!text.includes('discourse_toll_pending_invoices'));
+});
+
+asyncTest('metrics handler serves the exposition format', async () => {
+  const metrics = new TollMetrics({ prefix: 'forum_', route: () => 'comments' });
+  const toll = discourseToll({ secret: TEST_SECRET, wallet: mockWallet(), metrics });
+  assert.strictEqual(toll.metrics, metrics);
+
+  await runToll(toll(), mockReq({ originalUrl: '/threads/42/comments', ip: '10.0.0.1' }));
+  metrics.timing('trust', 0.02);
+
+  const res = mockRes();
+  res.end = (body) => { res.body = body; };
+  await metrics.handler()(mockReq({ method: 'GET', url: '/metrics' }), res);
+  assert.strictEqual(res.statusCode, 200);
+  assert(res.headers['content-type'].startsWith('text/plain; version=0.0.4'));
+  assert(res.body.includes('forum_quotes_total{route="comments"} 1'));
+  assert(res.body.includes('forum_trust_lookup_seconds_bucket{le="0.025"} 1'));
+  assert(res.body.includes('forum_pending_quotes 1'));
+  assert(res.body.endsWith('\n'));
+
+  metrics.reset();
+  assert(!(await metrics.render()).includes('forum_quotes_total{'));
+});
+
+asyncTest('payments without an amount leave the sats counters intact', async () => {
+  const { EventEmitter } = require('events');
+  const source = new EventEmitter();
+  const metrics = new TollMetrics();
+  metrics.attach(source);
+  source.emit('payment.verified', { endpoint: '/comments', via: 'invoice', sats: 2 });
+  source.emit('payment.verified', { endpoint: '/comments', via: 'invoice', sats: undefined });
+  const text = await metrics.render();
+  assert(text.includes('discourse_toll_payments_verified_total{route="default",via="invoice"} 2'));
+  assert(text.includes('discourse_toll_sats_earned_total{route="default"} 2'));
+});
+
+section('📒 Payment Ledger');
+
+asyncTest('ledger records quotes, payments and free passes', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({
+    secret: TEST_SECRET,
+    wallet,
+    payments: true,
+    trustUnsignedAgents: true,
+    trust: staticResolver({ 'trusted-agent': 90 }),
+    pricing: { cooldown: { enabled: false } },
+  });
+  const routeOpts = { contextFrom: 'body.threadId', agentFrom: 'headers.x-agent-id' };
+  const headers = { 'x-agent-id': 'agent-a' };
+
+  const auth = await payToll(toll, wallet, routeOpts, { body: { threadId: 't1' }, headers, ip: '10.0.0.1' });
+  await runToll(toll(routeOpts), mockReq({ body: { threadId: 't1' }, headers, ip: '10.0.0.1' })); // reused quote
+  await runToll(toll(routeOpts), mockReq({ body: { threadId: 't1' }, headers: { ...headers, authorization: auth } }));
+  await runToll(toll(routeOpts), mockReq({ body: { threadId: 't2' }, headers: { 'x-agent-id': 'trusted-agent' } }));
+
+  const all = await toll.payments.query();
+  assert.deepStrictEqual(all.map(e => e.type), ['quote', 'payment', 'free_pass']);
+  const [quote, payment] = all;
+  assert.strictEqual(payment.paymentHash, quote.paymentHash);
+  assert.strictEqual(payment.agentId, 'agent-a');
+  assert.strictEqual(payment.contextId, 't1');
+  assert.strictEqual(payment.endpoint, '/comments');
+  assert.strictEqual(payment.sats, 1);
+  assert.strictEqual(payment.via, 'invoice');
+  assert.strictEqual(payment.breakdown.final, 1);
+
+  assert.strictEqual((await toll.payments.byAgent('agent-a')).length, 2);
+  assert.strictEqual((await toll.payments.byContext('t2', { type: 'free_pass' })).length, 1);
+  assert.strictEqual((await toll.payments.between(new Date(quote.timestamp), Date.now() + 1)).length, 3);
+  assert.strictEqual((await toll.payments.between(0, quote.timestamp)).length, 0);
+});
+
+asyncTest('ledger totals count a top-up once, not again when it is spent', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({
+    secret: TEST_SECRET,
+    wallet,
+    payments: true,
+    balance: { minTopupSats: 5 },
+    trustUnsignedAgents: true,
+    pricing: { baseSats: 3, cooldown: { enabled: false } },
+  });
+  const headers = { 'x-agent-id': 'agent-a' };
+  const { res: quote } = await runToll(toll.topup(), mockReq({ url: '/topup', body: { sats: 10 }, headers }));
+  const auth = `L402 ${quote.body.macaroon}:${wallet.preimages.get(quote.body.paymentHash)}`;
+  await runToll(toll.topup(), mockReq({ url: '/topup', headers: { ...headers, authorization: auth } }));
+  assert.strictEqual((await runToll(toll(), mockReq({ headers: { ...headers, authorization: auth } }))).nextCalled, true);
+
+  const sum = (entries) => entries.reduce((total, e) => total + e.sats, 0);
+  const received = await toll.payments.query({ type: 'payment' });
+  assert.deepStrictEqual(received.map(e => e.via), ['topup']);
+  assert.strictEqual(sum(received), 10);
+  const spent = await toll.payments.query({ type: 'balance_spend' });
+  assert.deepStrictEqual(spent.map(e => [e.via, e.sats]), [['balance', 3]]);
+  assert(!(await toll.payments.export('csv', { type: 'payment' })).includes(',balance,'));
+});
+
+asyncTest('file ledger survives restarts and exports CSV and JSON', async () => {
+  const file = path.join(tmpDir(), 'payments.jsonl');
+  const ledger = new PaymentLedger({ path: file });
+  await ledger.record({ type: 'payment', paymentHash: 'h1', agentId: 'a1', contextId: 'c,1', sats: 3, breakdown: { final: 3 } });
+  await ledger.record({ type: 'payment', paymentHash: 'h2', agentId: '=HYPERLINK("x")', contextId: 'c2', sats: 5 });
+  fs.appendFileSync(file, '{"type":"pay'); // torn write from a crashed worker
+
+  const reopened = new PaymentLedger({ store: new FilePaymentStore({ path: file }) });
+  assert.deepStrictEqual((await reopened.query()).map(e => e.paymentHash), ['h1', 'h2']);
+  assert.strictEqual((await reopened.query({ agentId: 'a1' }))[0].sats, 3);
+
+  const csv = (await reopened.export('csv')).trim().split('\n');
+  assert.strictEqual(csv[0], 'timestamp,type,paymentHash,agentId,agentVerified,contextId,method,endpoint,sats,via,actions,breakdown');
+  assert(csv[1].includes(',"c,1",'));
+  assert(csv[1].endsWith(',"{""final"":3}"'));
+  assert(csv[2].includes(`,"'=HYPERLINK(""x"")",`));
+
+  const json = JSON.parse(await reopened.export('json', { contextId: 'c2' }));
+  assert.strictEqual(json.length, 1);
+  assert.strictEqual(json[0].sats, 5);
+  await assert.rejects(reopened.export('xml'), /unknown export format/);
+  assert.deepStrictEqual(await new FilePaymentStore({ path: path.join(tmpDir(), 'none.jsonl') }).query(), []);
+});
+
+section('🛠️ Admin API');
+
+asyncTest('pricing overrides: multipliers, bans and agent resets', async () => {
+  const engine = new PricingEngine({ cooldown: { enabled: false } });
+  await engine.calculate({ agentId: 'a1', contextId: 't1' });
+  await engine.calculate({ agentId: 'a1', contextId: 't1' });
+  await engine.calculate({ agentId: 'a2', contextId: 't1' });
+
+  await engine.setMultiplier('a1', 4, 60);
+  const { sats, breakdown } = await engine.calculate({ agentId: 'a1', contextId: 't1', dryRun: true });
+  assert.strictEqual(breakdown.multiplier, 4);
+  assert.strictEqual(sats, 12); // ceil(1 × 1.5²) = 3, × 4
+  assert.strictEqual((await engine.calculate({ agentId: 'a2', contextId: 't1', dryRun: true })).breakdown.multiplier, undefined);
+
+  await engine.ban('a2', { reason: 'spam' });
+  await engine.ban('a3', { ttlSecs: -1 });
+  assert.strictEqual((await engine.banned('a2')).reason, 'spam');
+  assert.strictEqual(await engine.banned('a3'), null);
+  assert.deepStrictEqual((await engine.overrides()).bans.map(b => b.agentId), ['a2']);
+
+  assert.deepStrictEqual(await engine.contexts(), [{ contextId: 't1', agents: { a1: 2, a2: 1 }, lastAction: (await engine.contexts())[0].lastAction }]);
+  assert.strictEqual(await engine.resetAgent('a1', 't1'), 2);
+  assert.strictEqual(await engine.getActivityCount('a1', 't1'), 0);
+  await assert.rejects(engine.setMultiplier('a1', -1), /non-negative/);
+
+  // Expired bans are dropped from the store on cleanup
+  await engine.cleanup();
+  assert.deepStrictEqual((await engine.store.moderated()).map(m => m.agentId).sort(), ['a1', 'a2']);
+});
+
+asyncTest('file store forgets an agent durably', async () => {
+  const file = path.join(tmpDir(), 'activity.jsonl');
+  const store = new FileActivityStore({ path: file });
+  await store.record('a1', 't1');
+  await store.record('a2', 't1');
+  assert.strictEqual(await store.forget('a1', 't1'), 1);
+  const reopened = new FileActivityStore({ path: file });
+  assert.deepStrictEqual((await reopened.contexts()).map(c => c.agents), [{ a2: 1 }]);
+});
+
+asyncTest('bans and flags survive a restart and reach every worker', async () => {
+  const file = path.join(tmpDir(), 'activity.jsonl');
+  const engine = new PricingEngine({ store: new FileActivityStore({ path: file }), cooldown: { enabled: false } });
+  const worker = new PricingEngine({ store: new FileActivityStore({ path: file }), cooldown: { enabled: false } });
+  await engine.ban('spammer', { reason: 'spam' });
+  await engine.flag('noisy', 't1', 2);
+  await engine.setMultiplier('noisy', 2);
+  assert.strictEqual((await worker.banned('spammer')).reason, 'spam');
+
+  // Compaction keeps them
+  await worker.cleanup();
+  const restarted = new PricingEngine({ store: new FileActivityStore({ path: file }), cooldown: { enabled: false } });
+  assert.strictEqual((await restarted.banned('spammer')).reason, 'spam');
+  const { sats, breakdown } = await restarted.calculate({ agentId: 'noisy', contextId: 't1', dryRun: true });
+  assert.strictEqual(sats, 6); // × 2, then × 3
+  assert.deepStrictEqual(breakdown.penalty, { multiplier: 3, flags: 1 });
+
+  assert.strictEqual(await worker.unban('spammer'), true);
+  assert.strictEqual(await restarted.banned('spammer'), null);
+});
+
+asyncTest('admin router inspects and manages the toll', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({
+    secret: TEST_SECRET,
+    wallet,
+    payments: true,
+    baseUrl: 'https://forum.example',
+    trust: staticResolver({}),
+    pricing: { cooldown: { enabled: false } },
+  });
+  const admin = toll.admin({ secret: 'admin-secret', prefix: '/admin/toll' });
+  const call = async (method, url, body, token = 'admin-secret') => {
+    const { res } = await runToll(admin, mockReq({ method, originalUrl: url, body, headers: { authorization: `Bearer ${token}` } }));
+    return res;
+  };
+  const routeOpts = { contextFrom: 'body.threadId' };
+  const body = { threadId: 't1' };
+  const sign = () => createNip98Token(AGENT_SK, { url: FORUM_URL, method: 'POST', body: JSON.stringify(body) });
+  const req = () => mockReq({ body, headers: { authorization: sign() } });
+  const auth = await payToll(toll, wallet, routeOpts, { body, headers: { authorization: sign() } });
+  await runToll(toll(routeOpts), mockReq({ body, headers: { authorization: auth, 'x-nostr-authorization': sign() } }));
+  const agent = `/admin/toll/agents/${AGENT_PK}`;
+
+  assert.strictEqual((await call('GET', '/admin/toll/contexts', undefined, 'wrong')).statusCode, 401);
+
+  const contexts = (await call('GET', '/admin/toll/contexts')).body.contexts;
+  assert.strictEqual(contexts[0].contextId, 't1');
+  assert.deepStrictEqual(contexts[0].agents.map(a => [a.agentId, a.actions, a.nextPrice]), [[AGENT_PK, 1, 2]]);
+
+  const payments = (await call('GET', `/admin/toll/payments?agentId=${AGENT_PK}`)).body;
+  assert.strictEqual(payments.source, 'ledger');
+  assert.strictEqual(payments.payments.length, 1);
+
+  assert.strictEqual((await call('PUT', `${agent}/multiplier`, { multiplier: 'lots' })).statusCode, 400);
+  assert.strictEqual((await call('PUT', `${agent}/multiplier`, { multiplier: 3, ttlSecs: 600 })).body.multiplier, 3);
+  let { res } = await runToll(toll(routeOpts), req());
+  assert.strictEqual(res.body.amountSats, 6);
+
+  assert.strictEqual((await call('DELETE', `/admin/toll/contexts/t1/agents/${AGENT_PK}`)).body.removed, 1);
+  assert.strictEqual((await call('DELETE', `${agent}/multiplier`)).body.cleared, true);
+
+  await call('PUT', `${agent}/ban`, { reason: 'spam', ttlSecs: 60 });
+  assert.strictEqual((await call('GET', '/admin/toll/overrides')).body.bans[0].reason, 'spam');
+  ({ res } = await runToll(toll(routeOpts), req()));
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(res.body.code, 'banned');
+  await call('DELETE', `${agent}/ban`);
+  ({ res } = await runToll(toll(routeOpts), req()));
+  assert.strictEqual(res.statusCode, 402);
+  assert.strictEqual(res.body.amountSats, 1);
+
+  assert.strictEqual((await call('POST', '/admin/toll/trust/flush')).body.cleared, 1); // the agent, unknown
+  assert.strictEqual((await call('GET', '/admin/toll/trust/flush')).statusCode, 405);
+  assert.strictEqual((await call('GET', '/admin/toll/nope')).statusCode, 404);
+  assert(typeof (await call('GET', '/admin/toll/stats')).body.pricing.contexts === 'number');
+  assert.throws(() => toll.admin({}), /admin secret is required/);
+
+  // Without a payment ledger there is nothing to list
+  const bare = discourseToll({ secret: TEST_SECRET, wallet }).admin({ secret: 'admin-secret' });
+  ({ res } = await runToll(bare, mockReq({ method: 'GET', originalUrl: '/payments', headers: { authorization: 'Bearer admin-secret' } })));
+  assert.strictEqual(res.statusCode, 404);
+  assert.match(res.body.error, /No payment ledger/);
+});
+
+section('🔑 Keyring');
+
+asyncTest('keyring picks the active key and drops retired ones', async () => {
+  const k1 = generateKey({ id: 'k1' });
+  assert.match(k1.secret, /^[0-9a-f]{64}$/);
+  assert.notStrictEqual(generateKey().id, generateKey().id);
+
+  const keyring = new Keyring({
+    keys: [
+      k1,
+      { id: 'k2', secret: 'b'.repeat(64) },
+      { id: 'k3', secret: 'c'.repeat(64), activeFrom: Date.now() + 60_000 },
+    ],
+  });
+  assert.strictEqual((await keyring.signingKey()).id, 'k2');
+  assert.deepStrictEqual((await keyring.verificationKeys('k3')).map(k => k.id), ['k3']);
+
+  const k4 = await keyring.rotate(generateKey({ id: 'k4' }), { graceSecs: 60 });
+  assert.strictEqual((await keyring.signingKey()).id, k4.id);
+  assert((await keyring.list()).find(k => k.id === 'k2').retiresAt > Date.now());
+
+  keyring.retire('k1');
+  assert.deepStrictEqual(await keyring.verificationKeys('k1'), []);
+  assert.deepStrictEqual((await keyring.list()).map(k => [k.id, k.active, k.retired]),
+    [['k1', false, true], ['k2', false, false], ['k3', false, false], ['k4', true, false]]);
+  await assert.rejects(keyring.rotate({ id: 'k4', secret: 'd'.repeat(64) }), /duplicate key id/);
+});
+
+asyncTest('rotation keeps outstanding credentials valid until the old key retires', async () => {
+  const wallet = mockWallet();
+  const keyring = new Keyring({ keys: [{ id: 'old', secret: TEST_SECRET }] });
+  const toll = discourseToll({ keyring, wallet, trust: staticResolver({}), pricing: { cooldown: { enabled: false } } });
+  const routeOpts = { contextFrom: 'body.threadId' };
+
+  const before = await payToll(toll, wallet, routeOpts, { body: { threadId: 't1' } });
+  const retiring = await payToll(toll, wallet, routeOpts, { body: { threadId: 't2' } });
+  assert.strictEqual(getCaveat(decodeMacaroon(before.slice(5).split(':')[0]), 'key_id'), 'old');
+
+  await toll.keyring.rotate(generateKey({ id: 'new' }));
+  const after = await payToll(toll, wallet, routeOpts, { body: { threadId: 't3' } });
+  assert.strictEqual(getCaveat(decodeMacaroon(after.slice(5).split(':')[0]), 'key_id'), 'new');
+
+  for (const [auth, threadId] of [[before, 't1'], [after, 't3']]) {
+    const { nextCalled } = await runToll(toll(routeOpts), mockReq({ body: { threadId }, headers: { authorization: auth } }));
+    assert(nextCalled);
+  }
+
+  toll.keyring.retire('old');
+  const { res } = await runToll(toll(routeOpts), mockReq({ body: { threadId: 't2' }, headers: { authorization: retiring } }));
+  assert.strictEqual(res.statusCode, 401);
+  assert.match(res.body.detail, /Signing key old unknown or retired/);
+});
+
+asyncTest('keyring accepts credentials minted from a plain secret', async () => {
+  const wallet = mockWallet();
+  const routeOpts = { contextFrom: 'body.threadId' };
+  const legacy = discourseToll({ secret: TEST_SECRET, wallet, trust: staticResolver({}) });
+  const auth = await payToll(legacy, wallet, routeOpts, { body: { threadId: 't1' } });
+  assert.strictEqual(getCaveat(decodeMacaroon(auth.slice(5).split(':')[0]), 'key_id'), null);
+
+  const toll = discourseToll({
+    keyring: { keys: [{ id: 'legacy', secret: TEST_SECRET }, generateKey()] },
+    wallet,
+    trust: staticResolver({}),
+  });
+  const { nextCalled } = await runToll(toll(routeOpts), mockReq({ body: { threadId: 't1' }, headers: { authorization: auth } }));
+  assert(nextCalled);
+  assert.throws(() => discourseToll({ wallet }), /secret is required \(or a keyring\)/);
+});
+
+asyncTest('keyring loads keys from a provider and keeps them if it fails', async () => {
+  let calls = 0;
+  let fail = false;
+  const keyring = new Keyring({
+    refreshMs: 0,
+    provider: async () => {
+      calls++;
+      if (fail) throw new Error('vault unreachable');
+      return [{ id: `v${calls}`, secret: TEST_SECRET }];
+    },
+  });
+  assert.strictEqual((await keyring.signingKey()).id, 'v1');
+  assert.strictEqual((await keyring.signingKey()).id, 'v2');
+
+  fail = true;
+  const error = console.error;
+  console.error = () => {};
+  try {
+    assert.strictEqual((await keyring.signingKey()).id, 'v2');
+  } finally {
+    console.error = error;
+  }
+  await assert.rejects(new Keyring({ provider: async () => [] }).signingKey(), /provider returned no keys/);
+  await assert.rejects(keyring.rotate(), /rotate keys in the provider/);
+});
+
+section('🧾 Caveat registry');
+
+test('registered caveats are verified, unknown ones only in strict mode', () => {
+  const registry = new CaveatRegistry({
+    custom: {
+      ip_prefix: { verify: (prefix, ctx) => String(ctx.ip || '').startsWith(prefix) || 'IP not allowed' },
+    },
+  });
+  const mac = createMacaroon(TEST_SECRET, TEST_HASH, {
+    custom: { ip_prefix: '203.0.113.', valid_after: Math.floor(Date.now() / 1000) - 10, colour: 'blue' },
+  });
+  assert.strictEqual(verifyMacaroon(TEST_SECRET, mac, { ip: '203.0.113.7' }, { registry }).valid, true);
+  assert.strictEqual(verifyMacaroon(TEST_SECRET, mac, { ip: '198.51.100.1' }, { registry }).error, 'IP not allowed');
+  assert.strictEqual(verifyMacaroon(TEST_SECRET, mac, { ip: '203.0.113.7' }, { registry, strict: true }).error, 'Unknown caveat: colour');
+
+  const early = createMacaroon(TEST_SECRET, TEST_HASH, { custom: { valid_after: Math.floor(Date.now() / 1000) + 60 } });
+  assert.strictEqual(verifyMacaroon(TEST_SECRET, early).error, 'Macaroon not valid yet');
+
+  registry.register('colour', { verify: () => { throw new Error('no palette'); } });
+  assert.strictEqual(verifyMacaroon(TEST_SECRET, mac, { ip: '203.0.113.7' }, { registry }).error, 'Caveat colour failed: no palette');
+  assert.throws(() => registry.register('endpoint', { verify: () => true }), /built-in caveat/);
+  assert.throws(() => registry.register('Bad-Name', { verify: () => true }), /invalid caveat name/);
+});
+
+test('signatures of any length are compared without throwing', () => {
+  const mac = createMacaroon(TEST_SECRET, TEST_HASH, {});
+  for (const signature of [mac.signature.slice(2), mac.signature + '00', '', undefined]) {
+    assert.strictEqual(verifyMacaroon(TEST_SECRET, { ...mac, signature }).error, 'Invalid signature');
+  }
+});
+
+asyncTest('routes mint custom caveats and the toll enforces them', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({
+    secret: TEST_SECRET,
+    wallet,
+    trustUnsignedAgents: true,
+    trust: staticResolver({ 'agent-a': 20 }),
+    caveats: {
+      custom: {
+        ip_prefix: {
+          mint: (bits, req) => req.ip.split('.').slice(0, bits / 8).join('.') + '.',
+          verify: (prefix, ctx) => (ctx.request.ip || '').startsWith(prefix) || `IP outside ${prefix}`,
+        },
+        min_trust: { verify: (min, ctx) => (ctx.trustScore || 0) >= Number(min) || 'Trust score too low' },
+        body_hash: {
+          verify: (hash, ctx) => crypto.createHash('sha256').update(JSON.stringify(ctx.request.body)).digest('hex') === hash || 'Body changed',
+        },
+      },
+    },
+  });
+  const routeOpts = {
+    contextFrom: 'body.threadId',
+    agentFrom: 'headers.x-agent-id',
+    caveats: {
+      ip_prefix: 24,
+      body_hash: (req) => crypto.createHash('sha256').update(JSON.stringify(req.body)).digest('hex'),
+    },
+  };
+  const req = { ip: '203.0.113.7', body: { threadId: 't1', text: 'hi' }, headers: { 'x-agent-id': 'agent-a' } };
+  const auth = await payToll(toll, wallet, routeOpts, req);
+  const mac = decodeMacaroon(auth.slice(5).split(':')[0]);
+  assert.strictEqual(getCaveat(mac, 'ip_prefix'), '203.0.113.');
+
+  const redeem = (overrides, opts = routeOpts) => runToll(toll(opts), mockReq({ ...req, ...overrides, headers: { ...req.headers, authorization: auth } }));
+  let { res } = await redeem({ ip: '198.51.100.1' });
+  assert.strictEqual(res.body.detail, 'IP outside 203.0.113.');
+  ({ res } = await redeem({ body: { threadId: 't1', text: 'edited' } }));
+  assert.strictEqual(res.body.detail, 'Body changed');
+  const { nextCalled } = await redeem({ ip: '203.0.113.99' });
+  assert(nextCalled);
+
+  const strictAuth = await payToll(toll, wallet, { ...routeOpts, caveats: { min_trust: 30 } }, { ...req, body: { threadId: 't2' } });
+  ({ res } = await runToll(toll(routeOpts), mockReq({ ...req, body: { threadId: 't2' }, headers: { ...req.headers, authorization: strictAuth } })));
+  assert.strictEqual(res.body.detail, 'Trust score too low');
+
+  assert.throws(() => toll({ caveats: { shoe_size: 9 } }), /unknown caveat shoe_size/);
+  assert.throws(() => toll({ caveats: { endpoint: '/elsewhere' } }), /built-in caveat endpoint/);
+});
+
+section('📡 Relay Aggregation');
+
+// Local NIP-01 relay: answers every REQ with `events`, then EOSE (unless stalled)
+// With `filters`, answers like a real relay: matching events only, newest
+// first, cut off at the limit
+async function mockRelay(events, { eose = true, filters: useFilters = false } = {}) {
+  const { WebSocketServer } = require('ws');
+  const server = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  const requests = []; // filters asked for
+  await new Promise(resolve => server.once('listening', resolve));
+  server.on('connection', (socket) => {
+    socket.on('message', (data) => {
+      const [type, subId, ...filters] = JSON.parse(data);
+      if (type !== 'REQ') return;
+      requests.push(...filters);
+      const matching = filters.length && useFilters
+        ? events.filter(e => filters.some(f => _matchesFilter(f, e))).sort((a, b) => b.created_at - a.created_at).slice(0, filters[0].limit)
+        : events;
+      for (const event of matching) socket.send(JSON.stringify(['EVENT', subId, event]));
+      if (eose) socket.send(JSON.stringify(['EOSE', subId]));
+    });
+  });
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => {
+      for (const client of server.clients) client.terminate();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+function _matchesFilter(filter, event) {
+  if (filter.kinds && !filter.kinds.includes(event.kind)) return false;
+  if (filter.authors && !filter.authors.includes(event.pubkey)) return false;
+  if (filter.until !== undefined && event.created_at > filter.until) return false;
+  return Object.entries(filter).every(([key, values]) => key[0] !== '#'
+    || event.tags.some(t => t[0] === key.slice(1) && values.includes(t[1])));
+}
+
+function attestation(attesterKey, subject, type, ageSecs = 0) {
+  return finalizeEvent({
+    kind: 1985,
+    created_at: Math.floor(Date.now() / 1000) - ageSecs,
+    tags: [['L', 'ai.wot'], ['l', type, 'ai.wot'], ['p', subject]],
+    content: '',
+  }, attesterKey);
+}
+
+asyncTest('trust merges all relays, keeping each attester\'s newest attestation', async () => {
+  const subjectKey = generateSecretKey();
+  const subject = getPublicKey(subjectKey);
+  const [alice, bob] = [generateSecretKey(), generateSecretKey()];
+  const bobs = attestation(bob, subject, 'work-completed');
+  const relayA = await mockRelay([attestation(alice, subject, 'general-trust', 365 * 86_400), bobs]);
+  const relayB = await mockRelay([attestation(alice, subject, 'service-quality'), bobs, attestation(subjectKey, subject, 'service-quality')]);
+  try {
+    const trust = new TrustResolver({ relays: [relayA.url, relayB.url, 'ws://127.0.0.1:1'], timeoutMs: 2000 });
+    // Two distinct fresh attesters: network factor 2/5, no decay to speak of
+    assert.strictEqual(await trust.getScore(subject), 40);
+
+    const health = Object.fromEntries(trust.stats().relayHealth.map(h => [h.url, h]));
+    assert.strictEqual(health[relayA.url].successes, 1);
+    assert.strictEqual(typeof health[relayB.url].avgLatencyMs, 'number');
+    assert.strictEqual(health['ws://127.0.0.1:1'].failures, 1);
+    assert(health['ws://127.0.0.1:1'].lastError);
+  } finally {
+    await relayA.close();
+    await relayB.close();
+  }
+});
+
+asyncTest('trust keeps what a stalled relay sent before the deadline', async () => {
+  const subject = getPublicKey(generateSecretKey());
+  const stalled = await mockRelay([attestation(generateSecretKey(), subject, 'service-quality')], { eose: false });
+  try {
+    const trust = new TrustResolver({ relays: [stalled.url], timeoutMs: 300 });
+    const started = Date.now();
+    assert.strictEqual(await trust.getScore(subject), 20);
+    assert(Date.now() - started < 1500);
+    const [health] = trust.stats().relayHealth;
+    assert.strictEqual(health.timeouts, 1);
+    assert.strictEqual(health.lastError, 'Timed out');
+  } finally {
+    await stalled.close();
+  }
+});
+
+asyncTest('trust falls back to the cached score when no relay answers', async () => {
+  const trust = new TrustResolver({ relays: ['ws://127.0.0.1:1'], timeoutMs: 500, cacheTtlMs: 1 });
+  trust._cache.set('agent', { score: 55, fetchedAt: 0 });
+  assert.strictEqual(await trust.getScore('agent'), 55);
+  assert.strictEqual(trust.stats().relayHealth[0].failures, 1);
+});
+
+section('✍️ Attestation Checks');
+
+asyncTest('disputes subtract, deletions by the author retract, others are ignored', async () => {
+  const subject = getPublicKey(generateSecretKey());
+  const [alice, eve, frank, carol, dave, mallory] = Array.from({ length: 6 }, () => generateSecretKey());
+  const alices = attestation(alice, subject, 'service-quality');
+  const daves = attestation(dave, subject, 'service-quality');
+  const deletion = (key, event) => finalizeEvent({ kind: 5, created_at: Math.floor(Date.now() / 1000), tags: [['e', event.id], ['k', '1985']], content: '' }, key);
+  const relay = await mockRelay([
+    alices,
+    attestation(eve, subject, 'service-quality'),
+    attestation(frank, subject, 'service-quality'),
+    attestation(carol, subject, 'dispute'),
+    daves,
+    deletion(dave, daves),
+    deletion(mallory, alices), // not alice's to delete
+  ]);
+  try {
+    const trust = new TrustResolver({ relays: [relay.url], timeoutMs: 2000 });
+    // Three positive attesters (60), minus one fresh dispute (1.5 × 20)
+    assert.strictEqual(await trust.getScore(subject), 30);
+
+    const explanation = await trust.explain(subject);
+    assert.strictEqual(explanation.score, 30);
+    assert.strictEqual(explanation.penalty, 30);
+    assert.strictEqual(explanation.ignored.deleted, 1);
+    const dispute = explanation.attestations.find(a => a.type === 'dispute');
+    assert.deepStrictEqual([dispute.attester, dispute.weight, dispute.contribution], [getPublicKey(carol), -1.5, -30]);
+    assert.strictEqual(explanation.attestations.filter(a => a.contribution === 20).length, 3);
+  } finally {
+    await relay.close();
+  }
+});
+
+asyncTest('a ring of fresh disputing keys cannot sink an agent', async () => {
+  const [seed, alice, eve, frank] = Array.from({ length: 4 }, () => generateSecretKey());
+  const subject = getPublicKey(generateSecretKey());
+  const ring = Array.from({ length: 5 }, () => generateSecretKey());
+  const relay = await mockRelay([
+    ...[alice, eve, frank].map(key => attestation(key, subject, 'service-quality')),
+    ...ring.map(key => attestation(key, subject, 'dispute')),
+  ]);
+  try {
+    // Three positive attesters (60); five disputes would cost 150, but take half at most
+    const trust = new TrustResolver({ relays: [relay.url], timeoutMs: 2000 });
+    const explanation = await trust.explain(subject);
+    assert.strictEqual(explanation.score, 30);
+    assert.strictEqual(explanation.penalty, 30);
+    const disputes = explanation.attestations.filter(a => a.type === 'dispute');
+    assert.deepStrictEqual(disputes.map(a => [a.vetted, a.contribution]), Array(5).fill([false, -6]));
+
+    const strict = new TrustResolver({ relays: [relay.url], timeoutMs: 2000, unvettedPenalty: 0 });
+    assert.strictEqual(await strict.getScore(subject), 60);
+  } finally {
+    await relay.close();
+  }
+
+  // A dispute from someone the seeds reach costs in full
+  const seeded = await mockRelay([
+    attestation(seed, getPublicKey(alice), 'general-trust'),
+    attestation(seed, subject, 'service-quality'),
+    attestation(alice, subject, 'dispute'),
+  ]);
+  try {
+    const trust = new TrustResolver({ relays: [seeded.url], seeds: [getPublicKey(seed)], timeoutMs: 2000 });
+    // seed's 20, minus alice's dispute at half reach (15)
+    assert.strictEqual(await trust.getScore(subject), 5);
+  } finally {
+    await seeded.close();
+  }
+});
+
+test('attestations with bad signatures or about someone else do not count', () => {
+  const subject = getPublicKey(generateSecretKey());
+  const trust = new TrustResolver({ relays: [] });
+  const good = attestation(generateSecretKey(), subject, 'service-quality');
+  // As received from a relay: plain JSON, nothing cached from signing
+  const forged = { ...JSON.parse(JSON.stringify(attestation(generateSecretKey(), subject, 'service-quality'))), content: 'edited' };
+  const elsewhere = attestation(generateSecretKey(), getPublicKey(generateSecretKey()), 'service-quality');
+  const explanation = trust._explain(subject, [good, forged, elsewhere]);
+  assert.strictEqual(explanation.score, 20);
+  assert.strictEqual(explanation.ignored.invalid, 2);
+});
+
+asyncTest('402 pricing can explain the trust score', async () => {
+  const subject = getPublicKey(generateSecretKey());
+  const relay = await mockRelay([attestation(generateSecretKey(), subject, 'work-completed', 90 * 86_400)]);
+  try {
+    const toll = discourseToll({
+      secret: TEST_SECRET,
+      wallet: mockWallet(),
+      trustUnsignedAgents: true,
+      explainTrust: true,
+      trust: new TrustResolver({ relays: [relay.url], timeoutMs: 2000 }),
+    });
+    const { res } = await runToll(toll({ agentFrom: 'headers.x-agent-id' }), mockReq({ headers: { 'x-agent-id': subject } }));
+    assert.strictEqual(res.statusCode, 402);
+    const { trust } = res.body.pricing;
+    assert.strictEqual(trust.score, 10); // one attester, half decayed
+    assert.strictEqual(trust.attestations[0].type, 'work-completed');
+    assert.strictEqual(trust.attestations[0].decay, 0.5);
+  } finally {
+    await relay.close();
+  }
+});
+
+section('🌱 Seeded Trust');
+
+asyncTest('seeded scoring weights attesters by their distance from the seeds', async () => {
+  const [seed, a, b] = Array.from({ length: 3 }, () => generateSecretKey());
+  const ring = Array.from({ length: 5 }, () => generateSecretKey());
+  const honest = getPublicKey(generateSecretKey());
+  const sybil = getPublicKey(generateSecretKey());
+  const events = [
+    attestation(seed, getPublicKey(a), 'general-trust'),
+    attestation(a, getPublicKey(b), 'general-trust'),
+    ...[seed, a, b].map(key => attestation(key, honest, 'service-quality')),
+    ...ring.map(key => attestation(key, sybil, 'service-quality')),
+    ...ring.map((key, i) => attestation(key, getPublicKey(ring[(i + 1) % ring.length]), 'general-trust')),
+  ];
+  const relay = await mockRelay(events);
+  try {
+    // Everyone counts the same without seeds: five fresh keys make 100
+    assert.strictEqual(await new TrustResolver({ relays: [relay.url] }).getScore(sybil), 100);
+
+    const trust = new TrustResolver({ relays: [relay.url], seeds: [getPublicKey(seed)], timeoutMs: 2000 });
+    // seed 1 + a 0.5 + b 0.25 = 1.75 attesters' worth of network
+    assert.strictEqual(await trust.getScore(honest), 35);
+    assert.strictEqual(await trust.getScore(sybil), null);
+    const explanation = await trust.explain(sybil);
+    assert.strictEqual(explanation.ignored.unreachable, 5);
+    assert.deepStrictEqual((await trust.explain(honest)).attestations.map(r => r.reach).sort(), [0.25, 0.5, 1]);
+
+    // The graph is walked once (one query per hop) and reused
+    assert.strictEqual(relay.requests.filter(f => f.authors).length, 2);
+    assert.strictEqual(trust.stats().graphSize, 4); // seed, a, b and honest
+
+    const shallow = new TrustResolver({ relays: [relay.url], seeds: [getPublicKey(seed)], maxDepth: 1, timeoutMs: 2000 });
+    assert.strictEqual(await shallow.getScore(honest), 30); // b is out of reach
+  } finally {
+    await relay.close();
+  }
+});
+
+asyncTest('the graph walk pages past the relay limit', async () => {
+  const seed = generateSecretKey();
+  const attested = Array.from({ length: 600 }, () => generateSecretKey());
+  const subject = getPublicKey(generateSecretKey());
+  const events = [
+    ...attested.map((key, i) => attestation(seed, getPublicKey(key), 'general-trust', i)),
+    // Written by the seed's oldest edge, which a single 500-event page misses
+    attestation(attested[599], subject, 'service-quality'),
+  ];
+  const relay = await mockRelay(events, { filters: true });
+  try {
+    const trust = new TrustResolver({ relays: [relay.url], seeds: [getPublicKey(seed)], maxDepth: 1, timeoutMs: 5000 });
+    assert(await trust.getScore(subject) > 0);
+    assert.strictEqual(trust.stats().graphSize, 601);
+    assert(relay.requests.some(f => f.authors && f.until));
+  } finally {
+    await relay.close();
+  }
+});
+
+section('🧮 Composite Trust');
+
+asyncTest('composite resolver weighs sources, skips failures and lets the denylist win', async () => {
+  const trust = compositeResolver({
+    deny: ['banned'],
+    allow: new Set(['mod']),
+    sources: [
+      { name: 'api', resolver: staticResolver({ alice: 80, banned: 100 }), weight: 3 },
+      { name: 'forum', resolver: async (id) => (id === 'alice' ? 40 : null) },
+      { name: 'slow', resolver: () => new Promise(resolve => setTimeout(() => resolve(0), 500)), timeoutMs: 20 },
+      { name: 'broken', resolver: async () => { throw new Error('db down'); }, fallback: 0, weight: 0 },
+    ],
+  });
+  assert.strictEqual(await trust.getScore('alice'), 70); // (80·3 + 40) / 4
+  const explanation = await trust.explain('alice');
+  assert.strictEqual(explanation.decidedBy, 'api+forum+broken');
+  assert.deepStrictEqual(explanation.sources.map(s => s.status), ['ok', 'ok', 'timeout', 'fallback']);
+  assert.strictEqual(explanation.sources[3].error, 'db down');
+
+  assert.strictEqual(await trust.getScore('banned'), 0);
+  assert.strictEqual(trust.peekExplanation('banned').decidedBy, 'deny');
+  assert.strictEqual(await trust.getScore('mod'), 100);
+  assert.strictEqual(await trust.getScore('nobody'), null);
+
+  const first = compositeResolver({
+    strategy: 'first',
+    sources: [
+      { name: 'forum', resolver: async (id) => (id === 'alice' ? 40 : null) },
+      { name: 'api', resolver: staticResolver({ alice: 80, bob: 60 }) },
+    ],
+  });
+  assert.strictEqual(await first.getScore('alice'), 40);
+  assert.strictEqual(await first.getScore('bob'), 60);
+  assert.throws(() => compositeResolver({ strategy: 'max', sources: [] }), /unknown strategy/);
+});
+
+asyncTest('402 pricing shows which sources contributed', async () => {
+  const toll = discourseToll({
+    secret: TEST_SECRET,
+    wallet: mockWallet(),
+    trustUnsignedAgents: true,
+    explainTrust: true,
+    trust: compositeResolver({
+      sources: [
+        { name: 'api', resolver: staticResolver({ carol: 50 }) },
+        { name: 'forum', resolver: async () => null },
+      ],
+    }),
+  });
+  const { res } = await runToll(toll({ agentFrom: 'headers.x-agent-id' }), mockReq({ headers: { 'x-agent-id': 'carol' } }));
+  assert.strictEqual(res.statusCode, 402);
+  const { trust } = res.body.pricing;
+  assert.strictEqual(trust.source, 'composite');
+  assert.strictEqual(trust.score, 50);
+  assert.deepStrictEqual(trust.sources.map(s => [s.name, s.status]), [['api', 'ok'], ['forum', 'no_opinion']]);
+});
+
+section('⚡ Zap-weighted Trust');
+
+// The attesters' LNURL server, which signs their zap receipts
+const LNURL_SK = generateSecretKey();
+
+function lnurlFetch(nostrPubkey = getPublicKey(LNURL_SK), { allowsNostr = true } = {}) {
+  const asked = [];
+  const fetch = async (url) => {
+    asked.push(url);
+    return { ok: true, json: async () => ({ tag: 'payRequest', callback: `${url}/callback`, allowsNostr, nostrPubkey }) };
+  };
+  return Object.assign(fetch, { asked });
+}
+
+function zapProfile(key, name) {
+  return finalizeEvent({ kind: 0, created_at: Math.floor(Date.now() / 1000), tags: [], content: JSON.stringify({ lud16: `${name}@zaps.example` }) }, key);
+}
+
+function bech32Encode(prefix, words) {
+  const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+  const polymod = (values) => {
+    let chk = 1;
+    for (const value of values) {
+      const top = chk >>> 25;
+      chk = ((chk & 0x1ffffff) << 5) ^ value;
+      [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3].forEach((g, i) => { if ((top >>> i) & 1) chk ^= g; });
+    }
+    return chk;
+  };
+  const codes = [...prefix].map(c => c.charCodeAt(0));
+  const mod = polymod([...codes.map(c => c >> 5), 0, ...codes.map(c => c & 31), ...words, 0, 0, 0, 0, 0, 0]) ^ 1;
+  const checksum = Array.from({ length: 6 }, (_, i) => (mod >>> (5 * (5 - i))) & 31);
+  return `${prefix}1${[...words, ...checksum].map(w => CHARSET[w]).join('')}`;
+}
+
+function toWords(bytes) {
+  const words = [];
+  let acc = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    acc = (acc << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      words.push((acc >> bits) & 31);
+    }
+    acc &= (1 << bits) - 1;
+  }
+  if (bits > 0) words.push((acc << (5 - bits)) & 31);
+  return words;
+}
+
+// An invoice for msats whose description hash commits to `description`
+function bolt11Invoice(msats, description) {
+  const field = (type, bytes) => {
+    const words = toWords(bytes);
+    return [type, words.length >> 5, words.length & 31, ...words];
+  };
+  const words = [
+    ...toWords(Buffer.from([0, 0, 0, 0, 1])).slice(0, 7),
+    ...field(1, crypto.randomBytes(32)),
+    ...field(23, crypto.createHash('sha256').update(description).digest()),
+    ...Array(104).fill(0), // signature, which isn't checked
+  ];
+  return bech32Encode(`lnbc${msats * 10}p`, words);
+}
+
+function zapReceipt(senderKey, target, sats, { amount = sats * 1000, bolt11, signer = LNURL_SK, commitsTo } = {}) {
+  const request = finalizeEvent({
+    kind: 9734,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [['e', target.id], ['p', target.pubkey], ['relays', 'wss://relay.example'], ['amount', String(amount)]],
+    content: '',
+  }, senderKey);
+  const description = JSON.stringify(request);
+  return finalizeEvent({
+    kind: 9735,
+    created_at: Math.floor(Date.now() / 1000) - Math.floor(Math.random() * 1000),
+    tags: [
+      ['p', target.pubkey], ['e', target.id], ['P', request.pubkey],
+      ['bolt11', bolt11 || bolt11Invoice(sats * 1000, commitsTo ?? description)],
+      ['description', description],
+    ],
+    content: '',
+  }, signer);
+}
+
+asyncTest('zapped attestations count more, with diminishing returns', async () => {
+  const subject = getPublicKey(generateSecretKey());
+  const attesters = Array.from({ length: 5 }, () => generateSecretKey());
+  const [backed, selfZapped, mismatched, forged, uncommitted] = attesters.map(key => attestation(key, subject, 'general-trust'));
+  const fan = generateSecretKey();
+  const paid = zapReceipt(fan, backed, 1000);
+  const events = [
+    backed, selfZapped, mismatched, forged, uncommitted,
+    ...attesters.map((key, i) => zapProfile(key, `attester${i}`)),
+    paid,
+    zapReceipt(fan, backed, 1000, { bolt11: paid.tags.find(t => t[0] === 'bolt11')[1] }), // republished
+    zapReceipt(attesters[1], selfZapped, 5000),
+    zapReceipt(fan, mismatched, 5000, { amount: 1000 }),
+    zapReceipt(fan, forged, 5000, { signer: generateSecretKey() }), // not the attester's LNURL server
+    zapReceipt(fan, uncommitted, 5000, { commitsTo: 'something else' }),
+  ];
+  const relay = await mockRelay(events);
+  try {
+    assert.strictEqual(await new TrustResolver({ relays: [relay.url], timeoutMs: 2000 }).getScore(subject), 100);
+
+    const fetch = lnurlFetch();
+    const trust = new TrustResolver({ relays: [relay.url], timeoutMs: 2000, zaps: { fetch } });
+    // One fully backed attester + four at the 0.25 baseline = 2 of 5
+    assert.strictEqual(await trust.getScore(subject), 40);
+    const rows = Object.fromEntries((await trust.explain(subject)).attestations.map(r => [r.eventId, r]));
+    assert.strictEqual(rows[backed.id].zapSats, 1000);
+    assert.strictEqual(rows[backed.id].zapFactor, 1);
+    assert.strictEqual(rows[selfZapped.id].zapSats, 0);
+    assert.strictEqual(rows[mismatched.id].zapFactor, 0.25);
+    assert.strictEqual(rows[forged.id].zapSats, 0);
+    assert.strictEqual(rows[uncommitted.id].zapSats, 0);
+    assert.ok(relay.requests.some(f => f.kinds[0] === 9735));
+    assert.ok(fetch.asked.includes('https://zaps.example/.well-known/lnurlp/attester0'));
+
+    const sqrt = new TrustResolver({ relays: [relay.url], timeoutMs: 2000, zaps: { curve: 'sqrt', fullSats: 4000, fetch: lnurlFetch() } });
+    const explanation = await sqrt.explain(subject);
+    assert.strictEqual(explanation.attestations.find(r => r.eventId === backed.id).zapFactor, 0.625); // 0.25 + 0.75 × √¼
+    assert.throws(() => new TrustResolver({ zaps: { curve: 'cubic' } }), /unknown zap curve/);
+  } finally {
+    await relay.close();
+  }
+});
+
+asyncTest('zap receipts only count when the recipient\'s LNURL server signed them', async () => {
+  const subject = getPublicKey(generateSecretKey());
+  const [attester, server] = [generateSecretKey(), generateSecretKey()];
+  const backed = attestation(attester, subject, 'general-trust');
+  const relay = await mockRelay([backed, zapProfile(attester, 'alice'), zapReceipt(generateSecretKey(), backed, 1000, { signer: server })]);
+  try {
+    const named = new TrustResolver({ relays: [relay.url], timeoutMs: 2000, zaps: { fetch: lnurlFetch(getPublicKey(server)) } });
+    assert.strictEqual((await named.explain(subject)).attestations[0].zapSats, 1000);
+
+    // Anyone can sign a receipt; only the server the attester named counts
+    const elsewhere = new TrustResolver({ relays: [relay.url], timeoutMs: 2000, zaps: { fetch: lnurlFetch(getPublicKey(generateSecretKey())) } });
+    assert.strictEqual((await elsewhere.explain(subject)).attestations[0].zapSats, 0);
+
+    // A server that doesn't sign zaps can't vouch for any
+    const noNostr = new TrustResolver({ relays: [relay.url], timeoutMs: 2000, zaps: { fetch: lnurlFetch(undefined, { allowsNostr: false }) } });
+    assert.strictEqual((await noNostr.explain(subject)).attestations[0].zapSats, 0);
+
+    const down = new TrustResolver({ relays: [relay.url], timeoutMs: 2000, zaps: { fetch: async () => { throw new Error('offline'); } } });
+    assert.strictEqual(await down.getScore(subject), 5); // the baseline quarter of one attester
+  } finally {
+    await relay.close();
+  }
+});
+
+asyncTest('forged zaps do not vet disputes from unreached attesters', async () => {
+  const subject = getPublicKey(generateSecretKey());
+  const fan = generateSecretKey();
+  const [alice, bob, carol] = Array.from({ length: 3 }, () => generateSecretKey());
+  const ring = Array.from({ length: 5 }, () => generateSecretKey());
+  const positives = [alice, bob, carol].map(key => attestation(key, subject, 'service-quality'));
+  const disputes = ring.map(key => attestation(key, subject, 'dispute'));
+  const profiles = [alice, bob, carol, ...ring].map((key, i) => zapProfile(key, `attester${i}`));
+  const backing = positives.map(event => zapReceipt(fan, event, 1000));
+  const lookup = async (receipts) => {
+    const relay = await mockRelay([...positives, ...disputes, ...profiles, ...backing, ...receipts]);
+    try {
+      return await new TrustResolver({ relays: [relay.url], timeoutMs: 2000, zaps: { fetch: lnurlFetch() } }).explain(subject);
+    } finally {
+      await relay.close();
+    }
+  };
+
+  // Receipts the ring signed itself: still unvetted, so half of 60 at most
+  const forged = await lookup(disputes.map(event => zapReceipt(fan, event, 1000, { signer: generateSecretKey() })));
+  assert.deepStrictEqual(forged.attestations.filter(a => a.type === 'dispute').map(a => a.vetted), Array(5).fill(false));
+  assert.strictEqual(forged.score, 30);
+
+  // One sat each through their LNURL server vouches for them: 5 × 1.5 × 20 × zap factor 0.325, uncapped
+  const paid = await lookup(disputes.map(event => zapReceipt(fan, event, 1)));
+  assert(paid.attestations.filter(a => a.type === 'dispute').every(a => a.vetted));
+  assert.strictEqual(paid.penalty, 48.8);
+  assert.strictEqual(paid.score, 11);
+});
+
+section('🗄️ Trust Cache');
+
+asyncTest('trust cache serves stale scores while refreshing, and caches unknowns', async () => {
+  const calls = [];
+  let scores = { alice: 40 };
+  const trust = new TrustResolver({
+    cacheTtlMs: 30,
+    resolver: async (agentId) => {
+      calls.push(agentId);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return scores[agentId] ?? null;
+    },
+  });
+  // Concurrent lookups share one call
+  assert.deepStrictEqual(await Promise.all([trust.getScore('alice'), trust.getScore('alice')]), [40, 40]);
+  assert.strictEqual(await trust.getScore('nobody'), null);
+  assert.strictEqual(await trust.getScore('nobody'), null);
+  assert.deepStrictEqual(calls, ['alice', 'nobody']);
+
+  await new Promise(resolve => setTimeout(resolve, 40));
+  scores = { alice: 70 };
+  assert.strictEqual(await trust.getScore('alice'), 40); // stale, without waiting for the refresh
+  assert.strictEqual(trust.stats().refreshing, 1);
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.strictEqual(await trust.getScore('alice'), 70);
+});
+
+asyncTest('trust cache persists across restarts', async () => {
+  const cacheFile = path.join(tmpDir(), 'trust.json');
+  const first = new TrustResolver({ cacheFile, resolver: async (agentId) => ({ score: 65, reason: `${agentId} is a regular` }) });
+  assert.strictEqual(await first.getScore('bob'), 65);
+  await first.persist();
+
+  const second = new TrustResolver({ cacheFile, resolver: async () => { throw new Error('down'); } });
+  assert.strictEqual(await second.getScore('bob'), 65);
+  assert.strictEqual((await second.explain('bob')).reason, 'bob is a regular');
+  await assert.rejects(second.getScore('carol'), /down/);
+});
+
+asyncTest('prefetch looks up many pubkeys in one relay query', async () => {
+  const [a, b, c] = Array.from({ length: 3 }, () => getPublicKey(generateSecretKey()));
+  const relay = await mockRelay([
+    attestation(generateSecretKey(), a, 'general-trust'),
+    attestation(generateSecretKey(), b, 'general-trust'),
+    attestation(generateSecretKey(), b, 'general-trust'),
+  ]);
+  try {
+    const trust = new TrustResolver({ relays: [relay.url], timeoutMs: 2000 });
+    assert.deepStrictEqual(await trust.prefetch([a, b, c, a]), { [a]: 20, [b]: 40, [c]: null });
+    const queries = relay.requests.filter(f => f.kinds[0] === 1985);
+    assert.strictEqual(queries.length, 1);
+    assert.strictEqual(queries[0]['#p'].length, 3);
+    assert.strictEqual(await trust.getScore(b), 40);
+    assert.strictEqual(relay.requests.filter(f => f.kinds[0] === 1985).length, 1);
+  } finally {
+    await relay.close();
+  }
+});
+
+asyncTest('the trust lookup timeout is configurable', async () => {
+  const toll = discourseToll({
+    secret: TEST_SECRET,
+    wallet: mockWallet(),
+    failureMode: { default: 'open', trust: 'closed' },
+    trustUnsignedAgents: true,
+    trustTimeoutMs: 20,
+    trust: new TrustResolver({ resolver: () => new Promise(resolve => setTimeout(() => resolve(90), 300)) }),
+  });
+  const started = Date.now();
+  const { res } = await runToll(toll(), mockReq({ headers: { 'x-agent-id': 'slow' } }));
+  assert.strictEqual(res.statusCode, 503);
+  assert.ok(Date.now() - started < 250);
+});
+
+section('🏘️ Local Reputation');
+
+asyncTest('local reputation scores sats, contexts and age, minus flags', async () => {
+  const reputation = new LocalReputation({ halfLifeDays: 90 });
+  const now = Date.now();
+  reputation.recordPayment({ agentId: 'regular', sats: 1000, contextId: 'old', timestamp: now - 90 * 86_400_000 });
+  for (let i = 0; i < 10; i++) reputation.recordPayment({ agentId: 'regular', sats: 100, contextId: `t${i}`, timestamp: now });
+  reputation.recordPayment({ agentId: 'newcomer', sats: 10, contextId: 't1', timestamp: now });
+  assert.strictEqual(reputation.recordPayment({ agentId: 'anonymous', sats: 10 }), false);
+
+  const regular = reputation.explain('regular');
+  assert.strictEqual(regular.score, 100);
+  assert.strictEqual(regular.paidSats, 1500); // the old 1000 sats are half decayed
+  assert.strictEqual(regular.contexts, 10.5);
+  assert.strictEqual(regular.ageDays, 90);
+  // 40 × ln(11)/ln(1001) + 30 × 1/10, no age yet
+  assert.strictEqual(reputation.score('newcomer'), 17);
+  assert.strictEqual(reputation.score('stranger'), null);
+
+  reputation.flag('regular', { severity: 2, reason: 'spam' });
+  assert.strictEqual(reputation.score('regular'), 60);
+  assert.deepStrictEqual(reputation.stats(), { agents: 2, flags: 1 });
+  assert.throws(() => reputation.flag('regular', { severity: 0 }), /severity/);
+
+  const trust = reputation.resolver();
+  assert.strictEqual((await trust.explain('newcomer')).source, 'local');
+  assert.strictEqual(await trust.getScore('stranger'), null);
+});
+
+asyncTest('reputation is fed by verified payments and catches up from the ledger', async () => {
+  const payments = new PaymentLedger();
+  const earlier = Date.now() - 86_400_000;
+  await payments.record({ type: 'payment', agentId: AGENT_PK, agentVerified: true, contextId: 'earlier', sats: 5, via: 'invoice', timestamp: earlier });
+  await payments.record({ type: 'payment', agentId: AGENT_PK, agentVerified: true, sats: 500, via: 'topup' });
+  await payments.record({ type: 'payment', agentId: AGENT_PK, agentVerified: false, contextId: 'claimed', sats: 50, via: 'invoice', timestamp: earlier });
+
+  const wallet = mockWallet();
+  const toll = discourseToll({
+    secret: TEST_SECRET,
+    wallet,
+    payments,
+    reputation: true,
+    trustUnsignedAgents: true,
+    baseUrl: 'https://forum.example',
+    trust: staticResolver({}),
+    pricing: { cooldown: { enabled: false } },
+  });
+  await new Promise(resolve => setImmediate(resolve)); // backfill
+  const routeOpts = { contextFrom: 'body.threadId', agentFrom: 'headers.x-agent-id' };
+
+  // Paying under the agent's id without its signature builds it nothing
+  const claimed = { 'x-agent-id': AGENT_PK };
+  const claimedAuth = await payToll(toll, wallet, routeOpts, { body: { threadId: 't2' }, headers: claimed });
+  const { nextCalled } = await runToll(toll(routeOpts), mockReq({ body: { threadId: 't2' }, headers: { ...claimed, authorization: claimedAuth } }));
+  assert.strictEqual(nextCalled, true);
+
+  const body = { threadId: 't1' };
+  const sign = () => createNip98Token(AGENT_SK, { url: FORUM_URL, method: 'POST', body: JSON.stringify(body) });
+  const auth = await payToll(toll, wallet, routeOpts, { body, headers: { authorization: sign() } });
+  await runToll(toll(routeOpts), mockReq({ body, headers: { authorization: auth, 'x-nostr-authorization': sign() } }));
+
+  const explanation = toll.reputation.explain(AGENT_PK);
+  assert.strictEqual(explanation.paidSats, 6); // neither the top-up nor the claims count
+  assert.strictEqual(explanation.contexts, 2); // 'earlier' and t1
+  assert.strictEqual(explanation.ageDays, 1);
+  assert.deepStrictEqual((await toll.stats()).reputation, { agents: 1, flags: 0 });
+});
+
+asyncTest('reputation flags come back from the activity store after a restart', async () => {
+  const dir = tmpDir();
+  const start = () => discourseToll({
+    secret: TEST_SECRET,
+    wallet: mockWallet(),
+    payments: { path: path.join(dir, 'payments.jsonl') },
+    reputation: true,
+    trust: staticResolver({}),
+    pricing: { store: new FileActivityStore({ path: path.join(dir, 'activity.jsonl') }), cooldown: { enabled: false } },
+  });
+  const first = start();
+  await first.payments.record({ type: 'payment', agentId: AGENT_PK, agentVerified: true, contextId: 't1', sats: 100, via: 'invoice', timestamp: Date.now() - 1000 });
+  await first.flag(AGENT_PK, 't1', 1, { reason: 'spam' });
+  await first.flag('anonymous', 't1', 1);
+
+  const restarted = start();
+  await new Promise(resolve => setTimeout(resolve, 50)); // backfill and flag restore
+  const explanation = restarted.reputation.explain(AGENT_PK);
+  assert.strictEqual(explanation.paidSats, 100);
+  assert.strictEqual(explanation.flags, 1);
+  assert.strictEqual(explanation.penalty, 20);
+  assert.strictEqual(explanation.score, 10); // 30 earned, less the flag
+  assert.strictEqual(restarted.reputation.score('anonymous'), null);
+});
+
+asyncTest('flags do not count towards an agent\'s age', async () => {
+  const reputation = new LocalReputation();
+  reputation.flag('agent', { timestamp: Date.now() - 30 * 86_400_000 });
+  assert.strictEqual(reputation.explain('agent').ageDays, 0);
+  reputation.recordPayment({ agentId: 'agent', sats: 10, timestamp: Date.now() - 86_400_000 });
+  assert.strictEqual(reputation.explain('agent').ageDays, 1);
+});
+
+section('🚩 Moderation');
+
+asyncTest('flags multiply prices, fade, and can be pardoned', async () => {
+  const engine = new PricingEngine({ cooldown: { enabled: false }, penalties: { maxMultiplier: 4 } });
+  await engine.flag('spammer', 't1', 2, { reason: 'removed post' });
+  let { sats, breakdown } = await engine.calculate({ agentId: 'spammer', contextId: 't9', dryRun: true });
+  assert.strictEqual(sats, 3);
+  assert.deepStrictEqual(breakdown.penalty, { multiplier: 3, flags: 1 });
+
+  // Trusted agents lose their free pass while flagged, keeping the discount
+  await engine.setMultiplier('spammer', 4);
+  ({ sats } = await engine.calculate({ agentId: 'spammer', contextId: 't9', trustScore: 95, dryRun: true }));
+  assert.strictEqual(sats, 6); // 1 × 4 × 3, then half off
+  await engine.clearMultiplier('spammer');
+
+  (await engine.store.moderation('spammer')).flags[0].flaggedAt -= 604_800_000; // a week on: half the severity left
+  assert.deepStrictEqual(await engine.penalty('spammer'), { multiplier: 2, flags: 1 });
+  await engine.flag('spammer', 't2', 5);
+  assert.strictEqual((await engine.penalty('spammer')).multiplier, 4); // capped
+  assert.deepStrictEqual((await engine.overrides()).penalties, [{ agentId: 'spammer', multiplier: 4, flags: 2 }]);
+
+  assert.strictEqual(await engine.pardon('spammer', 't2'), 1);
+  assert.strictEqual(await engine.pardon('spammer'), 1);
+  assert.strictEqual(await engine.penalty('spammer'), null);
+  await assert.rejects(engine.flag('spammer', 't1', 0), /severity/);
+});
+
+asyncTest('toll moderation API: flag, ban, unban, pardon', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({
+    secret: TEST_SECRET,
+    wallet,
+    reputation: true,
+    baseUrl: 'https://forum.example',
+    trust: staticResolver({}),
+    pricing: { cooldown: { enabled: false } },
+  });
+  const routeOpts = { contextFrom: 'body.threadId' };
+  const body = { threadId: 't1' };
+  const req = () => mockReq({ body, headers: { authorization: createNip98Token(AGENT_SK, { url: FORUM_URL, method: 'POST', body: JSON.stringify(body) }) } });
+
+  const flagged = await toll.flag(AGENT_PK, 't1', 1, { reason: 'spam' });
+  assert.deepStrictEqual(flagged.penalty, { multiplier: 2, flags: 1 });
+  let { res } = await runToll(toll(routeOpts), req());
+  assert.strictEqual(res.body.amountSats, 2);
+  assert.deepStrictEqual(res.body.pricing.penalty, { multiplier: 2, flags: 1 });
+  assert.strictEqual(toll.reputation.explain(AGENT_PK).flags, 1);
+
+  await toll.ban(AGENT_PK, { reason: 'repeat spam' });
+  const invoices = wallet.preimages.size;
+  ({ res } = await runToll(toll(routeOpts), req()));
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(res.body.reason, 'repeat spam');
+  assert.strictEqual(wallet.preimages.size, invoices); // no invoice for banned agents
+  assert.strictEqual(await toll.unban(AGENT_PK), true);
+
+  assert.strictEqual(await toll.pardon(AGENT_PK), 1);
+  assert.strictEqual(toll.reputation.explain(AGENT_PK).flags, 0);
+  ({ res } = await runToll(toll(routeOpts), req()));
+  assert.strictEqual(res.body.amountSats, 1);
+  assert.strictEqual(res.body.pricing.penalty, undefined);
+
+  // Same through the admin API
+  const admin = toll.admin({ secret: 'admin-secret' });
+  const call = async (method, url, body) => (await runToll(admin, mockReq({ method, originalUrl: url, body, headers: { authorization: 'Bearer admin-secret' } }))).res;
+  assert.strictEqual((await call('POST', `/agents/${AGENT_PK}/flags`, { contextId: 't1', severity: 3 })).body.penalty.multiplier, 4);
+  assert.strictEqual((await call('POST', `/agents/${AGENT_PK}/flags`, { severity: -1 })).statusCode, 400);
+  assert.strictEqual((await call('GET', '/overrides')).body.penalties[0].agentId, AGENT_PK);
+  assert.strictEqual((await call('DELETE', `/agents/${AGENT_PK}/flags?contextId=t1`)).body.pardoned, 1);
+});
+
+asyncTest('moderation never lands on an agent through an unsigned claim', async () => {
+  const wallet = mockWallet();
+  const toll = discourseToll({
+    secret: TEST_SECRET,
+    wallet,
+    reputation: true,
+    trustUnsignedAgents: true,
+    baseUrl: 'https://forum.example',
+    trust: staticResolver({}),
+    pricing: { cooldown: { enabled: false } },
+  });
+  const routeOpts = { agentFrom: 'headers.x-agent-id' };
+  const claim = () => mockReq({ headers: { 'x-agent-id': AGENT_PK } });
+  const signed = () => mockReq({ headers: { authorization: createNip98Token(AGENT_SK, { url: FORUM_URL, method: 'POST' }) } });
+
+  // A ban on the agent holds for its signed requests, not for claims of its id
+  await toll.ban(AGENT_PK, { reason: 'spam' });
+  assert.strictEqual((await runToll(toll(routeOpts), signed())).res.statusCode, 403);
+  const claimed = await runToll(toll(routeOpts), claim());
+  assert.strictEqual(claimed.res.statusCode, 402);
+  await toll.unban(AGENT_PK);
+
+  // A post made under a claim is flagged as anonymous, not as the agent
+  const flagged = await toll.flag(AGENT_PK, 't1', 1, { agentVerified: false });
+  assert.strictEqual(flagged.agentId, 'anonymous');
+  assert.strictEqual(await toll.pricing.penalty(AGENT_PK), null);
+  assert.strictEqual(toll.reputation.score(AGENT_PK), null);
+  assert.deepStrictEqual((await runToll(toll(routeOpts), claim())).res.body.pricing.penalty, { multiplier: 2, flags: 1 });
+  assert.strictEqual((await runToll(toll(routeOpts), signed())).res.body.pricing.penalty, undefined);
+
+  // Unsigned claims are moderated as anonymous
+  await toll.ban('anonymous');
+  assert.strictEqual((await runToll(toll(routeOpts), claim())).res.statusCode, 403);
+});
+
 // ============================================
 // Summary
 // ============================================
 async function runAsync() {
   // Wait for all async tests
-  await new Promise(resolve => setTimeout(resolve, 500));
+  await asyncQueue;
   
   console.log(`\n${'='.repeat(40)}`);
   console.log(`Results: ${passed} passed, ${failed} failed`);